@@ -1,63 +1,145 @@
 import './App.css';
-import { useEffect, useState, useCallback, useRef } from "react";
-import { generateHeatmap } from "./satUtil";
+import { useCallback, useEffect, useMemo, useState, useRef } from "react";
 import CesiumGlobe from './components/CesiumGlobe';
+import ComparisonStats from './components/ComparisonStats';
+import StationManager from './components/StationManager';
+import SkyPlot from './components/SkyPlot';
+import HandoverPanel from './components/HandoverPanel';
+import RoutePanel from './components/RoutePanel';
+import TrajectoryPanel from './components/TrajectoryPanel';
+import { subscribeLive } from './liveStream';
 
 function App() {
-  const [lat, setLat] = useState(45.42);  // Ottawa
+  const [lat, setLat] = useState(45.42);  // Ottawa; custom location only
   const [lng, setLng] = useState(-75.7);
+  const [stations, setStations] = useState([]);
+  const [stationId, setStationId] = useState(''); // '' = custom location
   const [maxSats, setMaxSats] = useState(300);
   const [constellation1, setConstellation1] = useState('iridium');
-  const [coverage1, setCoverage1] = useState([]);
-  const [heatmapData, setHeatmapData] = useState([]);
-  const [positions, setPositions] = useState([]);
+  const [coverage, setCoverage] = useState({});
   const [mode, setMode] = useState('station'); //'station' or 'constellation'
+  const [constellations, setConstellations] = useState([]);
+  const [compare, setCompare] = useState(false);
+  const [compareSet, setCompareSet] = useState(['iridium', 'starlink']);
+  const [layout, setLayout] = useState('split'); // 'split' or 'overlay'
+  const [reconnects, setReconnects] = useState(0);
+  const [handover, setHandover] = useState(null); // simulation drawn on the globe
+  const [route, setRoute] = useState(null); // inter-satellite route drawn on the globe
+  const [trajectory, setTrajectory] = useState(null); // moving-terminal track drawn on the globe
+  const [reportFormat, setReportFormat] = useState('html');
+  const [reportStatus, setReportStatus] = useState('');
   const globeRef = useRef();
+  // Clock time of the (first) globe, which the sky plot follows
+  const globeClock = useRef(null);
+  const clockTime = useCallback(() => globeClock.current?.() ?? new Date(), []);
 
-  // Live stats
-  const visible1 = coverage1.filter(s => s.available).length;
+  // A selected station supplies the coordinates; the server applies its mask and terminals
+  const station = stations.find(s => s.id === stationId);
+  const siteLat = station ? station.lat : lat;
+  const siteLng = station ? station.lng : lng;
+  const siteAlt = station ? station.alt : 100;
+  const observer = useMemo(() => ({ lat: siteLat, lng: siteLng, alt: siteAlt }), [siteLat, siteLng, siteAlt]);
 
-  const fetchBoth = useCallback(async () => {
-    const params = new URLSearchParams({ 
-      lng: lng.toFixed(4),
-      lat: lat.toFixed(4),
-      alt: '100', 
-      maxSats: maxSats.toString() 
+  const active = compare ? compareSet : [constellation1];
+  const activeKey = active.join(',');
+
+  const toggleCompared = key => setCompareSet(keys =>
+    keys.includes(key) ? keys.filter(k => k !== key) : [...keys, key]
+  );
+
+  // Live stats: satellites with link margin per constellation, pushed by
+  // the server; Refresh reconnects
+  useEffect(() => {
+    if (!activeKey) return undefined;
+    const params = new URLSearchParams({
+      constellations: activeKey,
+      lat: siteLat,
+      lng: siteLng,
+      alt: siteAlt,
+      maxSats: maxSats.toString(),
+      mode: 'station'
+    });
+    if (stationId) params.set('stationId', stationId);
+
+    const byConstellation = satellites => {
+      const grouped = Object.fromEntries(activeKey.split(',').map(key => [key, []]));
+      satellites.forEach(s => grouped[s.constellation]?.push(s));
+      setCoverage(grouped);
+    };
+    return subscribeLive(params, {
+      onSatellites: byConstellation,
+      onError: error => console.error('Live stream:', error)
     });
+  }, [activeKey, siteLat, siteLng, siteAlt, stationId, maxSats, reconnects]);
+
+  // A simulation only holds for the constellation and site it was run for
+  useEffect(() => setHandover(null), [constellation1, siteLat, siteLng, stationId]);
+  useEffect(() => setRoute(null), [siteLat, siteLng, stationId]);
+  useEffect(() => setTrajectory(null), [constellation1]);
+
+  // The globe plays back one window at a time
+  const showHandover = useCallback(result => {
+    setHandover(result);
+    if (result) {
+      setRoute(null);
+      setTrajectory(null);
+    }
+  }, []);
+  const showRoute = useCallback(result => {
+    setRoute(result);
+    if (result) {
+      setHandover(null);
+      setTrajectory(null);
+    }
+  }, []);
+  const showTrajectory = useCallback(result => {
+    setTrajectory(result);
+    if (result) {
+      setHandover(null);
+      setRoute(null);
+    }
+  }, []);
 
+  // 24 h coverage report from now, downloaded as a file; errors stay on the page
+  const exportReport = useCallback(async () => {
+    setReportStatus('Generating report...');
     try {
-      
-        // Globe: only constellation1
-        const data1 = await fetch(`/api/${constellation1}/coverage?${params}`).then(r => r.json());
-        const sats = data1.satellites || [];
-
-        setCoverage1(sats);
-
-        const globeSats = sats.map(s => ({
-          noradId: s.noradId,
-          lng: s.lng,
-          lat: s.lat,
-          altitude: s.altitudeKm / 6371,
-          size: Math.max(0.3, Math.abs(s.elevation || 0) / 20),
-          available: s.available
-        }));
-
-        setPositions(globeSats);
-        setHeatmapData(generateHeatmap(globeSats));
-      
-    } catch (error) {
-      console.error('Fetch failed:', error);
+      const params = new URLSearchParams({ lat: siteLat, lng: siteLng, maxSats, format: reportFormat });
+      if (stationId) params.set('stationId', stationId);
+      const res = await fetch(`/api/${constellation1}/report?${params}`);
+      if (!res.ok) throw new Error((await res.json()).error || res.statusText);
+
+      const filename = res.headers.get('Content-Disposition')?.match(/filename="([^"]+)"/)?.[1] || `report.${reportFormat}`;
+      const url = URL.createObjectURL(await res.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(url);
+      setReportStatus(`Saved ${filename}`);
+    } catch (err) {
+      setReportStatus(`Error: ${err.message}`);
     }
-  }, [constellation1, lng, lat, maxSats, generateHeatmap]);
+  }, [constellation1, siteLat, siteLng, stationId, maxSats, reportFormat]);
 
+  // Constellation list comes from the server registry
   useEffect(() => {
-    fetchBoth();  // Initial fetch
+    fetch('/api/constellations')
+      .then(r => r.json())
+      .then(data => setConstellations(data.constellations || []))
+      .catch(error => console.error('Constellation list failed:', error));
   }, []);
 
+  // Stored ground stations; start on the first one
   useEffect(() => {
-    const interval = setInterval(fetchBoth, 60000);
-    return () => clearInterval(interval);
-  }, [fetchBoth]);
+    fetch('/api/stations')
+      .then(r => r.json())
+      .then(data => {
+        setStations(data.stations || []);
+        setStationId(data.stations?.[0]?.id || '');
+      })
+      .catch(error => console.error('Station list failed:', error));
+  }, []);
 
   return (
     <div className="App">
@@ -80,8 +162,19 @@ function App() {
         </div>
 
         {/* Location */}
-        <label>Lat: <input type="number" step="0.01" value={lat} onChange={e => setLat(+e.target.value)} /></label>
-        <label>Lng: <input type="number" step="0.01" value={lng} onChange={e => setLng(+e.target.value)} /></label>
+        <StationManager
+          stations={stations}
+          stationId={stationId}
+          onSelect={setStationId}
+          onStationsChange={setStations}
+          constellations={constellations}
+        />
+        {!station && (
+          <>
+            <label>Lat: <input type="number" step="0.01" value={lat} onChange={e => setLat(+e.target.value)} /></label>
+            <label>Lng: <input type="number" step="0.01" value={lng} onChange={e => setLng(+e.target.value)} /></label>
+          </>
+        )}
 
         {/* Max sats */}
         <label style={{ marginLeft: 10 }}>
@@ -94,32 +187,140 @@ function App() {
           />
         </label>
 
+        <label>
+          <input type="checkbox" checked={compare} onChange={e => setCompare(e.target.checked)} /> Compare constellations
+        </label>
+
         {/* Constellation selectors */}
+        {compare ? (
+          <div style={{ margin: '15px 0' }}>
+            {constellations.map(c => (
+              <label key={c.key}>
+                <input type="checkbox" checked={compareSet.includes(c.key)} onChange={() => toggleCompared(c.key)} />
+                {' '}{c.label} ({c.band})
+              </label>
+            ))}
+            <select value={layout} onChange={e => setLayout(e.target.value)}>
+              <option value="split">Split view</option>
+              <option value="overlay">Overlay</option>
+            </select>
+          </div>
+        ) : (
           <div style={{ margin: '15px 0' }}>
             <select value={constellation1} onChange={e => setConstellation1(e.target.value)}>
-              <option value="iridium">Iridium</option>
-              <option value="starlink">Starlink</option>
-              <option value="kuiper">Kuiper</option>
+              {constellations.length === 0 && <option value={constellation1}>{constellation1}</option>}
+              {constellations.map(c => (
+                <option key={c.key} value={c.key}>{c.label} ({c.band})</option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        <button onClick={() => setReconnects(n => n + 1)} style={{ marginTop: 10 }}>Refresh Coverage</button>
+
+        {!compare && (
+          <div style={{ margin: '10px 0' }}>
+            <select value={reportFormat} onChange={e => setReportFormat(e.target.value)}>
+              <option value="html">HTML</option>
+              <option value="csv">CSV</option>
+              <option value="json">JSON</option>
             </select>
+            <button onClick={exportReport} style={{ marginLeft: 6 }}>Export report</button>
+            <span style={{ fontSize: '12px', marginLeft: 6 }}>{reportStatus}</span>
           </div>
-        
+        )}
 
-        <button onClick={fetchBoth} style={{ marginTop: 10 }}>Refresh Coverage</button>
+        {!compare && (
+          <HandoverPanel
+            key={`${constellation1}@${stationId || `${siteLat},${siteLng}`}`}
+            constellation={constellation1}
+            lat={siteLat}
+            lng={siteLng}
+            stationId={stationId}
+            maxSats={maxSats}
+            onResult={showHandover}
+          />
+        )}
+
+        {!compare && (
+          <TrajectoryPanel
+            key={constellation1}
+            constellation={constellation1}
+            maxSats={maxSats}
+            onResult={showTrajectory}
+          />
+        )}
+
+        <RoutePanel
+          key={stationId || `${siteLat},${siteLng}`}
+          from={stationId || `${siteLat},${siteLng}`}
+          stations={stations}
+          stationId={stationId}
+          onResult={showRoute}
+        />
+
+        <div className="stats">
+          {active.map(key => (
+            <span key={key}>{key}: {(coverage[key] || []).filter(s => s.available).length} available now</span>
+          ))}
+        </div>
       </div>
 
       {/* Views */}
+      {compare && layout === 'split' ? (
+        <div className="dual-maps">
+          {compareSet.map((key, i) => (
+            <div key={key} className="map-container">
+              <div className="constellation-label">{key}</div>
+              <CesiumGlobe
+                lat={siteLat}
+                lng={siteLng}
+                stationId={stationId}
+                stations={stations}
+                constellation={key}
+                constellations={[key]}
+                maxSats={maxSats}
+                mode={mode}
+                registry={constellations}
+                clockRef={i === 0 ? globeClock : null}
+              />
+            </div>
+          ))}
+        </div>
+      ) : (
         <div className="globe-container" style={{ height: '70vh' }}>
           <CesiumGlobe
-            lat={lat}
-            lng={lng}
-            constellation={constellation1}
+            lat={siteLat}
+            lng={siteLng}
+            stationId={stationId}
+            stations={stations}
+            constellation={active[0] || constellation1}
+            constellations={compare ? compareSet : undefined}
             maxSats={maxSats}
             mode={mode}
+            handover={compare ? null : handover}
+            route={route}
+            trajectory={compare ? null : trajectory}
+            registry={constellations}
+            clockRef={globeClock}
           />
         </div>
+      )}
+
+      <SkyPlot
+        satellites={active.flatMap(key => coverage[key] || [])}
+        observer={observer}
+        getClockTime={clockTime}
+        minElevDegs={active.map(key => station?.minElevDeg ?? constellations.find(c => c.key === key)?.minElevationDeg ?? 0)}
+        horizonProfile={station?.horizonProfile}
+      />
+
+      {compare && (
+        <ComparisonStats lat={siteLat} lng={siteLng} stationId={stationId} maxSats={maxSats} constellations={compareSet} />
+      )}
     
       <div className="info">
-        🟢 elev&gt;10°+low loss | 🔴 horizon/high loss | 📡 station | 5s live
+        🟢 elev&gt;mask+link margin | 🔴 horizon/no margin | 📡 station | 5s live
       </div>
     </div>
   );
@@ -1,28 +1,317 @@
-import { useEffect, useRef, useState, useCallback } from "react";
+import { useEffect, useRef, useState, useCallback, useMemo } from "react";
 import * as Cesium from "cesium";
 import "cesium/Build/Cesium/Widgets/widgets.css";
+import { buildSatrecs, propagateEcf, propagateGeodetic, orbitTrack, groundTrack } from "../satPropagation";
+import { subsolarAt, terminator, illuminationLabel } from "../sun";
+import { subscribeLive } from "../liveStream";
+import DopplerPlot from "./DopplerPlot";
+import SatelliteList from "./SatelliteList";
+import SatelliteDetail from "./SatelliteDetail";
 
 Cesium.Ion.defaultAccessToken = import.meta.env.VITE_CESIUM_TOKEN;
 
-const UPDATE_HZ = 3;
 const ORBIT_POINTS = 180;
 const ORBIT_SPAN_MINUTES = 90;
+// Recompute an orbit track once the clock drifts this far from its centre
+const ORBIT_REFRESH_SEC = 60;
+// Ground tracks of selected satellites: this far behind and ahead of the
+// clock, sampled every GROUND_TRACK_STEP_SEC
+const GROUND_TRACK_PAST_MIN = 45;
+const GROUND_TRACK_FUTURE_MIN = 90;
+const GROUND_TRACK_STEP_SEC = 30;
+// Day/night terminator, redrawn once the clock has moved this far
+const TERMINATOR_POINTS = 180;
+const TERMINATOR_REFRESH_SEC = 60;
+// Re-evaluate the constellation once the clock has moved this far (sim time)
+const CLOCK_REFETCH_SEC = 300;
+const CLOCK_DEBOUNCE_MS = 500;
+// Moving the clock this far from the present leaves live mode
+const LIVE_DRIFT_SEC = 30;
+// Coverage grid: roughly this many cells across the visible region
+const GRID_CELLS_ACROSS = 60;
+const GRID_MIN_RESOLUTION_DEG = 0.25;
+// In live mode the grid is re-requested for the present this often
+const GRID_LIVE_REFRESH_MS = 30000;
+const GRID_METRICS = {
+  availableCount: "Available sats",
+  satellitesInView: "Sats in view",
+  bestElevationDeg: "Best elevation",
+  bestMarginDb: "Best margin",
+  availabilityPct: "Availability %"
+};
+// Footprints come from the server's /footprints, traced with this many
+// vertices, sampled every FOOTPRINT_STEP_SEC of clock time and loaded at most
+// once per FOOTPRINT_MIN_INTERVAL_MS of wall time, however fast the clock
+// runs; the last FOOTPRINT_CACHE_SIZE responses are kept for replays and
+// scrubbing back. Satellites per request: Iridium's 48 beam cells each keep
+// this under the server's polygon limit.
+const FOOTPRINT_VERTICES = 48;
+const FOOTPRINT_STEP_SEC = 10;
+const FOOTPRINT_MIN_INTERVAL_MS = 2000;
+const FOOTPRINT_CACHE_SIZE = 64;
+const FOOTPRINT_BATCH = 100;
+// Horizon masks are drawn as a wall this far out from the station, its height
+// giving the mask elevation as seen from the station
+const SKYLINE_RADIUS_M = 150000;
+// Playback speed of a handover simulation or route on the timeline
+const PLAYBACK_MULTIPLIER = 10;
+// Window of a scenario export, from the current clock time
+const EXPORT_HOURS = 2;
+// Selecting a satellite in the list flies the camera this far above it
+const FOCUS_DISTANCE_M = 2500000;
+// Per-constellation colours when several are overlaid on one globe
+const OVERLAY_COLORS = ["YELLOW", "ORANGE", "LIME", "MAGENTA", "DEEPSKYBLUE"];
+
+// Wall positions/heights tracing a station's horizon profile (the mask
+// sampled by the server)
+function skylineWall(station) {
+  const samples = station.horizonProfile;
+
+  const angular = SKYLINE_RADIUS_M / 6371000;
+  const latRad = Cesium.Math.toRadians(station.lat);
+  return {
+    positions: samples.map(([az]) => {
+      const azRad = Cesium.Math.toRadians(az);
+      return Cesium.Cartesian3.fromRadians(
+        Cesium.Math.toRadians(station.lng) + angular * Math.sin(azRad) / Math.cos(latRad),
+        latRad + angular * Math.cos(azRad),
+        0
+      );
+    }),
+    maximumHeights: samples.map(([, elev]) => SKYLINE_RADIUS_M * Math.tan(Cesium.Math.toRadians(Math.max(elev, 0)))),
+    minimumHeights: samples.map(() => 0)
+  };
+}
+
+function satelliteDescription(sat, overlay) {
+  return `<b>${sat.name || sat.noradId}</b>${overlay ? ` (${sat.constellation})` : ""} | Elev: ${sat.elevation}° | Az: ${sat.azimuth}° | Range: ${sat.rangeKm}km`
+    + (sat.linkBudget ? `<br>Eb/N0: ${sat.linkBudget.ebn0Db}dB | Margin: ${sat.linkBudget.marginDb}dB` : "")
+    + (sat.doppler ? `<br>Doppler: ${(sat.doppler.downlinkHz / 1000).toFixed(1)}kHz (${sat.doppler.downlinkRateHzS}Hz/s)` : "")
+    + (sat.eclipse ? `<br>${illuminationLabel(sat)}` : "")
+    + `<br>Click to toggle orbit, ground track and Doppler plot`;
+}
+
+// Position evaluated by SGP4 at whatever time the Cesium clock asks for
+function satellitePositionProperty(satrec) {
+  return new Cesium.CallbackPositionProperty((time, result) => {
+    const ecf = propagateEcf(satrec, Cesium.JulianDate.toDate(time));
+    return ecf ? Cesium.Cartesian3.fromElements(ecf.x, ecf.y, ecf.z, result) : undefined;
+  }, false, Cesium.ReferenceFrame.FIXED);
+}
+
+// Footprint and beam-cell hierarchies by NORAD id from a /footprints
+// GeoJSON response: { footprint, beams: Map(beam -> hierarchy) }
+function footprintShapes(geojson, shapes) {
+  geojson.features.forEach(({ geometry, properties }) => {
+    const shape = shapes.get(properties.noradId) || { footprint: undefined, beams: new Map() };
+    const hierarchy = new Cesium.PolygonHierarchy(
+      geometry.coordinates[0].map(([lng, lat]) => Cesium.Cartesian3.fromDegrees(lng, lat, 0))
+    );
+    if (properties.kind === "beam") shape.beams.set(properties.beam, hierarchy);
+    else shape.footprint = hierarchy;
+    shapes.set(properties.noradId, shape);
+  });
+  return shapes;
+}
+
+// Orbit track around the current clock time, recomputed as the clock moves
+function orbitPositionsProperty(satrec) {
+  let centreMs = null;
+  let positions = [];
+
+  return new Cesium.CallbackProperty((time) => {
+    const date = Cesium.JulianDate.toDate(time);
+    if (centreMs === null || Math.abs(date.getTime() - centreMs) > ORBIT_REFRESH_SEC * 1000) {
+      centreMs = date.getTime();
+      positions = orbitTrack(satrec, date, ORBIT_SPAN_MINUTES, ORBIT_POINTS)
+        .map(ecf => new Cesium.Cartesian3(ecf.x, ecf.y, ecf.z));
+    }
+    return positions;
+  }, false);
+}
+
+// Ground track from fromMin to toMin around the clock time (negative for the
+// past), joined to the sub-satellite point at the clock time itself. Samples
+// are taken on a fixed grid and re-taken once the clock drifts ORBIT_REFRESH_SEC.
+function groundTrackProperty(satrec, fromMin, toMin) {
+  let centreMs = null;
+  let samples = [];
+
+  return new Cesium.CallbackProperty((time) => {
+    const date = Cesium.JulianDate.toDate(time);
+    const ms = date.getTime();
+    if (centreMs === null || Math.abs(ms - centreMs) > ORBIT_REFRESH_SEC * 1000) {
+      centreMs = ms;
+      const margin = ORBIT_REFRESH_SEC * 1000;
+      samples = groundTrack(satrec, new Date(ms + fromMin * 60000 - margin), new Date(ms + toMin * 60000 + margin), GROUND_TRACK_STEP_SEC)
+        .map(point => ({ ms: point.ms, position: Cesium.Cartesian3.fromDegrees(point.lng, point.lat) }));
+    }
+
+    const positions = samples
+      .filter(point => point.ms > ms + fromMin * 60000 && point.ms < ms + toMin * 60000)
+      .map(point => point.position);
+    const here = propagateGeodetic(satrec, date);
+    if (here) {
+      const position = Cesium.Cartesian3.fromDegrees(here.lng, here.lat);
+      if (fromMin < 0) positions.push(position);
+      else positions.unshift(position);
+    }
+    return positions;
+  }, false);
+}
+
+// Day/night terminator at the clock time, from the latest sub-solar point
+// the server sent (a ref holding { time, lat, lng }); none until one arrives
+function terminatorPositionsProperty(subsolar) {
+  let drawnMs = null;
+  let drawnFrom = null;
+  let positions = [];
+
+  return new Cesium.CallbackProperty((time) => {
+    const reference = subsolar.current;
+    if (!reference) return [];
+    const date = Cesium.JulianDate.toDate(time);
+    if (reference !== drawnFrom || Math.abs(date.getTime() - drawnMs) > TERMINATOR_REFRESH_SEC * 1000) {
+      drawnMs = date.getTime();
+      drawnFrom = reference;
+      positions = terminator(subsolarAt(reference, date), TERMINATOR_POINTS)
+        .map(({ lat, lng }) => Cesium.Cartesian3.fromDegrees(lng, lat));
+    }
+    return positions;
+  }, false);
+}
+
+// Terminal-to-serving-satellite line of a handover simulation at whatever
+// time the clock asks for; empty during outages and outside the window. The
+// terminal is a position property, so a moving one follows its track.
+function servingLinkProperty(handover, satrecs, terminal) {
+  const segments = handover.timeline.map(s => ({ ...s, startMs: Date.parse(s.start), endMs: Date.parse(s.end) }));
+
+  return new Cesium.CallbackProperty((time) => {
+    const date = Cesium.JulianDate.toDate(time);
+    const ms = date.getTime();
+    const segment = segments.find(s => ms >= s.startMs && ms < s.endMs);
+    const satrec = segment && satrecs.get(segment.noradId);
+    const ecf = satrec && propagateEcf(satrec, date);
+    const from = ecf && terminal.getValue(time);
+    return from ? [from, new Cesium.Cartesian3(ecf.x, ecf.y, ecf.z)] : [];
+  }, false);
+}
+
+// Position of a moving terminal along its track samples, interpolated
+// between fixes and undefined outside the track
+function trackPositionProperty(samples) {
+  const position = new Cesium.SampledPositionProperty();
+  samples.forEach(s => position.addSample(
+    Cesium.JulianDate.fromIso8601(s.time),
+    Cesium.Cartesian3.fromDegrees(s.lng, s.lat, s.alt)
+  ));
+  return position;
+}
+
+// Track split into runs of served and unserved legs, for colouring
+function trackRuns(samples) {
+  const runs = [];
+  samples.forEach((s, i) => {
+    const served = s.noradId !== null;
+    const position = Cesium.Cartesian3.fromDegrees(s.lng, s.lat, s.alt);
+    const run = runs[runs.length - 1];
+    if (run?.served === served) run.positions.push(position);
+    else {
+      // Start each run where the previous leg ended so the track is unbroken
+      const previous = samples[i - 1];
+      runs.push({
+        served,
+        positions: previous ? [Cesium.Cartesian3.fromDegrees(previous.lng, previous.lat, previous.alt), position] : [position]
+      });
+    }
+  });
+  return runs;
+}
+
+// Active path of a route result at whatever time the clock asks for: the
+// sample in effect then, its satellites propagated to that instant
+function routePositionsProperty(route, satrecs) {
+  const samples = route.samples.map(s => ({ ...s, ms: Date.parse(s.time) }));
+  const endMs = Date.parse(route.end);
+
+  return new Cesium.CallbackProperty((time) => {
+    const date = Cesium.JulianDate.toDate(time);
+    const ms = date.getTime();
+    if (ms < samples[0]?.ms || ms >= endMs) return [];
+    const sample = samples.findLast(s => s.ms <= ms);
+    if (!sample?.reachable) return [];
+
+    return sample.path.map(node => {
+      const ecf = node.type === "satellite" && satrecs.has(node.noradId) && propagateEcf(satrecs.get(node.noradId), date);
+      return ecf
+        ? new Cesium.Cartesian3(ecf.x, ecf.y, ecf.z)
+        : Cesium.Cartesian3.fromDegrees(node.lng, node.lat, node.altitudeKm * 1000);
+    });
+  }, false);
+}
 
 function CesiumGlobe({
   lat = 45.42,
   lng = -75.7,
+  stationId = "", // stored station the view is evaluated for; "" uses lat/lng
+  stations = [], // all stored stations, drawn with their names
   constellation = "iridium",
+  constellations, // optional list overlaid on one globe (comparison mode)
   maxSats = 300,
-  mode = "station" // "station" or "constellation"
+  mode = "station", // "station" or "constellation"
+  handover = null, // /api/:constellation/handover result to play back
+  route = null, // /api/:constellation/route result to play back
+  trajectory = null, // /api/:constellation/trajectory result to play back
+  registry = [], // /api/constellations entries, for spot-beam layouts
+  clockRef = null // set to a function returning the clock time, for panels outside the globe
 }) {
   const containerRef = useRef(null);
   const viewerRef = useRef(null);
   const [sats, setSats] = useState([]);
   const [showCoverage, setShowCoverage] = useState(true);
+  const [showBeams, setShowBeams] = useState(false);
+  const [showDayNight, setShowDayNight] = useState(true);
   const [status, setStatus] = useState("Ready");
+  const [evalTime, setEvalTime] = useState(() => new Date().toISOString());
+  const [showGrid, setShowGrid] = useState(false);
+  const [gridMetric, setGridMetric] = useState("availableCount");
+  const [gridRect, setGridRect] = useState(null);
+  const [gridTime, setGridTime] = useState(null); // grid epoch in live mode
+  const [live, setLive] = useState(true);
+  const [dopplerSat, setDopplerSat] = useState(null); // last satellite clicked
+  const [detailSat, setDetailSat] = useState(null); // satellite in the detail card
+  const [czmlName, setCzmlName] = useState(null); // loaded CZML file
 
   const selectedSatIds = useRef(new Set());
   const orbitEntities = useRef(new Map());
+  const lastEvalMs = useRef(Date.now());
+  const cameraKey = useRef(null);
+  const gridLayerRef = useRef(null);
+  const czmlSourceRef = useRef(null);
+  const liveRef = useRef(live);
+  // Latest streamed state per satellite, read by the entity descriptions
+  const liveState = useRef(new Map());
+  // Latest footprints from the server by NORAD id, read by the polygons
+  const footprints = useRef(new Map());
+  // /footprints responses by request (element-set epochs included, so
+  // reloaded elements are fetched again) and sample time, oldest first
+  const footprintCache = useRef(new Map());
+  // Latest sub-solar point from the server ({ time, lat, lng }), read by the terminator
+  const subsolar = useRef(null);
+
+  // Joined so a new array with the same keys does not refetch
+  const overlayKey = constellations?.join(",") || "";
+  const overlayColor = useCallback(key => {
+    const index = overlayKey.split(",").indexOf(key);
+    return Cesium.Color[OVERLAY_COLORS[Math.max(index, 0) % OVERLAY_COLORS.length]];
+  }, [overlayKey]);
+  const overlay = overlayKey.includes(",");
+  const beamLayouts = useMemo(
+    () => Object.fromEntries(registry.filter(c => c.beams).map(c => [c.key, c.beams])),
+    [registry]
+  );
+  const hasBeams = (constellations || [constellation]).some(key => beamLayouts[key]);
 
   // Initialize Cesium Viewer
   useEffect(() => {
@@ -42,15 +331,155 @@ function CesiumGlobe({
     viewer.scene.skyBox.show = false;
     viewer.scene.backgroundColor = Cesium.Color.BLACK;
     viewer.scene.globe.showGroundAtmosphere = false;
-    viewer.scene.globe.enableLighting = false;
     viewer.clock.multiplier = 20;
     viewer.clock.shouldAnimate = true;
 
     viewerRef.current = viewer;
 
-    return () => viewer.destroy();
+    // Clock/timeline drives the evaluation epoch; debounce so scrubbing
+    // only triggers one fetch once the user lets go. In live mode the server
+    // pushes updates until the clock is moved away from the present.
+    let debounce = null;
+    const removeTick = viewer.clock.onTick.addEventListener(clock => {
+      const t = Cesium.JulianDate.toDate(clock.currentTime);
+      if (liveRef.current) {
+        if (Math.abs(t.getTime() - Date.now()) < LIVE_DRIFT_SEC * 1000) return;
+        liveRef.current = false;
+        lastEvalMs.current = t.getTime();
+        setLive(false);
+        setEvalTime(t.toISOString());
+        return;
+      }
+      if (Math.abs(t.getTime() - lastEvalMs.current) < CLOCK_REFETCH_SEC * 1000) return;
+      lastEvalMs.current = t.getTime();
+      clearTimeout(debounce);
+      debounce = setTimeout(() => setEvalTime(t.toISOString()), CLOCK_DEBOUNCE_MS);
+    });
+
+    return () => {
+      clearTimeout(debounce);
+      removeTick();
+      viewer.destroy();
+    };
   }, []);
 
+  // Fly camera to server-suggested position, but not on every clock step
+  const flyToCamera = useCallback(camera => {
+    const key = `${lat},${lng},${mode}`;
+    if (!viewerRef.current || !camera || cameraKey.current === key) return;
+    cameraKey.current = key;
+    viewerRef.current.camera.flyTo({
+      destination: Cesium.Cartesian3.fromDegrees(camera.lng, camera.lat, camera.height)
+    });
+  }, [lat, lng, mode]);
+
+  // Live mode runs the clock in real time
+  useEffect(() => {
+    liveRef.current = live;
+    const viewer = viewerRef.current;
+    if (!viewer || !live) return;
+    viewer.clock.currentTime = Cesium.JulianDate.now();
+    viewer.clock.clockRange = Cesium.ClockRange.UNBOUNDED;
+    viewer.clock.multiplier = 1;
+    viewer.clock.shouldAnimate = true;
+  }, [live]);
+
+  // A handover simulation, route or track takes the clock over its window
+  const playback = handover || route || trajectory;
+  useEffect(() => {
+    const viewer = viewerRef.current;
+    if (!viewer) return;
+    if (!playback) {
+      viewer.clock.clockRange = Cesium.ClockRange.UNBOUNDED;
+      return;
+    }
+    const start = Cesium.JulianDate.fromIso8601(playback.start);
+    const stop = Cesium.JulianDate.fromIso8601(playback.end);
+
+    liveRef.current = false;
+    setLive(false);
+    lastEvalMs.current = Date.parse(playback.start);
+    setEvalTime(playback.start);
+    viewer.clock.startTime = start;
+    viewer.clock.stopTime = stop;
+    viewer.clock.currentTime = start.clone();
+    viewer.clock.clockRange = Cesium.ClockRange.LOOP_STOP;
+    viewer.clock.multiplier = PLAYBACK_MULTIPLIER;
+    viewer.clock.shouldAnimate = true;
+    viewer.timeline.zoomTo(start, stop);
+  }, [playback]);
+
+  // CZML files (scenario exports or third-party) as a data source alongside
+  // the live entities; the file's clock takes over the timeline
+  const loadCzml = useCallback(async file => {
+    const viewer = viewerRef.current;
+    if (!viewer || !file) return;
+    setStatus(`Loading ${file.name}...`);
+    try {
+      const source = await Cesium.CzmlDataSource.load(JSON.parse(await file.text()));
+      if (czmlSourceRef.current) viewer.dataSources.remove(czmlSourceRef.current, true);
+      czmlSourceRef.current = source;
+      await viewer.dataSources.add(source);
+      setCzmlName(file.name);
+
+      const clock = source.clock;
+      if (clock) {
+        liveRef.current = false;
+        setLive(false);
+        lastEvalMs.current = Cesium.JulianDate.toDate(clock.currentTime).getTime();
+        setEvalTime(Cesium.JulianDate.toIso8601(clock.currentTime));
+        clock.getValue(viewer.clock);
+        viewer.clock.shouldAnimate = true;
+        viewer.timeline.zoomTo(clock.startTime, clock.stopTime);
+      }
+      setStatus(`Loaded ${file.name}: ${source.entities.values.length} entities`);
+    } catch (err) {
+      setStatus(`CZML error: ${err.message}`);
+    }
+  }, []);
+
+  const unloadCzml = () => {
+    const viewer = viewerRef.current;
+    if (viewer && czmlSourceRef.current) viewer.dataSources.remove(czmlSourceRef.current, true);
+    czmlSourceRef.current = null;
+    setCzmlName(null);
+  };
+
+  const exportStart = live ? new Date().toISOString() : evalTime;
+  const exportParams = new URLSearchParams({ lat, lng, maxSats: Math.min(maxSats, 100), start: exportStart, hours: EXPORT_HOURS });
+  if (stationId) exportParams.set("stationId", stationId);
+
+  const handoverSatrecs = useMemo(() => buildSatrecs(handover?.satellites || []), [handover]);
+  const routeSatrecs = useMemo(() => buildSatrecs(route?.satellites || []), [route]);
+  const trajectorySatrecs = useMemo(() => buildSatrecs(trajectory?.satellites || []), [trajectory]);
+
+  // Live satellites pushed by the server; station mode shows the available ones
+  useEffect(() => {
+    if (!live) return undefined;
+    setStatus("Connecting...");
+
+    const params = new URLSearchParams({ constellation, lat, lng, maxSats, mode });
+    if (overlayKey) params.set("constellations", overlayKey);
+    if (stationId) params.set("stationId", stationId);
+
+    return subscribeLive(params, {
+      onSnapshot: data => {
+        subsolar.current = { time: data.time, ...data.subsolarPoint };
+        flyToCamera(data.camera);
+      },
+      onSatellites: (list, time) => {
+        const shown = mode === "station" ? list.filter(s => s.available) : list;
+        setSats(shown);
+        setStatus(`${shown.length} sats live @ ${new Date(time).toUTCString()}`);
+      },
+      onState: (byId, time, subsolarPoint) => {
+        liveState.current = byId;
+        subsolar.current = { time, ...subsolarPoint };
+      },
+      onError: error => setStatus(`Error: ${error}`)
+    });
+  }, [live, lat, lng, stationId, constellation, overlayKey, maxSats, mode, flyToCamera]);
+
   // Fetch satellites from server
   const fetchSats = useCallback(async () => {
     setStatus("Loading...");
@@ -61,62 +490,70 @@ function CesiumGlobe({
         lat,
         lng,
         maxSats,
-        mode
+        mode,
+        time: evalTime
       });
+      if (overlayKey) params.set("constellations", overlayKey);
+      if (stationId) params.set("stationId", stationId);
 
       const res = await fetch(`/api/constellation-view?${params}`);
       const data = await res.json();
+      if (!res.ok) throw new Error(data.error || res.statusText);
 
+      liveState.current = new Map();
+      subsolar.current = { time: data.time, ...data.subsolarPoint };
       setSats(data.satellites || []);
+      flyToCamera(data.camera);
 
-      // Fly camera to server-suggested position
-      if (viewerRef.current && data.camera) {
-        viewerRef.current.camera.flyTo({
-          destination: Cesium.Cartesian3.fromDegrees(
-            data.camera.lng,
-            data.camera.lat,
-            data.camera.height
-          )
-        });
-      }
-
-      setStatus(`${data.satellites.length} sats loaded`);
+      setStatus(`${data.satellites.length} sats @ ${new Date(data.time).toUTCString()}`);
     } catch (err) {
       setStatus(`Error: ${err.message}`);
     }
-  }, [lat, lng, constellation, maxSats, mode]);
+  }, [lat, lng, stationId, constellation, overlayKey, maxSats, mode, evalTime, flyToCamera]);
 
   useEffect(() => {
-    fetchSats();
-  }, [fetchSats]);
+    if (!live) fetchSats();
+  }, [fetchSats, live]);
 
-  // Update satellite positions & coverage
-  useEffect(() => {
-    const interval = setInterval(() => {
-      const viewer = viewerRef.current;
-      if (!viewer) return;
-
-      sats.forEach((sat) => {
-        const satEntity = viewer.entities.getById(`sat-${sat.noradId}`);
-        const fpEntity = viewer.entities.getById(`fp-${sat.noradId}`);
-        if (!satEntity) return;
-
-        satEntity.position = Cesium.Cartesian3.fromDegrees(
-          sat.lng, sat.lat, sat.altitudeKm * 1000
-        );
-
-        if (fpEntity && showCoverage && sat.coverageRadiusKm) {
-          fpEntity.position = Cesium.Cartesian3.fromDegrees(sat.lng, sat.lat, 0);
-          fpEntity.ellipse.semiMajorAxis = sat.coverageRadiusKm * 1000;
-          fpEntity.ellipse.semiMinorAxis = sat.coverageRadiusKm * 1000;
-        }
-      });
-    }, 1000 / UPDATE_HZ);
+  const satrecs = useMemo(() => buildSatrecs(sats), [sats]);
+
+  // Orbit, past ground track (dimmer) and future ground track of a selected satellite
+  const addOrbitEntity = useCallback((viewer, sat) => {
+    const satrec = satrecs.get(sat.noradId);
+    if (!satrec) return;
 
-    return () => clearInterval(interval);
-  }, [sats, showCoverage]);
+    const orbitEnt = viewer.entities.add({
+      id: `orbit-${sat.noradId}`,
+      name: `${sat.noradId} orbit`,
+      polyline: {
+        positions: orbitPositionsProperty(satrec),
+        width: 2,
+        material: Cesium.Color.YELLOW.withAlpha(0.9),
+        clampToGround: false
+      }
+    });
+    const pastEnt = viewer.entities.add({
+      id: `track-past-${sat.noradId}`,
+      name: `${sat.noradId} ground track (past ${GROUND_TRACK_PAST_MIN} min)`,
+      polyline: {
+        positions: groundTrackProperty(satrec, -GROUND_TRACK_PAST_MIN, 0),
+        width: 2,
+        material: Cesium.Color.CYAN.withAlpha(0.35)
+      }
+    });
+    const futureEnt = viewer.entities.add({
+      id: `track-future-${sat.noradId}`,
+      name: `${sat.noradId} ground track (next ${GROUND_TRACK_FUTURE_MIN} min)`,
+      polyline: {
+        positions: groundTrackProperty(satrec, 0, GROUND_TRACK_FUTURE_MIN),
+        width: 2,
+        material: Cesium.Color.CYAN.withAlpha(0.9)
+      }
+    });
+    orbitEntities.current.set(sat.noradId, [orbitEnt, pastEnt, futureEnt]);
+  }, [satrecs]);
 
-  // Toggle orbit paths
+  // Toggle orbit paths and ground tracks
   const toggleSelectSatellite = useCallback((id) => {
     const viewer = viewerRef.current;
     if (!viewer) return;
@@ -126,60 +563,179 @@ function CesiumGlobe({
 
     if (selectedSatIds.current.has(id)) {
       selectedSatIds.current.delete(id);
-      const ent = orbitEntities.current.get(id);
-      if (ent) { viewer.entities.remove(ent); orbitEntities.current.delete(id); }
+      const ents = orbitEntities.current.get(id);
+      if (ents) { ents.forEach(ent => viewer.entities.remove(ent)); orbitEntities.current.delete(id); }
+      setDopplerSat(current => (current?.noradId === id ? null : current));
     } else {
       selectedSatIds.current.add(id);
-      const positions = [];
-      const now = new Date();
-      const halfSpanSec = (ORBIT_SPAN_MINUTES * 60) / 2;
-      const stepSec = Math.max(10, Math.round((ORBIT_SPAN_MINUTES * 60) / ORBIT_POINTS));
-      const satrec = window.satellite?.twoline2satrec(sat.line1, sat.line2);
-      if (!satrec) return;
-
-      for (let dt = -halfSpanSec; dt <= halfSpanSec; dt += stepSec) {
-        const t = new Date(now.getTime() + dt * 1000);
-        const pv = window.satellite.propagate(satrec, t);
-        if (!pv.position) continue;
-        const gmst = window.satellite.gstime(t);
-        const ecf = window.satellite.eciToEcf(pv.position, gmst);
-        positions.push(new Cesium.Cartesian3(ecf.x * 1000, ecf.y * 1000, ecf.z * 1000));
-      }
-
-      const orbitEnt = viewer.entities.add({
-        id: `orbit-${id}`,
-        name: `${sat.noradId} orbit`,
-        polyline: { positions, width: 2, material: Cesium.Color.YELLOW.withAlpha(0.9), clampToGround: false }
-      });
-      orbitEntities.current.set(id, orbitEnt);
+      addOrbitEntity(viewer, sat);
+      setDopplerSat(sat);
     }
-  }, [sats]);
+  }, [sats, addOrbitEntity]);
+
+  // Pick a satellite from the list: select it and fly to where it is now
+  const focusSatellite = useCallback((sat) => {
+    setDetailSat(sat);
+    const viewer = viewerRef.current;
+    const entity = viewer?.entities.getById(`sat-${sat.noradId}`);
+    if (!entity) return;
+
+    viewer.selectedEntity = entity;
+    const position = entity.position.getValue(viewer.clock.currentTime);
+    if (!position) return;
+    const radius = Cesium.Cartesian3.magnitude(position);
+    viewer.camera.flyTo({
+      destination: Cesium.Cartesian3.multiplyByScalar(position, (radius + FOCUS_DISTANCE_M) / radius, new Cesium.Cartesian3()),
+      duration: 1.5
+    });
+  }, []);
+
+  // Latest state of the satellite in the detail card, null once it has left
+  const detailState = useCallback(() => {
+    if (!detailSat) return null;
+    return liveState.current.get(detailSat.noradId) || sats.find(s => s.noradId === detailSat.noradId) || null;
+  }, [detailSat, sats]);
+
+  const clockTime = useCallback(() => {
+    const viewer = viewerRef.current;
+    return viewer ? Cesium.JulianDate.toDate(viewer.clock.currentTime) : new Date();
+  }, []);
 
-  // Render satellites & footprints
+  useEffect(() => {
+    if (!clockRef) return undefined;
+    clockRef.current = clockTime;
+    return () => {
+      if (clockRef.current === clockTime) clockRef.current = null;
+    };
+  }, [clockRef, clockTime]);
+
+  // Clicking a satellite toggles its orbit
+  useEffect(() => {
+    const viewer = viewerRef.current;
+    if (!viewer) return;
+
+    const handler = new Cesium.ScreenSpaceEventHandler(viewer.scene.canvas);
+    handler.setInputAction(click => {
+      const props = viewer.scene.pick(click.position)?.id?.properties;
+      if (props?._kind?.getValue() !== "sat") return;
+      const id = props._sid.getValue();
+      toggleSelectSatellite(id);
+      const sat = sats.find(s => s.noradId === id);
+      if (sat) setDetailSat(sat);
+    }, Cesium.ScreenSpaceEventType.LEFT_CLICK);
+
+    return () => handler.destroy();
+  }, [toggleSelectSatellite, sats]);
+
+  // Render satellites & footprints; positions follow viewer.clock via SGP4
   useEffect(() => {
     const viewer = viewerRef.current;
     if (!viewer) return;
 
     viewer.entities.removeAll();
+    orbitEntities.current.clear();
+
+    // Ground stations: every stored one, the selected one (or the custom location) in yellow
+    const sites = stations.map(st => ({ ...st, selected: st.id === stationId }));
+    if (!stationId) sites.push({ id: "custom", name: "Ground Station", lat, lng, alt: 0, selected: true });
+    sites.forEach(site => {
+      viewer.entities.add({
+        id: `station-${site.id}`,
+        position: Cesium.Cartesian3.fromDegrees(site.lng, site.lat, site.alt),
+        point: { pixelSize: site.selected ? 12 : 8, color: site.selected ? Cesium.Color.YELLOW : Cesium.Color.WHITE },
+        label: {
+          text: site.name,
+          font: "12px sans-serif",
+          fillColor: Cesium.Color.WHITE,
+          pixelOffset: new Cesium.Cartesian2(0, -18)
+        },
+      });
 
-    // Ground station
-    viewer.entities.add({
-      position: Cesium.Cartesian3.fromDegrees(lng, lat, 0),
-      point: { pixelSize: 12, color: Cesium.Color.YELLOW },
-      label: { text: "Ground Station", font: "12px sans-serif", fillColor: Cesium.Color.WHITE },
+      // Horizon mask of the selected station as a skyline fan
+      if (site.selected && site.horizonProfile?.length) {
+        viewer.entities.add({
+          id: `skyline-${site.id}`,
+          wall: { ...skylineWall(site), material: Cesium.Color.ORANGE.withAlpha(0.35), outline: true, outlineColor: Cesium.Color.ORANGE }
+        });
+      }
     });
 
+    if (handover) {
+      viewer.entities.add({
+        id: "handover-link",
+        polyline: {
+          positions: servingLinkProperty(
+            handover,
+            handoverSatrecs,
+            new Cesium.ConstantPositionProperty(Cesium.Cartesian3.fromDegrees(handover.observer.lng, handover.observer.lat, handover.observer.alt))
+          ),
+          width: 3,
+          material: new Cesium.PolylineGlowMaterialProperty({ color: Cesium.Color.LIME, glowPower: 0.2 })
+        }
+      });
+    }
+
+    if (route) {
+      viewer.entities.add({
+        id: "route-path",
+        polyline: {
+          positions: routePositionsProperty(route, routeSatrecs),
+          width: 3,
+          material: new Cesium.PolylineGlowMaterialProperty({ color: Cesium.Color.MAGENTA, glowPower: 0.2 })
+        }
+      });
+      [route.from, route.to].forEach((end, i) => viewer.entities.add({
+        id: `route-end-${i}`,
+        position: Cesium.Cartesian3.fromDegrees(end.lng, end.lat, end.alt),
+        point: { pixelSize: 10, color: Cesium.Color.MAGENTA },
+        label: { text: end.name, font: "12px sans-serif", pixelOffset: new Cesium.Cartesian2(0, -18) }
+      }));
+    }
+
+    if (trajectory) {
+      const vehicle = trackPositionProperty(trajectory.samples);
+      trackRuns(trajectory.samples).forEach((run, i) => viewer.entities.add({
+        id: `trajectory-track-${i}`,
+        polyline: {
+          positions: run.positions,
+          width: 2,
+          material: run.served ? Cesium.Color.WHITE.withAlpha(0.7) : Cesium.Color.RED
+        }
+      }));
+      viewer.entities.add({
+        id: "trajectory-vehicle",
+        position: vehicle,
+        point: { pixelSize: 10, color: Cesium.Color.WHITE, outlineColor: Cesium.Color.BLACK, outlineWidth: 1 }
+      });
+      viewer.entities.add({
+        id: "trajectory-link",
+        polyline: {
+          positions: servingLinkProperty(trajectory, trajectorySatrecs, vehicle),
+          width: 3,
+          material: new Cesium.PolylineGlowMaterialProperty({ color: Cesium.Color.LIME, glowPower: 0.2 })
+        }
+      });
+    }
+
     sats.forEach(sat => {
-      // Point color: yellow if available, cyan otherwise
-      const pointColor = sat.available ? Cesium.Color.YELLOW : Cesium.Color.CYAN;
+      const satrec = satrecs.get(sat.noradId);
+
+      // Point color: yellow (or the constellation's overlay colour) if available, cyan otherwise
+      const availableColor = overlay ? overlayColor(sat.constellation) : Cesium.Color.YELLOW;
+      const pointColor = sat.available ? availableColor : Cesium.Color.CYAN;
       const pointSize = sat.available ? 6 : 4;
 
       viewer.entities.add({
         id: `sat-${sat.noradId}`,
-        position: Cesium.Cartesian3.fromDegrees(sat.lng, sat.lat, sat.altitudeKm * 1000),
+        position: satrec
+          ? satellitePositionProperty(satrec)
+          : Cesium.Cartesian3.fromDegrees(sat.lng, sat.lat, sat.altitudeKm * 1000),
         point: { pixelSize: pointSize, color: pointColor },
         properties: new Cesium.PropertyBag({ _kind: "sat", _sid: sat.noradId }),
-        description: `<b>${sat.noradId}</b> | Elev: ${sat.elevation}° | Range: ${sat.rangeKm}km<br>Click to toggle orbit`
+        description: new Cesium.CallbackProperty(
+          () => satelliteDescription(liveState.current.get(sat.noradId) || sat, overlay),
+          false
+        )
       });
 
       // Draw coverage if showCoverage is true
@@ -189,20 +745,228 @@ function CesiumGlobe({
         (mode === "constellation" || sat.available);
 
       if (shouldDrawCoverage) {
+        const footprintColor = overlay ? overlayColor(sat.constellation) : Cesium.Color.CYAN;
         viewer.entities.add({
           id: `fp-${sat.noradId}`,
-          position: Cesium.Cartesian3.fromDegrees(sat.lng, sat.lat, 0),
-          ellipse: {
-            semiMajorAxis: sat.coverageRadiusKm * 1000,
-            semiMinorAxis: sat.coverageRadiusKm * 1000,
-            material: Cesium.Color.CYAN.withAlpha(0.05),
+          polygon: {
+            hierarchy: new Cesium.CallbackProperty(() => footprints.current.get(sat.noradId)?.footprint, false),
+            height: 0,
+            arcType: Cesium.ArcType.GEODESIC,
+            material: footprintColor.withAlpha(0.05),
             outline: true,
-            outlineColor: Cesium.Color.CYAN.withAlpha(0.45),
+            outlineColor: footprintColor.withAlpha(0.45),
           },
         });
+
+        // Spot beams where the registry has a layout, for satellites serving
+        // the station (every footprint would be thousands of cells)
+        const layout = beamLayouts[sat.constellation];
+        if (showBeams && layout && sat.available) {
+          const total = layout.rings.reduce((sum, ring) => sum + ring.count, 0);
+          Array.from({ length: total }, (_, i) => i + 1).forEach(beam => {
+            viewer.entities.add({
+              id: `beam-${sat.noradId}-${beam}`,
+              polygon: {
+                // Cells beyond the footprint edge are left out of the response
+                hierarchy: new Cesium.CallbackProperty(() => footprints.current.get(sat.noradId)?.beams.get(beam), false),
+                height: 0,
+                arcType: Cesium.ArcType.GEODESIC,
+                material: footprintColor.withAlpha(beam % 2 ? 0.08 : 0.16),
+                outline: true,
+                outlineColor: footprintColor.withAlpha(0.6),
+              },
+            });
+          });
+        }
+      }
+
+      if (selectedSatIds.current.has(sat.noradId)) addOrbitEntity(viewer, sat);
+    });
+  }, [sats, satrecs, showCoverage, showBeams, beamLayouts, lat, lng, stationId, stations, mode, overlay, overlayColor, addOrbitEntity, handover, handoverSatrecs, route, routeSatrecs, trajectory, trajectorySatrecs]);
+
+  // Satellites drawn with a footprint, and those with beam cells
+  const footprintSats = useMemo(
+    () => (showCoverage ? sats.filter(sat => sat.coverageRadiusKm && (mode === "constellation" || sat.available)) : []),
+    [sats, showCoverage, mode]
+  );
+
+  // Footprints (and beam cells of satellites serving the station) from the
+  // server, reloaded as the clock moves; one load in flight at a time
+  useEffect(() => {
+    const viewer = viewerRef.current;
+    if (!viewer) return;
+    if (!footprintSats.length) {
+      footprints.current = new Map();
+      return;
+    }
+
+    const requests = [];
+    const byConstellation = new Map();
+    footprintSats.forEach(sat => {
+      const key = sat.constellation || constellation;
+      byConstellation.set(key, [...(byConstellation.get(key) || []), sat]);
+    });
+    byConstellation.forEach((group, key) => {
+      const withBeams = showBeams && beamLayouts[key] ? group.filter(sat => sat.available) : [];
+      const plain = group.filter(sat => !withBeams.includes(sat));
+      [[withBeams, true], [plain, false]].forEach(([list, beams]) => {
+        for (let i = 0; i < list.length; i += FOOTPRINT_BATCH) {
+          const batch = list.slice(i, i + FOOTPRINT_BATCH);
+          requests.push({
+            key,
+            id: `${key}:${beams}:${batch.map(sat => `${sat.noradId}@${sat.omm?.EPOCH}`).join(",")}`,
+            params: {
+              maxSats,
+              noradId: batch.map(sat => sat.noradId).join(","),
+              minElevDeg: batch[0].coverageMinElevDeg ?? 0,
+              beams,
+              vertices: FOOTPRINT_VERTICES
+            }
+          });
+        }
+      });
+    });
+
+    const cache = footprintCache.current;
+    const fetchFootprints = ({ key, id, params }, sampleMs) => {
+      const cacheKey = `${id}|${params.minElevDeg}|${maxSats}|${sampleMs}`;
+      if (!cache.has(cacheKey)) {
+        const time = new Date(sampleMs).toISOString();
+        cache.set(cacheKey, fetch(`/api/${key}/footprints?${new URLSearchParams({ ...params, time })}`)
+          .then(async res => {
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error || res.statusText);
+            return data;
+          })
+          .catch(err => {
+            cache.delete(cacheKey);
+            throw err;
+          }));
+        if (cache.size > FOOTPRINT_CACHE_SIZE) cache.delete(cache.keys().next().value);
+      }
+      return cache.get(cacheKey);
+    };
+
+    let cancelled = false;
+    let loading = false;
+    let shownMs = null;
+    let loadedAt = -Infinity;
+    const load = time => {
+      const sampleMs = Math.round(time.getTime() / (FOOTPRINT_STEP_SEC * 1000)) * FOOTPRINT_STEP_SEC * 1000;
+      if (loading || sampleMs === shownMs || performance.now() - loadedAt < FOOTPRINT_MIN_INTERVAL_MS) return;
+      loading = true;
+      loadedAt = performance.now();
+      Promise.all(requests.map(request => fetchFootprints(request, sampleMs)))
+        .then(results => {
+          if (cancelled) return;
+          shownMs = sampleMs;
+          footprints.current = results.reduce((shapes, geojson) => footprintShapes(geojson, shapes), new Map());
+        })
+        .catch(err => !cancelled && setStatus(`Footprint error: ${err.message}`))
+        .finally(() => { loading = false; });
+    };
+
+    load(Cesium.JulianDate.toDate(viewer.clock.currentTime));
+    const removeTick = viewer.clock.onTick.addEventListener(clock => load(Cesium.JulianDate.toDate(clock.currentTime)));
+    return () => {
+      cancelled = true;
+      removeTick();
+    };
+  }, [footprintSats, showBeams, beamLayouts, constellation, maxSats]);
+
+  // Day/night: sun lighting on the globe and the terminator line, in their
+  // own data source so re-rendering the satellites leaves them alone
+  useEffect(() => {
+    const viewer = viewerRef.current;
+    if (!viewer) return;
+
+    viewer.scene.globe.enableLighting = showDayNight;
+    if (!showDayNight) return;
+
+    const source = new Cesium.CustomDataSource("terminator");
+    source.entities.add({
+      id: "terminator",
+      name: "Day/night terminator",
+      polyline: {
+        positions: terminatorPositionsProperty(subsolar),
+        width: 1.5,
+        material: Cesium.Color.GOLD.withAlpha(0.6)
       }
     });
-  }, [sats, showCoverage, lat, lng, mode]);
+    viewer.dataSources.add(source);
+    return () => {
+      if (!viewer.isDestroyed()) viewer.dataSources.remove(source, true);
+    };
+  }, [showDayNight]);
+
+  // Track the visible region while the coverage grid is on
+  useEffect(() => {
+    const viewer = viewerRef.current;
+    if (!viewer || !showGrid) return;
+
+    const update = () => {
+      const rect = viewer.camera.computeViewRectangle();
+      if (!rect) return;
+      const deg = x => +Cesium.Math.toDegrees(x).toFixed(2);
+      // Views across the antimeridian fall back to all longitudes
+      const crosses = rect.west > rect.east;
+      setGridRect({
+        south: deg(rect.south),
+        north: deg(rect.north),
+        west: crosses ? -180 : deg(rect.west),
+        east: crosses ? 180 : deg(rect.east)
+      });
+    };
+    update();
+    return viewer.camera.moveEnd.addEventListener(update);
+  }, [showGrid]);
+
+  // Live mode has no evaluation time of its own: the grid follows the
+  // present, refreshed on a timer
+  useEffect(() => {
+    if (!showGrid || !live) return;
+    setGridTime(new Date().toISOString());
+    const timer = setInterval(() => setGridTime(new Date().toISOString()), GRID_LIVE_REFRESH_MS);
+    return () => {
+      clearInterval(timer);
+      setGridTime(null);
+    };
+  }, [showGrid, live]);
+  const gridEpoch = live ? gridTime : evalTime;
+
+  // Server-computed coverage grid as a single-tile imagery layer
+  useEffect(() => {
+    const viewer = viewerRef.current;
+    if (!viewer) return;
+
+    if (gridLayerRef.current) {
+      viewer.imageryLayers.remove(gridLayerRef.current, true);
+      gridLayerRef.current = null;
+    }
+    if (!showGrid || !gridRect || !gridEpoch) return;
+
+    const { south, west, north, east } = gridRect;
+    const resolutionDeg = Math.max(
+      GRID_MIN_RESOLUTION_DEG,
+      +(Math.max(north - south, east - west) / GRID_CELLS_ACROSS).toFixed(2)
+    );
+    const params = new URLSearchParams({
+      south, west, north, east, resolutionDeg,
+      time: gridEpoch,
+      maxSats,
+      format: "png",
+      metric: gridMetric
+    });
+
+    const layer = Cesium.ImageryLayer.fromProviderAsync(
+      Cesium.SingleTileImageryProvider.fromUrl(`/api/${constellation}/coverage-grid?${params}`, {
+        rectangle: Cesium.Rectangle.fromDegrees(west, south, east, north)
+      })
+    );
+    layer.errorEvent.addEventListener(err => setStatus(`Grid error: ${err?.message || err}`));
+    viewer.imageryLayers.add(layer);
+    gridLayerRef.current = layer;
+  }, [showGrid, gridRect, gridMetric, constellation, maxSats, gridEpoch]);
 
   return (
     <div style={{ height: "80vh", position: "relative" }}>
@@ -217,6 +981,15 @@ function CesiumGlobe({
           borderRadius: 5,
         }}
       >
+        <label style={{ marginRight: 8 }}>
+          <input
+            type="checkbox"
+            checked={live}
+            onChange={e => setLive(e.target.checked)}
+          />{" "}
+          Live
+        </label>
+
         <label>
           <input
             type="checkbox"
@@ -226,11 +999,109 @@ function CesiumGlobe({
           Coverage
         </label>
 
+        {hasBeams && (
+          <label style={{ marginLeft: 8 }}>
+            <input
+              type="checkbox"
+              checked={showBeams}
+              onChange={e => setShowBeams(e.target.checked)}
+            />{" "}
+            Beams
+          </label>
+        )}
+
+        <label style={{ marginLeft: 8 }}>
+          <input
+            type="checkbox"
+            checked={showDayNight}
+            onChange={e => setShowDayNight(e.target.checked)}
+          />{" "}
+          Day/night
+        </label>
+
+        <div style={{ marginTop: 4 }}>
+          <label>
+            <input
+              type="checkbox"
+              checked={showGrid}
+              onChange={e => setShowGrid(e.target.checked)}
+            />{" "}
+            Coverage grid
+          </label>
+          {showGrid && (
+            <select
+              value={gridMetric}
+              onChange={e => setGridMetric(e.target.value)}
+              style={{ marginLeft: 6 }}
+            >
+              {Object.entries(GRID_METRICS).map(([key, label]) => (
+                <option key={key} value={key}>{label}</option>
+              ))}
+            </select>
+          )}
+        </div>
+
+        {overlay && (
+          <div style={{ fontSize: "12px", marginTop: 4 }}>
+            {constellations.map(key => (
+              <span key={key} style={{ color: overlayColor(key).toCssColorString(), marginRight: 8 }}>● {key}</span>
+            ))}
+          </div>
+        )}
+
+        <div style={{ fontSize: "12px", marginTop: 4 }}>
+          Export {EXPORT_HOURS} h:{" "}
+          <a href={`/api/${constellation}/scenario?${exportParams}&format=czml`} download>CZML</a>{" "}
+          <a href={`/api/${constellation}/scenario?${exportParams}&format=kml`} download>KML</a>
+          <label style={{ marginLeft: 8 }}>
+            Load CZML
+            <input
+              type="file" accept=".czml,.json"
+              onChange={e => {
+                loadCzml(e.target.files[0]);
+                e.target.value = "";
+              }}
+              style={{ width: 90, marginLeft: 4 }}
+            />
+          </label>
+          {czmlName && <button onClick={unloadCzml} style={{ marginLeft: 4 }}>Unload {czmlName}</button>}
+        </div>
+
         <div style={{ fontSize: "12px", color: "white", marginTop: 4 }}>
           {status}
         </div>
       </div>
 
+      <div className="satellite-panel">
+        <SatelliteList sats={sats} selectedId={detailSat?.noradId} onSelect={focusSatellite} />
+        {detailSat && (
+          <SatelliteDetail
+            sat={detailSat}
+            getState={detailState}
+            getClockTime={clockTime}
+            constellation={constellation}
+            lat={lat}
+            lng={lng}
+            stationId={stationId}
+            maxSats={maxSats}
+            onClose={() => setDetailSat(null)}
+          />
+        )}
+      </div>
+
+      {dopplerSat && (
+        <DopplerPlot
+          sat={dopplerSat}
+          getClockTime={clockTime}
+          constellation={constellation}
+          lat={lat}
+          lng={lng}
+          stationId={stationId}
+          maxSats={maxSats}
+          onClose={() => setDopplerSat(null)}
+        />
+      )}
+
       <div ref={containerRef} style={{ width: "100%", height: "100%" }} />
     </div>
   );
@@ -0,0 +1,99 @@
+import { useState, useCallback } from "react";
+
+const WINDOW_HOURS = 24;
+
+const formatDuration = sec => (sec >= 60 ? `${(sec / 60).toFixed(1)} min` : `${sec} s`);
+
+const ROWS = [
+  ["coveragePct", "Time with ≥N available", s => `${s.coveragePct}%`],
+  ["meanAvailable", "Mean available", s => s.meanAvailable],
+  ["gapCount", "Gaps", s => s.gapCount],
+  ["meanGapSec", "Mean gap", s => formatDuration(s.meanGapSec)],
+  ["maxGapSec", "Max gap", s => formatDuration(s.maxGapSec)],
+  ["meanElevationDeg", "Mean serving elevation", s => (s.meanElevationDeg === null ? "–" : `${s.meanElevationDeg}°`)],
+  ["handovers", "Handovers", s => s.handovers]
+];
+
+// Datetime-local value for the current hour, in local time
+function defaultStart() {
+  const now = new Date();
+  now.setMinutes(0, 0, 0);
+  return new Date(now.getTime() - now.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+
+// 24h service statistics of the compared constellations at the station,
+// computed by the server's /api/statistics endpoint
+function ComparisonStats({ lat, lng, stationId, maxSats, constellations }) {
+  const [start, setStart] = useState(defaultStart);
+  const [minSatellites, setMinSatellites] = useState(1);
+  const [result, setResult] = useState(null);
+  const [status, setStatus] = useState("");
+
+  const compute = useCallback(async () => {
+    setStatus("Computing...");
+    try {
+      const params = new URLSearchParams({
+        constellations: constellations.join(","),
+        lat,
+        lng,
+        maxSats,
+        start: new Date(start).toISOString(),
+        hours: WINDOW_HOURS,
+        minSatellites
+      });
+      if (stationId) params.set("stationId", stationId);
+      const res = await fetch(`/api/statistics?${params}`);
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || res.statusText);
+
+      setResult(data);
+      setStatus(`${new Date(data.start).toUTCString()} + ${WINDOW_HOURS}h`);
+    } catch (err) {
+      setStatus(`Error: ${err.message}`);
+    }
+  }, [constellations, lat, lng, stationId, maxSats, start, minSatellites]);
+
+  return (
+    <div className="stats-panel">
+      <label>
+        Window start:
+        <input type="datetime-local" value={start} onChange={e => setStart(e.target.value)} style={{ marginLeft: 6 }} />
+      </label>
+      <label>
+        N:
+        <input
+          type="number" min={1} max={10} step={1}
+          value={minSatellites}
+          onChange={e => setMinSatellites(Math.max(1, Math.round(+e.target.value)))}
+          style={{ width: 50, marginLeft: 6 }}
+        />
+      </label>
+      <button onClick={compute} disabled={constellations.length === 0}>
+        Compute {WINDOW_HOURS}h statistics
+      </button>
+
+      {result && (
+        <table>
+          <thead>
+            <tr>
+              <th />
+              {result.statistics.map(s => <th key={s.constellation}>{s.label}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {ROWS.map(([key, label, format]) => (
+              <tr key={key}>
+                <td>{label.replace("≥N", `≥${result.minSatellites}`)}</td>
+                {result.statistics.map(s => <td key={s.constellation}>{format(s)}</td>)}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <div style={{ fontSize: "12px", marginTop: 6 }}>{status}</div>
+    </div>
+  );
+}
+
+export default ComparisonStats;
@@ -0,0 +1,108 @@
+import { useEffect, useState } from "react";
+
+const WIDTH = 300;
+const HEIGHT = 150;
+const PAD = { left: 48, right: 8, top: 10, bottom: 22 };
+// The clock-time marker moves this often
+const TICK_MS = 1000;
+// Ask for passes from a little before the clock time, so the current one is
+// included
+const LOOKBACK_MIN = 20;
+const LOOKAHEAD_HOURS = 6;
+
+// Downlink/uplink Doppler (kHz) over the current or next pass of one
+// satellite at the globe's clock time (getClockTime()), from the server's
+// pass prediction. Moving the clock outside the pass asks for the pass then.
+function DopplerPlot({ sat, getClockTime, constellation, lat, lng, stationId, maxSats, onClose }) {
+  const [pass, setPass] = useState(null);
+  const [status, setStatus] = useState("");
+  const [fromMs, setFromMs] = useState(() => getClockTime().getTime());
+  const [nowMs, setNowMs] = useState(fromMs);
+
+  useEffect(() => {
+    let cancelled = false;
+    const params = new URLSearchParams({
+      lat,
+      lng,
+      maxSats,
+      noradId: sat.noradId,
+      start: new Date(fromMs - LOOKBACK_MIN * 60000).toISOString(),
+      hours: LOOKAHEAD_HOURS
+    });
+    if (stationId) params.set("stationId", stationId);
+
+    setPass(null);
+    setStatus("Loading...");
+    fetch(`/api/${sat.constellation || constellation}/passes?${params}`)
+      .then(async res => {
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || res.statusText);
+        if (cancelled) return;
+        const next = data.passes.find(p => Date.parse(p.los) > fromMs);
+        setPass(next || null);
+        setStatus(next ? "" : `No pass in the next ${LOOKAHEAD_HOURS}h`);
+      })
+      .catch(err => !cancelled && setStatus(`Error: ${err.message}`));
+    return () => { cancelled = true; };
+  }, [sat.noradId, sat.constellation, constellation, lat, lng, stationId, maxSats, fromMs]);
+
+  // Follow the clock; once it leaves the window asked for (or the pass has
+  // ended) ask again from the clock time
+  useEffect(() => {
+    const windowEnd = pass ? Date.parse(pass.los) : fromMs + LOOKAHEAD_HOURS * 3600000;
+    const timer = setInterval(() => {
+      const now = getClockTime().getTime();
+      setNowMs(now);
+      if (now < fromMs - LOOKBACK_MIN * 60000 || now > windowEnd) setFromMs(now);
+    }, TICK_MS);
+    return () => clearInterval(timer);
+  }, [pass, fromMs, getClockTime]);
+
+  const points = pass?.doppler || [];
+  const t0 = points.length ? Date.parse(points[0].time) : 0;
+  const t1 = points.length ? Date.parse(points[points.length - 1].time) : 1;
+  const maxKHz = Math.max(1, ...points.flatMap(p => [Math.abs(p.downlinkHz), Math.abs(p.uplinkHz)])) / 1000;
+
+  const x = ms => PAD.left + (ms - t0) / (t1 - t0 || 1) * (WIDTH - PAD.left - PAD.right);
+  const y = kHz => PAD.top + (1 - (kHz + maxKHz) / (2 * maxKHz)) * (HEIGHT - PAD.top - PAD.bottom);
+  const line = key => points
+    .map((p, i) => `${i ? "L" : "M"}${x(Date.parse(p.time)).toFixed(1)},${y(p[key] / 1000).toFixed(1)}`)
+    .join("");
+  const time = ms => new Date(ms).toISOString().slice(11, 16);
+
+  return (
+    <div className="doppler-plot">
+      <div style={{ display: "flex", justifyContent: "space-between" }}>
+        <b>{sat.name || sat.noradId} Doppler</b>
+        <button onClick={onClose}>×</button>
+      </div>
+      {status && <div style={{ fontSize: "12px" }}>{status}</div>}
+      {points.length > 1 && (
+        <>
+          <svg width={WIDTH} height={HEIGHT}>
+            <line x1={PAD.left} x2={WIDTH - PAD.right} y1={y(0)} y2={y(0)} stroke="#444" />
+            {[maxKHz, -maxKHz].map(k => (
+              <text key={k} x={PAD.left - 4} y={y(k) + 4} fill="#aaa" fontSize="10" textAnchor="end">
+                {k > 0 ? "+" : ""}{k.toFixed(0)} kHz
+              </text>
+            ))}
+            <text x={PAD.left} y={HEIGHT - 6} fill="#aaa" fontSize="10">{time(t0)}</text>
+            <text x={WIDTH - PAD.right} y={HEIGHT - 6} fill="#aaa" fontSize="10" textAnchor="end">{time(t1)} UTC</text>
+            {nowMs > t0 && nowMs < t1 && (
+              <line x1={x(nowMs)} x2={x(nowMs)} y1={PAD.top} y2={HEIGHT - PAD.bottom} stroke="yellow" strokeDasharray="3 3" />
+            )}
+            <path d={line("downlinkHz")} fill="none" stroke="#61dafb" strokeWidth={2} />
+            <path d={line("uplinkHz")} fill="none" stroke="#f59e0b" strokeDasharray="4 3" />
+          </svg>
+          <div style={{ fontSize: "12px" }}>
+            <span style={{ color: "#61dafb" }}>— downlink</span>{" "}
+            <span style={{ color: "#f59e0b" }}>- - uplink</span>{" "}
+            | max {pass.maxElevationDeg}° | max rate {Math.max(...points.map(p => Math.abs(p.downlinkRateHzS))).toFixed(0)} Hz/s
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default DopplerPlot;
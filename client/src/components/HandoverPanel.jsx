@@ -0,0 +1,99 @@
+import { useState, useCallback } from "react";
+
+const POLICIES = {
+  elevation: "Highest elevation",
+  visibility: "Longest remaining visibility",
+  margin: "Best margin"
+};
+
+const formatDuration = sec => (sec >= 60 ? `${(sec / 60).toFixed(1)} min` : `${sec} s`);
+const formatTime = iso => new Date(iso).toISOString().slice(11, 19);
+
+// Serving-satellite simulation for a terminal at the station, from the
+// server's /api/:constellation/handover endpoint; the result is handed to the
+// globe to animate the serving link
+function HandoverPanel({ constellation, lat, lng, stationId, maxSats, onResult }) {
+  const [policy, setPolicy] = useState("elevation");
+  const [hysteresis, setHysteresis] = useState("");
+  const [hours, setHours] = useState(2);
+  const [result, setResult] = useState(null);
+  const [status, setStatus] = useState("");
+
+  const simulate = useCallback(async () => {
+    setStatus("Simulating...");
+    try {
+      const params = new URLSearchParams({ lat, lng, maxSats, policy, hours });
+      if (hysteresis !== "") params.set("hysteresis", hysteresis);
+      if (stationId) params.set("stationId", stationId);
+      const res = await fetch(`/api/${constellation}/handover?${params}`);
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || res.statusText);
+
+      setResult(data);
+      onResult(data);
+      setStatus(`${data.policyLabel}, hysteresis ${data.hysteresis} ${data.hysteresisUnit}`);
+    } catch (err) {
+      setStatus(`Error: ${err.message}`);
+    }
+  }, [constellation, lat, lng, stationId, maxSats, policy, hysteresis, hours, onResult]);
+
+  const clear = () => {
+    setResult(null);
+    onResult(null);
+    setStatus("");
+  };
+
+  const stats = result?.statistics;
+
+  return (
+    <div style={{ margin: "15px 0" }}>
+      <label>
+        Handover policy:
+        <select value={policy} onChange={e => setPolicy(e.target.value)} style={{ marginLeft: 8 }}>
+          {Object.entries(POLICIES).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+        </select>
+      </label>
+      <label>
+        Hysteresis:
+        <input
+          type="number" min={0} step={1} placeholder="default"
+          value={hysteresis}
+          onChange={e => setHysteresis(e.target.value)}
+          style={{ width: 70, marginLeft: 6 }}
+        />
+      </label>
+      <label>
+        Hours:
+        <input
+          type="number" min={0.5} max={4} step={0.5}
+          value={hours}
+          onChange={e => setHours(+e.target.value)}
+          style={{ width: 50, marginLeft: 6 }}
+        />
+      </label>
+      <div style={{ display: "flex", gap: 6 }}>
+        <button onClick={simulate}>Simulate handovers</button>
+        {result && <button onClick={clear}>Clear</button>}
+      </div>
+
+      {stats && (
+        <div style={{ fontSize: "12px", marginTop: 6 }}>
+          Served {stats.servedPct}% | {stats.handoverCount} handovers ({stats.handoversPerHour}/h)
+          | mean serving {formatDuration(stats.meanServingSec)}
+          <br />
+          {stats.outageCount} outages, total {formatDuration(stats.totalOutageSec)}, max {formatDuration(stats.maxOutageSec)}
+          {result.outages.length > 0 && (
+            <ul style={{ margin: "4px 0", paddingLeft: 16, maxHeight: 80, overflowY: "auto" }}>
+              {result.outages.map(o => (
+                <li key={o.start}>{formatTime(o.start)}–{formatTime(o.end)} UTC ({formatDuration(o.durationSec)})</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+      <div style={{ fontSize: "12px" }}>{status}</div>
+    </div>
+  );
+}
+
+export default HandoverPanel;
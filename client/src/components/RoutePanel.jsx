@@ -0,0 +1,103 @@
+import { useState, useCallback } from "react";
+
+// Constellations with inter-satellite links worth routing over
+const MESH_CONSTELLATIONS = ["starlink", "kuiper", "iridium"];
+
+const formatTime = iso => new Date(iso).toISOString().slice(11, 16);
+
+// Lowest-latency route from the station to another one (a stored station or
+// `lat,lng`) over inter-satellite links, from /api/:constellation/route; the
+// result is handed to the globe to draw the active path
+function RoutePanel({ from, stations, stationId, onResult }) {
+  const [constellation, setConstellation] = useState("starlink");
+  const [to, setTo] = useState("");
+  const [custom, setCustom] = useState("51.5,-0.13"); // London
+  const [hours, setHours] = useState(0.5);
+  const [result, setResult] = useState(null);
+  const [status, setStatus] = useState("");
+
+  const destination = to || custom;
+
+  const compute = useCallback(async () => {
+    setStatus("Routing...");
+    try {
+      const params = new URLSearchParams({ from, to: destination, hours });
+      const res = await fetch(`/api/${constellation}/route?${params}`);
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || res.statusText);
+
+      setResult(data);
+      onResult(data);
+      setStatus(`${data.from.name} → ${data.to.name}, ${data.greatCircleKm} km apart`);
+    } catch (err) {
+      setStatus(`Error: ${err.message}`);
+    }
+  }, [constellation, from, destination, hours, onResult]);
+
+  const clear = () => {
+    setResult(null);
+    onResult(null);
+    setStatus("");
+  };
+
+  const stats = result?.statistics;
+  const samples = result?.samples || [];
+  const maxLatency = Math.max(1, ...samples.map(s => s.latencyMs || 0));
+
+  return (
+    <div style={{ margin: "15px 0" }}>
+      <label>
+        Route to:
+        <select value={to} onChange={e => setTo(e.target.value)} style={{ marginLeft: 8 }}>
+          {stations.filter(s => s.id !== stationId).map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
+          <option value="">Lat,Lng…</option>
+        </select>
+      </label>
+      {!to && <input value={custom} onChange={e => setCustom(e.target.value)} style={{ width: 110 }} />}
+      <label>
+        via
+        <select value={constellation} onChange={e => setConstellation(e.target.value)} style={{ marginLeft: 6 }}>
+          {MESH_CONSTELLATIONS.map(key => <option key={key} value={key}>{key}</option>)}
+        </select>
+      </label>
+      <label>
+        Hours:
+        <input
+          type="number" min={0.1} max={2} step={0.1}
+          value={hours}
+          onChange={e => setHours(+e.target.value)}
+          style={{ width: 50, marginLeft: 6 }}
+        />
+      </label>
+      <div style={{ display: "flex", gap: 6 }}>
+        <button onClick={compute}>Find route</button>
+        {result && <button onClick={clear}>Clear</button>}
+      </div>
+
+      {stats && (
+        <div style={{ fontSize: "12px", marginTop: 6 }}>
+          Reachable {stats.reachablePct}% | latency {stats.minLatencyMs}–{stats.maxLatencyMs} ms (mean {stats.meanLatencyMs})
+          | {stats.meanHops} hops | {stats.pathChanges} re-routes
+          {/* One-way latency over the window */}
+          <svg width={220} height={40} style={{ display: "block", marginTop: 4 }}>
+            {samples.map((s, i) => (
+              <rect
+                key={s.time}
+                x={(i * 220) / samples.length}
+                width={Math.max(1, 220 / samples.length - 1)}
+                y={s.reachable ? 40 - (36 * s.latencyMs) / maxLatency : 0}
+                height={s.reachable ? (36 * s.latencyMs) / maxLatency : 40}
+                fill={s.reachable ? "#61dafb" : "rgba(248,113,113,0.4)"}
+              >
+                <title>{s.reachable ? `${formatTime(s.time)} UTC: ${s.latencyMs} ms, ${s.hops} hops` : `${formatTime(s.time)} UTC: no route`}</title>
+              </rect>
+            ))}
+          </svg>
+        </div>
+      )}
+      <div style={{ fontSize: "12px" }}>{status}</div>
+    </div>
+  );
+}
+
+export default RoutePanel;
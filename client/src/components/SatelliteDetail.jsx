@@ -0,0 +1,133 @@
+import { useEffect, useState } from "react";
+import { orbitalElements, orbitalShell } from "../orbitalElements";
+import { illuminationLabel } from "../sun";
+
+// Look angles and link budget are re-read this often from the live state
+const TICK_MS = 2000;
+// Passes from a little before the clock time, so the current one shows
+const LOOKBACK_MIN = 20;
+const LOOKAHEAD_HOURS = 24;
+const SHOWN_PASSES = 3;
+
+const utc = iso => new Date(iso).toISOString().slice(11, 19);
+const age = hours => (Math.abs(hours) < 48 ? `${hours.toFixed(1)} h` : `${(hours / 24).toFixed(1)} d`);
+
+function Row({ label, children }) {
+  return (
+    <tr>
+      <td style={{ color: "#aaa", paddingRight: 8 }}>{label}</td>
+      <td>{children}</td>
+    </tr>
+  );
+}
+
+// Detail card of one satellite: element set and its age at the clock time,
+// orbital elements, current look angles, illumination and link budget, and
+// next passes over the station from the server's pass prediction. getState()
+// returns the latest state (null once the satellite has left the view);
+// getClockTime() the globe's clock time.
+function SatelliteDetail({ sat, getState, getClockTime, constellation, lat, lng, stationId, maxSats, onClose }) {
+  const [, setTick] = useState(0);
+  const [passes, setPasses] = useState(null);
+  const [passStatus, setPassStatus] = useState("");
+
+  useEffect(() => {
+    const timer = setInterval(() => setTick(t => t + 1), TICK_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  useEffect(() => {
+    let cancelled = false;
+    const now = getClockTime();
+    const params = new URLSearchParams({
+      lat,
+      lng,
+      maxSats,
+      noradId: sat.noradId,
+      start: new Date(now.getTime() - LOOKBACK_MIN * 60000).toISOString(),
+      hours: LOOKAHEAD_HOURS,
+      dopplerStepSec: 0
+    });
+    if (stationId) params.set("stationId", stationId);
+
+    setPasses(null);
+    setPassStatus("Loading passes...");
+    fetch(`/api/${sat.constellation || constellation}/passes?${params}`)
+      .then(async res => {
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || res.statusText);
+        if (cancelled) return;
+        const upcoming = data.passes.filter(p => Date.parse(p.los) > now.getTime()).slice(0, SHOWN_PASSES);
+        setPasses(upcoming);
+        setPassStatus(upcoming.length ? "" : `No pass in the next ${LOOKAHEAD_HOURS} h`);
+      })
+      .catch(err => !cancelled && setPassStatus(`Error: ${err.message}`));
+    return () => { cancelled = true; };
+  }, [sat.noradId, sat.constellation, constellation, lat, lng, stationId, maxSats, getClockTime]);
+
+  const state = getState();
+  const current = state || sat;
+  const elements = orbitalElements(sat.omm, getClockTime());
+  const budget = current.linkBudget;
+
+  return (
+    <div className="satellite-detail">
+      <div style={{ display: "flex", justifyContent: "space-between" }}>
+        <b>{sat.name || sat.noradId}</b>
+        <button onClick={onClose}>×</button>
+      </div>
+      <table>
+        <tbody>
+          <Row label="NORAD">{sat.noradId}{sat.constellation ? ` (${sat.constellation})` : ""}</Row>
+          {elements ? (
+            <>
+              <Row label="TLE epoch">{elements.epoch.toISOString().slice(0, 19)}Z ({age(elements.epochAgeHours)} old)</Row>
+              <Row label="Shell">{orbitalShell(elements)}</Row>
+              <Row label="Perigee/apogee">{elements.perigeeKm.toFixed(0)} / {elements.apogeeKm.toFixed(0)} km</Row>
+              <Row label="Period">{elements.periodMin.toFixed(1)} min ({elements.meanMotionRevDay.toFixed(4)} rev/day)</Row>
+              <Row label="Inclination">{elements.inclinationDeg.toFixed(4)}°</Row>
+              <Row label="RAAN">{elements.raanDeg.toFixed(4)}°</Row>
+              <Row label="Eccentricity">{elements.eccentricity.toFixed(7)}</Row>
+              <Row label="Arg. perigee">{elements.argPerigeeDeg.toFixed(4)}°</Row>
+              <Row label="Mean anomaly">{elements.meanAnomalyDeg.toFixed(4)}°</Row>
+              <Row label="B*">{elements.bstar.toExponential(3)}</Row>
+            </>
+          ) : (
+            <Row label="Elements">not sent</Row>
+          )}
+          <Row label="Az / El">
+            {current.azimuth}° / {current.elevation}°{state ? "" : " (out of view)"}
+          </Row>
+          <Row label="Range">
+            {current.rangeKm ?? "—"} km
+            {current.rangeRateKmS != null ? `, ${current.rangeRateKmS > 0 ? "+" : ""}${current.rangeRateKmS} km/s` : ""}
+          </Row>
+          <Row label="Available">{current.available ? "yes" : "no"}</Row>
+          {current.eclipse && <Row label="Illumination">{illuminationLabel(current)}</Row>}
+          {budget && (
+            <>
+              <Row label="Terminal">{budget.terminal}</Row>
+              <Row label="FSPL / atten.">{budget.fsplDb} / {budget.attenuationDb} dB</Row>
+              <Row label="C/N0">{budget.cn0DbHz} dB-Hz</Row>
+              <Row label="Eb/N0">{budget.ebn0Db} dB (needs {budget.requiredEbN0Db})</Row>
+              <Row label="Margin">
+                <span style={{ color: budget.marginDb >= 0 ? "#10b981" : "#f87171" }}>{budget.marginDb} dB</span>
+              </Row>
+            </>
+          )}
+        </tbody>
+      </table>
+      <div style={{ marginTop: 4 }}>
+        <b>Next passes</b>
+        {passStatus && <div>{passStatus}</div>}
+        {passes?.map(pass => (
+          <div key={pass.aos}>
+            {utc(pass.aos)} → {utc(pass.los)} UTC, max {pass.maxElevationDeg}°
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default SatelliteDetail;
@@ -0,0 +1,115 @@
+import { useMemo, useState } from "react";
+import { orbitalElements, orbitalShell } from "../orbitalElements";
+
+// Rows rendered at once; the rest are counted
+const MAX_ROWS = 200;
+const VISIBILITY = {
+  all: "All",
+  available: "Available",
+  inView: "Above horizon",
+  unavailable: "Not available"
+};
+
+const numberOrNull = text => (text.trim() === "" || !Number.isFinite(Number(text)) ? null : Number(text));
+
+// Searchable list of the satellites on the globe: filter by name or NORAD
+// id, orbital shell, visibility, elevation and link margin, highest first
+function SatelliteList({ sats, selectedId, onSelect }) {
+  const [open, setOpen] = useState(true);
+  const [query, setQuery] = useState("");
+  const [shell, setShell] = useState("");
+  const [visibility, setVisibility] = useState("all");
+  const [minElevation, setMinElevation] = useState("");
+  const [minMargin, setMinMargin] = useState("");
+
+  const rows = useMemo(
+    () => sats.map(sat => ({ sat, shell: orbitalShell(orbitalElements(sat.omm)) })),
+    [sats]
+  );
+  const shells = useMemo(() => {
+    const counts = new Map();
+    rows.forEach(row => counts.set(row.shell, (counts.get(row.shell) || 0) + 1));
+    return [...counts].sort((a, b) => b[1] - a[1]);
+  }, [rows]);
+
+  const matches = useMemo(() => {
+    const text = query.trim().toLowerCase();
+    const elevation = numberOrNull(minElevation);
+    const margin = numberOrNull(minMargin);
+    return rows
+      .filter(({ sat, shell: satShell }) => {
+        if (text && !String(sat.noradId).startsWith(text) && !(sat.name || "").toLowerCase().includes(text)) return false;
+        if (shell && satShell !== shell) return false;
+        if (visibility === "available" && !sat.available) return false;
+        if (visibility === "unavailable" && sat.available) return false;
+        if (visibility === "inView" && !(sat.elevation > 0)) return false;
+        if (elevation !== null && !(sat.elevation >= elevation)) return false;
+        if (margin !== null && !(sat.linkBudget?.marginDb >= margin)) return false;
+        return true;
+      })
+      .sort((a, b) => b.sat.elevation - a.sat.elevation);
+  }, [rows, query, shell, visibility, minElevation, minMargin]);
+
+  return (
+    <div className="satellite-list">
+      <div style={{ display: "flex", justifyContent: "space-between" }}>
+        <b>Satellites ({matches.length}/{sats.length})</b>
+        <button onClick={() => setOpen(o => !o)}>{open ? "−" : "+"}</button>
+      </div>
+      {open && (
+        <>
+          <input
+            type="search"
+            placeholder="Name or NORAD id"
+            value={query}
+            onChange={e => setQuery(e.target.value)}
+            style={{ width: "100%", boxSizing: "border-box", marginTop: 4 }}
+          />
+          <div style={{ marginTop: 4 }}>
+            <select value={shell} onChange={e => setShell(e.target.value)} style={{ maxWidth: 150 }}>
+              <option value="">All shells</option>
+              {shells.map(([key, count]) => (
+                <option key={key} value={key}>{key} ({count})</option>
+              ))}
+            </select>{" "}
+            <select value={visibility} onChange={e => setVisibility(e.target.value)}>
+              {Object.entries(VISIBILITY).map(([key, label]) => (
+                <option key={key} value={key}>{label}</option>
+              ))}
+            </select>
+          </div>
+          <div style={{ marginTop: 4 }}>
+            Elev ≥{" "}
+            <input type="number" value={minElevation} onChange={e => setMinElevation(e.target.value)} style={{ width: 45 }} />°{" "}
+            Margin ≥{" "}
+            <input type="number" value={minMargin} onChange={e => setMinMargin(e.target.value)} style={{ width: 45 }} /> dB
+          </div>
+          <table>
+            <thead>
+              <tr><th>Name</th><th>NORAD</th><th>Elev</th><th>Margin</th></tr>
+            </thead>
+            <tbody>
+              {matches.slice(0, MAX_ROWS).map(({ sat }) => (
+                <tr
+                  key={`${sat.constellation}-${sat.noradId}`}
+                  className={sat.noradId === selectedId ? "selected" : undefined}
+                  onClick={() => onSelect(sat)}
+                >
+                  <td style={{ color: sat.available ? "#10b981" : undefined }}>{sat.name || "—"}</td>
+                  <td>{sat.noradId}</td>
+                  <td>{sat.elevation}°</td>
+                  <td>{sat.linkBudget ? `${sat.linkBudget.marginDb} dB` : "—"}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {matches.length > MAX_ROWS && (
+            <div style={{ fontSize: "11px" }}>{matches.length - MAX_ROWS} more; narrow the filters</div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default SatelliteList;
@@ -2,7 +2,7 @@ import React, { useRef, useEffect } from 'react';
 import L from 'leaflet';
 import 'leaflet/dist/leaflet.css';
 
-const SatelliteMap = ({ constellation, coverage = [], lat, lng }) => {
+const SatelliteMap = ({ constellation, coverage = [], lat, lng, stationName = 'Ground station' }) => {
     const mapRef = useRef(null);
     const mapInstance = useRef(null);
     
@@ -49,7 +49,7 @@ const SatelliteMap = ({ constellation, coverage = [], lat, lng }) => {
 
         // Ground station
         L.marker([lat, lng]).addTo(mapInstance.current)
-        .bindPopup('Your Ottawa station')
+        .bindPopup(stationName)
         .openPopup();
 
         // Fit bounds (auto-zoom to satellites)
@@ -57,7 +57,7 @@ const SatelliteMap = ({ constellation, coverage = [], lat, lng }) => {
         const bounds = coverage.map(sat => [sat.lat, sat.lng]);
         mapInstance.current.fitBounds(bounds, { padding: [20, 20] });
             }
-    }, [constellation, coverage, lat, lng]);
+    }, [constellation, coverage, lat, lng, stationName]);
 
     // Cleanup
     return (
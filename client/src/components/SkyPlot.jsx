@@ -0,0 +1,108 @@
+import { useEffect, useMemo, useState } from "react";
+import { buildSatrecs, lookAngles, passTrack } from "../satPropagation";
+
+const SIZE = 260;
+const CENTRE = SIZE / 2;
+const RADIUS = SIZE / 2 - 18;
+const TICK_MS = 1000;
+// Tracks are recomputed when the clock has moved this far; positions move
+// every TICK_MS
+const TRACK_REFRESH_MS = 60000;
+const AVAILABLE_COLOR = "#10b981";
+const UNAVAILABLE_COLOR = "#f87171";
+
+// Zenith at the centre, horizon on the rim, north up and east to the right
+function toXY(azimuthDeg, elevationDeg) {
+  const r = RADIUS * (90 - Math.max(elevationDeg, 0)) / 90;
+  const az = azimuthDeg * Math.PI / 180;
+  return [CENTRE + r * Math.sin(az), CENTRE - r * Math.cos(az)];
+}
+
+const pathOf = points => points.map(([x, y], i) => `${i ? "L" : "M"}${x.toFixed(1)},${y.toFixed(1)}`).join("");
+
+// Polar azimuth/elevation plot of the satellites in view at the station:
+// current positions, the rest of their pass (past part dashed), the
+// elevation mask rings and the station's horizon mask, at the globe's clock
+// time (getClockTime())
+function SkyPlot({ satellites, observer, getClockTime, minElevDegs = [], horizonProfile = [] }) {
+  const [now, setNow] = useState(() => getClockTime());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(getClockTime()), TICK_MS);
+    return () => clearInterval(timer);
+  }, [getClockTime]);
+
+  // State events replace the list every tick; only rebuild when the members
+  // or their element sets (a reloaded TLE set brings new epochs) change
+  const elementsKey = satellites.map(s => `${s.noradId}:${s.omm?.EPOCH}`).join(',');
+  const [elements, setElements] = useState(() => ({ key: elementsKey, satrecs: buildSatrecs(satellites) }));
+  if (elements.key !== elementsKey) setElements({ key: elementsKey, satrecs: buildSatrecs(satellites) });
+  const { satrecs } = elements;
+  const trackEpoch = Math.floor(now.getTime() / TRACK_REFRESH_MS);
+
+  const tracks = useMemo(() => {
+    const date = new Date(trackEpoch * TRACK_REFRESH_MS);
+    return new Map([...satrecs].map(([id, satrec]) => [id, passTrack(satrec, observer, date)]));
+  }, [satrecs, observer, trackEpoch]);
+
+  const horizonPath = useMemo(() => {
+    if (!horizonProfile.length) return null;
+    const skyline = horizonProfile.map(([az, el]) => toXY(az, el));
+    // Even-odd fill shades the ring between the rim and the skyline
+    const rim = `M${CENTRE - RADIUS},${CENTRE}a${RADIUS},${RADIUS} 0 1,0 ${2 * RADIUS},0a${RADIUS},${RADIUS} 0 1,0 ${-2 * RADIUS},0Z`;
+    return rim + pathOf(skyline) + "Z";
+  }, [horizonProfile]);
+
+  const rings = [...new Set(minElevDegs)].filter(e => e > 0);
+
+  return (
+    <div className="sky-plot">
+      <svg width={SIZE} height={SIZE} viewBox={`0 0 ${SIZE} ${SIZE}`}>
+        {[0, 30, 60].map(el => (
+          <circle key={el} cx={CENTRE} cy={CENTRE} r={RADIUS * (90 - el) / 90} fill="none" stroke="#444" />
+        ))}
+        <line x1={CENTRE} y1={CENTRE - RADIUS} x2={CENTRE} y2={CENTRE + RADIUS} stroke="#333" />
+        <line x1={CENTRE - RADIUS} y1={CENTRE} x2={CENTRE + RADIUS} y2={CENTRE} stroke="#333" />
+        {[["N", 0], ["E", 90], ["S", 180], ["W", 270]].map(([label, az]) => {
+          const [x, y] = toXY(az, -12);
+          return <text key={label} x={x} y={y + 4} fill="#aaa" fontSize="11" textAnchor="middle">{label}</text>;
+        })}
+
+        {horizonPath && <path d={horizonPath} fill="rgba(255,165,0,0.3)" fillRule="evenodd" stroke="orange" />}
+        {rings.map(el => (
+          <circle key={`mask-${el}`} cx={CENTRE} cy={CENTRE} r={RADIUS * (90 - el) / 90}
+            fill="none" stroke="#61dafb" strokeDasharray="4 3">
+            <title>{el}° elevation mask</title>
+          </circle>
+        ))}
+
+        {satellites.map(sat => {
+          const satrec = satrecs.get(sat.noradId);
+          if (!satrec) return null;
+          const look = lookAngles(satrec, observer, now);
+          if (!look || look.elevation < 0) return null;
+
+          const color = sat.available ? AVAILABLE_COLOR : UNAVAILABLE_COLOR;
+          const track = tracks.get(sat.noradId) || [];
+          const past = track.filter(p => p.past).map(p => toXY(p.azimuth, p.elevation));
+          const future = track.filter(p => !p.past).map(p => toXY(p.azimuth, p.elevation));
+          const [x, y] = toXY(look.azimuth, look.elevation);
+
+          return (
+            <g key={sat.noradId}>
+              {past.length > 1 && <path d={pathOf(past)} fill="none" stroke={color} strokeOpacity={0.5} strokeDasharray="3 3" />}
+              {future.length > 1 && <path d={pathOf(future)} fill="none" stroke={color} strokeOpacity={0.8} />}
+              <circle cx={x} cy={y} r={4} fill={color}>
+                <title>
+                  {`${sat.name || sat.noradId} | Az ${look.azimuth.toFixed(1)}° El ${look.elevation.toFixed(1)}°`}
+                </title>
+              </circle>
+            </g>
+          );
+        })}
+      </svg>
+    </div>
+  );
+}
+
+export default SkyPlot;
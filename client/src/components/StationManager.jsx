@@ -0,0 +1,151 @@
+import { useState } from "react";
+
+const EMPTY_FORM = { name: "", lat: "", lng: "", alt: "0", minElevDeg: "", terminals: {}, horizonMask: "" };
+
+function toForm(station) {
+  return {
+    name: station.name,
+    lat: String(station.lat),
+    lng: String(station.lng),
+    alt: String(station.alt),
+    minElevDeg: station.minElevDeg === null ? "" : String(station.minElevDeg),
+    terminals: { ...station.terminals },
+    horizonMask: (station.horizonMask || []).map(p => `${p.azimuthDeg},${p.elevationDeg}`).join("\n")
+  };
+}
+
+function fromForm(form) {
+  // Constellations left on "default" are not stored
+  const terminals = Object.fromEntries(Object.entries(form.terminals).filter(([, id]) => id));
+  return {
+    name: form.name,
+    lat: Number(form.lat),
+    lng: Number(form.lng),
+    alt: Number(form.alt),
+    minElevDeg: form.minElevDeg === "" ? null : Number(form.minElevDeg),
+    terminals,
+    horizonMask: form.horizonMask // azimuth,elevation CSV; parsed by the server
+  };
+}
+
+// Pick, add, edit and delete the ground stations stored on the server.
+// `stationId` "" means the ad-hoc Lat/Lng location; onStationsChange gets
+// the new list after every save or delete.
+function StationManager({ stations, stationId, onSelect, onStationsChange, constellations }) {
+  const [editing, setEditing] = useState(null); // null, "new" or a station id
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [error, setError] = useState("");
+
+  const field = key => e => setForm(f => ({ ...f, [key]: e.target.value }));
+
+  const importMask = async e => {
+    const file = e.target.files[0];
+    if (!file) return;
+    const text = await file.text();
+    setForm(f => ({ ...f, horizonMask: text }));
+  };
+
+  const startEdit = id => {
+    const station = stations.find(s => s.id === id);
+    setForm(station ? toForm(station) : EMPTY_FORM);
+    setEditing(station ? id : "new");
+    setError("");
+  };
+
+  const reload = async () => {
+    const res = await fetch("/api/stations");
+    const data = await res.json();
+    onStationsChange(data.stations || []);
+  };
+
+  const save = async () => {
+    try {
+      const res = await fetch(editing === "new" ? "/api/stations" : `/api/stations/${editing}`, {
+        method: editing === "new" ? "POST" : "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(fromForm(form))
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.details?.join(", ") || data.error || res.statusText);
+
+      await reload();
+      onSelect(data.id);
+      setEditing(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const remove = async () => {
+    if (!window.confirm(`Delete station ${stations.find(s => s.id === stationId)?.name}?`)) return;
+    try {
+      const res = await fetch(`/api/stations/${stationId}`, { method: "DELETE" });
+      if (!res.ok) throw new Error((await res.json()).error || res.statusText);
+      await reload();
+      onSelect("");
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div style={{ margin: "15px 0" }}>
+      <label>
+        Station:
+        <select value={stationId} onChange={e => onSelect(e.target.value)} style={{ marginLeft: 8 }}>
+          {stations.map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
+          <option value="">Custom location</option>
+        </select>
+      </label>
+      <div style={{ display: "flex", gap: 6 }}>
+        <button onClick={() => startEdit(null)}>Add</button>
+        <button onClick={() => startEdit(stationId)} disabled={!stationId}>Edit</button>
+        <button onClick={remove} disabled={!stationId}>Delete</button>
+      </div>
+
+      {editing && (
+        <div style={{ marginTop: 10 }}>
+          <label>Name: <input value={form.name} onChange={field("name")} /></label>
+          <label>Lat: <input type="number" step="0.01" value={form.lat} onChange={field("lat")} /></label>
+          <label>Lng: <input type="number" step="0.01" value={form.lng} onChange={field("lng")} /></label>
+          <label>Alt (m): <input type="number" step="1" value={form.alt} onChange={field("alt")} /></label>
+          <label>
+            Terrain mask (°):
+            <input type="number" step="0.5" placeholder="default" value={form.minElevDeg} onChange={field("minElevDeg")} />
+          </label>
+          <label>
+            Horizon mask (azimuth,elevation per line):
+            <textarea
+              rows={4}
+              value={form.horizonMask}
+              onChange={field("horizonMask")}
+              placeholder={"0,25\n90,5\n180,3\n270,10"}
+              style={{ display: "block", width: "100%", background: "#1a1a1a", color: "white" }}
+            />
+            <input type="file" accept=".csv,.txt" onChange={importMask} />
+          </label>
+          {constellations.map(c => (
+            <label key={c.key}>
+              {c.label} terminal:
+              <select
+                value={form.terminals[c.key] || ""}
+                onChange={e => setForm(f => ({ ...f, terminals: { ...f.terminals, [c.key]: e.target.value } }))}
+                style={{ marginLeft: 8 }}
+              >
+                <option value="">Default</option>
+                {Object.entries(c.terminals || {}).map(([id, t]) => <option key={id} value={id}>{t.name}</option>)}
+              </select>
+            </label>
+          ))}
+          <div style={{ display: "flex", gap: 6 }}>
+            <button onClick={save}>Save</button>
+            <button onClick={() => setEditing(null)}>Cancel</button>
+          </div>
+        </div>
+      )}
+      {error && <div style={{ fontSize: "12px", color: "#f87171", marginTop: 4 }}>{error}</div>}
+    </div>
+  );
+}
+
+export default StationManager;
@@ -0,0 +1,118 @@
+import { useState, useCallback } from "react";
+
+const POLICIES = {
+  elevation: "Highest elevation",
+  visibility: "Longest remaining visibility",
+  margin: "Best margin"
+};
+
+const CHART_WIDTH = 220;
+const CHART_HEIGHT = 40;
+
+const formatDuration = sec => (sec >= 60 ? `${(sec / 60).toFixed(1)} min` : `${sec} s`);
+const formatTime = iso => new Date(iso).toISOString().slice(11, 19);
+
+// Coverage along an uploaded vehicle, aircraft or ship track (GPX, KML or
+// CSV) from /api/:constellation/trajectory; the result is handed to the
+// globe to fly the track and its serving link
+function TrajectoryPanel({ constellation, maxSats, onResult }) {
+  const [file, setFile] = useState(null);
+  const [policy, setPolicy] = useState("elevation");
+  const [result, setResult] = useState(null);
+  const [status, setStatus] = useState("");
+
+  const evaluate = useCallback(async () => {
+    if (!file) return;
+    setStatus(`Evaluating ${file.name}...`);
+    try {
+      const params = new URLSearchParams({ maxSats, policy });
+      const res = await fetch(`/api/${constellation}/trajectory?${params}`, {
+        method: "POST",
+        headers: { "Content-Type": "text/plain" },
+        body: await file.text()
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || res.statusText);
+
+      setResult(data);
+      onResult(data);
+      setStatus(`${data.pointCount} ${data.format.toUpperCase()} points, ${formatTime(data.start)}–${formatTime(data.end)} UTC`);
+    } catch (err) {
+      setStatus(`Error: ${err.message}`);
+    }
+  }, [constellation, maxSats, policy, file, onResult]);
+
+  const clear = () => {
+    setResult(null);
+    onResult(null);
+    setStatus("");
+  };
+
+  const stats = result?.statistics;
+  const samples = result?.samples || [];
+  const startMs = result ? Date.parse(result.start) : 0;
+  const spanMs = result ? Math.max(1, Date.parse(result.end) - startMs) : 1;
+  const x = iso => (CHART_WIDTH * (Date.parse(iso) - startMs)) / spanMs;
+
+  return (
+    <div style={{ margin: "15px 0" }}>
+      <label>
+        Track:
+        <input
+          type="file" accept=".gpx,.kml,.csv,.txt"
+          onChange={e => setFile(e.target.files[0] || null)}
+          style={{ marginLeft: 8, width: 180 }}
+        />
+      </label>
+      <label>
+        Policy:
+        <select value={policy} onChange={e => setPolicy(e.target.value)} style={{ marginLeft: 6 }}>
+          {Object.entries(POLICIES).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+        </select>
+      </label>
+      <div style={{ display: "flex", gap: 6 }}>
+        <button onClick={evaluate} disabled={!file}>Evaluate track</button>
+        {result && <button onClick={clear}>Clear</button>}
+      </div>
+
+      {stats && (
+        <div style={{ fontSize: "12px", marginTop: 6 }}>
+          Served {stats.servedPct}% | {stats.handoverCount} handovers
+          | mean margin {stats.meanMarginDb ?? "–"} dB
+          <br />
+          {stats.outageCount} outages, total {formatDuration(stats.totalOutageSec)}, max {formatDuration(stats.maxOutageSec)}
+          {/* Serving elevation along the track; outages in red */}
+          <svg width={CHART_WIDTH} height={CHART_HEIGHT} style={{ display: "block", marginTop: 4 }}>
+            {result.outages.map(o => (
+              <rect
+                key={o.start}
+                x={x(o.start)}
+                width={Math.max(1, x(o.end) - x(o.start))}
+                y={0}
+                height={CHART_HEIGHT}
+                fill="rgba(248,113,113,0.5)"
+              >
+                <title>{`${formatTime(o.start)}–${formatTime(o.end)} UTC: no service (${formatDuration(o.durationSec)})`}</title>
+              </rect>
+            ))}
+            {samples.map((s, i) => s.noradId !== null && (
+              <rect
+                key={s.time}
+                x={x(s.time)}
+                width={Math.max(1, x(samples[i + 1]?.time ?? result.end) - x(s.time))}
+                y={CHART_HEIGHT - (CHART_HEIGHT * s.elevationDeg) / 90}
+                height={(CHART_HEIGHT * s.elevationDeg) / 90}
+                fill="#10b981"
+              >
+                <title>{`${formatTime(s.time)} UTC: ${s.noradId} at ${s.elevationDeg}°, margin ${s.marginDb} dB, ${s.available}/${s.inView} available`}</title>
+              </rect>
+            ))}
+          </svg>
+        </div>
+      )}
+      <div style={{ fontSize: "12px" }}>{status}</div>
+    </div>
+  );
+}
+
+export default TrajectoryPanel;
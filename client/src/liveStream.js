@@ -0,0 +1,66 @@
+// liveStream.js
+// Subscribe to /api/stream (Server-Sent Events) and keep the satellites in
+// view up to date from the server's incremental events.
+//
+// onSatellites(list, time) fires when the set of satellites or their
+// availability changes; onState(byId, time, subsolarPoint) on every periodic
+// state update, with the merged satellites keyed by NORAD id and the Sun's
+// sub-solar point at that time; onSnapshot(data) with the
+// full snapshot (camera, TLE info). Returns a function that closes the stream.
+function subscribeLive(params, { onSatellites, onState, onSnapshot, onError } = {}) {
+  const source = new EventSource(`/api/stream?${params}`);
+  let satellites = new Map();
+
+  const listen = (event, handler) => source.addEventListener(event, e => handler(JSON.parse(e.data)));
+  const changed = time => onSatellites?.([...satellites.values()], time);
+
+  listen("snapshot", data => {
+    satellites = new Map(data.satellites.map(s => [s.noradId, s]));
+    onSnapshot?.(data);
+    changed(data.time);
+  });
+
+  listen("enter", ({ time, satellites: entered }) => {
+    entered.forEach(s => satellites.set(s.noradId, s));
+    changed(time);
+  });
+
+  listen("leave", ({ time, noradIds }) => {
+    noradIds.forEach(id => satellites.delete(id));
+    changed(time);
+  });
+
+  listen("availability", ({ time, changes }) => {
+    changes.forEach(({ noradId, available }) => {
+      const sat = satellites.get(noradId);
+      if (sat) satellites.set(noradId, { ...sat, available });
+    });
+    changed(time);
+  });
+
+  // Deltas only carry the dynamic fields; keep names, elements and the rest
+  listen("state", ({ time, subsolarPoint, satellites: deltas }) => {
+    deltas.forEach(delta => {
+      const sat = satellites.get(delta.noradId);
+      if (!sat) return;
+      satellites.set(delta.noradId, {
+        ...sat,
+        ...delta,
+        linkBudget: sat.linkBudget && delta.linkBudget ? { ...sat.linkBudget, ...delta.linkBudget } : delta.linkBudget
+      });
+    });
+    onState?.(satellites, time, subsolarPoint);
+  });
+
+  listen("stream-error", ({ error }) => onError?.(error));
+
+  // EventSource reconnects by itself and a new connection starts with a
+  // snapshot; it only gives up when the server rejects the request
+  source.onerror = () => onError?.(source.readyState === EventSource.CLOSED
+    ? "Live stream rejected"
+    : "Live stream interrupted, reconnecting...");
+
+  return () => source.close();
+}
+
+export { subscribeLive };
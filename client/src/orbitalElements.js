@@ -0,0 +1,51 @@
+// orbitalElements.js
+// Mean orbital elements of an OMM record (as the API sends with each
+// satellite), with the derived size and period, and the orbital shell a
+// satellite belongs to for filtering.
+
+const MU_KM3_S2 = 398600.4418;
+const EARTH_RADIUS_KM = 6378.137;
+// Shells: inclination to 0.1°, mean altitude to this many km
+const SHELL_ALTITUDE_STEP_KM = 10;
+
+// OMM epochs are UTC but usually written without a zone
+function ommEpoch(omm) {
+  const text = String(omm.EPOCH);
+  return new Date(/[zZ]|[+-]\d\d:?\d\d$/.test(text) ? text : `${text}Z`);
+}
+
+function orbitalElements(omm, now = new Date()) {
+  if (!omm) return null;
+  const epoch = ommEpoch(omm);
+  const meanMotionRevDay = Number(omm.MEAN_MOTION);
+  const eccentricity = Number(omm.ECCENTRICITY);
+  const periodMin = 1440 / meanMotionRevDay;
+  const n = meanMotionRevDay * 2 * Math.PI / 86400; // rad/s
+  const semiMajorAxisKm = Math.cbrt(MU_KM3_S2 / (n * n));
+
+  return {
+    epoch,
+    epochAgeHours: (now - epoch) / 3600000,
+    inclinationDeg: Number(omm.INCLINATION),
+    raanDeg: Number(omm.RA_OF_ASC_NODE),
+    eccentricity,
+    argPerigeeDeg: Number(omm.ARG_OF_PERICENTER),
+    meanAnomalyDeg: Number(omm.MEAN_ANOMALY),
+    meanMotionRevDay,
+    bstar: Number(omm.BSTAR ?? 0),
+    periodMin,
+    semiMajorAxisKm,
+    perigeeKm: semiMajorAxisKm * (1 - eccentricity) - EARTH_RADIUS_KM,
+    apogeeKm: semiMajorAxisKm * (1 + eccentricity) - EARTH_RADIUS_KM
+  };
+}
+
+// "53.2° · 550 km": satellites sharing an inclination and mean altitude
+function orbitalShell(elements) {
+  if (!elements) return "unknown";
+  const altitudeKm = elements.semiMajorAxisKm - EARTH_RADIUS_KM;
+  const bucket = Math.round(altitudeKm / SHELL_ALTITUDE_STEP_KM) * SHELL_ALTITUDE_STEP_KM;
+  return `${elements.inclinationDeg.toFixed(1)}° · ${bucket} km`;
+}
+
+export { orbitalElements, orbitalShell };
@@ -0,0 +1,112 @@
+// satPropagation.js
+import * as satellite from 'satellite.js';
+
+// Build satrecs once per fetch from the OMM element sets, keyed by NORAD id
+function buildSatrecs(sats) {
+  const satrecs = new Map();
+  sats.forEach((sat) => {
+    if (!sat.omm) return;
+    const satrec = satellite.json2satrec(sat.omm);
+    if (satrec.error === 0) satrecs.set(sat.noradId, satrec);
+  });
+  return satrecs;
+}
+
+// Earth-fixed position (metres) at a given Date, or null if SGP4 fails
+function propagateEcf(satrec, date) {
+  const pv = satellite.propagate(satrec, date);
+  if (!pv?.position) return null;
+
+  const gmst = satellite.gstime(date);
+  const ecf = satellite.eciToEcf(pv.position, gmst);
+  return { x: ecf.x * 1000, y: ecf.y * 1000, z: ecf.z * 1000 };
+}
+
+// Sub-satellite point (degrees) and altitude (km) at a given Date
+function propagateGeodetic(satrec, date) {
+  const pv = satellite.propagate(satrec, date);
+  if (!pv?.position) return null;
+
+  const gmst = satellite.gstime(date);
+  const geo = satellite.eciToGeodetic(pv.position, gmst);
+  return {
+    lat: satellite.degreesLat(geo.latitude),
+    lng: satellite.degreesLong(geo.longitude),
+    altitudeKm: geo.height
+  };
+}
+
+// Earth-fixed track centred on `date`, spanning spanMinutes
+function orbitTrack(satrec, date, spanMinutes, points) {
+  const track = [];
+  const halfSpanSec = (spanMinutes * 60) / 2;
+  const stepSec = Math.max(10, Math.round((spanMinutes * 60) / points));
+
+  for (let dt = -halfSpanSec; dt <= halfSpanSec; dt += stepSec) {
+    const ecf = propagateEcf(satrec, new Date(date.getTime() + dt * 1000));
+    if (ecf) track.push(ecf);
+  }
+  return track;
+}
+
+// Sub-satellite points from `start` to `end` (Dates) every stepSec, as
+// { ms, lat, lng }; steps SGP4 cannot propagate are left out
+function groundTrack(satrec, start, end, stepSec) {
+  const track = [];
+  for (let ms = start.getTime(); ms <= end.getTime(); ms += stepSec * 1000) {
+    const point = propagateGeodetic(satrec, new Date(ms));
+    if (point) track.push({ ms, lat: point.lat, lng: point.lng });
+  }
+  return track;
+}
+
+// Azimuth/elevation (degrees) of a satellite from an observer { lat, lng, alt (m) }
+function lookAngles(satrec, observer, date) {
+  const pv = satellite.propagate(satrec, date);
+  if (!pv?.position) return null;
+
+  const gmst = satellite.gstime(date);
+  const look = satellite.ecfToLookAngles(
+    {
+      latitude: satellite.degreesToRadians(observer.lat),
+      longitude: satellite.degreesToRadians(observer.lng),
+      height: (observer.alt || 0) / 1000
+    },
+    satellite.eciToEcf(pv.position, gmst)
+  );
+  return {
+    azimuth: satellite.radiansToDegrees(look.azimuth),
+    elevation: satellite.radiansToDegrees(look.elevation)
+  };
+}
+
+// Look angles over the pass in progress at `date` (or the next one within
+// maxMinutes), from rise to set above the horizon, with `past` marking
+// points before `date`
+function passTrack(satrec, observer, date, { stepSec = 30, maxMinutes = 30 } = {}) {
+  const at = offsetSec => {
+    const look = lookAngles(satrec, observer, new Date(date.getTime() + offsetSec * 1000));
+    return look && { ...look, past: offsetSec < 0 };
+  };
+
+  const track = [];
+  for (let dt = -stepSec; ; dt -= stepSec) {
+    const look = at(dt);
+    if (!look || look.elevation < 0 || dt < -maxMinutes * 60) break;
+    track.unshift(look);
+  }
+  let started = track.length > 0;
+  for (let dt = 0; dt <= maxMinutes * 60; dt += stepSec) {
+    const look = at(dt);
+    if (!look) break;
+    if (look.elevation < 0) {
+      if (started) break;
+      continue;
+    }
+    started = true;
+    track.push(look);
+  }
+  return track;
+}
+
+export { buildSatrecs, propagateEcf, propagateGeodetic, orbitTrack, groundTrack, lookAngles, passTrack };
@@ -0,0 +1,45 @@
+// sun.js
+// Day/night terminator around the sub-solar point the server computes
+// (services/eclipse.js), and the illumination label of a satellite state.
+const DEG = Math.PI / 180;
+
+// Sub-solar point at `date` from one the server sent ({ time, lat, lng }):
+// the Earth turns under the Sun once a solar day, and over a few hours the
+// Sun's declination and the equation of time barely move
+function subsolarAt(reference, date) {
+  const hours = (date.getTime() - Date.parse(reference.time)) / 3600000;
+  const lng = ((reference.lng - 15 * hours) % 360 + 540) % 360 - 180;
+  return { lat: reference.lat, lng };
+}
+
+// Terminator as a closed ring of { lat, lng }: the great circle 90° from the
+// sub-solar point `sun` ({ lat, lng }), where the Sun's centre is on the
+// horizon
+function terminator(sun, points = 180) {
+  const lat = sun.lat * DEG;
+  const lng = sun.lng * DEG;
+  // Two unit vectors perpendicular to the Sun's direction: due east of the
+  // sub-solar point and north of it
+  const east = { x: -Math.sin(lng), y: Math.cos(lng), z: 0 };
+  const north = { x: -Math.sin(lat) * Math.cos(lng), y: -Math.sin(lat) * Math.sin(lng), z: Math.cos(lat) };
+
+  const ring = [];
+  for (let i = 0; i <= points; i++) {
+    const angle = 2 * Math.PI * i / points;
+    const x = Math.cos(angle) * east.x + Math.sin(angle) * north.x;
+    const y = Math.cos(angle) * east.y + Math.sin(angle) * north.y;
+    const z = Math.cos(angle) * east.z + Math.sin(angle) * north.z;
+    ring.push({ lat: Math.asin(z) / DEG, lng: Math.atan2(y, x) / DEG });
+  }
+  return ring;
+}
+
+// "Sunlit", "Penumbra (40% sunlit)" or "Eclipse" from a satellite state's
+// eclipse and sunlitFraction; null when the state has none
+function illuminationLabel(state) {
+  if (!state?.eclipse) return null;
+  if (state.eclipse === 'penumbra') return `Penumbra (${Math.round(state.sunlitFraction * 100)}% sunlit)`;
+  return state.eclipse === 'umbra' ? 'Eclipse' : 'Sunlit';
+}
+
+export { subsolarAt, terminator, illuminationLabel };
@@ -0,0 +1,37 @@
+import { test, expect } from 'vitest';
+import { subsolarAt, terminator, illuminationLabel } from './sun';
+
+const DEG = Math.PI / 180;
+
+// Angle (degrees) between two { lat, lng } points
+const separation = (a, b) => Math.acos(
+  Math.sin(a.lat * DEG) * Math.sin(b.lat * DEG) +
+  Math.cos(a.lat * DEG) * Math.cos(b.lat * DEG) * Math.cos((a.lng - b.lng) * DEG)
+) / DEG;
+
+test('the sub-solar point moves 15° west an hour', () => {
+  const reference = { time: '2026-02-20T12:00:00Z', lat: -10.9, lng: 3.5 };
+  expect(subsolarAt(reference, new Date('2026-02-20T12:00:00Z'))).toEqual({ lat: -10.9, lng: 3.5 });
+  expect(subsolarAt(reference, new Date('2026-02-20T14:00:00Z')).lng).toBeCloseTo(-26.5);
+  expect(subsolarAt(reference, new Date('2026-02-20T10:00:00Z')).lng).toBeCloseTo(33.5);
+  // Wraps at the antimeridian
+  expect(subsolarAt(reference, new Date('2026-02-21T02:00:00Z')).lng).toBeCloseTo(153.5);
+});
+
+test('the terminator is a closed ring 90° from the sub-solar point', () => {
+  const sun = { lat: -10.9, lng: 3.5 };
+  const ring = terminator(sun, 36);
+  expect(ring).toHaveLength(37);
+  expect(ring[36].lat).toBeCloseTo(ring[0].lat);
+  expect(ring[36].lng).toBeCloseTo(ring[0].lng);
+  for (const point of ring) expect(separation(point, sun)).toBeCloseTo(90);
+  // Reaches 90° - |declination| of latitude
+  expect(Math.max(...ring.map(p => p.lat))).toBeCloseTo(79.1);
+});
+
+test('illumination labels', () => {
+  expect(illuminationLabel({})).toBeNull();
+  expect(illuminationLabel({ eclipse: 'sunlit', sunlitFraction: 1 })).toBe('Sunlit');
+  expect(illuminationLabel({ eclipse: 'penumbra', sunlitFraction: 0.4 })).toBe('Penumbra (40% sunlit)');
+  expect(illuminationLabel({ eclipse: 'umbra', sunlitFraction: 0 })).toBe('Eclipse');
+});
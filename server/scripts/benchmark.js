@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+// Latency of full-constellation responses, against a running server or one
+// started here on the stored TLE snapshots (offline):
+//   npm run bench
+//   BENCH_URL=http://localhost:3001 npm run bench
+// Environment: BENCH_CONSTELLATION (starlink), BENCH_MAX_SATS (20000),
+// BENCH_RUNS (10), BENCH_TARGET_MS (p95 limit, 2000), BENCH_PORT (3990).
+// Exits non-zero when any scenario's p95 exceeds the target.
+const path = require('path');
+const { spawn } = require('child_process');
+
+const CONSTELLATION = process.env.BENCH_CONSTELLATION || 'starlink';
+const MAX_SATS = Number(process.env.BENCH_MAX_SATS || 20000);
+const RUNS = Number(process.env.BENCH_RUNS || 10);
+const TARGET_MS = Number(process.env.BENCH_TARGET_MS || 2000);
+const PORT = Number(process.env.BENCH_PORT || 3990);
+const START_TIMEOUT_MS = 30000;
+
+// Each run asks for a new minute, so repeated runs measure propagation
+// rather than the per-epoch cache
+const BASE_TIME = Date.UTC(2026, 1, 20, 12);
+const runTime = i => new Date(BASE_TIME + i * 60000).toISOString();
+
+const SCENARIOS = [
+  {
+    name: `${CONSTELLATION} coverage`,
+    path: i => `/api/${CONSTELLATION}/coverage?maxSats=${MAX_SATS}&time=${runTime(i)}`
+  },
+  {
+    name: `${CONSTELLATION} station view`,
+    path: i => `/api/constellation-view?constellation=${CONSTELLATION}&maxSats=${MAX_SATS}&time=${runTime(i)}`
+  },
+  {
+    name: 'constellation view (all)',
+    path: i => `/api/constellation-view?mode=constellation&maxSats=${MAX_SATS}&time=${runTime(i)}`
+  }
+];
+
+async function timedGet(baseUrl, pathname) {
+  const started = performance.now();
+  const res = await fetch(baseUrl + pathname);
+  const body = await res.arrayBuffer();
+  const ms = performance.now() - started;
+  if (!res.ok) throw new Error(`${pathname}: HTTP ${res.status} ${Buffer.from(body).toString().slice(0, 200)}`);
+  return { ms, bytes: body.byteLength };
+}
+
+function percentile(sorted, p) {
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+function summarize(name, samples) {
+  const sorted = samples.map(s => s.ms).sort((a, b) => a - b);
+  const row = {
+    name,
+    p50: percentile(sorted, 50),
+    p95: percentile(sorted, 95),
+    max: sorted[sorted.length - 1],
+    kb: Math.round(samples[0].bytes / 1024)
+  };
+  const fmt = ms => `${Math.round(ms)} ms`.padStart(8);
+  console.log(`${name.padEnd(32)} p50 ${fmt(row.p50)}  p95 ${fmt(row.p95)}  max ${fmt(row.max)}  ${row.kb} KB`);
+  return row;
+}
+
+// Heavy requests run in the compute pool; while each is in progress, small
+// requests should still be answered promptly
+const BACKGROUND = [
+  {
+    name: 'coverage grid (2000 sats, 2°)',
+    label: 'grid',
+    path: `/api/${CONSTELLATION}/coverage-grid?maxSats=2000&resolutionDeg=2&time=${runTime(0)}`
+  },
+  {
+    name: `route (${CONSTELLATION}, 2 h)`,
+    label: 'route',
+    path: `/api/${CONSTELLATION}/route?from=45.42,-75.7&to=51.5,-0.13&hours=2&step=60&maxSats=${MAX_SATS}&start=${runTime(0)}`
+  },
+  {
+    name: 'coverage series (2000 sats, 50)',
+    label: 'coverage series',
+    path: `/api/${CONSTELLATION}/coverage?maxSats=2000&start=${runTime(0)}&end=${runTime(49)}&step=60`
+  },
+  {
+    name: 'view series (2000 sats, 50)',
+    label: 'view series',
+    path: `/api/constellation-view?constellations=${CONSTELLATION}&mode=constellation&maxSats=2000&start=${runTime(0)}&end=${runTime(49)}&step=60`
+  }
+];
+
+async function responsiveness(baseUrl, job) {
+  const heavy = timedGet(baseUrl, job.path);
+  const samples = [];
+  for (let i = 0; i < RUNS; i++) samples.push(await timedGet(baseUrl, '/api/constellations'));
+  const heavyResult = await heavy;
+  console.log(`${job.name.padEnd(32)} ${Math.round(heavyResult.ms)} ms`);
+  return summarize(`constellations during ${job.label}`, samples);
+}
+
+function startServer() {
+  const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+    env: { TLE_OFFLINE: '1', ...process.env, PORT: String(PORT) },
+    stdio: ['ignore', 'pipe', 'inherit']
+  });
+  const ready = new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error('server did not start')), START_TIMEOUT_MS);
+    child.stdout.on('data', chunk => {
+      if (String(chunk).includes('Server listening')) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    child.on('exit', code => {
+      clearTimeout(timer);
+      reject(new Error(`server exited with code ${code}`));
+    });
+  });
+  return { child, ready };
+}
+
+async function main() {
+  let server = null;
+  let baseUrl = process.env.BENCH_URL;
+  if (!baseUrl) {
+    server = startServer();
+    await server.ready;
+    baseUrl = `http://localhost:${PORT}`;
+  }
+
+  try {
+    // First request loads and parses the snapshot; not counted
+    await timedGet(baseUrl, SCENARIOS[0].path(-1));
+    console.log(`${RUNS} runs, maxSats ${MAX_SATS}, target p95 ${TARGET_MS} ms\n`);
+
+    const rows = [];
+    for (const scenario of SCENARIOS) {
+      const samples = [];
+      for (let i = 0; i < RUNS; i++) samples.push(await timedGet(baseUrl, scenario.path(i)));
+      rows.push(summarize(scenario.name, samples));
+    }
+    for (const job of BACKGROUND) rows.push(await responsiveness(baseUrl, job));
+
+    const slow = rows.filter(r => r.p95 > TARGET_MS);
+    if (slow.length) throw new Error(`over target: ${slow.map(r => r.name).join(', ')}`);
+    console.log('\nAll scenarios within target');
+  } finally {
+    server?.child.kill();
+  }
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+// TLE snapshot management without the server running, e.g. on air-gapped
+// machines. Imports take TLE/3LE text or OMM JSON/XML/CSV:
+//   npm run tle -- import <constellation> <file> [source]
+//   npm run tle -- list [constellation]
+//   npm run tle -- show <snapshot-id>
+//   npm run tle -- fetch <constellation>
+const fs = require('fs');
+const { listConstellations } = require('../services/constellationRegistry');
+const { importTLEs, getConstellationTLEs } = require('../services/tleService');
+const { listSnapshots, getSnapshot } = require('../services/tleStore');
+
+function printSnapshot(s) {
+  const epochs = s.epochRange ? `${s.epochRange.oldest} .. ${s.epochRange.newest}` : 'no epochs';
+  console.log(`${s.id}  ${s.source.padEnd(9)} ${String(s.satelliteCount).padStart(6)} sats  imported ${s.importedAt}  epochs ${epochs}`);
+}
+
+async function main([command, ...args]) {
+  switch (command) {
+    case 'import': {
+      const [constellation, file, source = 'cli'] = args;
+      if (!constellation || !file) throw new Error('usage: import <constellation> <file> [source]');
+      const { snapshot, errors } = importTLEs(constellation, fs.readFileSync(file, 'utf8'), { source });
+      printSnapshot(snapshot);
+      for (const e of errors) console.warn(`  skipped ${JSON.stringify(e)}`);
+      return;
+    }
+    case 'list': {
+      const keys = args[0] ? [args[0]] : listConstellations().map(c => c.key);
+      keys.flatMap(listSnapshots).forEach(printSnapshot);
+      return;
+    }
+    case 'show': {
+      const snapshot = getSnapshot(args[0] || '');
+      if (!snapshot) throw new Error(`Unknown TLE snapshot: ${args[0]}`);
+      console.log(JSON.stringify(snapshot, null, 2));
+      return;
+    }
+    case 'fetch': {
+      const { snapshot, stale } = await getConstellationTLEs(args[0]);
+      printSnapshot(snapshot);
+      if (stale) console.warn('  refresh failed; this is the previous snapshot');
+      return;
+    }
+    default:
+      throw new Error('commands: import <constellation> <file> [source] | list [constellation] | show <id> | fetch <constellation>');
+  }
+}
+
+main(process.argv.slice(2)).catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -1,248 +1,1213 @@
 require('dotenv').config();
-const fs = require('fs').promises;
-const fsSync = require('fs'); // for sync checks
 const path = require('path');
 const express = require('express');
-const axios = require('axios');
-const satellite = require('satellite.js');
+const { version } = require('./package.json');
+const {
+  isOffline,
+  importTLEs,
+  getConstellationTLEs,
+  describeTLESet
+} = require('./services/tleService');
+const { getSnapshot, listSnapshots } = require('./services/tleStore');
+const { getConstellation, listConstellations, resolveTerminal } = require('./services/constellationRegistry');
+const { computeStationAvailability } = require('./services/simulationEngine');
+const {
+  DEFAULT_BBOX,
+  buildGridCells,
+  toGeoJSON,
+  toPng
+} = require('./services/coverageGrid');
+const { parseTrajectory } = require('./services/trajectory');
+const { toFootprintGeoJSON } = require('./services/footprint');
+const { DEFAULT_ECLIPSE_STEP_SEC, subsolarPoint } = require('./services/eclipse');
+const { toReportCsv, toReportHtml } = require('./services/reportGenerator');
+const { createWorkerPool } = require('./services/workerPool');
+const { ApiError, errorResponse } = require('./services/apiErrors');
+const {
+  MAX_PASS_HOURS,
+  DEFAULT_DOPPLER_STEP_SEC,
+  DEFAULT_HANDOVER_HOURS,
+  DEFAULT_HANDOVER_STEP_SEC,
+  DEFAULT_ROUTE_HOURS,
+  DEFAULT_ROUTE_MAX_SATS,
+  DEFAULT_SERIES_STEP_SEC,
+  MAX_SERIES_STEPS,
+  DEFAULT_STATISTICS_HOURS,
+  DEFAULT_EXPORT_HOURS,
+  DEFAULT_FOOTPRINT_VERTICES,
+  validateQuery,
+  buildOpenApi
+} = require('./services/apiSchema');
+const { DEFAULT_MAX_ISL_KM } = require('./services/networkGraph');
+const { createLiveHub } = require('./services/liveStream');
+const {
+  listStations,
+  getStation,
+  createStation,
+  updateStation,
+  deleteStation
+} = require('./services/stationRegistry');
+const { horizonProfile } = require('./services/horizonMask');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
+// Coverage series, grids, passes, statistics and reports run here, off the
+// event loop
+const computePool = createWorkerPool();
 
 
-const CACHE_DIR = path.join(__dirname, 'tle-cache');
-const MIN_REFRESH_MS = 2 * 60 * 60 * 1000; // 2 hours
-const EARTH_RADIUS_KM = 6371;
-const DEFAULT_MIN_ELEV_DEG = 10;
-const CONSTELLATION_FREQS_GHZ = {
-  iridium: 1.6,
-  starlink: 12.0,
-  kuiper: 12.0
-};
+// Parameter defaults and ranges live with the API schema; these limits
+// depend on more than one parameter
+const MAX_ROUTE_STEPS = 120; // each one builds the whole network graph
+const MAX_GRID_EVALUATIONS = 2e7; // cells x satellites x epochs per grid request
+const MAX_EXPORT_SAMPLES = 2e5; // satellites x epochs per scenario export
+const MAX_SERIES_SAMPLES = 1e5; // satellites x epochs per coverage or globe series
+const MAX_FOOTPRINT_POLYGONS = 5000; // footprints and beam cells per request
+const MAX_ECLIPSE_SAMPLES = 1e6; // satellites x shadow samples per eclipse prediction
 
-// Ensure cache directory exists
-if (!fsSync.existsSync(CACHE_DIR)) fsSync.mkdirSync(CACHE_DIR);
+// Every error answers { error, code, details? } with its code's status; a
+// string is a bad parameter. Internal errors are logged.
+function sendError(res, err) {
+  const { status, body } = errorResponse(err);
+  if (status >= 500) console.error(err);
+  res.status(status).json(body);
+}
 
 
-// Check if cache file is stale
-async function isStale(filePath) {
-  try {
-    const stats = await fs.stat(filePath);
-    return (Date.now() - stats.mtimeMs) > MIN_REFRESH_MS;
-  } catch {
-    return true;
+// Link-budget options from the query string. `terminal` picks a profile
+// (per-constellation default otherwise); `requiredEbN0Db` overrides the
+// constellation's threshold. Weather: `rainRate` (mm/h) for a rain event, or
+// `p` (% of an average year) for the exceedance fade, with `r001` overriding
+// the station's P.837 rain rate. A stored station's terminals (see
+// applyStation) stand in for a missing `terminal`.
+function parseLinkOptions(constellation, { terminal, stationTerminals, requiredEbN0Db, rainRate, p, r001 }) {
+  if (!getConstellation(constellation)) return { error: new ApiError('UNKNOWN_CONSTELLATION', `Unknown constellation: ${constellation}`) };
+  const terminalId = terminal ?? stationTerminals?.[constellation];
+  const profile = resolveTerminal(constellation, terminalId);
+  if (!profile) return { error: `Unknown terminal '${terminalId}' for ${constellation}` };
+
+  const numbers = {};
+  for (const [key, value, min, max] of [
+    ['requiredEbN0Db', requiredEbN0Db, -Infinity, Infinity],
+    ['rainRate', rainRate, 0, 500],
+    ['p', p, 0.001, 5],
+    ['r001', r001, 0, 500]
+  ]) {
+    if (value === undefined) continue;
+    const n = Number(value);
+    if (!Number.isFinite(n) || n < min || n > max) return { error: `Invalid ${key}: ${value}` };
+    numbers[key] = n;
   }
+
+  const { requiredEbN0Db: required, ...weather } = numbers;
+  return { terminal: profile, requiredEbN0Db: required, weather };
 }
 
-// Parse TLE text to array of satellites
-function parseTLEs(tleText, maxSats = 30) {
-  const lines = tleText.trim().split('\n');
-  const sats = [];
-  for (let i = 0; i < lines.length - 2; i += 3) {
-    const name = lines[i]?.trim() || '';
-    const line1 = lines[i + 1];
-    const line2 = lines[i + 2];
-    if (line1?.startsWith('1 ') && line2?.startsWith('2 ')) {
-      const noradId = parseInt(line1.substring(2, 7), 10);
-      if (!Number.isFinite(noradId)) continue;
-      sats.push({ noradId, name, line1, line2 });
-    }
-    if (sats.length >= maxSats) break;
-  }
-  return sats;
+// `stationId` selects a stored ground station: its coordinates replace
+// lat/lng/alt, and its terrain mask and terminals apply unless the query
+// sets minElevDeg or terminal itself
+function applyStation(query) {
+  if (query.stationId === undefined) return { query, station: null };
+  const station = getStation(query.stationId);
+  if (!station) return { error: new ApiError('NOT_FOUND', `Unknown station: ${query.stationId}`) };
+  return {
+    station,
+    query: {
+      ...query,
+      lat: station.lat,
+      lng: station.lng,
+      alt: station.alt,
+      minElevDeg: query.minElevDeg ?? station.minElevDeg ?? undefined,
+      stationTerminals: station.terminals
+    }
+  };
 }
 
-// Fetch or read cached TLEs
-async function getConstellationTLEs(constellation, maxSats = 30) {
-  const groups = { iridium: 'iridium', starlink: 'starlink', kuiper: 'kuiper' };
-  const group = groups[constellation];
-  if (!group) throw new Error(`Unknown constellation: ${constellation}`);
+// Observer of a request; a stored station brings its horizon mask along
+function toObserver({ lat, lng, alt }, station) {
+  const observer = { lat: Number(lat), lng: Number(lng), alt: Number(alt) };
+  return station?.horizonMask?.length ? { ...observer, horizonMask: station.horizonMask } : observer;
+}
 
-  const cachePath = path.join(CACHE_DIR, `${group}.tle`);
-  const url = `https://celestrak.org/NORAD/elements/gp.php?GROUP=${group.toUpperCase()}&FORMAT=TLE`;
+// A route endpoint: a stored station id or `lat,lng[,alt]`. Stations bring
+// their masks and terminals; `minElevDeg` and `terminal` apply to both ends.
+function parseEndpoint(value, constellation, query) {
+  if (value === undefined || value === '') return { error: 'from and to are required' };
+  const coords = String(value).split(',').map(Number);
+  const minElevDeg = query.minElevDeg !== undefined ? Number(query.minElevDeg) : undefined;
 
-  if (!await isStale(cachePath)) {
-    console.log(` Using cached ${group}`);
-    const tleData = await fs.readFile(cachePath, 'utf8');
-    return parseTLEs(tleData, maxSats);
+  if (coords.length >= 2 && coords.length <= 3 && coords.every(Number.isFinite)) {
+    const [lat, lng, alt = 0] = coords;
+    if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return { error: `Invalid location: ${value}` };
+    const link = parseLinkOptions(constellation, query);
+    if (link.error) return { error: link.error };
+    return { endpoint: { name: `${lat},${lng}`, observer: toObserver({ lat, lng, alt }), minElevDeg, link } };
   }
 
-  try {
-    console.log(` Fetching fresh ${group} TLEs`);
-    const resp = await axios.get(url, {
-      timeout: 10000,
-      headers: { 'User-Agent': 'Satellite-Demo/1.0 (educational use)' }
-    });
-    if (!resp.data?.trim()) throw new Error('Empty TLE response');
+  const station = getStation(value);
+  if (!station) return { error: new ApiError('NOT_FOUND', `Unknown station: ${value}`) };
+  const link = parseLinkOptions(constellation, { ...query, stationTerminals: station.terminals });
+  if (link.error) return { error: link.error };
+  return {
+    endpoint: {
+      name: station.name,
+      observer: toObserver(station, station),
+      minElevDeg: minElevDeg ?? station.minElevDeg ?? undefined,
+      link
+    }
+  };
+}
 
-    await fs.writeFile(cachePath, resp.data, 'utf8');
-    console.log(` Cached ${group} TLEs`);
+// Resolve the epochs a request is evaluated at: a single ISO `time`, or a
+// `start`/`end`/`step` (seconds) series. Defaults to wall-clock now.
+function parseEvaluationTimes({ time, start, end, step = DEFAULT_SERIES_STEP_SEC }) {
+  if (start !== undefined || end !== undefined) {
+    const startTime = new Date(start);
+    const endTime = new Date(end);
+    const stepSec = Number(step);
+    if (Number.isNaN(startTime.getTime())) return { error: `Invalid start time: ${start}` };
+    if (Number.isNaN(endTime.getTime())) return { error: `Invalid end time: ${end}` };
+    if (endTime < startTime) return { error: 'end must not be before start' };
+    if (!(stepSec > 0)) return { error: `Invalid step: ${step}` };
 
-    return parseTLEs(resp.data, maxSats);
-  } catch (err) {
-    console.warn(` Fetch failed for ${group}: ${err.message}`);
-    if (fsSync.existsSync(cachePath)) {
-      console.log(`Fallback to stale cache for ${group}`);
-      const tleData = await fs.readFile(cachePath, 'utf8');
-      return parseTLEs(tleData, maxSats);
+    const count = Math.floor((endTime - startTime) / (stepSec * 1000)) + 1;
+    if (count > MAX_SERIES_STEPS) {
+      return { error: `Series of ${count} steps exceeds the limit of ${MAX_SERIES_STEPS}` };
     }
-    throw new Error(`Failed to fetch ${group} and no cache available`);
+    const times = Array.from({ length: count }, (_, i) => new Date(startTime.getTime() + i * stepSec * 1000));
+    return { series: true, start: startTime, end: endTime, stepSec, times };
   }
+
+  const at = time !== undefined ? new Date(time) : new Date();
+  if (Number.isNaN(at.getTime())) return { error: `Invalid time: ${time}` };
+  return { series: false, times: [at] };
 }
 
-// Compute coverage info for a single satellite
-function computeSatelliteCoverage(sat, observer, constellation, minElevDeg = DEFAULT_MIN_ELEV_DEG) {
-  const satrec = satellite.twoline2satrec(sat.line1, sat.line2);
-  const now = new Date();
-  const pv = satellite.propagate(satrec, now);
-  if (!pv?.position) return null;
-
-  const gmst = satellite.gstime(now);
-  const geo = satellite.eciToGeodetic(pv.position, gmst);
-  const elevRad = minElevDeg * Math.PI / 180;
-  const h = geo.height; // km
-  const centralAngle = Math.acos(EARTH_RADIUS_KM * Math.cos(elevRad) / (EARTH_RADIUS_KM + h)) - elevRad;
-  const coverageRadiusKm = EARTH_RADIUS_KM * centralAngle;
-
-  const satPos = {
-    lat: satellite.degreesLat(geo.latitude),
-    lng: satellite.degreesLong(geo.longitude),
-    altitudeKm: h
-  };
+// Comma-separated constellation keys, e.g. `iridium,starlink`
+function parseConstellationList(value) {
+  const keys = [...new Set(String(value).split(',').map(k => k.trim()).filter(Boolean))];
+  if (keys.length === 0) return { error: 'No constellations given' };
+  const unknown = keys.find(key => !getConstellation(key));
+  if (unknown) return { error: new ApiError('UNKNOWN_CONSTELLATION', `Unknown constellation: ${unknown}`) };
+  return { keys };
+}
 
-  const observerGd = {
-    longitude: satellite.degreesToRadians(observer.lng),
-    latitude: satellite.degreesToRadians(observer.lat),
-    height: observer.alt / 1000
-  };
+// `tleSnapshot` pins stored TLE snapshots by id, comma-separated for
+// multi-constellation requests (at most one per constellation)
+function parseSnapshotPins(value, keys) {
+  const pins = {};
+  if (value === undefined) return { pins };
+  for (const id of String(value).split(',').map(s => s.trim()).filter(Boolean)) {
+    const snapshot = getSnapshot(id);
+    if (!snapshot) return { error: new ApiError('NOT_FOUND', `Unknown TLE snapshot: ${id}`) };
+    if (!keys.includes(snapshot.constellation)) {
+      return { error: `TLE snapshot ${id} is for ${snapshot.constellation}, not ${keys.join(', ')}` };
+    }
+    pins[snapshot.constellation] = id;
+  }
+  return { pins };
+}
+
+// Satellites a `noradId` (one catalog number or a comma-separated list) names
+const noradIdCount = noradId => String(noradId).split(',').length;
 
-  const satEcf = satellite.eciToEcf(pv.position, gmst);
-  const lookAngles = satellite.ecfToLookAngles(observerGd, satEcf);
-  const elevation = satellite.radiansToDegrees(lookAngles.elevation);
-  const rangeKm = lookAngles.rangeSat;
+// The element sets of a loaded TLE set, by reference, for a compute task
+// (the worker reloads the same snapshot from its own cache)
+function snapshotTask(tleSet, constellation, maxSats) {
+  return { constellation, snapshotId: tleSet.snapshot.id, maxSats: Number(maxSats) };
+}
 
-  if (!Number.isFinite(rangeKm) || rangeKm <= 0) return { ...satPos, elevation: +(elevation).toFixed(1), rangeKm: null, pathLossDb: null, coverageRadiusKm, available: false };
+// Constellations of a globe view: an explicit `constellations` list
+// (comparison overlay) wins; otherwise station mode shows the selected
+// constellation and constellation mode all of them
+function viewConstellations({ constellation = 'iridium', constellations, mode }) {
+  if (constellations !== undefined) return parseConstellationList(constellations);
+  if (mode === 'constellation') return { keys: listConstellations().map(c => c.key) };
+  if (!getConstellation(constellation)) return { error: new ApiError('UNKNOWN_CONSTELLATION', `Unknown constellation: ${constellation}`) };
+  return { keys: [constellation] };
+}
 
-  const freqGHz = CONSTELLATION_FREQS_GHZ[constellation] || 1.6;
-  const pathLossDb = 32.44 + 20 * Math.log10(rangeKm) + 20 * Math.log10(freqGHz);
+function viewCamera(mode, observer) {
+  return { lat: observer.lat, lng: observer.lng, height: mode === 'constellation' ? 15000000 : 10000000 };
+}
 
+function seriesWindow(evaluation) {
   return {
-    noradId: sat.noradId,
-    ...satPos,
-    elevation: +(elevation).toFixed(1),
-    rangeKm: Math.round(rangeKm),
-    pathLossDb: Math.round(pathLossDb),
-    coverageRadiusKm,
-    available: elevation > minElevDeg && pathLossDb < 160
+    start: evaluation.start.toISOString(),
+    end: evaluation.end.toISOString(),
+    step: evaluation.stepSec
   };
 }
 
 
 app.use(express.static(path.resolve(__dirname, '../client/dist')));
 
-app.get('/api/:constellation/coverage', async (req, res) => {
-  const { lat = 45.42, lng = -75.7, alt = 100, maxSats = 30, minElevDeg = DEFAULT_MIN_ELEV_DEG } = req.query;
+// Every /api/:constellation/... route serves a registered constellation
+app.param('constellation', (req, res, next, constellation) => {
+  if (!getConstellation(constellation)) throw new ApiError('UNKNOWN_CONSTELLATION', `Unknown constellation: ${constellation}`);
+  next();
+});
+
+app.get('/api/openapi.json', (req, res) => {
+  res.json(buildOpenApi({ version }));
+});
+
+// A station as served: its horizon mask also sampled into the profile
+// clients draw, from the same interpolation the visibility checks use
+const stationResponse = station => ({ ...station, horizonProfile: horizonProfile(station.horizonMask) });
+
+app.get('/api/stations', (req, res) => {
+  res.json({ stations: listStations().map(stationResponse) });
+});
+
+app.get('/api/stations/:id', (req, res) => {
+  const station = getStation(req.params.id);
+  if (!station) return sendError(res, new ApiError('NOT_FOUND', `Unknown station: ${req.params.id}`));
+  res.json(stationResponse(station));
+});
+
+app.post('/api/stations', express.json(), (req, res) => {
+  try {
+    const station = createStation(req.body || {});
+    console.log(`📍 Station added: ${station.name} (${station.id})`);
+    res.status(201).json(stationResponse(station));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+app.put('/api/stations/:id', express.json(), (req, res) => {
+  try {
+    const station = updateStation(req.params.id, req.body || {});
+    if (!station) return sendError(res, new ApiError('NOT_FOUND', `Unknown station: ${req.params.id}`));
+    res.json(stationResponse(station));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Replace a station's horizon mask with `azimuth,elevation` CSV lines
+// (or a JSON point list); an empty body clears it
+app.put(
+  '/api/stations/:id/horizon-mask',
+  express.text({ type: ['text/*', 'application/octet-stream'] }),
+  express.json(),
+  (req, res) => {
+    const horizonMask = typeof req.body === 'string' ? req.body : req.body ?? [];
+    try {
+      const station = updateStation(req.params.id, { horizonMask });
+      if (!station) return sendError(res, new ApiError('NOT_FOUND', `Unknown station: ${req.params.id}`));
+      console.log(`⛰️ ${station.name}: ${station.horizonMask.length}-point horizon mask`);
+      res.json(stationResponse(station));
+    } catch (err) {
+      sendError(res, err);
+    }
+  }
+);
+
+app.delete('/api/stations/:id', (req, res) => {
+  if (!deleteStation(req.params.id)) return sendError(res, new ApiError('NOT_FOUND', `Unknown station: ${req.params.id}`));
+  res.status(204).end();
+});
+
+app.get('/api/constellations', (req, res) => {
+  res.json({ constellations: listConstellations() });
+});
+
+app.get('/api/terminals', (req, res) => {
+  const terminals = {};
+  for (const { key, terminals: profiles } of listConstellations()) {
+    for (const [id, profile] of Object.entries(profiles)) {
+      terminals[id] = { ...profile, constellations: [key] };
+    }
+  }
+  res.json({ terminals });
+});
+
+app.get('/api/tle/snapshots', validateQuery('listTleSnapshots'), (req, res) => {
+  const { constellation } = req.query;
+  if (constellation !== undefined && !getConstellation(constellation)) {
+    return sendError(res, new ApiError('UNKNOWN_CONSTELLATION', `Unknown constellation: ${constellation}`));
+  }
+  const keys = constellation ? [constellation] : listConstellations().map(c => c.key);
+  // Rejected records are only counted here; GET /api/tle/snapshots/:id lists them
+  const snapshots = keys.flatMap(listSnapshots).map(({ rejected, ...s }) => ({ ...s, rejected: rejected?.length ?? 0 }));
+  res.json({ offline: isOffline(), snapshots });
+});
+
+app.get('/api/tle/snapshots/:id', (req, res) => {
+  const snapshot = getSnapshot(req.params.id);
+  if (!snapshot) return sendError(res, new ApiError('NOT_FOUND', `Unknown TLE snapshot: ${req.params.id}`));
+  res.json(snapshot);
+});
+
+// Upload TLE/3LE text or OMM JSON/XML/CSV as a new snapshot
+app.post(
+  '/api/:constellation/tle',
+  validateQuery('importTle'),
+  express.text({ type: ['text/*', 'application/json', 'application/xml', 'application/octet-stream'], limit: '50mb' }),
+  (req, res) => {
+    const constellation = req.params.constellation;
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+      return sendError(res, new ApiError('INVALID_BODY', 'Expected a TLE or OMM document as the request body'));
+    }
+
+    try {
+      const { snapshot, errors } = importTLEs(constellation, req.body, { source: req.query.source || 'upload' });
+      res.status(201).json({ snapshot, errors });
+    } catch (err) {
+      sendError(res, err.code ? err : new ApiError('INVALID_BODY', err.message));
+    }
+  }
+);
+
+app.get('/api/:constellation/coverage', validateQuery('getCoverage'), async (req, res) => {
+  const { query, station, error } = applyStation(req.query);
+  if (error) return sendError(res, error);
+  const { lat = 45.42, lng = -75.7, alt = 100, maxSats = 30, minElevDeg } = query;
   const constellation = req.params.constellation;
 
+  const evaluation = parseEvaluationTimes(req.query);
+  if (evaluation.error) return sendError(res, evaluation.error);
+  const link = parseLinkOptions(constellation, query);
+  if (link.error) return sendError(res, link.error);
+  const { pins, error: pinError } = parseSnapshotPins(req.query.tleSnapshot, [constellation]);
+  if (pinError) return sendError(res, pinError);
+
   try {
-    const tleList = await getConstellationTLEs(constellation, Number(maxSats));
-    const observer = { lat: Number(lat), lng: Number(lng), alt: Number(alt) };
-
-    // Parallel satellite computations
-    const results = await Promise.all(
-      tleList.map(sat => {
-        try { return computeSatelliteCoverage(sat, observer, constellation, Number(minElevDeg)); }
-        catch { return null; }
-      })
-    );
-
-    const filtered = results.filter(Boolean);
-    const visibleCount = filtered.filter(r => r.available).length;
-    console.log(`📡 ${constellation}: ${visibleCount}/${filtered.length} visible`);
+    const tleSet = await getConstellationTLEs(constellation, Number(maxSats), { snapshotId: pins[constellation] });
+    const { tleList } = tleSet;
+    const samples = tleList.length * evaluation.times.length;
+    if (samples > MAX_SERIES_SAMPLES) {
+      return sendError(res, `${tleList.length} satellites over ${evaluation.times.length} epochs is too large a series; shorten the window, raise step or lower maxSats`);
+    }
+    const tle = describeTLESet(tleSet, evaluation.times[0]);
+    const observer = toObserver({ lat, lng, alt }, station);
+
+    const snapshots = await computePool.run('snapshots', {
+      tles: [snapshotTask(tleSet, constellation, maxSats)],
+      observer,
+      options: {
+        times: evaluation.times,
+        links: { [constellation]: link },
+        minElevDeg: minElevDeg !== undefined ? Number(minElevDeg) : undefined
+      }
+    });
+
+    if (evaluation.series) {
+      console.log(`📡 ${constellation}: ${snapshots.length} epochs`);
+      return res.json({ observer, station, constellation, tle, ...seriesWindow(evaluation), series: snapshots });
+    }
+
+    const [{ time, satellites }] = snapshots;
+    const visibleCount = satellites.filter(r => r.available).length;
+    console.log(`📡 ${constellation}: ${visibleCount}/${satellites.length} visible at ${time}`);
     console.log('maxSats received:', maxSats);
 
-    res.json({ observer, constellation, satellites: filtered });
+    res.json({ observer, station, constellation, tle, time, satellites });
 
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: err.message });
+    sendError(res, err);
   }
 });
 
-app.get('/api/constellation-view', async (req, res) => {
+app.get('/api/:constellation/availability', validateQuery('getAvailability'), (req, res) => {
+  const { query, station, error } = applyStation(req.query);
+  if (error) return sendError(res, error);
+  const { lat = 45.42, lng = -75.7, alt = 100, elevationDeg = query.minElevDeg } = query;
+  const constellation = req.params.constellation;
+
+  const link = parseLinkOptions(constellation, query);
+  if (link.error) return sendError(res, link.error);
+  const elev = elevationDeg !== undefined ? Number(elevationDeg) : getConstellation(constellation).minElevationDeg;
+  if (!(elev >= 5 && elev <= 90)) return sendError(res, `Invalid elevationDeg: ${elevationDeg}`);
+
+  const observer = toObserver({ lat, lng, alt }, station);
+  const availability = computeStationAvailability(constellation, observer, { elevationDeg: elev, link });
+
+  res.json({ observer, station, constellation, ...availability });
+});
+
+app.get('/api/:constellation/coverage-grid', validateQuery('getCoverageGrid'), async (req, res) => {
   const {
-    constellation = 'iridium',
+    south = DEFAULT_BBOX.south,
+    west = DEFAULT_BBOX.west,
+    north = DEFAULT_BBOX.north,
+    east = DEFAULT_BBOX.east,
+    resolutionDeg = 1,
+    alt = 0,
+    maxSats = 300,
+    minElevDeg,
+    format = 'geojson',
+    metric = 'availableCount'
+  } = req.query;
+  const constellation = req.params.constellation;
+
+  const bbox = { south: Number(south), west: Number(west), north: Number(north), east: Number(east) };
+  if (!(bbox.south >= -90 && bbox.north <= 90 && bbox.south < bbox.north)) {
+    return sendError(res, 'south/north must be latitudes with south < north');
+  }
+  if (!(bbox.west >= -180 && bbox.east <= 180 && bbox.west < bbox.east)) {
+    return sendError(res, 'west/east must be longitudes with west < east');
+  }
+  const resolution = Number(resolutionDeg);
+
+  const evaluation = parseEvaluationTimes(req.query);
+  if (evaluation.error) return sendError(res, evaluation.error);
+  const link = parseLinkOptions(constellation, req.query);
+  if (link.error) return sendError(res, link.error);
+  const { pins, error: pinError } = parseSnapshotPins(req.query.tleSnapshot, [constellation]);
+  if (pinError) return sendError(res, pinError);
+
+  try {
+    const tleSet = await getConstellationTLEs(constellation, Number(maxSats), { snapshotId: pins[constellation] });
+    const { tleList } = tleSet;
+    const tle = describeTLESet(tleSet, evaluation.times[0]);
+
+    const { rows, cols } = buildGridCells(bbox, resolution);
+    const evaluations = rows * cols * tleList.length * evaluation.times.length;
+    if (evaluations > MAX_GRID_EVALUATIONS) {
+      return sendError(res, `Grid of ${rows}x${cols} cells over ${evaluation.times.length} epochs is too large; coarsen resolutionDeg, shorten the window or lower maxSats`);
+    }
+
+    const grid = await computePool.run('coverageGrid', {
+      tle: snapshotTask(tleSet, constellation, maxSats),
+      options: {
+        bbox,
+        resolutionDeg: resolution,
+        times: evaluation.times,
+        altKm: Number(alt) / 1000,
+        minElevDeg: minElevDeg !== undefined ? Number(minElevDeg) : undefined,
+        link
+      }
+    });
+    console.log(`🗺️ ${constellation}: ${rows}x${cols} grid over ${grid.epochs} epochs`);
+
+    if (format === 'png') {
+      res.set('X-TLE-Snapshot', tle.snapshotId).type('png').send(toPng(grid, metric));
+      return;
+    }
+
+    const window = evaluation.series
+      ? seriesWindow(evaluation)
+      : { time: evaluation.times[0].toISOString() };
+    res.json(toGeoJSON(grid, { ...window, tle }));
+
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Footprint boundaries on the ellipsoid, with spot-beam cells on request
+app.get('/api/:constellation/footprints', validateQuery('getFootprints'), async (req, res) => {
+  const { time, maxSats = 30, noradId, minElevDeg, beams = 'false', vertices = DEFAULT_FOOTPRINT_VERTICES } = req.query;
+  const constellation = req.params.constellation;
+  const config = getConstellation(constellation);
+  const withBeams = beams === 'true' && Boolean(config.beams);
+  const { pins, error: pinError } = parseSnapshotPins(req.query.tleSnapshot, [constellation]);
+  if (pinError) return sendError(res, pinError);
+
+  try {
+    const tleSet = await getConstellationTLEs(constellation, Number(maxSats), { snapshotId: pins[constellation] });
+    const at = time ? new Date(time) : new Date();
+    const tle = describeTLESet(tleSet, at);
+
+    const satellites = noradId === undefined ? tleSet.tleList.length : noradIdCount(noradId);
+    const cellsPerSat = withBeams ? config.beams.rings.reduce((sum, ring) => sum + ring.count, 0) : 0;
+    if (satellites * (1 + cellsPerSat) > MAX_FOOTPRINT_POLYGONS) {
+      return sendError(res, `${satellites} satellites with ${cellsPerSat} beam cells each is too many polygons; lower maxSats or pick a noradId`);
+    }
+
+    const result = await computePool.run('footprints', {
+      tle: { ...snapshotTask(tleSet, constellation, maxSats), ...(noradId && { noradId }) },
+      options: {
+        time: at,
+        minElevDeg: minElevDeg !== undefined ? Number(minElevDeg) : undefined,
+        beams: withBeams,
+        vertices: Number(vertices)
+      }
+    });
+    if (noradId && !result.satellites.length) {
+      return sendError(res, new ApiError('NOT_FOUND', `No satellite ${noradId} in ${tle.snapshotId}`));
+    }
+    console.log(`🛰️ ${constellation}: ${result.satellites.length} footprints${withBeams ? ' with beam cells' : ''} at ${at.toISOString()}`);
+
+    res.json(toFootprintGeoJSON(result, { tle }));
+
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Side-by-side service statistics of several constellations at one station
+app.get('/api/statistics', validateQuery('getStatistics'), async (req, res) => {
+  const { query, station, error } = applyStation(req.query);
+  if (error) return sendError(res, error);
+  const {
+    constellations = 'iridium,starlink',
     lat = 45.42,
     lng = -75.7,
     alt = 100,
+    start,
+    hours = DEFAULT_STATISTICS_HOURS,
+    step = DEFAULT_SERIES_STEP_SEC,
+    minSatellites = 1,
     maxSats = 300,
-    mode = 'station' // station | constellation
-  } = req.query;
+    minElevDeg
+  } = query;
 
-  const observer = { lat: Number(lat), lng: Number(lng), alt: Number(alt) };
+  const list = parseConstellationList(constellations);
+  if (list.error) return sendError(res, list.error);
+  const minSats = Number(minSatellites);
+  const spanHours = Number(hours);
+  const stepSec = Number(step);
+
+  // Half-open window: the epoch at start + hours belongs to the next one
+  const startTime = start ? new Date(start) : new Date();
+  const lastTime = new Date(startTime.getTime() + spanHours * 3600 * 1000 - stepSec * 1000);
+  const evaluation = parseEvaluationTimes({ start: startTime, end: lastTime, step: stepSec });
+  if (evaluation.error) return sendError(res, evaluation.error);
+
+  // A terminal only fits one constellation, so comparisons use each one's default
+  const linkQuery = list.keys.length > 1 ? { ...query, terminal: undefined } : query;
+  const links = {};
+  for (const key of list.keys) {
+    links[key] = parseLinkOptions(key, linkQuery);
+    if (links[key].error) return sendError(res, links[key].error);
+  }
+  const { pins, error: pinError } = parseSnapshotPins(req.query.tleSnapshot, list.keys);
+  if (pinError) return sendError(res, pinError);
 
   try {
-    let satellites = [];
-
-    if (mode === 'constellation') {
-      // Fetch all constellations
-      const constellations = ['iridium', 'starlink', 'kuiper'];
-      for (const name of constellations) {
-        const tleList = await getConstellationTLEs(name, Number(maxSats));
-        const sats = await Promise.all(
-          tleList.map(sat => {
-            try {
-              return computeSatelliteCoverage(sat, observer, name);
-            } catch {
-              return null;
-            }
-          })
-        );
-        satellites.push(...sats.filter(Boolean));
-      }
-    } else {
-      // Station mode: just the selected constellation
-      const tleList = await getConstellationTLEs(constellation, Number(maxSats));
-      const sats = await Promise.all(
-        tleList.map(sat => {
-          try {
-            return computeSatelliteCoverage(sat, observer, constellation);
-          } catch {
-            return null;
+    const observer = toObserver({ lat, lng, alt }, station);
+
+    const statistics = [];
+    for (const key of list.keys) {
+      const tleSet = await getConstellationTLEs(key, Number(maxSats), { snapshotId: pins[key] });
+      statistics.push({
+        ...await computePool.run('coverageStatistics', {
+          tle: snapshotTask(tleSet, key, maxSats),
+          observer,
+          options: {
+            times: evaluation.times,
+            stepSec,
+            minSatellites: minSats,
+            minElevDeg: minElevDeg !== undefined ? Number(minElevDeg) : undefined,
+            link: links[key]
           }
-        })
-      );
-      satellites = sats.filter(Boolean);
+        }),
+        tle: describeTLESet(tleSet, startTime)
+      });
     }
+    console.log(`📊 ${list.keys.join(' vs ')}: ${evaluation.times.length} epochs`);
+
+    res.json({
+      observer,
+      station,
+      start: startTime.toISOString(),
+      end: new Date(startTime.getTime() + spanHours * 3600 * 1000).toISOString(),
+      step: stepSec,
+      minSatellites: minSats,
+      statistics
+    });
 
-    // Filter only visible satellites in station mode
-    const filtered = mode === 'station'
-      ? satellites.filter(s => s.available)
-      : satellites;
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+app.get('/api/:constellation/passes', validateQuery('getPasses'), async (req, res) => {
+  const { query, station, error } = applyStation(req.query);
+  if (error) return sendError(res, error);
+  const {
+    lat = 45.42,
+    lng = -75.7,
+    alt = 100,
+    start,
+    hours = 24,
+    minElevDeg,
+    maxSats = 30,
+    noradId,
+    dopplerStepSec = DEFAULT_DOPPLER_STEP_SEC
+  } = query;
+  const constellation = req.params.constellation;
+  const config = getConstellation(constellation);
+  const minElev = minElevDeg !== undefined ? Number(minElevDeg) : config.minElevationDeg;
+  // 0 leaves the Doppler curves out
+  const dopplerStep = Number(dopplerStepSec);
+  if (!(dopplerStep === 0 || dopplerStep >= 1)) {
+    return sendError(res, `Invalid dopplerStepSec: ${dopplerStepSec}`);
+  }
 
-    const camera = mode === 'constellation'
-      ? { lat: observer.lat, lng: observer.lng, height: 15000000 }
-      : { lat: observer.lat, lng: observer.lng, height: 10000000 };
+  const startTime = start ? new Date(start) : new Date();
+  const spanHours = Math.min(Number(hours), MAX_PASS_HOURS);
+  const endTime = new Date(startTime.getTime() + spanHours * 3600 * 1000);
+  const { pins, error: pinError } = parseSnapshotPins(req.query.tleSnapshot, [constellation]);
+  if (pinError) return sendError(res, pinError);
+
+  try {
+    const tleSet = await getConstellationTLEs(constellation, Number(maxSats), { snapshotId: pins[constellation] });
+    const observer = toObserver({ lat, lng, alt }, station);
+
+    // noradId narrows the prediction to one or a few satellites of the set
+    const passes = await computePool.run('passes', {
+      tle: { ...snapshotTask(tleSet, constellation, maxSats), ...(noradId && { noradId }) },
+      observer,
+      options: {
+        start: startTime,
+        end: endTime,
+        minElevDeg: minElev,
+        dopplerStepSec: dopplerStep
+      }
+    });
+
+    console.log(`🛰️ ${constellation}: ${passes.length} passes in ${spanHours}h`);
 
     res.json({
+      observer,
+      station,
+      constellation,
+      start: startTime.toISOString(),
+      end: endTime.toISOString(),
+      minElevDeg: minElev,
+      tle: describeTLESet(tleSet, startTime),
+      passes
+    });
+
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Eclipse intervals of each satellite, for power budgets: when it is in the
+// Earth's shadow over a window and how much of the window it spends sunlit
+app.get('/api/:constellation/eclipses', validateQuery('getEclipses'), async (req, res) => {
+  const { start, hours = 24, step = DEFAULT_ECLIPSE_STEP_SEC, maxSats = 30, noradId } = req.query;
+  const constellation = req.params.constellation;
+  const startTime = start ? new Date(start) : new Date();
+  const endTime = new Date(startTime.getTime() + Number(hours) * 3600 * 1000);
+  const stepSec = Number(step);
+  const { pins, error: pinError } = parseSnapshotPins(req.query.tleSnapshot, [constellation]);
+  if (pinError) return sendError(res, pinError);
+
+  try {
+    const tleSet = await getConstellationTLEs(constellation, Number(maxSats), { snapshotId: pins[constellation] });
+    const tle = describeTLESet(tleSet, startTime);
+    const satellites = noradId === undefined ? tleSet.tleList.length : noradIdCount(noradId);
+    const samples = satellites * Math.ceil(Number(hours) * 3600 / stepSec);
+    if (samples > MAX_ECLIPSE_SAMPLES) {
+      return sendError(res, `${satellites} satellites over ${samples / satellites} samples is too many; shorten the window, raise step or lower maxSats`);
+    }
+
+    const results = await computePool.run('eclipses', {
+      tle: { ...snapshotTask(tleSet, constellation, maxSats), ...(noradId && { noradId }) },
+      options: { start: startTime, end: endTime, stepSec }
+    });
+    if (noradId && !results.length) {
+      return sendError(res, new ApiError('NOT_FOUND', `No satellite ${noradId} in ${tle.snapshotId}`));
+    }
+    const eclipses = results.reduce((sum, sat) => sum + sat.eclipseCount, 0);
+    console.log(`🌗 ${constellation}: ${eclipses} eclipses of ${results.length} satellites in ${hours}h`);
+
+    res.json({
+      constellation,
+      start: startTime.toISOString(),
+      end: endTime.toISOString(),
+      stepSec,
+      tle,
+      satellites: results
+    });
+
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Serving satellite of one terminal stepped through a window under a
+// handover policy: timeline, handovers, outages and outage statistics
+app.get('/api/:constellation/handover', validateQuery('getHandover'), async (req, res) => {
+  const { query, station, error } = applyStation(req.query);
+  if (error) return sendError(res, error);
+  const {
+    lat = 45.42,
+    lng = -75.7,
+    alt = 100,
+    start,
+    hours = DEFAULT_HANDOVER_HOURS,
+    step = DEFAULT_HANDOVER_STEP_SEC,
+    policy = 'elevation',
+    hysteresis,
+    maxSats = 300,
+    minElevDeg
+  } = query;
+  const constellation = req.params.constellation;
+  const threshold = hysteresis !== undefined ? Number(hysteresis) : undefined;
+  const spanHours = Number(hours);
+  const stepSec = Number(step);
+
+  const startTime = start ? new Date(start) : new Date();
+  const lastTime = new Date(startTime.getTime() + spanHours * 3600 * 1000 - stepSec * 1000);
+  const evaluation = parseEvaluationTimes({ start: startTime, end: lastTime, step: stepSec });
+  if (evaluation.error) return sendError(res, evaluation.error);
+  const link = parseLinkOptions(constellation, query);
+  if (link.error) return sendError(res, link.error);
+  const { pins, error: pinError } = parseSnapshotPins(req.query.tleSnapshot, [constellation]);
+  if (pinError) return sendError(res, pinError);
+
+  try {
+    const tleSet = await getConstellationTLEs(constellation, Number(maxSats), { snapshotId: pins[constellation] });
+    const observer = toObserver({ lat, lng, alt }, station);
+
+    const result = await computePool.run('handover', {
+      tle: snapshotTask(tleSet, constellation, maxSats),
+      observer,
+      options: {
+        times: evaluation.times,
+        stepSec,
+        policy,
+        hysteresis: threshold,
+        minElevDeg: minElevDeg !== undefined ? Number(minElevDeg) : undefined,
+        link
+      }
+    });
+    // Element sets of the satellites served, so clients can draw the link
+    const served = new Set(result.timeline.map(s => s.noradId));
+    const satellites = tleSet.tleList
+      .filter(sat => served.has(sat.noradId))
+      .map(sat => ({ noradId: sat.noradId, name: sat.name, omm: sat.omm }));
+
+    console.log(`🔀 ${constellation}: ${result.statistics.handoverCount} handovers, ${result.statistics.outageCount} outages (${policy})`);
+
+    res.json({
+      observer,
+      station,
+      start: startTime.toISOString(),
+      end: new Date(startTime.getTime() + spanHours * 3600 * 1000).toISOString(),
+      tle: describeTLESet(tleSet, startTime),
+      ...result,
+      satellites
+    });
+
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Coverage along a moving terminal's track (GPX, KML or CSV body): the
+// serving satellite, link margin and handovers at each point's own time
+app.post(
+  '/api/:constellation/trajectory',
+  validateQuery('evaluateTrajectory'),
+  express.text({
+    type: ['text/*', 'application/xml', 'application/gpx+xml', 'application/vnd.google-earth.kml+xml', 'application/octet-stream'],
+    limit: '10mb'
+  }),
+  async (req, res) => {
+    const {
+      policy = 'elevation',
+      hysteresis,
+      minStepSec = DEFAULT_HANDOVER_STEP_SEC,
+      maxSats = 300,
+      minElevDeg
+    } = req.query;
+    const constellation = req.params.constellation;
+    const threshold = hysteresis !== undefined ? Number(hysteresis) : undefined;
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+      return sendError(res, new ApiError('INVALID_BODY', 'Expected a GPX, KML or CSV trajectory as the request body'));
+    }
+    const link = parseLinkOptions(constellation, req.query);
+    if (link.error) return sendError(res, link.error);
+    const { pins, error: pinError } = parseSnapshotPins(req.query.tleSnapshot, [constellation]);
+    if (pinError) return sendError(res, pinError);
+
+    let trajectory;
+    try {
+      trajectory = parseTrajectory(req.body, { minStepSec: Number(minStepSec), maxPoints: MAX_SERIES_STEPS });
+    } catch (err) {
+      return sendError(res, new ApiError('INVALID_BODY', err.message));
+    }
+
+    try {
+      const { points, format } = trajectory;
+      const startTime = points[0].time;
+      const tleSet = await getConstellationTLEs(constellation, Number(maxSats), { snapshotId: pins[constellation] });
+
+      const result = await computePool.run('trajectory', {
+        tle: snapshotTask(tleSet, constellation, maxSats),
+        observers: points.map(p => toObserver(p)),
+        options: {
+          times: points.map(p => p.time),
+          policy,
+          hysteresis: threshold,
+          minElevDeg: minElevDeg !== undefined ? Number(minElevDeg) : undefined,
+          link
+        }
+      });
+      const served = new Set(result.timeline.map(s => s.noradId));
+      const satellites = tleSet.tleList
+        .filter(sat => served.has(sat.noradId))
+        .map(sat => ({ noradId: sat.noradId, name: sat.name, omm: sat.omm }));
+
+      console.log(`🛩️ ${constellation}: ${points.length}-point ${format} track, ${result.statistics.servedPct}% served, ${result.statistics.handoverCount} handovers`);
+
+      res.json({
+        format,
+        pointCount: points.length,
+        start: startTime.toISOString(),
+        end: points[points.length - 1].time.toISOString(),
+        tle: describeTLESet(tleSet, startTime),
+        ...result,
+        satellites
+      });
+
+    } catch (err) {
+      sendError(res, err);
+    }
+  }
+);
+
+// Station, constellation and window as a file for other tools: time-dynamic
+// CZML for Cesium or KML for Google Earth, with satellite tracks, footprints,
+// access intervals and link lines
+app.get('/api/:constellation/scenario', validateQuery('exportScenario'), async (req, res) => {
+  const { query, station, error } = applyStation(req.query);
+  if (error) return sendError(res, error);
+  const {
+    lat = 45.42,
+    lng = -75.7,
+    alt = 100,
+    start,
+    hours = DEFAULT_EXPORT_HOURS,
+    step = DEFAULT_SERIES_STEP_SEC,
+    maxSats = 100,
+    minElevDeg,
+    format = 'czml'
+  } = query;
+  const constellation = req.params.constellation;
+  const spanHours = Number(hours);
+
+  const startTime = start ? new Date(start) : new Date();
+  const endTime = new Date(startTime.getTime() + spanHours * 3600 * 1000);
+  const evaluation = parseEvaluationTimes({ start: startTime, end: endTime, step });
+  if (evaluation.error) return sendError(res, evaluation.error);
+  const link = parseLinkOptions(constellation, query);
+  if (link.error) return sendError(res, link.error);
+  const { pins, error: pinError } = parseSnapshotPins(req.query.tleSnapshot, [constellation]);
+  if (pinError) return sendError(res, pinError);
+
+  try {
+    const tleSet = await getConstellationTLEs(constellation, Number(maxSats), { snapshotId: pins[constellation] });
+    const samples = tleSet.tleList.length * evaluation.times.length;
+    if (samples > MAX_EXPORT_SAMPLES) {
+      return sendError(res, `${tleSet.tleList.length} satellites over ${evaluation.times.length} epochs is too large to export; shorten the window, raise step or lower maxSats`);
+    }
+    const observer = toObserver({ lat, lng, alt }, station);
+
+    const { satelliteCount, accessCount, document } = await computePool.run('scenario', {
+      tle: snapshotTask(tleSet, constellation, maxSats),
+      observer,
+      format,
+      options: {
+        times: evaluation.times,
+        minElevDeg: minElevDeg !== undefined ? Number(minElevDeg) : undefined,
+        link,
+        stationName: station?.name || `${observer.lat}, ${observer.lng}`
+      }
+    });
+    console.log(`📦 ${constellation}: ${format.toUpperCase()} export, ${satelliteCount} satellites, ${accessCount} accesses`);
+
+    const filename = `${constellation}-${startTime.toISOString().slice(0, 16).replace(/[-:]/g, '')}.${format}`;
+    res.set('X-TLE-Snapshot', tleSet.snapshot.id).attachment(filename);
+    if (format === 'kml') {
+      res.type('application/vnd.google-earth.kml+xml').send(document);
+      return;
+    }
+    res.type('json').json(document);
+
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Coverage report of one constellation at a station: pass table,
+// availability statistics, gap histogram and link-budget summary as JSON,
+// CSV or a self-contained HTML page
+app.get('/api/:constellation/report', validateQuery('getReport'), async (req, res) => {
+  const { query, station, error } = applyStation(req.query);
+  if (error) return sendError(res, error);
+  const {
+    lat = 45.42,
+    lng = -75.7,
+    alt = 100,
+    start,
+    hours = DEFAULT_STATISTICS_HOURS,
+    step = DEFAULT_SERIES_STEP_SEC,
+    maxSats = 300,
+    minElevDeg,
+    format = 'json'
+  } = query;
+  const constellation = req.params.constellation;
+  const spanHours = Number(hours);
+  const stepSec = Number(step);
+
+  // Half-open window, as for /api/statistics
+  const startTime = start ? new Date(start) : new Date();
+  const endTime = new Date(startTime.getTime() + spanHours * 3600 * 1000);
+  const evaluation = parseEvaluationTimes({ start: startTime, end: new Date(endTime - stepSec * 1000), step: stepSec });
+  if (evaluation.error) return sendError(res, evaluation.error);
+  const link = parseLinkOptions(constellation, query);
+  if (link.error) return sendError(res, link.error);
+  const { pins, error: pinError } = parseSnapshotPins(req.query.tleSnapshot, [constellation]);
+  if (pinError) return sendError(res, pinError);
+
+  try {
+    const tleSet = await getConstellationTLEs(constellation, Number(maxSats), { snapshotId: pins[constellation] });
+    const observer = toObserver({ lat, lng, alt }, station);
+
+    const report = {
+      ...await computePool.run('report', {
+        tle: snapshotTask(tleSet, constellation, maxSats),
+        observer,
+        options: {
+          times: evaluation.times,
+          stepSec,
+          start: startTime,
+          end: endTime,
+          minElevDeg: minElevDeg !== undefined ? Number(minElevDeg) : undefined,
+          link,
+          stationName: station?.name || `${observer.lat}, ${observer.lng}`
+        }
+      }),
+      tle: describeTLESet(tleSet, startTime)
+    };
+    console.log(`📝 ${constellation}: ${format.toUpperCase()} report, ${report.passes.length} passes, ${report.availability.coveragePct}% covered`);
+
+    const filename = `${constellation}-report-${startTime.toISOString().slice(0, 16).replace(/[-:]/g, '')}.${format}`;
+    res.set('X-TLE-Snapshot', tleSet.snapshot.id).attachment(filename);
+    if (format === 'csv') res.type('csv').send(toReportCsv(report));
+    else if (format === 'html') res.type('html').send(toReportHtml(report));
+    else res.type('json').json(report);
+
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Lowest-latency path between two stations over inter-satellite links,
+// re-routed at every step of the window
+app.get('/api/:constellation/route', validateQuery('getRoute'), async (req, res) => {
+  const {
+    from,
+    to,
+    start,
+    hours = DEFAULT_ROUTE_HOURS,
+    step = DEFAULT_SERIES_STEP_SEC,
+    maxIslKm = DEFAULT_MAX_ISL_KM,
+    maxSats = DEFAULT_ROUTE_MAX_SATS
+  } = req.query;
+  const constellation = req.params.constellation;
+
+  const source = parseEndpoint(from, constellation, req.query);
+  if (source.error) return sendError(res, source.error);
+  const target = parseEndpoint(to, constellation, req.query);
+  if (target.error) return sendError(res, target.error);
+  const islKm = Number(maxIslKm);
+  const spanHours = Number(hours);
+  const stepSec = Number(step);
+
+  const startTime = start ? new Date(start) : new Date();
+  const lastTime = new Date(startTime.getTime() + spanHours * 3600 * 1000 - stepSec * 1000);
+  const evaluation = parseEvaluationTimes({ start: startTime, end: lastTime, step: stepSec });
+  if (evaluation.error) return sendError(res, evaluation.error);
+  if (evaluation.times.length > MAX_ROUTE_STEPS) {
+    return sendError(res, `Route of ${evaluation.times.length} steps exceeds the limit of ${MAX_ROUTE_STEPS}`);
+  }
+  const { pins, error: pinError } = parseSnapshotPins(req.query.tleSnapshot, [constellation]);
+  if (pinError) return sendError(res, pinError);
+
+  try {
+    const tleSet = await getConstellationTLEs(constellation, Number(maxSats), { snapshotId: pins[constellation] });
+    const result = await computePool.run('route', {
+      tle: snapshotTask(tleSet, constellation, maxSats),
+      from: source.endpoint,
+      to: target.endpoint,
+      options: { times: evaluation.times, maxIslKm: islKm }
+    });
+
+    // Element sets of the satellites on any path, so clients can draw the route
+    const used = new Set(result.samples.flatMap(sample => sample.path.map(node => node.noradId)));
+    const satellites = tleSet.tleList
+      .filter(sat => used.has(sat.noradId))
+      .map(sat => ({ noradId: sat.noradId, name: sat.name, omm: sat.omm }));
+
+    console.log(`🕸️ ${constellation}: ${source.endpoint.name} → ${target.endpoint.name}, ${result.statistics.reachablePct}% reachable, mean ${result.statistics.meanLatencyMs} ms`);
+
+    res.json({
+      from: { name: source.endpoint.name, ...source.endpoint.observer },
+      to: { name: target.endpoint.name, ...target.endpoint.observer },
+      start: startTime.toISOString(),
+      end: new Date(startTime.getTime() + spanHours * 3600 * 1000).toISOString(),
+      step: stepSec,
+      maxIslKm: islKm,
+      tle: describeTLESet(tleSet, startTime),
+      ...result,
+      satellites
+    });
+
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+app.get('/api/constellation-view', validateQuery('getConstellationView'), async (req, res) => {
+  const { query, station, error: stationError } = applyStation(req.query);
+  if (stationError) return sendError(res, stationError);
+  const {
+    constellation = 'iridium',
+    lat = 45.42,
+    lng = -75.7,
+    alt = 100,
+    maxSats = 300,
+    minElevDeg,
+    mode = 'station' // station | constellation
+  } = query;
+
+  const observer = toObserver({ lat, lng, alt }, station);
+
+  const evaluation = parseEvaluationTimes(req.query);
+  if (evaluation.error) return sendError(res, evaluation.error);
+
+  try {
+    const { keys: constellations, error } = viewConstellations(req.query);
+    if (error) return sendError(res, error);
+
+    // A terminal only fits one constellation, so multi-constellation views use each one's default
+    const linkQuery = constellations.length > 1 ? { ...query, terminal: undefined } : query;
+    const { pins, error: pinError } = parseSnapshotPins(req.query.tleSnapshot, constellations);
+    if (pinError) return sendError(res, pinError);
+    const tles = [];
+    const links = {};
+    const tle = {};
+    let satelliteCount = 0;
+    for (const name of constellations) {
+      const link = parseLinkOptions(name, linkQuery);
+      if (link.error) return sendError(res, link.error);
+      const tleSet = await getConstellationTLEs(name, Number(maxSats), { snapshotId: pins[name] });
+      tle[name] = describeTLESet(tleSet, evaluation.times[0]);
+      tles.push(snapshotTask(tleSet, name, maxSats));
+      links[name] = link;
+      satelliteCount += tleSet.tleList.length;
+    }
+    if (satelliteCount * evaluation.times.length > MAX_SERIES_SAMPLES) {
+      return sendError(res, `${satelliteCount} satellites over ${evaluation.times.length} epochs is too large a series; shorten the window, raise step or lower maxSats`);
+    }
+
+    // Station mode shows only the satellites available to the station
+    const snapshots = (await computePool.run('snapshots', {
+      tles,
+      observer,
+      options: {
+        times: evaluation.times,
+        links,
+        minElevDeg: minElevDeg !== undefined ? Number(minElevDeg) : undefined,
+        includeElements: true,
+        availableOnly: mode === 'station'
+      }
+    })).map(({ time, satellites }) => ({ time, subsolarPoint: subsolarPoint(new Date(time)), satellites }));
+
+    const view = {
       mode,
       observer,
+      station,
       constellation,
+      constellations,
+      tle,
       showCoverage: true,
-      camera,
-      satellites: filtered
-    });
+      camera: viewCamera(mode, observer)
+    };
+
+    if (evaluation.series) {
+      return res.json({ ...view, ...seriesWindow(evaluation), series: snapshots });
+    }
+
+    res.json({ ...view, ...snapshots[0] });
 
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: err.message });
+    sendError(res, err);
   }
 });
 
+// Live updates over Server-Sent Events. Dashboards subscribing with the same
+// station, constellations and filters share one channel of the live hub,
+// and all channels share one propagation loop.
+const liveHub = createLiveHub();
+
+app.get('/api/stream', validateQuery('streamLive'), (req, res) => {
+  const { query, station, error: stationError } = applyStation(req.query);
+  if (stationError) return sendError(res, stationError);
+  const { lat = 45.42, lng = -75.7, alt = 100, maxSats = 300, mode = 'station', minElevDeg } = query;
+
+  const observer = toObserver({ lat, lng, alt }, station);
+  const sats = Number(maxSats);
+  const minElev = minElevDeg !== undefined ? Number(minElevDeg) : undefined;
+
+  const { keys: constellations, error } = viewConstellations(req.query);
+  if (error) return sendError(res, error);
+
+  // A terminal only fits one constellation, so multi-constellation views use each one's default
+  const linkQuery = constellations.length > 1 ? { ...query, terminal: undefined } : query;
+  const links = {};
+  for (const name of constellations) {
+    const link = parseLinkOptions(name, linkQuery);
+    if (link.error) return sendError(res, link.error);
+    links[name] = link;
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  const camera = viewCamera(mode, observer);
+  const send = (event, data) => {
+    const payload = event === 'snapshot' ? { ...data, station, camera } : data;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+  };
+  const unsubscribe = liveHub.subscribe(
+    { constellations: [...constellations].sort(), observer, mode, maxSats: sats, minElevDeg: minElev, links },
+    send
+  );
+  // Comment lines keep proxies from closing an idle stream
+  const keepAlive = setInterval(() => res.write(': keepalive\n\n'), 15000);
+
+  console.log(`📡 Live subscriber: ${constellations.join(', ')} (${mode})`);
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    unsubscribe();
+  });
+});
+
+app.get('/api/stream/channels', (req, res) => {
+  res.json(liveHub.status());
+});
+
+app.get('/api/compute/status', (req, res) => {
+  res.json(computePool.status());
+});
+
+app.use('/api', (req, res) => {
+  sendError(res, new ApiError('NOT_FOUND', `No API route for ${req.method} ${req.originalUrl.split('?')[0]}`));
+});
+
 // Catch-all for SPA routing
 app.get(/.*/, (req, res) => {
   res.sendFile(path.resolve(__dirname, '../client/dist/index.html'));
 });
 
+// Validation failures, body-parser errors and anything thrown by a route
+app.use((err, req, res, next) => sendError(res, err));
+
 // Start server
 app.listen(PORT, () => console.log(`Server listening on port ${PORT}`));
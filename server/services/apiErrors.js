@@ -0,0 +1,49 @@
+// Errors with a machine-readable code. Services and routes throw them; the
+// API answers every error as
+//   { error: <message>, code: <CODE>, details?: [...] }
+// with the code's HTTP status. Errors without a code are internal (500).
+const ERROR_STATUS = {
+  INVALID_PARAMETER: 400, // query string values
+  INVALID_BODY: 400, // uploads and JSON bodies
+  NOT_FOUND: 404, // stations, snapshots and unknown API paths
+  UNKNOWN_CONSTELLATION: 404,
+  PAYLOAD_TOO_LARGE: 413,
+  TLE_UNAVAILABLE: 503, // no element sets to serve: fetch failed and nothing stored
+  INTERNAL_ERROR: 500
+};
+
+class ApiError extends Error {
+  constructor(code, message, details) {
+    super(message);
+    this.name = 'ApiError';
+    this.code = code;
+    if (details !== undefined) this.details = details;
+  }
+
+  get status() {
+    return ERROR_STATUS[this.code] ?? 500;
+  }
+}
+
+// Status and body for anything a route may fail with: an ApiError, a
+// string (a bad parameter), a body-parser error or an unexpected Error
+function errorResponse(err) {
+  if (typeof err === 'string') err = new ApiError('INVALID_PARAMETER', err);
+  if (ERROR_STATUS[err.code]) {
+    const body = { error: err.message, code: err.code };
+    if (err.details !== undefined) body.details = err.details;
+    return { status: ERROR_STATUS[err.code], body };
+  }
+  // body-parser: malformed JSON, unsupported charset, oversized bodies
+  if (err.type && err.status >= 400 && err.status < 500) {
+    const code = err.status === 413 ? 'PAYLOAD_TOO_LARGE' : 'INVALID_BODY';
+    return { status: ERROR_STATUS[code], body: { error: err.message, code } };
+  }
+  return { status: 500, body: { error: err.message || 'Internal error', code: 'INTERNAL_ERROR' } };
+}
+
+module.exports = {
+  ERROR_STATUS,
+  ApiError,
+  errorResponse
+};
@@ -0,0 +1,432 @@
+const { getConstellation, listConstellations } = require('./constellationRegistry');
+const { DEFAULT_BBOX, GRID_METRICS } = require('./coverageGrid');
+const { HANDOVER_POLICIES } = require('./handoverSimulation');
+const { DEFAULT_MAX_ISL_KM } = require('./networkGraph');
+const { ApiError, ERROR_STATUS } = require('./apiErrors');
+const { DEFAULT_ECLIPSE_STEP_SEC } = require('./eclipse');
+
+// The HTTP API described once: query parameters with their types, ranges and
+// defaults, and the operations using them. Requests are validated against
+// it before a route runs, and GET /api/openapi.json is built from it.
+
+const MAX_PASS_HOURS = 7 * 24;
+const DEFAULT_DOPPLER_STEP_SEC = 10;
+const DEFAULT_HANDOVER_HOURS = 2;
+const DEFAULT_HANDOVER_STEP_SEC = 10;
+const DEFAULT_ROUTE_HOURS = 0.5;
+const DEFAULT_ROUTE_MAX_SATS = 10000; // inter-satellite links need whole shells
+const DEFAULT_SERIES_STEP_SEC = 60;
+const MAX_SERIES_STEPS = 1440;
+const MIN_GRID_RESOLUTION_DEG = 0.1;
+const DEFAULT_STATISTICS_HOURS = 24;
+const DEFAULT_EXPORT_HOURS = 2;
+const MAX_SATS_LIMIT = 50000;
+const DEFAULT_FOOTPRINT_VERTICES = 72;
+
+// JSON Schema of each query parameter (OpenAPI 3.1 dialect). Operations
+// list the ones they read and may override `default` and the bounds.
+const PARAMETERS = {
+  stationId: { type: 'string', description: 'Stored ground station; its position, masks and terminals replace lat/lng/alt' },
+  lat: { type: 'number', minimum: -90, maximum: 90, default: 45.42, description: 'Station latitude (°)' },
+  lng: { type: 'number', minimum: -180, maximum: 180, default: -75.7, description: 'Station longitude (°)' },
+  alt: { type: 'number', minimum: -500, maximum: 100000, default: 100, description: 'Station altitude above the ellipsoid (m)' },
+  maxSats: { type: 'integer', minimum: 1, maximum: MAX_SATS_LIMIT, description: 'Use at most this many satellites of the element set' },
+  minElevDeg: { type: 'number', minimum: 0, maximum: 90, description: "Elevation mask (°); the station's or constellation's by default" },
+  time: { type: 'string', format: 'date-time', description: 'Evaluation time; now by default' },
+  start: { type: 'string', format: 'date-time', description: 'Window start; now by default' },
+  end: { type: 'string', format: 'date-time', description: 'Series end (with start and step)' },
+  step: { type: 'number', exclusiveMinimum: 0, default: DEFAULT_SERIES_STEP_SEC, description: 'Time step (s)' },
+  hours: { type: 'number', exclusiveMinimum: 0, description: 'Window length (h)' },
+  tleSnapshot: { type: 'string', description: 'Pin stored TLE snapshots by id, comma-separated, one per constellation' },
+  constellation: { type: 'string', default: 'iridium', description: 'Constellation key' },
+  constellations: { type: 'string', description: 'Comma-separated constellation keys' },
+  mode: { type: 'string', enum: ['station', 'constellation'], default: 'station', description: 'station: satellites available to the station; constellation: every satellite' },
+  terminal: { type: 'string', description: "Terminal profile id; the station's or the constellation's default otherwise" },
+  requiredEbN0Db: { type: 'number', description: "Required Eb/N0 (dB), overriding the constellation's" },
+  rainRate: { type: 'number', minimum: 0, maximum: 500, description: 'Rain rate of a rain event (mm/h)' },
+  p: { type: 'number', minimum: 0.001, maximum: 5, description: 'Exceedance percentage of an average year for the rain fade' },
+  r001: { type: 'number', minimum: 0, maximum: 500, description: 'Rain rate exceeded 0.01% of the year (mm/h), overriding P.837' },
+  format: { type: 'string', description: 'Response format' },
+  policy: { type: 'string', enum: Object.keys(HANDOVER_POLICIES), default: 'elevation', description: 'Serving-satellite policy' },
+  hysteresis: { type: 'number', minimum: 0, description: "Advantage a candidate needs before a handover, in the policy's unit (°, s or dB)" },
+  elevationDeg: { type: 'number', minimum: 5, maximum: 90, description: 'Elevation the availability is computed at (°)' },
+  south: { type: 'number', minimum: -90, maximum: 90, default: DEFAULT_BBOX.south },
+  west: { type: 'number', minimum: -180, maximum: 180, default: DEFAULT_BBOX.west },
+  north: { type: 'number', minimum: -90, maximum: 90, default: DEFAULT_BBOX.north },
+  east: { type: 'number', minimum: -180, maximum: 180, default: DEFAULT_BBOX.east },
+  resolutionDeg: { type: 'number', minimum: MIN_GRID_RESOLUTION_DEG, default: 1, description: 'Grid cell size (°)' },
+  metric: { type: 'string', enum: Object.keys(GRID_METRICS), default: 'availableCount', description: 'Metric rendered in PNG output' },
+  minSatellites: { type: 'integer', minimum: 1, default: 1, description: 'Satellites needed for the station to count as covered' },
+  noradId: { type: 'string', description: 'Only this catalog number, or these comma-separated ones' },
+  beams: { type: 'boolean', default: false, description: "Add the constellation's spot-beam cells" },
+  vertices: { type: 'integer', minimum: 8, maximum: 360, default: DEFAULT_FOOTPRINT_VERTICES, description: 'Vertices per footprint polygon' },
+  dopplerStepSec: { type: 'number', minimum: 0, default: DEFAULT_DOPPLER_STEP_SEC, description: 'Doppler curve step (s); 0 leaves the curves out' },
+  minStepSec: { type: 'number', minimum: 0, default: DEFAULT_HANDOVER_STEP_SEC, description: 'Drop track points closer than this (s)' },
+  from: { type: 'string', description: 'Station id or lat,lng[,alt]' },
+  to: { type: 'string', description: 'Station id or lat,lng[,alt]' },
+  maxIslKm: { type: 'number', exclusiveMinimum: 0, default: DEFAULT_MAX_ISL_KM, description: 'Longest inter-satellite link (km)' },
+  source: { type: 'string', default: 'upload', description: 'Source recorded on the snapshot' }
+};
+
+const STATION = ['stationId', 'lat', 'lng', 'alt'];
+const LINK = ['terminal', 'requiredEbN0Db', 'rainRate', 'p', 'r001'];
+const EVALUATION = ['time', 'start', 'end', 'step'];
+
+// Operations by id. `query` names PARAMETERS, or [name, overrides].
+const OPERATIONS = {
+  listStations: { method: 'get', path: '/api/stations', tag: 'stations', summary: 'Stored ground stations' },
+  getStation: { method: 'get', path: '/api/stations/{id}', tag: 'stations', summary: 'One ground station' },
+  createStation: { method: 'post', path: '/api/stations', tag: 'stations', summary: 'Add a ground station', body: 'station', status: 201 },
+  updateStation: { method: 'put', path: '/api/stations/{id}', tag: 'stations', summary: 'Update a ground station', body: 'station' },
+  setHorizonMask: {
+    method: 'put',
+    path: '/api/stations/{id}/horizon-mask',
+    tag: 'stations',
+    summary: "Replace a station's horizon mask (azimuth,elevation CSV lines or a JSON point list)",
+    body: 'text'
+  },
+  deleteStation: { method: 'delete', path: '/api/stations/{id}', tag: 'stations', summary: 'Delete a ground station', status: 204 },
+  listConstellations: { method: 'get', path: '/api/constellations', tag: 'registry', summary: 'Constellation registry' },
+  listTerminals: { method: 'get', path: '/api/terminals', tag: 'registry', summary: 'Terminal profiles' },
+  listTleSnapshots: {
+    method: 'get',
+    path: '/api/tle/snapshots',
+    tag: 'tle',
+    summary: 'Stored TLE snapshots',
+    query: [['constellation', { default: undefined }]]
+  },
+  getTleSnapshot: { method: 'get', path: '/api/tle/snapshots/{id}', tag: 'tle', summary: 'One TLE snapshot with its rejected records' },
+  importTle: {
+    method: 'post',
+    path: '/api/{constellation}/tle',
+    tag: 'tle',
+    summary: 'Import TLE/3LE text or OMM JSON/XML/CSV as a new snapshot',
+    query: ['source'],
+    body: 'text',
+    status: 201
+  },
+  getCoverage: {
+    method: 'get',
+    path: '/api/{constellation}/coverage',
+    tag: 'coverage',
+    summary: 'Satellites and link budgets seen from a station, at one time or over a series',
+    query: [...STATION, ['maxSats', { default: 30 }], 'minElevDeg', ...EVALUATION, ...LINK, 'tleSnapshot']
+  },
+  getAvailability: {
+    method: 'get',
+    path: '/api/{constellation}/availability',
+    tag: 'coverage',
+    summary: 'Annual link availability at a station (ITU-R rain fade)',
+    query: [...STATION, 'elevationDeg', 'minElevDeg', ...LINK]
+  },
+  getCoverageGrid: {
+    method: 'get',
+    path: '/api/{constellation}/coverage-grid',
+    tag: 'coverage',
+    summary: 'Coverage over a lat/lng grid as GeoJSON or a PNG raster',
+    query: [
+      'south', 'west', 'north', 'east', 'resolutionDeg', ['alt', { default: 0 }], ['maxSats', { default: 300 }], 'minElevDeg',
+      ['format', { enum: ['geojson', 'png'], default: 'geojson' }], 'metric', ...EVALUATION, ...LINK, 'tleSnapshot'
+    ],
+    produces: ['application/geo+json', 'image/png']
+  },
+  getFootprints: {
+    method: 'get',
+    path: '/api/{constellation}/footprints',
+    tag: 'coverage',
+    summary: 'Footprint and spot-beam polygons on the WGS-84 ellipsoid as GeoJSON',
+    query: ['time', ['maxSats', { default: 30 }], 'noradId', 'minElevDeg', 'beams', 'vertices', 'tleSnapshot'],
+    produces: ['application/geo+json']
+  },
+  getStatistics: {
+    method: 'get',
+    path: '/api/statistics',
+    tag: 'coverage',
+    summary: 'Side-by-side service statistics of several constellations at one station',
+    query: [
+      ...STATION, ['constellations', { default: 'iridium,starlink' }], 'start', ['hours', { default: DEFAULT_STATISTICS_HOURS }], 'step',
+      'minSatellites', ['maxSats', { default: 300 }], 'minElevDeg', ...LINK, 'tleSnapshot'
+    ]
+  },
+  getPasses: {
+    method: 'get',
+    path: '/api/{constellation}/passes',
+    tag: 'passes',
+    summary: 'Pass predictions with Doppler curves',
+    query: [
+      ...STATION, 'start', ['hours', { default: 24, description: `Window length (h), at most ${MAX_PASS_HOURS}` }], 'minElevDeg',
+      ['maxSats', { default: 30 }], 'noradId', 'dopplerStepSec', 'tleSnapshot'
+    ]
+  },
+  getEclipses: {
+    method: 'get',
+    path: '/api/{constellation}/eclipses',
+    tag: 'passes',
+    summary: "Eclipse intervals in the Earth's shadow, with sunlit share, per satellite",
+    query: [
+      'start', ['hours', { default: 24, maximum: MAX_PASS_HOURS }], ['step', { default: DEFAULT_ECLIPSE_STEP_SEC }],
+      ['maxSats', { default: 30 }], 'noradId', 'tleSnapshot'
+    ]
+  },
+  getHandover: {
+    method: 'get',
+    path: '/api/{constellation}/handover',
+    tag: 'handover',
+    summary: 'Serving satellite, handovers and outages of one terminal under a handover policy',
+    query: [
+      ...STATION, 'start', ['hours', { default: DEFAULT_HANDOVER_HOURS }], ['step', { default: DEFAULT_HANDOVER_STEP_SEC }],
+      'policy', 'hysteresis', ['maxSats', { default: 300 }], 'minElevDeg', ...LINK, 'tleSnapshot'
+    ]
+  },
+  evaluateTrajectory: {
+    method: 'post',
+    path: '/api/{constellation}/trajectory',
+    tag: 'handover',
+    summary: "Handover simulation along a moving terminal's GPX, KML or CSV track",
+    query: ['policy', 'hysteresis', 'minStepSec', ['maxSats', { default: 300 }], 'minElevDeg', ...LINK, 'tleSnapshot'],
+    body: 'text'
+  },
+  exportScenario: {
+    method: 'get',
+    path: '/api/{constellation}/scenario',
+    tag: 'export',
+    summary: 'Station, constellation and window as CZML (Cesium) or KML (Google Earth)',
+    query: [
+      ...STATION, 'start', ['hours', { default: DEFAULT_EXPORT_HOURS }], 'step', ['maxSats', { default: 100 }], 'minElevDeg',
+      ['format', { enum: ['czml', 'kml'], default: 'czml' }], ...LINK, 'tleSnapshot'
+    ],
+    produces: ['application/json', 'application/vnd.google-earth.kml+xml']
+  },
+  getReport: {
+    method: 'get',
+    path: '/api/{constellation}/report',
+    tag: 'export',
+    summary: 'Coverage report: passes, availability, gaps and link budget',
+    query: [
+      ...STATION, 'start', ['hours', { default: DEFAULT_STATISTICS_HOURS, maximum: MAX_PASS_HOURS }], 'step',
+      ['maxSats', { default: 300 }], 'minElevDeg', ['format', { enum: ['json', 'csv', 'html'], default: 'json' }], ...LINK, 'tleSnapshot'
+    ],
+    produces: ['application/json', 'text/csv', 'text/html']
+  },
+  getRoute: {
+    method: 'get',
+    path: '/api/{constellation}/route',
+    tag: 'network',
+    summary: 'Lowest-latency path between two stations over inter-satellite links',
+    query: [
+      ['from', { required: true }], ['to', { required: true }], 'start', ['hours', { default: DEFAULT_ROUTE_HOURS }], 'step',
+      'maxIslKm', ['maxSats', { default: DEFAULT_ROUTE_MAX_SATS }], 'minElevDeg', ...LINK, 'tleSnapshot'
+    ]
+  },
+  getConstellationView: {
+    method: 'get',
+    path: '/api/constellation-view',
+    tag: 'globe',
+    summary: 'Satellites with element sets for the globe, at one time or over a series',
+    query: [...STATION, 'constellation', 'constellations', 'mode', ['maxSats', { default: 300 }], 'minElevDeg', ...EVALUATION, ...LINK, 'tleSnapshot']
+  },
+  streamLive: {
+    method: 'get',
+    path: '/api/stream',
+    tag: 'live',
+    summary: 'Live updates as Server-Sent Events (snapshot, enter, leave, availability, state)',
+    query: [...STATION, 'constellation', 'constellations', 'mode', ['maxSats', { default: 300 }], 'minElevDeg', ...LINK],
+    produces: ['text/event-stream']
+  },
+  listStreamChannels: { method: 'get', path: '/api/stream/channels', tag: 'live', summary: 'Live channels and their subscribers' },
+  getComputeStatus: { method: 'get', path: '/api/compute/status', tag: 'live', summary: 'Worker pool size and load' },
+  getOpenApi: { method: 'get', path: '/api/openapi.json', tag: 'meta', summary: 'This document' }
+};
+
+// Resolved schemas of an operation's query parameters, by name
+function querySchemas(operationId) {
+  const operation = OPERATIONS[operationId];
+  if (!operation) throw new Error(`Unknown API operation: ${operationId}`);
+  return Object.fromEntries((operation.query || []).map(entry => {
+    const [name, overrides] = Array.isArray(entry) ? entry : [entry, {}];
+    return [name, { ...PARAMETERS[name], ...overrides }];
+  }));
+}
+
+function checkValue(value, schema) {
+  if (Array.isArray(value) || typeof value === 'object') return 'must be given once';
+  if (schema.type === 'number' || schema.type === 'integer') {
+    const n = Number(value);
+    if (value.trim() === '' || !Number.isFinite(n)) return 'must be a number';
+    if (schema.type === 'integer' && !Number.isInteger(n)) return 'must be an integer';
+    if (schema.minimum !== undefined && n < schema.minimum) return `must be at least ${schema.minimum}`;
+    if (schema.exclusiveMinimum !== undefined && n <= schema.exclusiveMinimum) return `must be greater than ${schema.exclusiveMinimum}`;
+    if (schema.maximum !== undefined && n > schema.maximum) return `must be at most ${schema.maximum}`;
+    return null;
+  }
+  if (schema.type === 'boolean') return value === 'true' || value === 'false' ? null : 'must be true or false';
+  if (schema.enum && !schema.enum.includes(value)) return `must be one of ${schema.enum.join(', ')}`;
+  if (schema.format === 'date-time' && Number.isNaN(Date.parse(value))) return 'must be an ISO 8601 date-time';
+  return null;
+}
+
+// Problems with a request's query string: [{ parameter, message }]. Unknown
+// parameters are ignored.
+function queryProblems(operationId, query) {
+  const problems = [];
+  for (const [name, schema] of Object.entries(querySchemas(operationId))) {
+    const value = query[name];
+    if (value === undefined) {
+      if (schema.required) problems.push({ parameter: name, message: 'is required' });
+      continue;
+    }
+    const message = checkValue(value, schema);
+    if (message) problems.push({ parameter: name, message });
+  }
+  return problems;
+}
+
+// First key of the operation's `constellation` or `constellations` (comma-
+// separated) parameter that is not in the registry; prototype names such as
+// `constructor` are not registry keys
+function unknownConstellation(operationId, query) {
+  const schemas = querySchemas(operationId);
+  const keys = [];
+  if (schemas.constellation && query.constellation !== undefined) keys.push(query.constellation);
+  if (schemas.constellations && query.constellations !== undefined) {
+    keys.push(...query.constellations.split(',').map(k => k.trim()).filter(Boolean));
+  }
+  return keys.find(key => !getConstellation(key));
+}
+
+// Express middleware rejecting requests whose query breaks the schema (400)
+// or names a constellation the registry does not have (404)
+function validateQuery(operationId) {
+  querySchemas(operationId);
+  return (req, res, next) => {
+    const problems = queryProblems(operationId, req.query);
+    if (problems.length) {
+      const summary = problems.map(p => `${p.parameter} ${p.message}`).join('; ');
+      return next(new ApiError('INVALID_PARAMETER', `Invalid query: ${summary}`, problems));
+    }
+    const unknown = unknownConstellation(operationId, req.query);
+    if (unknown !== undefined) return next(new ApiError('UNKNOWN_CONSTELLATION', `Unknown constellation: ${unknown}`));
+    next();
+  };
+}
+
+// ---- OpenAPI ----
+
+const ERROR_RESPONSES = {
+  400: 'BadRequest',
+  404: 'NotFound',
+  503: 'TleUnavailable'
+};
+
+const STATION_SCHEMA = {
+  type: 'object',
+  required: ['name', 'lat', 'lng'],
+  properties: {
+    name: { type: 'string' },
+    lat: { type: 'number', minimum: -90, maximum: 90 },
+    lng: { type: 'number', minimum: -180, maximum: 180 },
+    alt: { type: 'number', description: 'm' },
+    minElevDeg: { type: ['number', 'null'], minimum: 0, maximum: 90 },
+    terminals: { type: 'object', additionalProperties: { type: 'string' }, description: 'Terminal id per constellation' },
+    horizonMask: {
+      type: 'array',
+      items: { type: 'object', properties: { azimuthDeg: { type: 'number' }, elevationDeg: { type: 'number' } } }
+    }
+  }
+};
+
+const constellationSchema = () => ({ type: 'string', enum: listConstellations().map(c => c.key) });
+
+function openApiParameters(operationId, operation) {
+  const parameters = [];
+  for (const name of operation.path.match(/\{(\w+)\}/g) || []) {
+    const key = name.slice(1, -1);
+    parameters.push({
+      name: key,
+      in: 'path',
+      required: true,
+      schema: key === 'constellation' ? constellationSchema() : { type: 'string' }
+    });
+  }
+  for (const [name, { required, description, ...query }] of Object.entries(querySchemas(operationId))) {
+    const schema = name === 'constellation' ? { ...query, ...constellationSchema() } : query;
+    if (schema.default === undefined) delete schema.default;
+    parameters.push({ name, in: 'query', ...(required && { required }), ...(description && { description }), schema });
+  }
+  return parameters;
+}
+
+function openApiOperation(operationId, operation) {
+  const status = operation.status || 200;
+  const produces = operation.produces || ['application/json'];
+  const responses = {
+    [status]: status === 204
+      ? { description: 'Done' }
+      : { description: operation.summary, content: Object.fromEntries(produces.map(type => [type, { schema: {} }])) }
+  };
+  const errors = [];
+  if (operation.query || operation.body) errors.push(400);
+  if (operation.path.includes('{')) errors.push(404);
+  if (operation.path.includes('{constellation}') || (operation.query || []).includes('tleSnapshot')) errors.push(503);
+  for (const code of errors) responses[code] = { $ref: `#/components/responses/${ERROR_RESPONSES[code]}` };
+
+  const spec = { operationId, summary: operation.summary, tags: [operation.tag], parameters: openApiParameters(operationId, operation) };
+  if (operation.body === 'station') {
+    spec.requestBody = { required: true, content: { 'application/json': { schema: { $ref: '#/components/schemas/Station' } } } };
+  } else if (operation.body === 'text') {
+    spec.requestBody = { required: true, content: { 'text/plain': { schema: { type: 'string' } } } };
+  }
+  return { ...spec, responses };
+}
+
+function buildOpenApi({ version = '1.0.0' } = {}) {
+  const paths = {};
+  for (const [operationId, operation] of Object.entries(OPERATIONS)) {
+    paths[operation.path] = { ...paths[operation.path], [operation.method]: openApiOperation(operationId, operation) };
+  }
+  const error = description => ({ description, content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } });
+
+  return {
+    openapi: '3.1.0',
+    info: { title: 'Satellite constellation coverage API', version },
+    paths,
+    components: {
+      schemas: {
+        Error: {
+          type: 'object',
+          required: ['error', 'code'],
+          properties: {
+            error: { type: 'string', description: 'Human-readable message' },
+            code: { type: 'string', enum: Object.keys(ERROR_STATUS) },
+            details: { description: 'Per-parameter problems ({ parameter, message }) or rejected records' }
+          }
+        },
+        Station: STATION_SCHEMA
+      },
+      responses: {
+        BadRequest: error('Invalid parameter or body (INVALID_PARAMETER, INVALID_BODY)'),
+        NotFound: error('Unknown constellation, station or snapshot (UNKNOWN_CONSTELLATION, NOT_FOUND)'),
+        TleUnavailable: error('No element sets available: the fetch failed and nothing is stored (TLE_UNAVAILABLE)')
+      }
+    }
+  };
+}
+
+module.exports = {
+  MAX_PASS_HOURS,
+  DEFAULT_DOPPLER_STEP_SEC,
+  DEFAULT_HANDOVER_HOURS,
+  DEFAULT_HANDOVER_STEP_SEC,
+  DEFAULT_ROUTE_HOURS,
+  DEFAULT_ROUTE_MAX_SATS,
+  DEFAULT_SERIES_STEP_SEC,
+  MAX_SERIES_STEPS,
+  MIN_GRID_RESOLUTION_DEG,
+  DEFAULT_STATISTICS_HOURS,
+  DEFAULT_EXPORT_HOURS,
+  DEFAULT_FOOTPRINT_VERTICES,
+  OPERATIONS,
+  queryProblems,
+  validateQuery,
+  buildOpenApi
+};
@@ -0,0 +1,308 @@
+// Slant-path propagation impairments for an earth-space link:
+//  - ITU-R P.838-3 specific rain attenuation coefficients
+//  - ITU-R P.618-13 §2.2.1.1 rain attenuation (event or exceedance)
+//  - ITU-R P.676 Annex 2 gaseous absorption (approximate, 1-350 GHz)
+//  - ITU-R P.618-13 §2.4.1 tropospheric scintillation
+// Everything runs offline: the P.837 rain-rate and P.839 rain-height maps are
+// replaced by latitude parametrisations, and callers can override both.
+
+const MIN_ELEV_DEG = 5; // P.618 methods are only valid above 5°
+const MIN_P = 0.001;
+const MAX_P = 5;
+
+// Standard surface atmosphere (P.835 mean annual reference)
+const DEFAULT_SURFACE = {
+  pressureHpa: 1013.25,
+  temperatureC: 15,
+  waterVapourGm3: 7.5,
+  humidityPct: 60
+};
+
+// Zonal approximation of the P.837-7 R0.01 map (mm/h exceeded 0.01% of an
+// average year) at band centres, interpolated by |latitude|. Site-specific
+// values should be supplied through r001 when known.
+const P837_ZONAL_R001 = [
+  [0, 95], [10, 85], [20, 70], [30, 55], [40, 40],
+  [50, 30], [60, 22], [70, 12], [80, 6], [90, 4]
+];
+
+// P.838-3 regression coefficients for log10(k) and alpha
+const P838 = {
+  kH: {
+    a: [-5.33980, -0.35351, -0.23789, -0.94158],
+    b: [-0.10008, 1.26970, 0.86036, 0.64552],
+    c: [1.13098, 0.45400, 0.15354, 0.16817],
+    m: -0.18961, k: 0.71147
+  },
+  kV: {
+    a: [-3.80595, -3.44965, -0.39902, 0.50167],
+    b: [0.56934, -0.22911, 0.73042, 1.07319],
+    c: [0.81061, 0.51059, 0.11899, 0.27195],
+    m: -0.16398, k: 0.63297
+  },
+  alphaH: {
+    a: [-0.14318, 0.29591, 0.32177, -5.37610, 16.1721],
+    b: [1.82442, 0.77564, 0.63773, -0.96230, -3.29980],
+    c: [-0.55187, 0.19822, 0.13164, 1.47828, 3.43990],
+    m: 0.67849, k: -1.95537
+  },
+  alphaV: {
+    a: [-0.07771, 0.56727, -0.20238, -48.2991, 48.5833],
+    b: [2.33840, 0.95545, 1.14520, 0.791669, 0.791459],
+    c: [-0.76284, 0.54039, 0.26809, 0.116226, 0.116479],
+    m: -0.053739, k: 0.83433
+  }
+};
+
+const toRad = deg => deg * Math.PI / 180;
+const round2 = x => +x.toFixed(2);
+
+function p838Term({ a, b, c, m, k }, frequencyGHz) {
+  const lf = Math.log10(frequencyGHz);
+  const sum = a.reduce((acc, aj, j) => acc + aj * Math.exp(-(((lf - b[j]) / c[j]) ** 2)), 0);
+  return sum + m * lf + k;
+}
+
+// Specific rain attenuation coefficients; circular polarisation (tau = 45°)
+// so the polarisation/elevation cross term vanishes.
+function rainCoefficients(frequencyGHz) {
+  const kH = 10 ** p838Term(P838.kH, frequencyGHz);
+  const kV = 10 ** p838Term(P838.kV, frequencyGHz);
+  const alphaH = p838Term(P838.alphaH, frequencyGHz);
+  const alphaV = p838Term(P838.alphaV, frequencyGHz);
+
+  const k = (kH + kV) / 2;
+  const alpha = (kH * alphaH + kV * alphaV) / (2 * k);
+  return { k, alpha };
+}
+
+// Rain rate exceeded 0.01% of an average year (mm/h)
+function rainRateR001(latitudeDeg) {
+  const lat = Math.min(Math.abs(latitudeDeg), 90);
+  for (let i = 1; i < P837_ZONAL_R001.length; i++) {
+    const [lat1, r1] = P837_ZONAL_R001[i];
+    if (lat <= lat1) {
+      const [lat0, r0] = P837_ZONAL_R001[i - 1];
+      return r0 + (r1 - r0) * (lat - lat0) / (lat1 - lat0);
+    }
+  }
+  return P837_ZONAL_R001[P837_ZONAL_R001.length - 1][1];
+}
+
+// Rain height hR = h0 + 0.36 km, with the P.839-2 latitude model for the
+// 0 °C isotherm height h0
+function rainHeightKm(latitudeDeg) {
+  const lat = latitudeDeg;
+  let h0;
+  if (lat > 23) h0 = 5 - 0.075 * (lat - 23);
+  else if (lat >= -21) h0 = 5;
+  else if (lat >= -71) h0 = 5 + 0.1 * (lat + 21);
+  else h0 = 0;
+  return Math.max(h0, 0) + 0.36;
+}
+
+// Effective rain path for rain rate R (P.618 steps 2-8); returns the
+// attenuation for that rate
+function rainPathAttenuation({ frequencyGHz, elevationDeg, latitudeDeg, stationAltKm, rainRate, hR }) {
+  const theta = toRad(elevationDeg);
+  const dh = hR - stationAltKm;
+  if (dh <= 0 || rainRate <= 0) return 0;
+
+  const Ls = dh / Math.sin(theta);
+  const LG = Ls * Math.cos(theta);
+  const { k, alpha } = rainCoefficients(frequencyGHz);
+  const gammaR = k * rainRate ** alpha;
+
+  const r = 1 / (1 + 0.78 * Math.sqrt(LG * gammaR / frequencyGHz) - 0.38 * (1 - Math.exp(-2 * LG)));
+  const zeta = Math.atan2(dh, LG * r);
+  const LR = zeta > theta ? LG * r / Math.cos(theta) : dh / Math.sin(theta);
+  const chi = Math.abs(latitudeDeg) < 36 ? 36 - Math.abs(latitudeDeg) : 0;
+  const v = 1 / (1 + Math.sqrt(Math.sin(theta)) * (
+    31 * (1 - Math.exp(-(elevationDeg / (1 + chi)))) * Math.sqrt(LR * gammaR) / frequencyGHz ** 2 - 0.45
+  ));
+
+  return gammaR * LR * v;
+}
+
+// Rain attenuation exceeded p% of an average year (P.618 steps 9-10)
+function rainAttenuationExceeded({ frequencyGHz, elevationDeg, latitudeDeg, stationAltKm, p, r001, hR }) {
+  const A001 = rainPathAttenuation({ frequencyGHz, elevationDeg, latitudeDeg, stationAltKm, rainRate: r001, hR });
+  if (A001 <= 0) return 0;
+
+  const absLat = Math.abs(latitudeDeg);
+  const sinTheta = Math.sin(toRad(elevationDeg));
+  let beta = 0;
+  if (p < 1 && absLat < 36) {
+    beta = elevationDeg >= 25
+      ? -0.005 * (absLat - 36)
+      : -0.005 * (absLat - 36) + 1.8 - 4.25 * sinTheta;
+  }
+
+  const exponent = 0.655 + 0.033 * Math.log(p) - 0.045 * Math.log(A001) - beta * (1 - p) * sinTheta;
+  return A001 * (p / 0.01) ** -exponent;
+}
+
+// P.676 Annex 2 helper: rp^a rt^b exp[c(1 - rp) + d(1 - rt)]
+function phi(rp, rt, a, b, c, d) {
+  return rp ** a * rt ** b * Math.exp(c * (1 - rp) + d * (1 - rt));
+}
+
+function lineShape(f, fi) {
+  return 1 + ((f - fi) / (f + fi)) ** 2;
+}
+
+// Zenith gaseous attenuation (dB) from dry air and water vapour, P.676 Annex 2
+function zenithGaseousAttenuation(frequencyGHz, { pressureHpa, temperatureC, waterVapourGm3 }) {
+  const f = frequencyGHz;
+  const rp = pressureHpa / 1013;
+  const rt = 288 / (273 + temperatureC);
+  const rho = waterVapourGm3;
+
+  // Dry air, valid below 54 GHz (the bands modelled here)
+  const xi1 = phi(rp, rt, 0.0717, -1.8132, 0.0156, -1.6515);
+  const xi2 = phi(rp, rt, 0.5146, -4.6368, -0.1921, -5.7416);
+  const xi3 = phi(rp, rt, 0.3414, -6.5851, 0.2130, -8.5854);
+  const gammaO = (
+    7.2 * rt ** 2.8 / (f ** 2 + 0.34 * rp ** 2 * rt ** 1.6) +
+    0.62 * xi3 / ((54 - f) ** (1.16 * xi1) + 0.83 * xi2)
+  ) * f ** 2 * rp ** 2 * 1e-3;
+
+  // Water vapour
+  const eta1 = 0.955 * rp * rt ** 0.68 + 0.006 * rho;
+  const eta2 = 0.735 * rp * rt ** 0.5 + 0.0353 * rt ** 4 * rho;
+  const gammaW = (
+    3.98 * eta1 * Math.exp(2.23 * (1 - rt)) / ((f - 22.235) ** 2 + 9.42 * eta1 ** 2) * lineShape(f, 22) +
+    11.96 * eta1 * Math.exp(0.7 * (1 - rt)) / ((f - 183.31) ** 2 + 11.14 * eta1 ** 2) +
+    0.081 * eta1 * Math.exp(6.44 * (1 - rt)) / ((f - 321.226) ** 2 + 6.29 * eta1 ** 2) +
+    3.66 * eta1 * Math.exp(1.6 * (1 - rt)) / ((f - 325.153) ** 2 + 9.22 * eta1 ** 2) +
+    25.37 * eta1 * Math.exp(1.09 * (1 - rt)) / (f - 380) ** 2 +
+    17.4 * eta1 * Math.exp(1.46 * (1 - rt)) / (f - 448) ** 2 +
+    844.6 * eta1 * Math.exp(0.17 * (1 - rt)) / (f - 557) ** 2 * lineShape(f, 557) +
+    290 * eta1 * Math.exp(0.41 * (1 - rt)) / (f - 752) ** 2 * lineShape(f, 752) +
+    8.3328e4 * eta2 * Math.exp(0.99 * (1 - rt)) / (f - 1780) ** 2 * lineShape(f, 1780)
+  ) * f ** 2 * rt ** 2.5 * rho * 1e-4;
+
+  // Equivalent heights (km)
+  const t1 = 4.64 / (1 + 0.066 * rp ** -2.3) *
+    Math.exp(-(((f - 59.7) / (2.87 + 12.4 * Math.exp(-7.9 * rp))) ** 2));
+  const t2 = 0.14 * Math.exp(2.12 * rp) / ((f - 118.75) ** 2 + 0.031 * Math.exp(2.2 * rp));
+  const t3 = 0.0114 / (1 + 0.14 * rp ** -2.6) * f *
+    (-0.0247 + 0.0001 * f + 1.61e-6 * f ** 2) /
+    (1 - 0.0169 * f + 4.1e-5 * f ** 2 + 3.2e-7 * f ** 3);
+  let hO = 6.1 / (1 + 0.17 * rp ** -1.1) * (1 + t1 + t2 + t3);
+  if (f < 70) hO = Math.min(hO, 10.7 * rp ** 0.3);
+
+  const sigmaW = 1.013 / (1 + Math.exp(-8.6 * (rp - 0.57)));
+  const hW = 1.66 * (
+    1 +
+    1.39 * sigmaW / ((f - 22.235) ** 2 + 2.56 * sigmaW) +
+    3.37 * sigmaW / ((f - 183.31) ** 2 + 4.69 * sigmaW) +
+    1.58 * sigmaW / ((f - 325.1) ** 2 + 2.89 * sigmaW)
+  );
+
+  return gammaO * hO + gammaW * hW;
+}
+
+// Tropospheric scintillation fade depth exceeded p% of the time, P.618 §2.4.1
+function scintillationFade({ frequencyGHz, elevationDeg, p, antennaDiameterM, antennaEfficiency = 0.5, temperatureC, humidityPct }) {
+  const es = 6.1121 * Math.exp(17.502 * temperatureC / (temperatureC + 240.97));
+  const nWet = 3732 * humidityPct * es / (273 + temperatureC) ** 2;
+  const sigmaRef = 3.6e-3 + nWet * 1e-4;
+
+  const sinTheta = Math.sin(toRad(elevationDeg));
+  const L = 2 * 1000 / (Math.sqrt(sinTheta ** 2 + 2.35e-4) + sinTheta);
+  const dEff = Math.sqrt(antennaEfficiency) * antennaDiameterM;
+  const x = 1.22 * dEff ** 2 * (frequencyGHz / L);
+  const gArg = 3.86 * (x ** 2 + 1) ** (11 / 12) * Math.sin((11 / 6) * Math.atan(1 / x)) - 7.08 * x ** (5 / 6);
+  if (gArg <= 0) return 0;
+
+  const sigma = sigmaRef * frequencyGHz ** (7 / 12) * Math.sqrt(gArg) / sinTheta ** 1.2;
+  const lp = Math.log10(Math.min(Math.max(p, 0.01), 50));
+  const a = -0.061 * lp ** 3 + 0.072 * lp ** 2 - 1.71 * lp + 3.0;
+  return a * sigma;
+}
+
+// Full slant-path attenuation breakdown for one geometry.
+// Rain is either an event at rainRate (mm/h) or the level exceeded p% of an
+// average year; with neither it is clear sky. Scintillation uses p (1% by
+// default). Components combine as A = Ag + sqrt(Ar^2 + As^2) (P.618 §2.5).
+function computeAttenuation({
+  frequencyGHz,
+  elevationDeg,
+  latitudeDeg,
+  stationAltKm = 0,
+  antennaDiameterM = 0.5,
+  rainRate,
+  p,
+  r001,
+  surface = {}
+}) {
+  const atm = { ...DEFAULT_SURFACE, ...surface };
+  const elev = Math.max(elevationDeg, MIN_ELEV_DEG);
+  const hR = rainHeightKm(latitudeDeg);
+  const rainR001 = r001 ?? rainRateR001(latitudeDeg);
+  const pct = p !== undefined ? Math.min(Math.max(p, MIN_P), MAX_P) : undefined;
+
+  let rainDb = 0;
+  if (rainRate !== undefined) {
+    rainDb = rainPathAttenuation({ frequencyGHz, elevationDeg: elev, latitudeDeg, stationAltKm, rainRate, hR });
+  } else if (pct !== undefined) {
+    rainDb = rainAttenuationExceeded({ frequencyGHz, elevationDeg: elev, latitudeDeg, stationAltKm, p: pct, r001: rainR001, hR });
+  }
+
+  const gasDb = zenithGaseousAttenuation(frequencyGHz, atm) / Math.sin(toRad(elev));
+  const scintillationDb = scintillationFade({
+    frequencyGHz,
+    elevationDeg: elev,
+    p: pct ?? 1,
+    antennaDiameterM,
+    temperatureC: atm.temperatureC,
+    humidityPct: atm.humidityPct
+  });
+
+  return {
+    gasDb: round2(gasDb),
+    rainDb: round2(rainDb),
+    scintillationDb: round2(scintillationDb),
+    totalDb: round2(gasDb + Math.hypot(rainDb, scintillationDb)),
+    rainRateMmH: rainRate ?? null,
+    p: pct ?? null,
+    r001MmH: round2(rainR001),
+    rainHeightKm: round2(hR)
+  };
+}
+
+// Annual availability of a link with the given clear-sky margin: find the
+// percentage of time p at which rain + scintillation fade eat the margin.
+// Clamped to the P.618 validity range (95% .. 99.999%).
+function annualAvailability({ clearSkyMarginDb, ...geometry }) {
+  const fade = p => {
+    const { rainDb, scintillationDb } = computeAttenuation({ ...geometry, p });
+    return Math.hypot(rainDb, scintillationDb);
+  };
+
+  if (clearSkyMarginDb <= fade(MAX_P)) return { availabilityPct: 100 - MAX_P, bounded: 'below' };
+  if (clearSkyMarginDb >= fade(MIN_P)) return { availabilityPct: 100 - MIN_P, bounded: 'above' };
+
+  // Fade decreases monotonically with p; bisect on log(p)
+  let lo = Math.log(MIN_P);
+  let hi = Math.log(MAX_P);
+  for (let i = 0; i < 40; i++) {
+    const mid = (lo + hi) / 2;
+    if (fade(Math.exp(mid)) > clearSkyMarginDb) lo = mid;
+    else hi = mid;
+  }
+  const p = Math.exp((lo + hi) / 2);
+  return { availabilityPct: +(100 - p).toFixed(4), bounded: null };
+}
+
+module.exports = {
+  DEFAULT_SURFACE,
+  rainCoefficients,
+  rainRateR001,
+  rainHeightKm,
+  zenithGaseousAttenuation,
+  scintillationFade,
+  computeAttenuation,
+  annualAvailability
+};
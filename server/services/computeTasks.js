@@ -0,0 +1,71 @@
+const { getConstellationTLEs } = require('./tleService');
+const { evaluateConstellation, predictConstellationPasses, predictConstellationEclipses } = require('./simulationEngine');
+const { computeCoverageGrid } = require('./coverageGrid');
+const { computeCoverageStatistics } = require('./coverageStatistics');
+const { buildReport } = require('./reportGenerator');
+const { computeFootprints } = require('./footprint');
+const { simulateHandover } = require('./handoverSimulation');
+const { computeRoutes } = require('./networkGraph');
+const { buildScenario, toCzml, toKml } = require('./scenarioExport');
+
+// Heavy computations the worker pool runs off the event loop. Each names the
+// TLE snapshot to use, `tle: { constellation, snapshotId, maxSats, noradId? }`,
+// rather than carrying the element sets, so a worker loads and caches
+// snapshots and satrecs itself instead of receiving thousands of records per
+// call. `noradId` narrows the set to one satellite, or to several given
+// comma-separated.
+
+async function loadTLEs({ constellation, snapshotId, maxSats, noradId }) {
+  const { tleList } = await getConstellationTLEs(constellation, maxSats, { snapshotId });
+  if (noradId === undefined) return tleList;
+  const ids = new Set(String(noradId).split(','));
+  return tleList.filter(s => ids.has(String(s.noradId)));
+}
+
+const COMPUTE_TASKS = {
+  // Satellite states of one or more constellations at each of options.times,
+  // as [{ time, satellites }]; `links` holds each constellation's link
+  // options and availableOnly keeps the satellites the station can use
+  snapshots: async ({ tles, observer, options: { times, links, availableOnly, ...options } }) => {
+    const fleets = await Promise.all(tles.map(async tle => ({ key: tle.constellation, tleList: await loadTLEs(tle) })));
+    return times.map(time => {
+      const satellites = fleets.flatMap(({ key, tleList }) =>
+        evaluateConstellation(tleList, observer, key, { ...options, time, link: links[key] })
+      );
+      return { time: time.toISOString(), satellites: availableOnly ? satellites.filter(s => s.available) : satellites };
+    });
+  },
+  coverageGrid: async ({ tle, options }) =>
+    computeCoverageGrid(await loadTLEs(tle), tle.constellation, options),
+  passes: async ({ tle, observer, options }) =>
+    predictConstellationPasses(await loadTLEs(tle), observer, tle.constellation, options),
+  coverageStatistics: async ({ tle, observer, options }) =>
+    computeCoverageStatistics(await loadTLEs(tle), observer, tle.constellation, options),
+  report: async ({ tle, observer, options }) =>
+    buildReport(await loadTLEs(tle), observer, tle.constellation, options),
+  footprints: async ({ tle, options }) =>
+    computeFootprints(await loadTLEs(tle), tle.constellation, options),
+  eclipses: async ({ tle, options }) =>
+    predictConstellationEclipses(await loadTLEs(tle), tle.constellation, options),
+  handover: async ({ tle, observer, options }) =>
+    simulateHandover(await loadTLEs(tle), observer, tle.constellation, options),
+  // A moving terminal: one observer per time in options.times
+  trajectory: async ({ tle, observers, options }) =>
+    simulateHandover(await loadTLEs(tle), null, tle.constellation, { ...options, observers, includeSamples: true }),
+  route: async ({ tle, from, to, options }) =>
+    computeRoutes(await loadTLEs(tle), tle.constellation, from, to, options),
+  // The exported document itself, with counts for the log; the scenario
+  // never leaves the worker
+  scenario: async ({ tle, observer, format, options }) => {
+    const scenario = buildScenario(await loadTLEs(tle), observer, tle.constellation, options);
+    return {
+      satelliteCount: scenario.satellites.length,
+      accessCount: scenario.satellites.reduce((sum, sat) => sum + sat.accesses.length, 0),
+      document: format === 'kml' ? toKml(scenario) : toCzml(scenario)
+    };
+  }
+};
+
+module.exports = {
+  COMPUTE_TASKS
+};
@@ -0,0 +1,13 @@
+const { parentPort } = require('worker_threads');
+const { COMPUTE_TASKS } = require('./computeTasks');
+
+// Worker-thread side of the compute pool: runs one task per message and
+// answers with its result or error (message, and an ApiError's code and
+// details) under the same id
+parentPort.on('message', async ({ id, task, args }) => {
+  try {
+    parentPort.postMessage({ id, result: await COMPUTE_TASKS[task](args) });
+  } catch (err) {
+    parentPort.postMessage({ id, error: { message: err.message, code: err.code, details: err.details } });
+  }
+});
@@ -0,0 +1,90 @@
+const fsSync = require('fs');
+const path = require('path');
+
+const REGISTRY_PATH = process.env.CONSTELLATION_REGISTRY || path.join(__dirname, '..', 'constellations.json');
+
+const REQUIRED_FIELDS = ['label', 'celestrakGroup', 'band', 'frequencyGHz', 'minElevationDeg', 'nominalAltitudeKm', 'link', 'defaultTerminal', 'terminals'];
+const REQUIRED_LINK_FIELDS = ['eirpDbw', 'bandwidthMHz', 'dataRateMbps', 'requiredEbN0Db'];
+const REQUIRED_TERMINAL_FIELDS = ['name', 'gOverTDbK', 'pointingLossDb', 'antennaDiameterM'];
+
+// Optional spot-beam layout: rings from nadir outwards, each with a beam
+// count and an outer off-nadir angle that grows ring by ring; only the last
+// ring may leave it null to reach the footprint edge
+function beamLayoutProblems(beams) {
+  if (!Array.isArray(beams?.rings) || !beams.rings.length) return ['must list rings'];
+  const problems = [];
+  let inner = 0;
+  beams.rings.forEach((ring, i) => {
+    if (!Number.isInteger(ring.count) || ring.count < 1) problems.push(`ring ${i} count must be a positive integer`);
+    const outer = ring.outerOffNadirDeg;
+    if (outer === null) {
+      if (i !== beams.rings.length - 1) problems.push(`ring ${i} outerOffNadirDeg may only be null on the last ring`);
+    } else if (!(typeof outer === 'number' && outer > inner && outer < 90)) {
+      problems.push(`ring ${i} outerOffNadirDeg must be above ${inner} and below 90`);
+    } else {
+      inner = outer;
+    }
+    if (ring.rotationDeg !== undefined && !Number.isFinite(ring.rotationDeg)) problems.push(`ring ${i} rotationDeg must be a number`);
+  });
+  return problems;
+}
+
+// Check every entry up front so a typo in the registry fails at startup,
+// not on the first request that touches that constellation
+function validateRegistry(registry) {
+  const problems = [];
+  for (const [key, entry] of Object.entries(registry)) {
+    for (const field of REQUIRED_FIELDS) {
+      if (entry[field] === undefined) problems.push(`${key}: missing ${field}`);
+    }
+    for (const field of REQUIRED_LINK_FIELDS) {
+      if (entry.link?.[field] === undefined) problems.push(`${key}: missing link.${field}`);
+    }
+    for (const [id, terminal] of Object.entries(entry.terminals || {})) {
+      for (const field of REQUIRED_TERMINAL_FIELDS) {
+        if (terminal[field] === undefined) problems.push(`${key}: terminal ${id} missing ${field}`);
+      }
+    }
+    if (entry.terminals && !Object.hasOwn(entry.terminals, entry.defaultTerminal)) {
+      problems.push(`${key}: default terminal ${entry.defaultTerminal} is not defined`);
+    }
+    if (entry.beams !== undefined) problems.push(...beamLayoutProblems(entry.beams).map(p => `${key}: beams ${p}`));
+  }
+  if (problems.length) throw new Error(`Invalid constellation registry:\n  ${problems.join('\n  ')}`);
+  return registry;
+}
+
+function loadRegistry(filePath = REGISTRY_PATH) {
+  const registry = JSON.parse(fsSync.readFileSync(filePath, 'utf8'));
+  return validateRegistry(registry);
+}
+
+const registry = loadRegistry();
+
+// Own keys only: `constructor` or `toString` are not constellations
+function getConstellation(key) {
+  if (!Object.hasOwn(registry, key)) return null;
+  return { key, ...registry[key] };
+}
+
+function listConstellations() {
+  return Object.keys(registry).map(getConstellation);
+}
+
+// Look up a terminal for a constellation, falling back to its default.
+// Returns null for unknown constellations or terminal ids.
+function resolveTerminal(key, terminalId) {
+  if (!Object.hasOwn(registry, key)) return null;
+  const entry = registry[key];
+  const id = terminalId || entry.defaultTerminal;
+  return Object.hasOwn(entry.terminals, id) ? { id, ...entry.terminals[id] } : null;
+}
+
+module.exports = {
+  REGISTRY_PATH,
+  loadRegistry,
+  validateRegistry,
+  getConstellation,
+  listConstellations,
+  resolveTerminal
+};
@@ -0,0 +1,203 @@
+const satellite = require('satellite.js');
+const { toObserverGd } = require('./passPredictor');
+const { requireConstellation, evaluateLink, prepareSatrecs } = require('./simulationEngine');
+const { encodePng } = require('./pngEncoder');
+
+// Canada, for comparing constellations nationally
+const DEFAULT_BBOX = { south: 41.7, west: -141.0, north: 83.1, east: -52.6 };
+
+// Raster colour scales per metric; values are clamped to [min, max]
+const GRID_METRICS = {
+  satellitesInView: { min: 0, max: 10 },
+  availableCount: { min: 0, max: 10 },
+  bestElevationDeg: { min: 0, max: 90 },
+  bestMarginDb: { min: 0, max: 20 },
+  availabilityPct: { min: 0, max: 100 }
+};
+
+// Dark blue -> cyan -> green -> yellow -> red
+const RAMP = [
+  [0.0, [30, 40, 140]],
+  [0.25, [0, 170, 220]],
+  [0.5, [40, 200, 90]],
+  [0.75, [250, 220, 40]],
+  [1.0, [230, 50, 40]]
+];
+const CELL_ALPHA = 170;
+
+const round1 = x => (x === null ? null : +x.toFixed(1));
+
+// Split the bbox into whole cells no larger than resolutionDeg, so the grid
+// covers the box exactly (what an imagery layer rectangle needs)
+function buildGridCells({ south, west, north, east }, resolutionDeg) {
+  const rows = Math.max(1, Math.ceil((north - south) / resolutionDeg));
+  const cols = Math.max(1, Math.ceil((east - west) / resolutionDeg));
+  const dLat = (north - south) / rows;
+  const dLng = (east - west) / cols;
+
+  const cells = [];
+  for (let row = 0; row < rows; row++) {
+    // Row 0 is the northern edge, matching raster scanline order
+    const cellNorth = north - row * dLat;
+    for (let col = 0; col < cols; col++) {
+      const cellWest = west + col * dLng;
+      cells.push({
+        row,
+        col,
+        south: cellNorth - dLat,
+        north: cellNorth,
+        west: cellWest,
+        east: cellWest + dLng,
+        lat: cellNorth - dLat / 2,
+        lng: cellWest + dLng / 2
+      });
+    }
+  }
+  return { rows, cols, dLat, dLng, cells };
+}
+
+// Per-cell availability at each epoch, averaged over the window: mean
+// satellites above the mask, mean satellites with positive margin, mean best
+// elevation/margin (over epochs with anything in view) and the percentage of
+// epochs with at least one available satellite.
+function computeCoverageGrid(tleList, constellationKey, { bbox = DEFAULT_BBOX, resolutionDeg = 1, times, altKm = 0, minElevDeg, link }) {
+  const config = requireConstellation(constellationKey);
+  const minElev = minElevDeg ?? config.minElevationDeg;
+  const satrecs = prepareSatrecs(tleList);
+  const grid = buildGridCells(bbox, resolutionDeg);
+
+  const stations = grid.cells.map(cell => {
+    const observer = { lat: cell.lat, lng: cell.lng, alt: altKm * 1000 };
+    return { observer, observerGd: toObserverGd(observer) };
+  });
+  const acc = grid.cells.map(() => ({
+    inView: 0, available: 0, elevSum: 0, marginSum: 0, epochsInView: 0, epochsServed: 0
+  }));
+
+  for (const time of times) {
+    const gmst = satellite.gstime(time);
+    const satEcfs = [];
+    for (const { satrec } of satrecs) {
+      const pv = satellite.propagate(satrec, time);
+      if (pv?.position) satEcfs.push(satellite.eciToEcf(pv.position, gmst));
+    }
+
+    stations.forEach(({ observer, observerGd }, i) => {
+      let inView = 0;
+      let available = 0;
+      let bestElev = -Infinity;
+      let bestMargin = -Infinity;
+
+      for (const satEcf of satEcfs) {
+        const look = satellite.ecfToLookAngles(observerGd, satEcf);
+        const elevation = satellite.radiansToDegrees(look.elevation);
+        if (elevation <= minElev) continue;
+
+        inView++;
+        bestElev = Math.max(bestElev, elevation);
+        const result = evaluateLink(config, observer, elevation, look.rangeSat, { minElevDeg: minElev, link });
+        bestMargin = Math.max(bestMargin, result.linkBudget.marginDb);
+        if (result.available) available++;
+      }
+
+      const cell = acc[i];
+      cell.inView += inView;
+      cell.available += available;
+      if (inView > 0) {
+        cell.epochsInView++;
+        cell.elevSum += bestElev;
+        cell.marginSum += bestMargin;
+      }
+      if (available > 0) cell.epochsServed++;
+    });
+  }
+
+  const epochs = times.length;
+  const cells = grid.cells.map((cell, i) => {
+    const a = acc[i];
+    return {
+      ...cell,
+      satellitesInView: round1(a.inView / epochs),
+      availableCount: round1(a.available / epochs),
+      bestElevationDeg: a.epochsInView ? round1(a.elevSum / a.epochsInView) : null,
+      bestMarginDb: a.epochsInView ? round1(a.marginSum / a.epochsInView) : null,
+      availabilityPct: round1(100 * a.epochsServed / epochs)
+    };
+  });
+
+  return {
+    constellation: constellationKey,
+    bbox,
+    rows: grid.rows,
+    cols: grid.cols,
+    cellSizeDeg: { lat: grid.dLat, lng: grid.dLng },
+    minElevDeg: minElev,
+    epochs,
+    cells
+  };
+}
+
+function toGeoJSON(grid, meta = {}) {
+  return {
+    type: 'FeatureCollection',
+    bbox: [grid.bbox.west, grid.bbox.south, grid.bbox.east, grid.bbox.north],
+    properties: {
+      constellation: grid.constellation,
+      rows: grid.rows,
+      cols: grid.cols,
+      cellSizeDeg: grid.cellSizeDeg,
+      minElevDeg: grid.minElevDeg,
+      epochs: grid.epochs,
+      ...meta
+    },
+    features: grid.cells.map(({ south, west, north, east, row, col, lat, lng, ...metrics }) => ({
+      type: 'Feature',
+      geometry: {
+        type: 'Polygon',
+        coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]]
+      },
+      properties: { row, col, lat, lng, ...metrics }
+    }))
+  };
+}
+
+function rampColour(t) {
+  for (let i = 1; i < RAMP.length; i++) {
+    const [t1, c1] = RAMP[i];
+    if (t <= t1) {
+      const [t0, c0] = RAMP[i - 1];
+      const f = (t - t0) / (t1 - t0);
+      return c0.map((v, k) => Math.round(v + (c1[k] - v) * f));
+    }
+  }
+  return RAMP[RAMP.length - 1][1];
+}
+
+// One pixel per cell, north-up; cells with no value (or zero) are transparent
+function toPng(grid, metric) {
+  const { min, max } = GRID_METRICS[metric];
+  const rgba = new Uint8Array(grid.rows * grid.cols * 4);
+
+  for (const cell of grid.cells) {
+    const value = cell[metric];
+    if (value === null || value <= 0) continue;
+    const t = Math.min(Math.max((value - min) / (max - min), 0), 1);
+    const [r, g, b] = rampColour(t);
+    const offset = (cell.row * grid.cols + cell.col) * 4;
+    rgba[offset] = r;
+    rgba[offset + 1] = g;
+    rgba[offset + 2] = b;
+    rgba[offset + 3] = CELL_ALPHA;
+  }
+
+  return encodePng(grid.cols, grid.rows, rgba);
+}
+
+module.exports = {
+  DEFAULT_BBOX,
+  GRID_METRICS,
+  buildGridCells,
+  computeCoverageGrid,
+  toGeoJSON,
+  toPng
+};
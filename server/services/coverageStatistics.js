@@ -0,0 +1,90 @@
+const { requireConstellation, prepareSatrecs, satellitesInView } = require('./simulationEngine');
+
+const round1 = x => (x === null ? null : +x.toFixed(1));
+
+// Serving satellite for the next epoch: stay on the current one while it is
+// still available, otherwise take the highest available satellite
+function pickServing(current, available) {
+  if (current !== null && available.some(s => s.noradId === current)) return current;
+  if (available.length === 0) return null;
+  return available.reduce((best, s) => (s.elevation > best.elevation ? s : best)).noradId;
+}
+
+// Service statistics of one constellation at a station over a series of
+// epochs `stepSec` apart. A gap is a run of epochs with fewer than
+// minSatellites available; a handover is a change of serving satellite
+// between consecutive served epochs (reacquiring after a gap is not one).
+// includeGaps lists each gap as { start, end, durationSec }.
+function computeCoverageStatistics(tleList, observer, constellationKey, { times, stepSec, minSatellites = 1, minElevDeg, link, includeGaps = false }) {
+  const config = requireConstellation(constellationKey);
+  const minElev = minElevDeg ?? config.minElevationDeg;
+  const satrecs = prepareSatrecs(tleList);
+
+  let epochsCovered = 0;
+  let inViewSum = 0;
+  let availableSum = 0;
+  let servingElevSum = 0;
+  let epochsServed = 0;
+  let handovers = 0;
+  let serving = null;
+  const gaps = [];
+  const gapStarts = [];
+  let gapEpochs = 0;
+
+  for (const time of times) {
+    const inView = satellitesInView(satrecs, observer, config, time, { minElevDeg: minElev, link });
+    const available = inView
+      .filter(s => s.available)
+      .map(s => ({ noradId: s.sat.noradId, elevation: s.elevation }));
+
+    inViewSum += inView.length;
+    availableSum += available.length;
+
+    const next = pickServing(serving, available);
+    if (next !== null) {
+      if (serving !== null && next !== serving) handovers++;
+      epochsServed++;
+      servingElevSum += available.find(s => s.noradId === next).elevation;
+    }
+    serving = next;
+
+    if (available.length >= minSatellites) {
+      epochsCovered++;
+      if (gapEpochs > 0) gaps.push(gapEpochs * stepSec);
+      gapEpochs = 0;
+    } else {
+      if (gapEpochs === 0) gapStarts.push(time);
+      gapEpochs++;
+    }
+  }
+  if (gapEpochs > 0) gaps.push(gapEpochs * stepSec);
+
+  const epochs = times.length;
+  return {
+    constellation: constellationKey,
+    label: config.label,
+    minElevDeg: minElev,
+    minSatellites,
+    epochs,
+    stepSec,
+    coveragePct: round1(100 * epochsCovered / epochs),
+    meanSatellitesInView: round1(inViewSum / epochs),
+    meanAvailable: round1(availableSum / epochs),
+    gapCount: gaps.length,
+    meanGapSec: gaps.length ? Math.round(gaps.reduce((a, b) => a + b, 0) / gaps.length) : 0,
+    maxGapSec: gaps.length ? Math.max(...gaps) : 0,
+    meanElevationDeg: epochsServed ? round1(servingElevSum / epochsServed) : null,
+    handovers,
+    ...(includeGaps && {
+      gaps: gaps.map((durationSec, i) => ({
+        start: gapStarts[i].toISOString(),
+        end: new Date(gapStarts[i].getTime() + durationSec * 1000).toISOString(),
+        durationSec
+      }))
+    })
+  };
+}
+
+module.exports = {
+  computeCoverageStatistics
+};
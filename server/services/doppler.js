@@ -0,0 +1,35 @@
+// Doppler shift of the user links from the observer-satellite range rate.
+// A receding satellite (positive range rate) lowers both frequencies; the
+// terminal pre-compensates its uplink by transmitting -uplinkHz off nominal.
+
+const SPEED_OF_LIGHT_KM_S = 299792.458;
+
+// Shift (Hz) of a carrier at frequencyGHz for a given range rate (km/s)
+function dopplerShiftHz(frequencyGHz, rangeRateKmS) {
+  return -frequencyGHz * 1e9 * rangeRateKmS / SPEED_OF_LIGHT_KM_S;
+}
+
+// Downlink/uplink shift and its rate for a registry entry; the uplink uses
+// uplinkFrequencyGHz when the constellation sets one. Null without a range
+// rate (no velocity from the propagator).
+function linkDoppler(constellation, rangeRateKmS, rangeAccelKmS2) {
+  if (rangeRateKmS === null || rangeRateKmS === undefined) return null;
+  const downGHz = constellation.frequencyGHz;
+  const upGHz = constellation.uplinkFrequencyGHz ?? downGHz;
+  const rate = (ghz) => (rangeAccelKmS2 === null || rangeAccelKmS2 === undefined)
+    ? null
+    : +dopplerShiftHz(ghz, rangeAccelKmS2).toFixed(1);
+
+  return {
+    downlinkHz: Math.round(dopplerShiftHz(downGHz, rangeRateKmS)),
+    uplinkHz: Math.round(dopplerShiftHz(upGHz, rangeRateKmS)),
+    downlinkRateHzS: rate(downGHz),
+    uplinkRateHzS: rate(upGHz)
+  };
+}
+
+module.exports = {
+  SPEED_OF_LIGHT_KM_S,
+  dopplerShiftHz,
+  linkDoppler
+};
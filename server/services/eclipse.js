@@ -0,0 +1,131 @@
+const satellite = require('satellite.js');
+
+// Sunlight on a satellite: the Sun's position at the propagation time and a
+// conical shadow model, Earth's disc against the Sun's as seen from the
+// satellite (Montenbruck & Gill, Satellite Orbits, 3.4.2). `sunlitFraction`
+// is the part of the solar disc in view: 1 in sunlight, 0 in umbra, between
+// in penumbra.
+//
+// Positions are inertial (ECI, km), as satellite.js propagates them; the
+// Sun's mean-of-date position is well within the shadow model's precision.
+
+const AU_KM = 149597870.7;
+const SUN_RADIUS_KM = 696000;
+const EARTH_RADIUS_KM = 6378.137;
+const DEFAULT_ECLIPSE_STEP_SEC = 30;
+// Eclipse entry and exit are refined to this between samples
+const BOUNDARY_PRECISION_MS = 1000;
+
+const DEG = Math.PI / 180;
+
+// Low-precision solar coordinates of the Astronomical Almanac (about 0.01°
+// from 1950 to 2050), geocentric equatorial
+function sunPositionEci(date) {
+  const n = date.getTime() / 86400000 + 2440587.5 - 2451545.0;
+  const meanLongitude = 280.460 + 0.9856474 * n;
+  const meanAnomaly = (357.528 + 0.9856003 * n) * DEG;
+  const longitude = (meanLongitude + 1.915 * Math.sin(meanAnomaly) + 0.020 * Math.sin(2 * meanAnomaly)) * DEG;
+  const obliquity = (23.439 - 0.0000004 * n) * DEG;
+  const distanceKm = (1.00014 - 0.01671 * Math.cos(meanAnomaly) - 0.00014 * Math.cos(2 * meanAnomaly)) * AU_KM;
+  return {
+    x: distanceKm * Math.cos(longitude),
+    y: distanceKm * Math.cos(obliquity) * Math.sin(longitude),
+    z: distanceKm * Math.sin(obliquity) * Math.sin(longitude)
+  };
+}
+
+// Sub-solar point (degrees) at a time
+function subsolarPoint(date) {
+  const sun = satellite.eciToEcf(sunPositionEci(date), satellite.gstime(date));
+  return {
+    lat: Math.atan2(sun.z, Math.hypot(sun.x, sun.y)) / DEG,
+    lng: Math.atan2(sun.y, sun.x) / DEG
+  };
+}
+
+// { eclipse: 'sunlit' | 'penumbra' | 'umbra', sunlitFraction } of a
+// satellite at ECI position `sat` with the Sun at `sun`
+function shadowState(sat, sun) {
+  const toSun = { x: sun.x - sat.x, y: sun.y - sat.y, z: sun.z - sat.z };
+  const satDistance = Math.hypot(sat.x, sat.y, sat.z);
+  const sunDistance = Math.hypot(toSun.x, toSun.y, toSun.z);
+
+  const a = Math.asin(SUN_RADIUS_KM / sunDistance); // apparent radius of the Sun
+  const b = Math.asin(Math.min(1, EARTH_RADIUS_KM / satDistance)); // and of the Earth
+  const cosC = -(sat.x * toSun.x + sat.y * toSun.y + sat.z * toSun.z) / (satDistance * sunDistance);
+  const c = Math.acos(Math.max(-1, Math.min(1, cosC))); // between their centres
+
+  let fraction;
+  if (c >= a + b) fraction = 1;
+  else if (c <= b - a) fraction = 0;
+  else if (c <= a - b) fraction = 1 - (b * b) / (a * a); // Earth wholly inside the solar disc
+  else {
+    const x = (c * c + a * a - b * b) / (2 * c);
+    const y = Math.sqrt(Math.max(0, a * a - x * x));
+    const overlap = a * a * Math.acos(x / a) + b * b * Math.acos((c - x) / b) - c * y;
+    fraction = 1 - overlap / (Math.PI * a * a);
+  }
+
+  const eclipse = fraction >= 1 ? 'sunlit' : fraction <= 0 ? 'umbra' : 'penumbra';
+  return { eclipse, sunlitFraction: +fraction.toFixed(3) };
+}
+
+const inShadow = (satrec, ms) => {
+  const pv = satellite.propagate(satrec, new Date(ms));
+  return pv?.position ? shadowState(pv.position, sunPositionEci(new Date(ms))).sunlitFraction < 1 : null;
+};
+
+// Time between two samples where the shadow state changes, by bisection
+function refineBoundary(satrec, loMs, hiMs, shadowAtLo) {
+  while (hiMs - loMs > BOUNDARY_PRECISION_MS) {
+    const mid = (loMs + hiMs) / 2;
+    if (inShadow(satrec, mid) === shadowAtLo) loMs = mid;
+    else hiMs = mid;
+  }
+  return new Date(Math.round((loMs + hiMs) / 2));
+}
+
+// Eclipse intervals of one satellite over [start, end], sampled every
+// stepSec with entry and exit refined to a second. An interval is any time
+// the solar disc is partly hidden; `umbraMin` is the part of it in full
+// shadow, to the sample step. Intervals cut by the window end at its edge
+// and say so with `partial`.
+function eclipseIntervals(satrec, { start, end, stepSec = DEFAULT_ECLIPSE_STEP_SEC }) {
+  const stepMs = stepSec * 1000;
+  const intervals = [];
+  let open = null;
+  let last = null;
+
+  for (let ms = start.getTime(); ms <= end.getTime(); ms += stepMs) {
+    const time = new Date(ms);
+    const pv = satellite.propagate(satrec, time);
+    if (!pv?.position) break;
+    const { eclipse } = shadowState(pv.position, sunPositionEci(time));
+
+    if (eclipse !== 'sunlit' && !open) {
+      open = { start: last === null ? time : refineBoundary(satrec, last, ms, false), umbraMs: 0, partial: last === null };
+    } else if (eclipse === 'sunlit' && open) {
+      intervals.push({ ...open, end: refineBoundary(satrec, last, ms, true) });
+      open = null;
+    }
+    if (open && eclipse === 'umbra') open.umbraMs += stepMs;
+    last = ms;
+  }
+  if (open) intervals.push({ ...open, end: new Date(last), partial: true });
+
+  return intervals.map(({ start: from, end: to, umbraMs, partial }) => ({
+    start: from.toISOString(),
+    end: to.toISOString(),
+    durationMin: +((to - from) / 60000).toFixed(2),
+    umbraMin: +(Math.min(umbraMs, to - from) / 60000).toFixed(1),
+    ...(partial && { partial: true })
+  }));
+}
+
+module.exports = {
+  DEFAULT_ECLIPSE_STEP_SEC,
+  sunPositionEci,
+  subsolarPoint,
+  shadowState,
+  eclipseIntervals
+};
@@ -0,0 +1,226 @@
+const satellite = require('satellite.js');
+
+// Orbital element sets in any of Celestrak's formats (3LE/2LE text, OMM
+// JSON, XML or CSV), normalised to one record per satellite:
+//   { noradId, name, epoch, omm }
+// where `omm` is a CCSDS OMM object with numeric fields, as json2satrec takes.
+
+const OMM_FIELDS = [
+  'OBJECT_NAME', 'OBJECT_ID', 'EPOCH', 'MEAN_MOTION', 'ECCENTRICITY', 'INCLINATION',
+  'RA_OF_ASC_NODE', 'ARG_OF_PERICENTER', 'MEAN_ANOMALY', 'EPHEMERIS_TYPE',
+  'CLASSIFICATION_TYPE', 'NORAD_CAT_ID', 'ELEMENT_SET_NO', 'REV_AT_EPOCH',
+  'BSTAR', 'MEAN_MOTION_DOT', 'MEAN_MOTION_DDOT'
+];
+const STRING_FIELDS = ['OBJECT_NAME', 'OBJECT_ID', 'EPOCH', 'CLASSIFICATION_TYPE'];
+const REQUIRED_FIELDS = ['NORAD_CAT_ID', 'EPOCH', 'MEAN_MOTION', 'ECCENTRICITY', 'INCLINATION', 'RA_OF_ASC_NODE', 'ARG_OF_PERICENTER', 'MEAN_ANOMALY'];
+const EPOCH_PATTERN = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2}):(\d{2}(?:\.\d+)?)Z?$/;
+
+// Alpha-5 catalog numbers: A0000 = 100000, skipping I and O
+const ALPHA5 = 'ABCDEFGHJKLMNPQRSTUVWXYZ';
+
+function detectFormat(text) {
+  if (text.startsWith('[') || text.startsWith('{')) return 'json';
+  if (text.startsWith('<')) return 'xml';
+  if (/^"?OBJECT_NAME"?,/.test(text)) return 'csv';
+  return 'tle';
+}
+
+// ---- raw records per format; each entry is { raw } or { error } ----
+
+function readJson(text) {
+  const data = JSON.parse(text);
+  return (Array.isArray(data) ? data : [data]).map(raw => ({ raw }));
+}
+
+// Flat tag scrape of each <omm> element; enough for Celestrak's NDM output
+function readXml(text) {
+  return [...text.matchAll(/<omm\b[^>]*>([\s\S]*?)<\/omm>/g)].map(([, body]) => {
+    const raw = {};
+    for (const field of OMM_FIELDS) {
+      const match = body.match(new RegExp(`<${field}>\\s*([^<]*?)\\s*</${field}>`));
+      if (match) raw[field] = match[1];
+    }
+    return { raw };
+  });
+}
+
+function splitCsvLine(line) {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+  for (const ch of line) {
+    if (ch === '"') quoted = !quoted;
+    else if (ch === ',' && !quoted) {
+      cells.push(cell);
+      cell = '';
+    } else cell += ch;
+  }
+  cells.push(cell);
+  return cells.map(c => c.trim());
+}
+
+function readCsv(text) {
+  const [header, ...rows] = text.split(/\r?\n/).filter(line => line.trim());
+  const columns = splitCsvLine(header);
+  return rows.map(row => {
+    const cells = splitCsvLine(row);
+    if (cells.length !== columns.length) {
+      return { error: `expected ${columns.length} columns, got ${cells.length}` };
+    }
+    return { raw: Object.fromEntries(columns.map((c, i) => [c, cells[i]])) };
+  });
+}
+
+function parseCatalogNumber(field) {
+  const text = field.trim();
+  const alpha = ALPHA5.indexOf(text[0]);
+  if (alpha >= 0) return (alpha + 10) * 10000 + Number(text.slice(1));
+  return Number(text);
+}
+
+// TLE "assumed decimal point" exponent notation: " 11612-3" -> 0.00011612
+function parseExponent(field) {
+  const match = field.trim().match(/^([+-]?)(\d+)([+-]\d)$/);
+  return match ? Number(`${match[1]}0.${match[2]}e${match[3]}`) : Number(field);
+}
+
+// TLE epoch (two-digit year, fractional day of year) as an ISO string with
+// microseconds, the precision Celestrak's OMM EPOCH carries
+function tleEpochIso(field) {
+  const yy = Number(field.slice(0, 2));
+  const dayOfYear = Number(field.slice(2));
+  const year = yy < 57 ? 2000 + yy : 1900 + yy;
+  const wholeDay = Math.floor(dayOfYear);
+  const seconds = (dayOfYear - wholeDay) * 86400;
+  const date = new Date(Date.UTC(year, 0, wholeDay) + Math.floor(seconds) * 1000);
+  const micro = Math.round((seconds % 1) * 1e6);
+  return `${date.toISOString().slice(0, 19)}.${String(Math.min(micro, 999999)).padStart(6, '0')}`;
+}
+
+function tleDesignator(field) {
+  const match = field.trim().match(/^(\d{2})(\d{3})(\w*)$/);
+  if (!match) return '';
+  const yy = Number(match[1]);
+  return `${yy < 57 ? 2000 + yy : 1900 + yy}-${match[2]}${match[3]}`;
+}
+
+function tleToOmm(name, line1, line2) {
+  return {
+    OBJECT_NAME: name,
+    OBJECT_ID: tleDesignator(line1.substring(9, 17)),
+    EPOCH: tleEpochIso(line1.substring(18, 32)),
+    MEAN_MOTION: line2.substring(52, 63),
+    ECCENTRICITY: `0.${line2.substring(26, 33).trim()}`,
+    INCLINATION: line2.substring(8, 16),
+    RA_OF_ASC_NODE: line2.substring(17, 25),
+    ARG_OF_PERICENTER: line2.substring(34, 42),
+    MEAN_ANOMALY: line2.substring(43, 51),
+    EPHEMERIS_TYPE: line1.substring(62, 63),
+    CLASSIFICATION_TYPE: line1.substring(7, 8),
+    NORAD_CAT_ID: parseCatalogNumber(line1.substring(2, 7)),
+    ELEMENT_SET_NO: line1.substring(64, 68),
+    REV_AT_EPOCH: line2.substring(63, 68),
+    BSTAR: parseExponent(line1.substring(53, 61)),
+    MEAN_MOTION_DOT: line1.substring(33, 43),
+    MEAN_MOTION_DDOT: parseExponent(line1.substring(44, 52))
+  };
+}
+
+// 3-line or 2-line text; unnamed sets are labelled by catalog number
+function readTle(text) {
+  const lines = text.split(/\r?\n/).map(line => line.trimEnd());
+  const entries = [];
+  for (let i = 0; i < lines.length; i++) {
+    if (!lines[i].startsWith('1 ')) continue;
+    const line1 = lines[i];
+    const line2 = lines[i + 1] || '';
+    if (!line2.startsWith('2 ') || line2.substring(2, 7) !== line1.substring(2, 7)) {
+      entries.push({ error: `line ${i + 1}: line 1 without a matching line 2` });
+      continue;
+    }
+    const previous = lines[i - 1]?.trim();
+    const name = previous && !previous.startsWith('2 ') ? previous.replace(/^0 /, '') : '';
+    entries.push({ raw: tleToOmm(name, line1, line2) });
+    i++;
+  }
+  return entries;
+}
+
+const READERS = { json: readJson, xml: readXml, csv: readCsv, tle: readTle };
+
+// ---- normalisation ----
+
+function epochToIso(epoch) {
+  const match = EPOCH_PATTERN.exec(epoch);
+  if (!match) return null;
+  const [year, month, day, hour, minute] = match.slice(1, 6).map(Number);
+  const ms = Date.UTC(year, month - 1, day, hour, minute) + Number(match[6]) * 1000;
+  return Number.isFinite(ms) ? new Date(ms).toISOString() : null;
+}
+
+// Validate one raw OMM-like object; throws with the first problem found
+function toElementRecord(raw) {
+  const missing = REQUIRED_FIELDS.filter(f => raw[f] === undefined || raw[f] === null || String(raw[f]).trim() === '');
+  if (missing.length) throw new Error(`missing ${missing.join(', ')}`);
+
+  const omm = {};
+  for (const field of OMM_FIELDS) {
+    const value = raw[field];
+    if (STRING_FIELDS.includes(field)) {
+      omm[field] = value === undefined ? '' : String(value).trim();
+      continue;
+    }
+    const n = value === undefined || String(value).trim() === '' ? 0 : Number(value);
+    if (!Number.isFinite(n)) throw new Error(`${field} is not a number: ${value}`);
+    omm[field] = n;
+  }
+
+  if (!Number.isInteger(omm.NORAD_CAT_ID) || omm.NORAD_CAT_ID < 1) {
+    throw new Error(`invalid NORAD_CAT_ID ${raw.NORAD_CAT_ID}`);
+  }
+  const epoch = epochToIso(omm.EPOCH);
+  if (!epoch) throw new Error(`invalid EPOCH ${raw.EPOCH}`);
+  if (!(omm.MEAN_MOTION > 0)) throw new Error(`invalid MEAN_MOTION ${raw.MEAN_MOTION}`);
+  if (!(omm.ECCENTRICITY >= 0 && omm.ECCENTRICITY < 1)) throw new Error(`invalid ECCENTRICITY ${raw.ECCENTRICITY}`);
+  if (!(omm.INCLINATION >= 0 && omm.INCLINATION <= 180)) throw new Error(`invalid INCLINATION ${raw.INCLINATION}`);
+
+  omm.OBJECT_NAME ||= `NORAD ${omm.NORAD_CAT_ID}`;
+  omm.CLASSIFICATION_TYPE ||= 'U';
+  return { noradId: omm.NORAD_CAT_ID, name: omm.OBJECT_NAME, epoch, omm };
+}
+
+// Parse any supported format. Records that fail are reported in `errors`
+// ({ record, noradId, error }) rather than dropped silently; `maxSats`
+// stops after that many good records.
+function parseElementSets(content, { maxSats = Infinity } = {}) {
+  const text = String(content).replace(/^\uFEFF/, '').trim();
+  const format = detectFormat(text);
+  const records = [];
+  const errors = [];
+
+  const entries = READERS[format](text);
+  for (let index = 0; index < entries.length && records.length < maxSats; index++) {
+    const { raw, error } = entries[index];
+    if (error) {
+      errors.push({ record: index, error });
+      continue;
+    }
+    try {
+      records.push(toElementRecord(raw));
+    } catch (err) {
+      errors.push({ record: index, noradId: raw.NORAD_CAT_ID, error: err.message });
+    }
+  }
+  return { format, records, errors };
+}
+
+function toSatrec(record) {
+  return satellite.json2satrec(record.omm);
+}
+
+module.exports = {
+  detectFormat,
+  parseElementSets,
+  toElementRecord,
+  toSatrec
+};
@@ -0,0 +1,292 @@
+// Footprint geometry on the WGS-84 ellipsoid. A footprint is the ground a
+// satellite sees above a minimum elevation; its edge is found by casting rays
+// from the satellite at increasing off-nadir angles until the elevation at
+// the ground point drops to the mask. Spot beams are cells between off-nadir
+// angles, split into azimuth sectors, so they turn with the ground track.
+//
+// Positions are Earth-fixed (ECF) in km. Azimuths in beam layouts are
+// clockwise from the ground track, seen from above.
+
+const satellite = require('satellite.js');
+const { requireConstellation, prepareSatrecs, propagateSatrecs } = require('./simulationEngine');
+
+const WGS84_A_KM = 6378.137;
+const WGS84_B_KM = 6356.752314245;
+const WGS84_E2 = 1 - (WGS84_B_KM * WGS84_B_KM) / (WGS84_A_KM * WGS84_A_KM);
+
+const DEFAULT_VERTICES = 72;
+const ARC_STEP_DEG = 5;
+const EDGE_ITERATIONS = 30;
+
+const EARTH_ROTATION_RAD_S = 7.2921150e-5;
+
+const DEG = Math.PI / 180;
+
+const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+const scale = (a, k) => ({ x: a.x * k, y: a.y * k, z: a.z * k });
+const add = (a, b) => ({ x: a.x + b.x, y: a.y + b.y, z: a.z + b.z });
+const sub = (a, b) => ({ x: a.x - b.x, y: a.y - b.y, z: a.z - b.z });
+const cross = (a, b) => ({ x: a.y * b.z - a.z * b.y, y: a.z * b.x - a.x * b.z, z: a.x * b.y - a.y * b.x });
+const unit = a => scale(a, 1 / Math.hypot(a.x, a.y, a.z));
+
+function geodeticToEcf(latDeg, lngDeg, heightKm = 0) {
+  const lat = latDeg * DEG;
+  const lng = lngDeg * DEG;
+  const n = WGS84_A_KM / Math.sqrt(1 - WGS84_E2 * Math.sin(lat) ** 2);
+  return {
+    x: (n + heightKm) * Math.cos(lat) * Math.cos(lng),
+    y: (n + heightKm) * Math.cos(lat) * Math.sin(lng),
+    z: (n * (1 - WGS84_E2) + heightKm) * Math.sin(lat)
+  };
+}
+
+// Unit normal to the ellipsoid at geodetic latitude and longitude (degrees)
+function geodeticNormal(latDeg, lngDeg) {
+  const lat = latDeg * DEG;
+  const lng = lngDeg * DEG;
+  return { x: Math.cos(lat) * Math.cos(lng), y: Math.cos(lat) * Math.sin(lng), z: Math.sin(lat) };
+}
+
+function ecfToGeodetic(p) {
+  const r = Math.hypot(p.x, p.y);
+  const lng = Math.atan2(p.y, p.x);
+  let lat = Math.atan2(p.z, r * (1 - WGS84_E2));
+  let height = 0;
+  for (let i = 0; i < 5; i++) {
+    const n = WGS84_A_KM / Math.sqrt(1 - WGS84_E2 * Math.sin(lat) ** 2);
+    height = Math.abs(Math.cos(lat)) > 1e-9 ? r / Math.cos(lat) - n : Math.abs(p.z) - WGS84_B_KM;
+    lat = Math.atan2(p.z, r * (1 - WGS84_E2 * n / (n + height)));
+  }
+  return { lat: lat / DEG, lng: lng / DEG, heightKm: height };
+}
+
+// Outward unit normal at a surface point: the gradient of
+// x²/a² + y²/a² + z²/b²
+function surfaceNormal(p) {
+  return unit({ x: p.x / WGS84_A_KM ** 2, y: p.y / WGS84_A_KM ** 2, z: p.z / WGS84_B_KM ** 2 });
+}
+
+// First point where the ray origin + t·dir (t ≥ 0) meets the ellipsoid, or
+// null when it misses
+function surfaceIntersection(origin, dir) {
+  const o = { x: origin.x / WGS84_A_KM, y: origin.y / WGS84_A_KM, z: origin.z / WGS84_B_KM };
+  const d = { x: dir.x / WGS84_A_KM, y: dir.y / WGS84_A_KM, z: dir.z / WGS84_B_KM };
+  const a = dot(d, d);
+  const b = 2 * dot(o, d);
+  const c = dot(o, o) - 1;
+  const disc = b * b - 4 * a * c;
+  if (disc < 0) return null;
+  const t = (-b - Math.sqrt(disc)) / (2 * a);
+  return t < 0 ? null : add(origin, scale(dir, t));
+}
+
+// Elevation (degrees) of the satellite seen from a point on the surface
+function elevationFrom(ground, sat) {
+  const los = sub(sat, ground);
+  return Math.asin(dot(surfaceNormal(ground), los) / Math.hypot(los.x, los.y, los.z)) / DEG;
+}
+
+function surfaceLatLng(p) {
+  const n = surfaceNormal(p);
+  return { lat: Math.atan2(n.z, Math.hypot(n.x, n.y)) / DEG, lng: Math.atan2(p.y, p.x) / DEG };
+}
+
+// Nadir and horizontal axes at the satellite: down along the geodetic
+// normal, heading along the velocity (north without one), right to its
+// starboard side
+function localFrame(satEcf, velocityEcf) {
+  const { lat, lng } = ecfToGeodetic(satEcf);
+  const up = geodeticNormal(lat, lng);
+  let heading = null;
+  if (velocityEcf) {
+    const horizontal = sub(velocityEcf, scale(up, dot(velocityEcf, up)));
+    if (Math.hypot(horizontal.x, horizontal.y, horizontal.z) > 1e-9) heading = unit(horizontal);
+  }
+  heading = heading || unit({ x: -Math.sin(lat * DEG) * Math.cos(lng * DEG), y: -Math.sin(lat * DEG) * Math.sin(lng * DEG), z: Math.cos(lat * DEG) });
+  return { down: scale(up, -1), heading, right: cross(heading, up) };
+}
+
+function rayDirection(frame, offNadirRad, azimuthRad) {
+  const horizontal = add(scale(frame.heading, Math.cos(azimuthRad)), scale(frame.right, Math.sin(azimuthRad)));
+  return add(scale(frame.down, Math.cos(offNadirRad)), scale(horizontal, Math.sin(offNadirRad)));
+}
+
+function groundPoint(satEcf, frame, offNadirRad, azimuthRad) {
+  return surfaceIntersection(satEcf, rayDirection(frame, offNadirRad, azimuthRad));
+}
+
+// Off-nadir angle (radians) of the footprint edge at one azimuth. Elevation
+// falls monotonically from 90° at nadir, and rays past the limb miss.
+function edgeOffNadir(satEcf, frame, azimuthRad, minElevDeg) {
+  let inside = 0;
+  let outside = Math.PI / 2;
+  for (let i = 0; i < EDGE_ITERATIONS; i++) {
+    const mid = (inside + outside) / 2;
+    const ground = groundPoint(satEcf, frame, mid, azimuthRad);
+    if (ground && elevationFrom(ground, satEcf) >= minElevDeg) inside = mid;
+    else outside = mid;
+  }
+  return inside;
+}
+
+// Footprint boundary as { lat, lng } vertices, counterclockwise seen from
+// above and starting on the ground track ahead of the satellite. Consecutive
+// vertices are a few degrees of azimuth apart, so draw edges as geodesics.
+function footprintPolygon(satEcf, minElevDeg, { velocityEcf, vertices = DEFAULT_VERTICES } = {}) {
+  const frame = localFrame(satEcf, velocityEcf);
+  const polygon = [];
+  for (let i = 0; i < vertices; i++) {
+    const azimuth = -2 * Math.PI * i / vertices;
+    const offNadir = edgeOffNadir(satEcf, frame, azimuth, minElevDeg);
+    polygon.push(surfaceLatLng(groundPoint(satEcf, frame, offNadir, azimuth)));
+  }
+  return polygon;
+}
+
+// Spot-beam cells of a layout { rings: [{ count, outerOffNadirDeg,
+// rotationDeg? }] }, rings from nadir outwards; the last ring's outer edge
+// may be null for the footprint edge. Cells are clipped to the footprint and
+// dropped when they lie wholly outside it. Each is { beam, ring, polygon },
+// beams numbered from 1 in ring order.
+function beamCells(satEcf, minElevDeg, layout, { velocityEcf } = {}) {
+  const frame = localFrame(satEcf, velocityEcf);
+  const edgeCache = new Map();
+  const edgeAt = azimuth => {
+    const key = azimuth.toFixed(9);
+    if (!edgeCache.has(key)) edgeCache.set(key, edgeOffNadir(satEcf, frame, azimuth, minElevDeg));
+    return edgeCache.get(key);
+  };
+  const pointAt = (offNadir, azimuth) => surfaceLatLng(groundPoint(satEcf, frame, Math.min(offNadir, edgeAt(azimuth)), azimuth));
+
+  const cells = [];
+  let beam = 0;
+  let inner = 0;
+  layout.rings.forEach((ring, ringIndex) => {
+    const outer = ring.outerOffNadirDeg == null ? Infinity : ring.outerOffNadirDeg * DEG;
+    const span = 2 * Math.PI / ring.count;
+    const steps = Math.max(1, Math.ceil(span / (ARC_STEP_DEG * DEG)));
+    for (let j = 0; j < ring.count; j++) {
+      beam += 1;
+      const from = ((ring.rotationDeg || 0) * DEG) + j * span;
+      const azimuths = Array.from({ length: steps + 1 }, (_, k) => from + span * k / steps);
+      if (azimuths.every(azimuth => inner >= edgeAt(azimuth))) continue;
+
+      // Outer arc against the azimuth, then back along the inner arc (or
+      // through nadir for a central cell), keeping the ring counterclockwise
+      const polygon = [...azimuths].reverse().map(azimuth => pointAt(outer, azimuth));
+      if (ring.count === 1) polygon.pop();
+      else if (inner === 0) polygon.push(pointAt(0, 0));
+      else polygon.push(...azimuths.map(azimuth => pointAt(inner, azimuth)));
+      cells.push({ beam, ring: ringIndex, polygon });
+    }
+    inner = outer;
+  });
+  return cells;
+}
+
+function unwrappedRing(polygon) {
+  const ring = [];
+  let previous = null;
+  for (const { lat, lng } of [...polygon, polygon[0]]) {
+    let unwrapped = lng;
+    if (previous !== null) unwrapped += 360 * Math.round((previous - lng) / 360);
+    ring.push([unwrapped, lat]);
+    previous = unwrapped;
+  }
+  return ring;
+}
+
+// GeoJSON / KML [lng, lat] ring, closed. Longitudes are kept continuous, so
+// a ring over the antimeridian runs past ±180 rather than jumping; a ring
+// around a pole starts near -180 or 180, whichever it runs away from, and is
+// closed along that pole's meridians.
+function lngLatRing(polygon) {
+  const ring = unwrappedRing(polygon);
+  const eastward = ring[ring.length - 1][0] - ring[0][0];
+  if (Math.abs(eastward) <= 180) return ring;
+
+  const lngs = polygon.map(p => p.lng);
+  const start = lngs.indexOf(eastward > 0 ? Math.min(...lngs) : Math.max(...lngs));
+  const around = unwrappedRing([...polygon.slice(start), ...polygon.slice(0, start)]);
+  const first = around[0];
+  const last = around[around.length - 1];
+  const pole = polygon.reduce((sum, p) => sum + p.lat, 0) > 0 ? 90 : -90;
+  around.push([last[0], pole], [first[0], pole], [first[0], first[1]]);
+  return around;
+}
+
+// Earth-fixed velocity (km/s) of an ECI state: the rotated inertial
+// velocity less the frame's own rotation at that position
+function ecfVelocity(eci, gmst) {
+  const r = satellite.eciToEcf(eci.position, gmst);
+  const v = satellite.eciToEcf(eci.velocity, gmst);
+  return { x: v.x + EARTH_ROTATION_RAD_S * r.y, y: v.y - EARTH_ROTATION_RAD_S * r.x, z: v.z };
+}
+
+// Footprints of a constellation at one time, with the registry's beam cells
+// when options.beams is set and the constellation has a layout
+function computeFootprints(tleList, constellationKey, { time, minElevDeg, beams = false, vertices = DEFAULT_VERTICES }) {
+  const config = requireConstellation(constellationKey);
+  const minElev = minElevDeg ?? config.minElevationDeg;
+  const layout = beams ? config.beams : null;
+  const gmst = satellite.gstime(time);
+
+  const satellites = propagateSatrecs(prepareSatrecs(tleList), time).map(({ sat, eci }) => {
+    const satEcf = satellite.eciToEcf(eci.position, gmst);
+    const velocityEcf = ecfVelocity(eci, gmst);
+    const { lat, lng, heightKm } = ecfToGeodetic(satEcf);
+    return {
+      noradId: sat.noradId,
+      name: sat.name,
+      lat,
+      lng,
+      altitudeKm: heightKm,
+      footprint: footprintPolygon(satEcf, minElev, { velocityEcf, vertices }),
+      ...(layout && { beams: beamCells(satEcf, minElev, layout, { velocityEcf }) })
+    };
+  });
+
+  return { constellation: constellationKey, time, minElevDeg: minElev, beams: Boolean(layout), satellites };
+}
+
+function toFootprintGeoJSON(result, meta = {}) {
+  const polygon = ring => ({ type: 'Polygon', coordinates: [lngLatRing(ring)] });
+  return {
+    type: 'FeatureCollection',
+    properties: {
+      constellation: result.constellation,
+      time: result.time.toISOString(),
+      minElevDeg: result.minElevDeg,
+      beams: result.beams,
+      satellites: result.satellites.length,
+      ...meta
+    },
+    features: result.satellites.flatMap(({ noradId, name, lat, lng, altitudeKm, footprint, beams = [] }) => [
+      {
+        type: 'Feature',
+        geometry: polygon(footprint),
+        properties: { kind: 'footprint', noradId, name, lat: +lat.toFixed(4), lng: +lng.toFixed(4), altitudeKm: +altitudeKm.toFixed(1) }
+      },
+      ...beams.map(cell => ({
+        type: 'Feature',
+        geometry: polygon(cell.polygon),
+        properties: { kind: 'beam', noradId, name, beam: cell.beam, ring: cell.ring }
+      }))
+    ])
+  };
+}
+
+module.exports = {
+  WGS84_A_KM,
+  WGS84_B_KM,
+  geodeticToEcf,
+  ecfToGeodetic,
+  elevationFrom,
+  surfaceIntersection,
+  footprintPolygon,
+  beamCells,
+  lngLatRing,
+  ecfVelocity,
+  computeFootprints,
+  toFootprintGeoJSON
+};
@@ -0,0 +1,184 @@
+const { requireConstellation, prepareSatrecs, satellitesInView } = require('./simulationEngine');
+
+const round1 = x => (x === null ? null : +x.toFixed(1));
+
+// Serving-satellite policies. score() ranks the available satellites (higher
+// is better); a terminal only leaves a satellite that is still available for
+// one scoring more than `hysteresis` above it, in the score's unit.
+const HANDOVER_POLICIES = {
+  elevation: { label: 'Highest elevation', unit: 'deg', hysteresis: 5, score: c => c.elevation },
+  visibility: { label: 'Longest remaining visibility', unit: 's', hysteresis: 60, score: c => c.remainingSec },
+  margin: { label: 'Best link margin', unit: 'dB', hysteresis: 2, score: c => c.marginDb }
+};
+
+// Available satellites at each epoch (seen from observers[i]), with the time
+// each stays available from there on (counted within the window, so it is
+// cut short at the end)
+function candidatesPerEpoch(satrecs, observers, config, { times, spans, minElevDeg, link }) {
+  const epochs = times.map((time, i) => {
+    const inView = satellitesInView(satrecs, observers[i], config, time, { minElevDeg, link });
+    const candidates = inView
+      .filter(s => s.available)
+      .map(s => ({
+        noradId: s.sat.noradId,
+        name: s.sat.name,
+        elevation: s.elevation,
+        azimuth: s.azimuth,
+        rangeKm: s.rangeKm,
+        marginDb: s.linkBudget.marginDb
+      }));
+    candidates.inView = inView.length;
+    return candidates;
+  });
+
+  for (let i = epochs.length - 1; i >= 0; i--) {
+    const later = new Map((epochs[i + 1] || []).map(c => [c.noradId, c.remainingSec]));
+    for (const c of epochs[i]) c.remainingSec = spans[i] + (later.get(c.noradId) ?? 0);
+  }
+  return epochs;
+}
+
+// Seconds each epoch stands for: stepSec, or (for irregular epochs such as
+// a vehicle track) the time to the next one, the last lasting no time
+function epochSpans(times, stepSec) {
+  if (stepSec !== undefined) return times.map(() => stepSec);
+  return times.map((time, i) => (i + 1 < times.length ? (times[i + 1] - time) / 1000 : 0));
+}
+
+// Step a terminal through epochs and pick its serving satellite under a
+// policy. Each epoch stands for the stepSec that follow it (see epochSpans).
+// A moving terminal passes `observers`, one per epoch, instead of `observer`.
+// Returns the serving timeline (one segment per satellite served),
+// handovers (why the terminal switched: its satellite was `lost` or the
+// `policy` found a better one), outages and their statistics, plus per-epoch
+// `samples` with includeSamples. Reacquiring a satellite after an outage is
+// not a handover.
+function simulateHandover(tleList, observer, constellationKey, {
+  times,
+  stepSec,
+  observers = times.map(() => observer),
+  policy = 'elevation',
+  hysteresis,
+  minElevDeg,
+  link,
+  includeSamples = false
+}) {
+  const config = requireConstellation(constellationKey);
+  const rule = HANDOVER_POLICIES[policy];
+  if (!rule) throw new Error(`Unknown handover policy: ${policy}`);
+  const threshold = hysteresis ?? rule.hysteresis;
+  const spans = epochSpans(times, stepSec);
+  const epochs = candidatesPerEpoch(prepareSatrecs(tleList), observers, config, { times, spans, minElevDeg, link });
+
+  const timeline = [];
+  const handovers = [];
+  const outages = [];
+  let serving = null;
+  let segment = null;
+  let outage = null;
+  let elevationSum = 0;
+  let marginSum = 0;
+  let servedEpochs = 0;
+  const samples = [];
+
+  epochs.forEach((candidates, i) => {
+    const time = times[i];
+    const span = spans[i];
+    const endIso = new Date(time.getTime() + span * 1000).toISOString();
+    const current = serving && candidates.find(c => c.noradId === serving.noradId);
+    const best = candidates.reduce((b, c) => (b === null || rule.score(c) > rule.score(b) ? c : b), null);
+
+    let next = current || best;
+    if (current && best && rule.score(best) > rule.score(current) + threshold) next = best;
+
+    if (serving && next && next.noradId !== serving.noradId) {
+      handovers.push({
+        time: time.toISOString(),
+        from: serving.noradId,
+        to: next.noradId,
+        reason: current ? 'policy' : 'lost',
+        toElevationDeg: round1(next.elevation)
+      });
+    }
+
+    if (next) {
+      servedEpochs++;
+      elevationSum += next.elevation;
+      marginSum += next.marginDb;
+      if (segment?.noradId !== next.noradId) {
+        segment = {
+          noradId: next.noradId,
+          name: next.name,
+          start: time.toISOString(),
+          end: endIso,
+          durationSec: 0,
+          maxElevationDeg: -90,
+          minMarginDb: Infinity
+        };
+        timeline.push(segment);
+      }
+      segment.end = endIso;
+      segment.durationSec += span;
+      segment.maxElevationDeg = Math.max(segment.maxElevationDeg, round1(next.elevation));
+      segment.minMarginDb = Math.min(segment.minMarginDb, next.marginDb);
+      outage = null;
+    } else {
+      segment = null;
+      if (!outage) {
+        outage = { start: time.toISOString(), end: endIso, durationSec: 0 };
+        outages.push(outage);
+      }
+      outage.end = endIso;
+      outage.durationSec += span;
+    }
+    serving = next;
+
+    if (includeSamples) {
+      samples.push({
+        time: time.toISOString(),
+        lat: observers[i].lat,
+        lng: observers[i].lng,
+        alt: observers[i].alt,
+        inView: candidates.inView,
+        available: candidates.length,
+        noradId: next?.noradId ?? null,
+        elevationDeg: next ? round1(next.elevation) : null,
+        marginDb: next ? round1(next.marginDb) : null
+      });
+    }
+  });
+
+  const windowSec = spans.reduce((a, b) => a + b, 0);
+  const outageSecs = outages.map(o => o.durationSec);
+  const totalOutageSec = outageSecs.reduce((a, b) => a + b, 0);
+
+  return {
+    constellation: constellationKey,
+    policy,
+    policyLabel: rule.label,
+    hysteresis: threshold,
+    hysteresisUnit: rule.unit,
+    stepSec,
+    timeline,
+    handovers,
+    outages,
+    ...(includeSamples && { samples }),
+    statistics: {
+      servedPct: windowSec ? round1(100 * (windowSec - totalOutageSec) / windowSec) : null,
+      handoverCount: handovers.length,
+      handoversPerHour: windowSec ? round1(handovers.length / (windowSec / 3600)) : null,
+      meanServingSec: timeline.length ? Math.round(timeline.reduce((sum, s) => sum + s.durationSec, 0) / timeline.length) : 0,
+      meanElevationDeg: servedEpochs ? round1(elevationSum / servedEpochs) : null,
+      meanMarginDb: servedEpochs ? round1(marginSum / servedEpochs) : null,
+      outageCount: outages.length,
+      totalOutageSec,
+      meanOutageSec: outages.length ? Math.round(totalOutageSec / outages.length) : 0,
+      maxOutageSec: outages.length ? Math.max(...outageSecs) : 0
+    }
+  };
+}
+
+module.exports = {
+  HANDOVER_POLICIES,
+  simulateHandover
+};
@@ -0,0 +1,86 @@
+// Azimuth-dependent horizon masks (buildings, valley walls) for a ground
+// station: a list of { azimuthDeg, elevationDeg } points, sorted by azimuth,
+// linearly interpolated in between and wrapping through north.
+
+const MIN_MASK_ELEVATION_DEG = -5;
+// Azimuth step of the profile clients draw
+const HORIZON_PROFILE_STEP_DEG = 5;
+
+// Validate and sort mask points; throws with the first problem found
+function normalizeHorizonMask(points) {
+  if (!Array.isArray(points)) throw new Error('horizon mask must be a list of { azimuthDeg, elevationDeg } points');
+
+  const mask = points.map((point, i) => {
+    const azimuthDeg = Number(point?.azimuthDeg);
+    const elevationDeg = Number(point?.elevationDeg);
+    if (!(Number.isFinite(azimuthDeg) && azimuthDeg >= 0 && azimuthDeg <= 360)) {
+      throw new Error(`horizon mask point ${i + 1}: azimuth must be from 0 to 360`);
+    }
+    if (!(Number.isFinite(elevationDeg) && elevationDeg >= MIN_MASK_ELEVATION_DEG && elevationDeg < 90)) {
+      throw new Error(`horizon mask point ${i + 1}: elevation must be from ${MIN_MASK_ELEVATION_DEG} to 90`);
+    }
+    return { azimuthDeg: azimuthDeg % 360, elevationDeg };
+  }).sort((a, b) => a.azimuthDeg - b.azimuthDeg);
+
+  for (let i = 1; i < mask.length; i++) {
+    if (mask[i].azimuthDeg === mask[i - 1].azimuthDeg) {
+      throw new Error(`horizon mask has two points at azimuth ${mask[i].azimuthDeg}`);
+    }
+  }
+  return mask;
+}
+
+// `azimuth,elevation` per line (degrees), with an optional header row and
+// `#` comments, as exported by most horizon survey and DEM tools
+function parseHorizonCsv(text) {
+  const points = [];
+  String(text).split(/\r?\n/).forEach((line, i) => {
+    const content = line.replace(/#.*/, '').trim();
+    if (!content) return;
+    const [az, elev, ...rest] = content.split(/[,;\t ]+/);
+    if (points.length === 0 && Number.isNaN(Number(az))) return; // header
+    if (elev === undefined || rest.length) throw new Error(`horizon CSV line ${i + 1}: expected azimuth,elevation`);
+    points.push({ azimuthDeg: Number(az), elevationDeg: Number(elev) });
+  });
+  return normalizeHorizonMask(points);
+}
+
+// Horizon elevation at an azimuth; -90 without a mask
+function horizonElevationAt(mask, azimuthDeg) {
+  if (!mask?.length) return -90;
+  if (mask.length === 1) return mask[0].elevationDeg;
+
+  const az = ((azimuthDeg % 360) + 360) % 360;
+  const next = mask.findIndex(p => p.azimuthDeg > az);
+  // Past the last point (or before the first) interpolate across north
+  const hi = next === -1 ? mask[0] : mask[next];
+  const lo = next === -1 ? mask[mask.length - 1] : mask[(next - 1 + mask.length) % mask.length];
+  const span = (hi.azimuthDeg - lo.azimuthDeg + 360) % 360 || 360;
+  const offset = (az - lo.azimuthDeg + 360) % 360;
+  return lo.elevationDeg + (hi.elevationDeg - lo.elevationDeg) * (offset / span);
+}
+
+// The mask as clients draw it: [azimuthDeg, elevationDeg] every stepDeg and
+// at each mask point, from north round to north again; empty without a mask
+function horizonProfile(mask, stepDeg = HORIZON_PROFILE_STEP_DEG) {
+  if (!mask?.length) return [];
+  const azimuths = new Set(mask.map(p => p.azimuthDeg));
+  for (let az = 0; az < 360; az += stepDeg) azimuths.add(az);
+  const profile = [...azimuths].sort((a, b) => a - b).map(az => [az, +horizonElevationAt(mask, az).toFixed(2)]);
+  return [...profile, [360, profile[0][1]]];
+}
+
+// Whether a satellite at azimuth/elevation is above the observer's horizon
+// mask; observers without one (or callers without an azimuth) always clear it
+function clearsHorizon(observer, azimuthDeg, elevationDeg) {
+  if (!observer.horizonMask?.length || azimuthDeg === undefined) return true;
+  return elevationDeg > horizonElevationAt(observer.horizonMask, azimuthDeg);
+}
+
+module.exports = {
+  normalizeHorizonMask,
+  parseHorizonCsv,
+  horizonElevationAt,
+  horizonProfile,
+  clearsHorizon
+};
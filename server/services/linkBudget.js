@@ -0,0 +1,100 @@
+const { computeAttenuation, annualAvailability } = require('./attenuation');
+
+const BOLTZMANN_DBW_PER_K_HZ = -228.6;
+
+const round1 = x => +x.toFixed(1);
+
+function freeSpacePathLossDb(rangeKm, frequencyGHz) {
+  return 92.45 + 20 * Math.log10(rangeKm) + 20 * Math.log10(frequencyGHz);
+}
+
+// Downlink budget for one satellite-to-terminal geometry.
+// constellation is a registry entry; weather: { rainRate, p, r001 } as
+// accepted by computeAttenuation, clear sky when empty.
+function computeLinkBudget({ rangeKm, elevationDeg, constellation, terminal, requiredEbN0Db, observer, weather = {} }) {
+  const { link, frequencyGHz } = constellation;
+
+  const fsplDb = freeSpacePathLossDb(rangeKm, frequencyGHz);
+  const attenuation = computeAttenuation({
+    frequencyGHz,
+    elevationDeg,
+    latitudeDeg: observer.lat,
+    stationAltKm: observer.alt / 1000,
+    antennaDiameterM: terminal.antennaDiameterM,
+    ...weather
+  });
+  const totalLossDb = fsplDb + attenuation.totalDb + terminal.pointingLossDb;
+
+  const cn0DbHz = link.eirpDbw - totalLossDb + terminal.gOverTDbK - BOLTZMANN_DBW_PER_K_HZ;
+  const cnDb = cn0DbHz - 10 * Math.log10(link.bandwidthMHz * 1e6);
+  const ebn0Db = cn0DbHz - 10 * Math.log10(link.dataRateMbps * 1e6);
+  const required = requiredEbN0Db ?? link.requiredEbN0Db;
+
+  return {
+    terminal: terminal.id,
+    frequencyGHz,
+    eirpDbw: link.eirpDbw,
+    fsplDb: round1(fsplDb),
+    attenuationDb: round1(attenuation.totalDb),
+    attenuation,
+    pointingLossDb: terminal.pointingLossDb,
+    gOverTDbK: terminal.gOverTDbK,
+    cn0DbHz: round1(cn0DbHz),
+    cnDb: round1(cnDb),
+    ebn0Db: round1(ebn0Db),
+    requiredEbN0Db: required,
+    marginDb: round1(ebn0Db - required)
+  };
+}
+
+// Slant range to a satellite at altitudeKm seen at elevationDeg (spherical earth)
+function slantRangeKm(altitudeKm, elevationDeg, earthRadiusKm = 6371) {
+  const el = elevationDeg * Math.PI / 180;
+  const rs = earthRadiusKm + altitudeKm;
+  return Math.sqrt(rs ** 2 - (earthRadiusKm * Math.cos(el)) ** 2) - earthRadiusKm * Math.sin(el);
+}
+
+// Annual availability of the station-to-constellation link at one elevation
+// (the mask angle is the worst case), from the clear-sky margin there.
+function stationAvailability({ constellation, observer, terminal, elevationDeg, requiredEbN0Db, r001 }) {
+  const rangeKm = slantRangeKm(constellation.nominalAltitudeKm, elevationDeg);
+  const clearSky = computeLinkBudget({ rangeKm, elevationDeg, constellation, terminal, requiredEbN0Db, observer });
+  // The clear-sky budget already carries median scintillation; the fade
+  // statistics below account for it again, so add it back
+  const clearSkyMarginDb = clearSky.marginDb + clearSky.attenuation.scintillationDb;
+
+  const geometry = {
+    frequencyGHz: constellation.frequencyGHz,
+    elevationDeg,
+    latitudeDeg: observer.lat,
+    stationAltKm: observer.alt / 1000,
+    antennaDiameterM: terminal.antennaDiameterM,
+    r001
+  };
+  const { availabilityPct, bounded } = annualAvailability({ clearSkyMarginDb, ...geometry });
+
+  const curve = [0.001, 0.01, 0.1, 1, 5].map(p => {
+    const { rainDb, scintillationDb } = computeAttenuation({ ...geometry, p });
+    return { p, rainDb, scintillationDb };
+  });
+
+  return {
+    terminal: terminal.id,
+    elevationDeg,
+    slantRangeKm: Math.round(rangeKm),
+    clearSkyMarginDb: round1(clearSkyMarginDb),
+    r001MmH: clearSky.attenuation.r001MmH,
+    rainHeightKm: clearSky.attenuation.rainHeightKm,
+    availabilityPct,
+    bounded,
+    outageMinutesPerYear: Math.round((100 - availabilityPct) / 100 * 365.25 * 24 * 60),
+    fadeExceedance: curve
+  };
+}
+
+module.exports = {
+  freeSpacePathLossDb,
+  slantRangeKm,
+  computeLinkBudget,
+  stationAvailability
+};
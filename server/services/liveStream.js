@@ -0,0 +1,214 @@
+const satellite = require('satellite.js');
+const { getConstellationTLEs, describeTLESet } = require('./tleService');
+const { requireConstellation, prepareSatrecs, propagateSatrecs, stateFromEci } = require('./simulationEngine');
+const { clearsHorizon } = require('./horizonMask');
+const { subsolarPoint } = require('./eclipse');
+
+// One propagation loop shared by every live subscriber. Each tick propagates
+// every subscribed constellation once, then evaluates each channel (a
+// station + constellations + filters combination) against those positions
+// and pushes only what changed to that channel's clients.
+const DEFAULT_TICK_MS = Number(process.env.LIVE_TICK_MS) || 5000;
+// Reload element sets this often (the TLE service decides whether to fetch)
+const TLE_RELOAD_MS = 10 * 60 * 1000;
+
+const round1 = x => (x === null || x === undefined ? x : +x.toFixed(1));
+
+// Dynamic fields only; names, elements and full link budgets go out on enter
+function stateDelta(noradId, state) {
+  return {
+    noradId,
+    lat: round1(state.lat),
+    lng: round1(state.lng),
+    altitudeKm: round1(state.altitudeKm),
+    elevation: state.elevation,
+    azimuth: state.azimuth,
+    rangeRateKmS: state.rangeRateKmS,
+    doppler: state.doppler,
+    rangeKm: state.rangeKm,
+    available: state.available,
+    eclipse: state.eclipse,
+    sunlitFraction: state.sunlitFraction,
+    linkBudget: state.linkBudget && { ebn0Db: state.linkBudget.ebn0Db, marginDb: state.linkBudget.marginDb }
+  };
+}
+
+// A channel is identified by its normalised params:
+//   { constellations (sorted), observer, mode: 'station' | 'constellation',
+//     maxSats, minElevDeg, links: { [key]: parsed link options } }
+// In station mode it tracks the satellites above the elevation mask and the
+// observer's horizon mask; in constellation mode every satellite.
+function channelKey(params) {
+  return JSON.stringify(params);
+}
+
+// `now` and `loadTLEs` are injectable for tests.
+function createLiveHub({ tickMs = DEFAULT_TICK_MS, loadTLEs = getConstellationTLEs, now = () => new Date() } = {}) {
+  const channels = new Map(); // channelKey -> { params, clients, members, tle }
+  const fleets = new Map();   // `${constellation}:${maxSats}` -> { satrecs, tleSet, loadedAt }
+  let timer = null;
+  let inFlight = null;
+
+  function send(channel, event, data) {
+    for (const client of channel.clients) client(event, data);
+  }
+
+  async function loadFleet(key, maxSats, time) {
+    const id = `${key}:${maxSats}`;
+    const fleet = fleets.get(id);
+    if (fleet && time - fleet.loadedAt < TLE_RELOAD_MS) return fleet;
+
+    const tleSet = await loadTLEs(key, maxSats);
+    const loaded = { satrecs: prepareSatrecs(tleSet.tleList), tleSet, loadedAt: time };
+    fleets.set(id, loaded);
+    return loaded;
+  }
+
+  function evaluateChannel(channel, positions, gmst, time) {
+    const { constellations, observer, mode, maxSats, minElevDeg, links } = channel.params;
+    const current = new Map();
+    const masks = Object.fromEntries(constellations.map(key =>
+      [key, minElevDeg ?? requireConstellation(key).minElevationDeg]
+    ));
+
+    for (const key of constellations) {
+      for (const { sat, eci } of positions.get(`${key}:${maxSats}`)) {
+        const state = stateFromEci(eci, gmst, observer, key, { minElevDeg, link: links[key], time });
+        const inView = state.elevation > masks[key] && clearsHorizon(observer, state.azimuth, state.elevation);
+        if (mode === 'station' && !inView) continue;
+        current.set(sat.noradId, { noradId: sat.noradId, constellation: key, name: sat.name, omm: sat.omm, ...state });
+      }
+    }
+
+    const iso = time.toISOString();
+    if (!channel.members) {
+      channel.members = current;
+      send(channel, 'snapshot', snapshotOf(channel, iso));
+      return;
+    }
+
+    const entered = [...current.values()].filter(s => !channel.members.has(s.noradId));
+    const left = [...channel.members.keys()].filter(id => !current.has(id));
+    const availability = [...current.values()]
+      .filter(s => channel.members.has(s.noradId) && channel.members.get(s.noradId).available !== s.available)
+      .map(s => ({ noradId: s.noradId, available: s.available, marginDb: s.linkBudget?.marginDb ?? null }));
+    channel.members = current;
+
+    if (entered.length) send(channel, 'enter', { time: iso, satellites: entered });
+    if (left.length) send(channel, 'leave', { time: iso, noradIds: left });
+    if (availability.length) send(channel, 'availability', { time: iso, changes: availability });
+    send(channel, 'state', {
+      time: iso,
+      subsolarPoint: subsolarPoint(time),
+      satellites: [...current.values()].map(s => stateDelta(s.noradId, s))
+    });
+  }
+
+  function snapshotOf(channel, time) {
+    const { constellations, observer, mode } = channel.params;
+    return {
+      time,
+      subsolarPoint: subsolarPoint(new Date(time)),
+      constellations,
+      observer,
+      mode,
+      tle: channel.tle,
+      satellites: [...channel.members.values()]
+    };
+  }
+
+  async function runTick(time) {
+    const gmst = satellite.gstime(time);
+    const positions = new Map();
+    const failed = new Map();
+    // Channels subscribing mid-tick wait for the next one
+    const active = [...channels.values()];
+
+    // Propagate each subscribed constellation once for all channels
+    const needed = new Map();
+    for (const { params } of active) {
+      for (const key of params.constellations) needed.set(`${key}:${params.maxSats}`, [key, params.maxSats]);
+    }
+    for (const [id, [key, maxSats]] of needed) {
+      try {
+        const fleet = await loadFleet(key, maxSats, time);
+        positions.set(id, propagateSatrecs(fleet.satrecs, time));
+      } catch (err) {
+        failed.set(id, err.message);
+      }
+    }
+
+    for (const channel of active) {
+      const { constellations, maxSats } = channel.params;
+      const problem = constellations.map(key => failed.get(`${key}:${maxSats}`)).find(Boolean);
+      if (problem) {
+        send(channel, 'stream-error', { time: time.toISOString(), error: problem });
+        continue;
+      }
+      channel.tle = Object.fromEntries(constellations.map(key =>
+        [key, describeTLESet(fleets.get(`${key}:${maxSats}`).tleSet, time)]
+      ));
+      evaluateChannel(channel, positions, gmst, time);
+    }
+  }
+
+  // Ticks never overlap: a tick requested while one runs joins that one
+  function tick() {
+    if (!inFlight) inFlight = runTick(now()).finally(() => { inFlight = null; });
+    return inFlight;
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(() => tick().catch(err => console.error('Live tick failed:', err)), tickMs);
+    timer.unref();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  // Subscribe `client(event, data)` to the channel for `params`; returns the
+  // unsubscribe function. Joining a running channel gets its snapshot at once.
+  function subscribe(params, client) {
+    const key = channelKey(params);
+    let channel = channels.get(key);
+    if (!channel) {
+      channel = { params, clients: new Set(), members: null, tle: null };
+      channels.set(key, channel);
+    }
+    channel.clients.add(client);
+
+    if (channel.members) client('snapshot', snapshotOf(channel, now().toISOString()));
+    else tick().catch(err => console.error('Live tick failed:', err));
+    start();
+
+    return () => {
+      channel.clients.delete(client);
+      if (channel.clients.size === 0) channels.delete(key);
+      if (channels.size === 0) stop();
+    };
+  }
+
+  function status() {
+    return {
+      tickMs,
+      running: timer !== null,
+      channels: [...channels.values()].map(c => ({
+        constellations: c.params.constellations,
+        observer: c.params.observer,
+        mode: c.params.mode,
+        clients: c.clients.size,
+        members: c.members?.size ?? 0
+      }))
+    };
+  }
+
+  return { subscribe, tick, stop, status };
+}
+
+module.exports = {
+  DEFAULT_TICK_MS,
+  createLiveHub
+};
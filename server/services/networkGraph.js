@@ -0,0 +1,276 @@
+const satellite = require('satellite.js');
+const { requireConstellation, prepareSatrecs, propagateSatrecs, satellitesInView } = require('./simulationEngine');
+const { toObserverGd } = require('./passPredictor');
+const { SPEED_OF_LIGHT_KM_S } = require('./doppler');
+
+// Network graph of a constellation at one epoch: +Grid inter-satellite links
+// (two neighbours in the same orbital plane, one in each adjacent plane of
+// the same shell) and ground-station links to the satellites a station can
+// use, searched for the lowest-latency path between two stations.
+
+const EARTH_RADIUS_KM = 6378.137;
+const DEFAULT_MAX_ISL_KM = 5000;
+// Inter-satellite links must clear the atmosphere by this much
+const ISL_MIN_GRAZING_ALT_KM = 80;
+// Gaps that separate shells (inclination, altitude) and planes (RAAN)
+const SHELL_INCLINATION_GAP_DEG = 1;
+const SHELL_ALTITUDE_GAP_KM = 10;
+const PLANE_RAAN_GAP_DEG = 1;
+
+const toDeg = rad => rad * 180 / Math.PI;
+const sub = (a, b) => ({ x: a.x - b.x, y: a.y - b.y, z: a.z - b.z });
+const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+const cross = (a, b) => ({ x: a.y * b.z - a.z * b.y, y: a.z * b.x - a.x * b.z, z: a.x * b.y - a.y * b.x });
+const norm = a => Math.sqrt(dot(a, a));
+
+// Split items sorted by value wherever consecutive values differ by more
+// than gap. Circular values (angles) may wrap: the run across 360° is joined.
+function clusterByGap(items, value, gap, { circular = false } = {}) {
+  const sorted = [...items].sort((a, b) => value(a) - value(b));
+  const clusters = [];
+  for (const item of sorted) {
+    const last = clusters[clusters.length - 1];
+    if (last && value(item) - value(last[last.length - 1]) <= gap) last.push(item);
+    else clusters.push([item]);
+  }
+  if (circular && clusters.length > 1) {
+    const first = clusters[0];
+    const last = clusters[clusters.length - 1];
+    if (value(first[0]) + 360 - value(last[last.length - 1]) <= gap) {
+      clusters[0] = [...clusters.pop(), ...first];
+    }
+  }
+  return clusters;
+}
+
+// Orbital plane (RAAN) and position in it (argument of latitude) from an ECI
+// position and velocity, so every satellite is compared at the same instant
+function planeGeometry({ position, velocity }) {
+  const h = cross(position, velocity);
+  const node = { x: -h.y, y: h.x, z: 0 };
+  const raanDeg = (toDeg(Math.atan2(node.y, node.x)) + 360) % 360;
+  const nodeNorm = norm(node) || 1;
+  let u = Math.acos(Math.max(-1, Math.min(1, dot(node, position) / (nodeNorm * norm(position)))));
+  if (position.z < 0) u = 2 * Math.PI - u;
+  return {
+    raanDeg,
+    argLatDeg: toDeg(u),
+    inclinationDeg: toDeg(Math.acos(h.z / norm(h))),
+    altitudeKm: norm(position) - EARTH_RADIUS_KM
+  };
+}
+
+// Whether the straight line between two points clears the Earth and its
+// atmosphere
+function clearsEarth(a, b) {
+  const d = sub(b, a);
+  const t = Math.max(0, Math.min(1, -dot(a, d) / dot(d, d)));
+  const closest = { x: a.x + t * d.x, y: a.y + t * d.y, z: a.z + t * d.z };
+  return norm(closest) > EARTH_RADIUS_KM + ISL_MIN_GRAZING_ALT_KM;
+}
+
+const angleBetween = (a, b) => {
+  const diff = Math.abs(a - b) % 360;
+  return Math.min(diff, 360 - diff);
+};
+
+// +Grid links among propagated satellites ({ sat, eci, ecf }): shells by
+// inclination and altitude, planes by RAAN, then the fore/aft neighbours in
+// each plane and the nearest satellite (by argument of latitude) in each
+// adjacent plane. Links longer than maxIslKm or through the atmosphere are
+// dropped. Returns [{ a, b, distanceKm }] with indexes into `nodes`.
+function buildIslLinks(nodes, { maxIslKm = DEFAULT_MAX_ISL_KM } = {}) {
+  const geometry = nodes.map((node, index) => ({ index, ...planeGeometry(node.eci) }));
+  const links = new Map();
+  const addLink = (i, j) => {
+    if (i === j) return;
+    const key = i < j ? `${i}-${j}` : `${j}-${i}`;
+    if (links.has(key)) return;
+    const distanceKm = norm(sub(nodes[i].ecf, nodes[j].ecf));
+    if (distanceKm > maxIslKm || !clearsEarth(nodes[i].ecf, nodes[j].ecf)) return;
+    links.set(key, { a: Math.min(i, j), b: Math.max(i, j), distanceKm });
+  };
+
+  const shells = clusterByGap(geometry, g => g.inclinationDeg, SHELL_INCLINATION_GAP_DEG)
+    .flatMap(group => clusterByGap(group, g => g.altitudeKm, SHELL_ALTITUDE_GAP_KM));
+
+  for (const shell of shells) {
+    const planes = clusterByGap(shell, g => g.raanDeg, PLANE_RAAN_GAP_DEG, { circular: true })
+      .map(plane => plane.sort((a, b) => a.argLatDeg - b.argLatDeg));
+
+    planes.forEach((plane, p) => {
+      // Fore and aft in the same plane (a ring when there are three or more)
+      for (let k = 0; k + 1 < plane.length; k++) addLink(plane[k].index, plane[k + 1].index);
+      if (plane.length > 2) addLink(plane[plane.length - 1].index, plane[0].index);
+
+      // Across to the next plane east; the previous plane links back to this one
+      if (planes.length < 2 || (planes.length === 2 && p === 1)) return;
+      const next = planes[(p + 1) % planes.length];
+      for (const g of plane) {
+        const nearest = next.reduce((best, h) => (
+          angleBetween(h.argLatDeg, g.argLatDeg) < angleBetween(best.argLatDeg, g.argLatDeg) ? h : best
+        ));
+        addLink(g.index, nearest.index);
+      }
+    });
+  }
+  return [...links.values()];
+}
+
+// Lowest-cost path by Dijkstra over an adjacency list [[{ to, km }]];
+// returns { nodes (indexes from `from` to `to`), km }, or null if unreachable
+function shortestPath(adjacency, from, to) {
+  const dist = new Float64Array(adjacency.length).fill(Infinity);
+  const prev = new Int32Array(adjacency.length).fill(-1);
+  const heap = [[0, from]];
+  dist[from] = 0;
+
+  const push = item => {
+    heap.push(item);
+    for (let i = heap.length - 1; i > 0;) {
+      const parent = (i - 1) >> 1;
+      if (heap[parent][0] <= heap[i][0]) break;
+      [heap[parent], heap[i]] = [heap[i], heap[parent]];
+      i = parent;
+    }
+  };
+  const pop = () => {
+    const top = heap[0];
+    const last = heap.pop();
+    if (heap.length) {
+      heap[0] = last;
+      for (let i = 0; ;) {
+        const l = 2 * i + 1;
+        const r = l + 1;
+        let m = i;
+        if (l < heap.length && heap[l][0] < heap[m][0]) m = l;
+        if (r < heap.length && heap[r][0] < heap[m][0]) m = r;
+        if (m === i) break;
+        [heap[m], heap[i]] = [heap[i], heap[m]];
+        i = m;
+      }
+    }
+    return top;
+  };
+
+  while (heap.length) {
+    const [d, node] = pop();
+    if (d > dist[node]) continue;
+    if (node === to) break;
+    for (const { to: next, km } of adjacency[node]) {
+      if (d + km < dist[next]) {
+        dist[next] = d + km;
+        prev[next] = node;
+        push([d + km, next]);
+      }
+    }
+  }
+  if (dist[to] === Infinity) return null;
+
+  const nodes = [];
+  for (let node = to; node !== -1; node = prev[node]) nodes.unshift(node);
+  return { nodes, km: dist[to] };
+}
+
+// Lowest-latency route between two ground stations at one epoch. Each
+// endpoint is { name, observer, minElevDeg, link } and reaches the satellites
+// it could use on its own (elevation and horizon masks, link margin).
+// Latency is the path length at the speed of light.
+function routeAt(satrecs, constellationKey, from, to, time, { maxIslKm } = {}) {
+  const config = requireConstellation(constellationKey);
+  const gmst = satellite.gstime(time);
+  const states = propagateSatrecs(satrecs, time);
+  const nodes = states.map(s => ({ ...s, ecf: satellite.eciToEcf(s.eci.position, gmst) }));
+  const islLinks = buildIslLinks(nodes, { maxIslKm });
+
+  // Two extra nodes after the satellites: the endpoints
+  const endpoints = [from, to];
+  const adjacency = Array.from({ length: nodes.length + 2 }, () => []);
+  const connect = (i, j, km) => {
+    adjacency[i].push({ to: j, km });
+    adjacency[j].push({ to: i, km });
+  };
+  islLinks.forEach(({ a, b, distanceKm }) => connect(a, b, distanceKm));
+
+  const index = new Map(nodes.map((n, i) => [n.sat.noradId, i]));
+  const uplinks = endpoints.map(({ observer, minElevDeg, link }, e) => {
+    const visible = satellitesInView(satrecs, observer, config, time, { minElevDeg, link, states })
+      .filter(s => s.available);
+    visible.forEach(s => connect(nodes.length + e, index.get(s.sat.noradId), s.rangeKm));
+    return visible.length;
+  });
+
+  const summary = { time: time.toISOString(), islLinks: islLinks.length, uplinks: { from: uplinks[0], to: uplinks[1] } };
+  const route = shortestPath(adjacency, nodes.length, nodes.length + 1);
+  if (!route) return { ...summary, reachable: false, latencyMs: null, hops: null, distanceKm: null, path: [] };
+
+  return {
+    ...summary,
+    reachable: true,
+    latencyMs: +(1000 * route.km / SPEED_OF_LIGHT_KM_S).toFixed(2),
+    hops: route.nodes.length - 1,
+    distanceKm: Math.round(route.km),
+    path: route.nodes.map(i => {
+      if (i >= nodes.length) {
+        const { name, observer } = endpoints[i - nodes.length];
+        return { type: 'station', name, lat: observer.lat, lng: observer.lng, altitudeKm: observer.alt / 1000 };
+      }
+      const geo = satellite.eciToGeodetic(nodes[i].eci.position, gmst);
+      return {
+        type: 'satellite',
+        noradId: nodes[i].sat.noradId,
+        name: nodes[i].sat.name,
+        lat: +satellite.degreesLat(geo.latitude).toFixed(3),
+        lng: +satellite.degreesLong(geo.longitude).toFixed(3),
+        altitudeKm: +geo.height.toFixed(1)
+      };
+    })
+  };
+}
+
+// Great-circle distance between two observers (spherical Earth)
+function greatCircleKm(from, to) {
+  const a = satellite.geodeticToEcf(toObserverGd({ ...from, alt: 0 }));
+  const b = satellite.geodeticToEcf(toObserverGd({ ...to, alt: 0 }));
+  const angle = Math.acos(Math.max(-1, Math.min(1, dot(a, b) / (norm(a) * norm(b)))));
+  return angle * EARTH_RADIUS_KM;
+}
+
+// Route between two stations at each epoch, with latency statistics; a path
+// change is any epoch whose satellite sequence differs from the previous one
+function computeRoutes(tleList, constellationKey, from, to, { times, ...options }) {
+  const satrecs = prepareSatrecs(tleList);
+  const samples = times.map(time => routeAt(satrecs, constellationKey, from, to, time, options));
+
+  const reachable = samples.filter(s => s.reachable);
+  const latencies = reachable.map(s => s.latencyMs);
+  const signature = s => s.path.filter(n => n.type === 'satellite').map(n => n.noradId).join(',');
+  let pathChanges = 0;
+  for (let k = 1; k < samples.length; k++) {
+    if (samples[k].reachable && samples[k - 1].reachable && signature(samples[k]) !== signature(samples[k - 1])) pathChanges++;
+  }
+
+  return {
+    constellation: constellationKey,
+    satelliteCount: satrecs.length,
+    greatCircleKm: Math.round(greatCircleKm(from.observer, to.observer)),
+    samples,
+    statistics: {
+      reachablePct: samples.length ? +(100 * reachable.length / samples.length).toFixed(1) : null,
+      minLatencyMs: latencies.length ? Math.min(...latencies) : null,
+      meanLatencyMs: latencies.length ? +(latencies.reduce((a, b) => a + b, 0) / latencies.length).toFixed(2) : null,
+      maxLatencyMs: latencies.length ? Math.max(...latencies) : null,
+      meanHops: reachable.length ? +(reachable.reduce((a, s) => a + s.hops, 0) / reachable.length).toFixed(1) : null,
+      pathChanges
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_MAX_ISL_KM,
+  planeGeometry,
+  buildIslLinks,
+  shortestPath,
+  routeAt,
+  computeRoutes
+};
@@ -0,0 +1,222 @@
+const satellite = require('satellite.js');
+const { clearsHorizon } = require('./horizonMask');
+
+const DEFAULT_STEP_SEC = 30;
+const CROSSING_TOLERANCE_MS = 100;
+const TCA_TOLERANCE_MS = 500;
+const GOLDEN_RATIO = (Math.sqrt(5) - 1) / 2;
+const EARTH_ROTATION_RAD_S = 7.2921150e-5;
+const EARTH_MU_KM3_S2 = 398600.4418;
+
+function toObserverGd(observer) {
+  return {
+    longitude: satellite.degreesToRadians(observer.lng),
+    latitude: satellite.degreesToRadians(observer.lat),
+    height: observer.alt / 1000
+  };
+}
+
+// Satellite position and velocity relative to the observer in the
+// Earth-fixed frame, where the observer is at rest (km, km/s)
+function relativeEcf({ position, velocity }, gmst, observerGd) {
+  const r = satellite.eciToEcf(position, gmst);
+  const v = satellite.eciToEcf(velocity, gmst);
+  const obs = satellite.geodeticToEcf(observerGd);
+  return {
+    r,
+    v: { x: v.x + EARTH_ROTATION_RAD_S * r.y, y: v.y - EARTH_ROTATION_RAD_S * r.x, z: v.z },
+    rho: { x: r.x - obs.x, y: r.y - obs.y, z: r.z - obs.z }
+  };
+}
+
+const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+
+// Rate of change of the observer-satellite range (km/s, positive while the
+// satellite recedes) from an ECI position/velocity
+function rangeRateKmS(eci, gmst, observerGd) {
+  if (!eci.velocity) return null;
+  const { v, rho } = relativeEcf(eci, gmst, observerGd);
+  return dot(rho, v) / Math.sqrt(dot(rho, rho));
+}
+
+// Rate of change of the range rate (km/s²). The Earth-fixed acceleration is
+// two-body gravity plus the Coriolis and centrifugal terms; J2 and drag
+// change it by well under a percent over a pass.
+function rangeAccelKmS2(eci, gmst, observerGd) {
+  if (!eci.velocity) return null;
+  const { r, v, rho } = relativeEcf(eci, gmst, observerGd);
+  const g = -EARTH_MU_KM3_S2 / Math.sqrt(dot(r, r)) ** 3;
+  const w = EARTH_ROTATION_RAD_S;
+  const a = {
+    x: g * r.x + 2 * w * v.y + w * w * r.x,
+    y: g * r.y - 2 * w * v.x + w * w * r.y,
+    z: g * r.z
+  };
+
+  const range = Math.sqrt(dot(rho, rho));
+  const rate = dot(rho, v) / range;
+  return (dot(v, v) + dot(rho, a) - rate * rate) / range;
+}
+
+// Azimuth/elevation/range (and its first two derivatives) of a satellite
+// seen from the observer at one instant
+function lookAnglesAt(satrec, observerGd, date) {
+  const pv = satellite.propagate(satrec, date);
+  if (!pv?.position) return null;
+
+  const gmst = satellite.gstime(date);
+  const satEcf = satellite.eciToEcf(pv.position, gmst);
+  const lookAngles = satellite.ecfToLookAngles(observerGd, satEcf);
+
+  return {
+    azimuth: satellite.radiansToDegrees(lookAngles.azimuth),
+    elevation: satellite.radiansToDegrees(lookAngles.elevation),
+    rangeKm: lookAngles.rangeSat,
+    rangeRateKmS: rangeRateKmS(pv, gmst, observerGd),
+    rangeAccelKmS2: rangeAccelKmS2(pv, gmst, observerGd)
+  };
+}
+
+function elevationAt(satrec, observerGd, ms) {
+  const look = lookAnglesAt(satrec, observerGd, new Date(ms));
+  return look ? look.elevation : -90;
+}
+
+// Bisect the instant the satellite comes into or leaves view between two
+// samples that straddle it (rising: lo below / hi above, setting: the reverse)
+function findCrossing(isUp, loMs, hiMs, rising) {
+  while (hiMs - loMs > CROSSING_TOLERANCE_MS) {
+    const mid = (loMs + hiMs) / 2;
+    const above = isUp(mid);
+    if (above === rising) hiMs = mid;
+    else loMs = mid;
+  }
+  return (loMs + hiMs) / 2;
+}
+
+// Golden-section search for peak elevation; a pass is unimodal in elevation
+function findPeak(satrec, observerGd, aMs, bMs) {
+  let c = bMs - GOLDEN_RATIO * (bMs - aMs);
+  let d = aMs + GOLDEN_RATIO * (bMs - aMs);
+  let fc = elevationAt(satrec, observerGd, c);
+  let fd = elevationAt(satrec, observerGd, d);
+
+  while (bMs - aMs > TCA_TOLERANCE_MS) {
+    if (fc > fd) {
+      bMs = d; d = c; fd = fc;
+      c = bMs - GOLDEN_RATIO * (bMs - aMs);
+      fc = elevationAt(satrec, observerGd, c);
+    } else {
+      aMs = c; c = d; fc = fd;
+      d = aMs + GOLDEN_RATIO * (bMs - aMs);
+      fd = elevationAt(satrec, observerGd, d);
+    }
+  }
+  return (aMs + bMs) / 2;
+}
+
+function buildPass(satrec, observerGd, aosMs, tcaMs, losMs, flags) {
+  const aos = lookAnglesAt(satrec, observerGd, new Date(aosMs));
+  const tca = lookAnglesAt(satrec, observerGd, new Date(tcaMs));
+  const los = lookAnglesAt(satrec, observerGd, new Date(losMs));
+  if (!aos || !tca || !los) return null;
+
+  return {
+    aos: new Date(Math.round(aosMs)).toISOString(),
+    tca: new Date(Math.round(tcaMs)).toISOString(),
+    los: new Date(Math.round(losMs)).toISOString(),
+    durationSec: Math.round((losMs - aosMs) / 1000),
+    maxElevationDeg: +tca.elevation.toFixed(1),
+    aosAzimuthDeg: +aos.azimuth.toFixed(1),
+    tcaAzimuthDeg: +tca.azimuth.toFixed(1),
+    losAzimuthDeg: +los.azimuth.toFixed(1),
+    tcaRangeKm: Math.round(tca.rangeKm),
+    ...flags
+  };
+}
+
+// Look angles every stepSec from startMs to endMs (both included), e.g.
+// to plot a pass; instants SGP4 cannot propagate are skipped
+function sampleLookAngles(satrec, observer, startMs, endMs, stepSec) {
+  const observerGd = toObserverGd(observer);
+  const samples = [];
+  for (let t = startMs; ; t = Math.min(t + stepSec * 1000, endMs)) {
+    const look = lookAnglesAt(satrec, observerGd, new Date(t));
+    if (look) samples.push({ time: new Date(Math.round(t)).toISOString(), ...look });
+    if (t >= endMs) break;
+  }
+  return samples;
+}
+
+// Predict every pass of one satellite above minElevDeg (and the observer's
+// horizon mask, if any) between start and end.
+// The window is sampled every stepSec, then each horizon crossing is bisected
+// and the peak refined, so AOS/LOS land within ~0.1 s of the true crossing.
+// Passes already in progress at start (or still up at end) are clipped to the
+// window and flagged. A satellite dipping behind an obstruction mid-pass
+// yields two passes.
+function predictPasses(satrec, observer, { start, end, minElevDeg, stepSec = DEFAULT_STEP_SEC }) {
+  const observerGd = toObserverGd(observer);
+  const isVisible = look => Boolean(look) && look.elevation >= minElevDeg &&
+    clearsHorizon(observer, look.azimuth, look.elevation);
+  const isUp = ms => isVisible(lookAnglesAt(satrec, observerGd, new Date(ms)));
+  const startMs = start.getTime();
+  const endMs = end.getTime();
+  const stepMs = stepSec * 1000;
+  const passes = [];
+
+  let prevMs = null;
+  let prevAbove = false;
+  let aosMs = null;
+  let aosClipped = false;
+  let peakMs = null;
+  let peakElev = -Infinity;
+
+  const closePass = (losMs, losClipped) => {
+    const lo = Math.max(aosMs, peakMs - stepMs);
+    const hi = Math.min(losMs, peakMs + stepMs);
+    const tcaMs = hi > lo ? findPeak(satrec, observerGd, lo, hi) : peakMs;
+    const pass = buildPass(satrec, observerGd, aosMs, tcaMs, losMs, {
+      inProgressAtStart: aosClipped,
+      inProgressAtEnd: losClipped
+    });
+    if (pass) passes.push(pass);
+  };
+
+  for (let t = startMs; ; t = Math.min(t + stepMs, endMs)) {
+    const look = lookAnglesAt(satrec, observerGd, new Date(t));
+    const elevation = look ? look.elevation : -90;
+    const above = isVisible(look);
+
+    if (above && !prevAbove) {
+      aosClipped = prevMs === null;
+      aosMs = aosClipped ? t : findCrossing(isUp, prevMs, t, true);
+      peakElev = -Infinity;
+    }
+    if (above && elevation > peakElev) {
+      peakElev = elevation;
+      peakMs = t;
+    }
+    if (!above && prevAbove) {
+      closePass(findCrossing(isUp, prevMs, t, false), false);
+    }
+
+    prevMs = t;
+    prevAbove = above;
+    if (t >= endMs) break;
+  }
+
+  if (prevAbove) closePass(endMs, true);
+
+  return passes;
+}
+
+module.exports = {
+  DEFAULT_STEP_SEC,
+  toObserverGd,
+  rangeRateKmS,
+  rangeAccelKmS2,
+  lookAnglesAt,
+  sampleLookAngles,
+  predictPasses
+};
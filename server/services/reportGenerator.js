@@ -0,0 +1,271 @@
+const { resolveTerminal } = require('./constellationRegistry');
+const { slantRangeKm } = require('./linkBudget');
+const {
+  requireConstellation,
+  evaluateLink,
+  predictConstellationPasses,
+  computeStationAvailability
+} = require('./simulationEngine');
+const { computeCoverageStatistics } = require('./coverageStatistics');
+
+// Coverage report of one constellation at a station over a window: pass
+// table, availability statistics, gap histogram and link-budget summary,
+// written out as JSON, sectioned CSV or a self-contained HTML page.
+
+// Upper edges of the gap histogram bins; the last bin is open-ended
+const GAP_BINS_SEC = [60, 300, 900, 1800, 3600];
+
+const round1 = x => (x === null ? null : +x.toFixed(1));
+const mean = values => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : null);
+
+function gapHistogram(gaps) {
+  const bins = [...GAP_BINS_SEC, Infinity].map((maxSec, i) => ({
+    minSec: i ? GAP_BINS_SEC[i - 1] : 0,
+    maxSec: Number.isFinite(maxSec) ? maxSec : null,
+    count: 0
+  }));
+  for (const { durationSec } of gaps) {
+    bins.find(b => b.maxSec === null || durationSec < b.maxSec).count++;
+  }
+  return bins;
+}
+
+// Link budget at one elevation for a satellite at the constellation's
+// nominal altitude
+function budgetAt(config, observer, elevationDeg, link) {
+  const rangeKm = slantRangeKm(config.nominalAltitudeKm, elevationDeg);
+  const { linkBudget } = evaluateLink(config, observer, elevationDeg, rangeKm, { minElevDeg: -90, link });
+  return {
+    elevationDeg,
+    rangeKm: Math.round(rangeKm),
+    fsplDb: linkBudget.fsplDb,
+    attenuationDb: linkBudget.attenuationDb,
+    ebn0Db: linkBudget.ebn0Db,
+    marginDb: linkBudget.marginDb
+  };
+}
+
+function buildReport(tleList, observer, constellationKey, { times, stepSec, start, end, minElevDeg, link, stationName }) {
+  const config = requireConstellation(constellationKey);
+  const minElev = minElevDeg ?? config.minElevationDeg;
+
+  const statistics = computeCoverageStatistics(tleList, observer, constellationKey, {
+    times, stepSec, minElevDeg: minElev, link, includeGaps: true
+  });
+  const { gaps, ...availability } = statistics;
+
+  // Each pass with its link budget at closest approach
+  const passes = predictConstellationPasses(tleList, observer, constellationKey, { start, end, minElevDeg: minElev })
+    .map(pass => {
+      const { linkBudget } = evaluateLink(config, observer, pass.maxElevationDeg, pass.tcaRangeKm, { minElevDeg: minElev, link });
+      return { ...pass, tcaEbN0Db: linkBudget.ebn0Db, tcaMarginDb: linkBudget.marginDb };
+    });
+
+  const bySatellite = new Map();
+  for (const pass of passes) {
+    const row = bySatellite.get(pass.noradId) || { noradId: pass.noradId, name: pass.name, passCount: 0, totalPassSec: 0, maxElevationDeg: -90 };
+    row.passCount++;
+    row.totalPassSec += pass.durationSec;
+    row.maxElevationDeg = Math.max(row.maxElevationDeg, pass.maxElevationDeg);
+    bySatellite.set(pass.noradId, row);
+  }
+
+  const terminal = link?.terminal || resolveTerminal(constellationKey);
+  const margins = passes.map(p => p.tcaMarginDb);
+  const annual = computeStationAvailability(constellationKey, observer, { elevationDeg: minElev, link });
+
+  return {
+    constellation: constellationKey,
+    label: config.label,
+    station: { name: stationName, lat: observer.lat, lng: observer.lng, alt: observer.alt },
+    start: start.toISOString(),
+    end: end.toISOString(),
+    stepSec,
+    generatedAt: new Date().toISOString(),
+    availability,
+    gaps,
+    gapHistogram: gapHistogram(gaps),
+    linkBudget: {
+      terminal: terminal.id,
+      terminalName: terminal.name,
+      frequencyGHz: config.frequencyGHz,
+      eirpDbw: config.link.eirpDbw,
+      gOverTDbK: terminal.gOverTDbK,
+      requiredEbN0Db: link?.requiredEbN0Db ?? config.link.requiredEbN0Db,
+      atMask: budgetAt(config, observer, minElev, link),
+      atZenith: budgetAt(config, observer, 90, link),
+      passMarginDb: margins.length
+        ? { min: Math.min(...margins), mean: round1(mean(margins)), max: Math.max(...margins) }
+        : null,
+      annualAvailabilityPct: annual.availabilityPct,
+      outageMinutesPerYear: annual.outageMinutesPerYear
+    },
+    satellites: [...bySatellite.values()].sort((a, b) => a.noradId - b.noradId),
+    passes: passes.map(({ doppler, ...pass }) => pass)
+  };
+}
+
+// ---- CSV: one section per table, each headed by a `# name` line ----
+
+const csvCell = value => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+const csvRows = (columns, rows) => [columns.join(','), ...rows.map(row => columns.map(c => csvCell(row[c])).join(','))];
+
+const PASS_COLUMNS = [
+  'noradId', 'name', 'aos', 'tca', 'los', 'durationSec', 'maxElevationDeg',
+  'aosAzimuthDeg', 'losAzimuthDeg', 'tcaRangeKm', 'tcaEbN0Db', 'tcaMarginDb'
+];
+
+function flattenLinkBudget({ atMask, atZenith, passMarginDb, ...summary }) {
+  return {
+    ...summary,
+    ...Object.fromEntries(Object.entries(atMask).map(([k, v]) => [`mask.${k}`, v])),
+    ...Object.fromEntries(Object.entries(atZenith).map(([k, v]) => [`zenith.${k}`, v])),
+    'passMargin.min': passMarginDb?.min ?? null,
+    'passMargin.mean': passMarginDb?.mean ?? null,
+    'passMargin.max': passMarginDb?.max ?? null
+  };
+}
+
+function toReportCsv(report) {
+  const keyValues = object => ['key,value', ...Object.entries(object).map(([k, v]) => `${csvCell(k)},${csvCell(v)}`)];
+  return [
+    `# ${report.label} coverage report`,
+    ...keyValues({
+      station: report.station.name,
+      lat: report.station.lat,
+      lng: report.station.lng,
+      start: report.start,
+      end: report.end,
+      stepSec: report.stepSec
+    }),
+    '',
+    '# Availability',
+    ...keyValues(report.availability),
+    '',
+    '# Gap histogram',
+    ...csvRows(['minSec', 'maxSec', 'count'], report.gapHistogram),
+    '',
+    '# Gaps',
+    ...csvRows(['start', 'end', 'durationSec'], report.gaps),
+    '',
+    '# Link budget',
+    ...keyValues(flattenLinkBudget(report.linkBudget)),
+    '',
+    '# Satellites',
+    ...csvRows(['noradId', 'name', 'passCount', 'totalPassSec', 'maxElevationDeg'], report.satellites),
+    '',
+    '# Passes',
+    ...csvRows(PASS_COLUMNS, report.passes),
+    ''
+  ].join('\n');
+}
+
+// ---- HTML: inline styles and SVG charts, no external assets ----
+
+const escapeHtml = text => String(text ?? '').replace(/[<>&"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' })[c]);
+const formatBin = ({ minSec, maxSec }) => (maxSec === null ? `≥ ${minSec / 60} min` : `${minSec / 60}–${maxSec / 60} min`);
+
+function htmlTable(columns, rows) {
+  return `<table><thead><tr>${columns.map(c => `<th>${escapeHtml(c)}</th>`).join('')}</tr></thead><tbody>`
+    + rows.map(row => `<tr>${columns.map(c => `<td>${escapeHtml(row[c])}</td>`).join('')}</tr>`).join('')
+    + '</tbody></table>';
+}
+
+function gapHistogramSvg(bins) {
+  const width = 480;
+  const height = 180;
+  const barWidth = width / bins.length;
+  const maxCount = Math.max(1, ...bins.map(b => b.count));
+  const bars = bins.map((bin, i) => {
+    const barHeight = ((height - 40) * bin.count) / maxCount;
+    const x = i * barWidth;
+    return `<rect x="${x + 6}" y="${height - 24 - barHeight}" width="${barWidth - 12}" height="${barHeight}" fill="#f87171"/>`
+      + `<text x="${x + barWidth / 2}" y="${height - 28 - barHeight}" text-anchor="middle">${bin.count}</text>`
+      + `<text x="${x + barWidth / 2}" y="${height - 8}" text-anchor="middle">${escapeHtml(formatBin(bin))}</text>`;
+  });
+  return `<svg width="${width}" height="${height}" font-size="11" font-family="sans-serif">${bars.join('')}</svg>`;
+}
+
+// Each pass as a bar from AOS to LOS, its height the maximum elevation
+function passTimelineSvg(report) {
+  const width = 720;
+  const height = 160;
+  const startMs = Date.parse(report.start);
+  const spanMs = Math.max(1, Date.parse(report.end) - startMs);
+  const x = iso => (width * (Date.parse(iso) - startMs)) / spanMs;
+  const bars = report.passes.map(p => {
+    const barHeight = ((height - 20) * p.maxElevationDeg) / 90;
+    return `<rect x="${x(p.aos).toFixed(1)}" y="${(height - 20 - barHeight).toFixed(1)}" width="${Math.max(1, x(p.los) - x(p.aos)).toFixed(1)}" height="${barHeight.toFixed(1)}" fill="#10b981" fill-opacity="0.6">`
+      + `<title>${escapeHtml(`${p.name}: ${p.aos} – ${p.los}, max ${p.maxElevationDeg}°, margin ${p.tcaMarginDb} dB`)}</title></rect>`;
+  });
+  const gaps = report.gaps.map(g => `<rect x="${x(g.start).toFixed(1)}" y="${height - 16}" width="${Math.max(1, x(g.end) - x(g.start)).toFixed(1)}" height="12" fill="#f87171"/>`);
+  return `<svg width="${width}" height="${height}">`
+    + `<line x1="0" y1="${height - 20}" x2="${width}" y2="${height - 20}" stroke="#888"/>${bars.join('')}${gaps.join('')}</svg>`;
+}
+
+function toReportHtml(report) {
+  const { availability: a, linkBudget: lb } = report;
+  const title = `${report.label} coverage report – ${report.station.name}`;
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: sans-serif; margin: 2em; color: #222; }
+  table { border-collapse: collapse; margin: 0.5em 0 1.5em; font-size: 13px; }
+  th, td { border: 1px solid #ccc; padding: 3px 8px; text-align: left; }
+  th { background: #f0f0f0; }
+  .figures { display: flex; gap: 2em; flex-wrap: wrap; }
+  .figure { border: 1px solid #ddd; padding: 0.5em 1em; min-width: 8em; }
+  .figure b { display: block; font-size: 1.5em; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p>${escapeHtml(`${report.station.lat}, ${report.station.lng}, ${report.station.alt} m`)} | ${escapeHtml(report.start)} to ${escapeHtml(report.end)}, ${report.stepSec} s steps | generated ${escapeHtml(report.generatedAt)}</p>
+
+<h2>Availability</h2>
+<div class="figures">
+  <div class="figure"><b>${a.coveragePct}%</b>covered (≥ ${a.minSatellites} available)</div>
+  <div class="figure"><b>${a.meanAvailable}</b>mean available</div>
+  <div class="figure"><b>${a.gapCount}</b>gaps, max ${a.maxGapSec} s</div>
+  <div class="figure"><b>${a.handovers}</b>handovers</div>
+</div>
+
+<h2>Gap histogram</h2>
+${gapHistogramSvg(report.gapHistogram)}
+
+<h2>Passes over the window</h2>
+<p>Bar height is maximum elevation; gaps in coverage are marked in red below the axis.</p>
+${passTimelineSvg(report)}
+
+<h2>Link budget</h2>
+<p>${escapeHtml(lb.terminalName || lb.terminal)} at ${lb.frequencyGHz} GHz, EIRP ${lb.eirpDbw} dBW, G/T ${lb.gOverTDbK} dB/K, required Eb/N0 ${lb.requiredEbN0Db} dB.
+Annual availability at the mask angle ${lb.annualAvailabilityPct}% (${lb.outageMinutesPerYear} min/year outage).</p>
+${htmlTable(['', 'elevationDeg', 'rangeKm', 'fsplDb', 'attenuationDb', 'ebn0Db', 'marginDb'], [
+  { '': 'Mask angle', ...lb.atMask },
+  { '': 'Zenith', ...lb.atZenith },
+  { '': 'Passes at TCA (min / mean / max)', marginDb: lb.passMarginDb ? `${lb.passMarginDb.min} / ${lb.passMarginDb.mean} / ${lb.passMarginDb.max}` : '–' }
+])}
+
+<h2>Satellites</h2>
+${htmlTable(['noradId', 'name', 'passCount', 'totalPassSec', 'maxElevationDeg'], report.satellites)}
+
+<h2>Passes</h2>
+${htmlTable(PASS_COLUMNS, report.passes)}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  GAP_BINS_SEC,
+  buildReport,
+  gapHistogram,
+  toReportCsv,
+  toReportHtml
+};
@@ -0,0 +1,235 @@
+const satellite = require('satellite.js');
+const {
+  requireConstellation,
+  prepareSatrecs,
+  propagateSatrecs,
+  satellitesInView
+} = require('./simulationEngine');
+const { footprintPolygon, lngLatRing } = require('./footprint');
+
+// A station, a constellation and a time window sampled once per step, for
+// other tools: CZML (Cesium, time-dynamic) and KML (Google Earth). Positions
+// are Earth-fixed; access intervals are when a satellite is available to the
+// station, each sample standing for the step that follows it.
+
+const FOOTPRINT_VERTICES = 36;
+
+const round1 = x => +x.toFixed(1);
+const ecfMetres = ({ x, y, z }) => [x, y, z].map(v => Math.round(v * 1000));
+
+function buildScenario(tleList, observer, constellationKey, { times, minElevDeg, link, stationName = 'Station' }) {
+  const config = requireConstellation(constellationKey);
+  const minElev = minElevDeg ?? config.minElevationDeg;
+  const satrecs = prepareSatrecs(tleList);
+  const tracks = new Map(satrecs.map(({ sat }) => [sat.noradId, { noradId: sat.noradId, name: sat.name, samples: [], accesses: [] }]));
+  const stepMs = times.length > 1 ? times[1] - times[0] : 0;
+
+  times.forEach((time, i) => {
+    const gmst = satellite.gstime(time);
+    const states = propagateSatrecs(satrecs, time);
+    for (const { sat, eci } of states) {
+      const geo = satellite.eciToGeodetic(eci.position, gmst);
+      tracks.get(sat.noradId).samples.push({
+        time,
+        ecf: ecfMetres(satellite.eciToEcf(eci.position, gmst)),
+        lat: satellite.degreesLat(geo.latitude),
+        lng: satellite.degreesLong(geo.longitude),
+        altitudeKm: geo.height
+      });
+    }
+
+    const end = new Date(time.getTime() + (i + 1 < times.length ? stepMs : 0));
+    for (const view of satellitesInView(satrecs, observer, config, time, { minElevDeg, link, states })) {
+      if (!view.available) continue;
+      const { accesses } = tracks.get(view.sat.noradId);
+      const last = accesses[accesses.length - 1];
+      if (last && last.end.getTime() === time.getTime()) {
+        last.end = end;
+        last.maxElevationDeg = Math.max(last.maxElevationDeg, round1(view.elevation));
+      } else if (end > time) {
+        accesses.push({ start: time, end, maxElevationDeg: round1(view.elevation) });
+      }
+    }
+  });
+
+  return {
+    constellation: constellationKey,
+    label: config.label || constellationKey,
+    station: { name: stationName, lat: observer.lat, lng: observer.lng, alt: observer.alt },
+    start: times[0],
+    end: times[times.length - 1],
+    stepSec: stepMs / 1000,
+    minElevDeg: minElev,
+    satellites: [...tracks.values()].filter(t => t.samples.length)
+  };
+}
+
+// Each sample of a satellite that falls in one of its access intervals, with
+// the span it stands for: { sample, start, end }
+function accessSteps(sat) {
+  const steps = [];
+  sat.samples.forEach((s, i) => {
+    const access = sat.accesses.find(a => s.time >= a.start && s.time < a.end);
+    if (!access) return;
+    const next = sat.samples[i + 1]?.time ?? access.end;
+    steps.push({ sample: s, start: s.time, end: next < access.end ? next : access.end });
+  });
+  return steps;
+}
+
+// Footprint of a sample on the ellipsoid as a [lng, lat] ring, longitudes
+// continuous across the antimeridian
+function footprintLngLat(sample, minElevDeg) {
+  const [x, y, z] = sample.ecf.map(m => m / 1000);
+  return lngLatRing(footprintPolygon({ x, y, z }, minElevDeg, { vertices: FOOTPRINT_VERTICES }));
+}
+
+// ---- CZML ----
+
+const interval = (start, end) => `${start.toISOString()}/${end.toISOString()}`;
+const seconds = (time, epoch) => (time - epoch) / 1000;
+const rgba = (r, g, b, a) => ({ rgba: [r, g, b, a] });
+
+function sampledCartesian(samples, epoch, toCartesian) {
+  return {
+    epoch: epoch.toISOString(),
+    interpolationAlgorithm: 'LAGRANGE',
+    interpolationDegree: Math.min(5, samples.length - 1),
+    referenceFrame: 'FIXED',
+    cartesian: samples.flatMap(s => [seconds(s.time, epoch), ...toCartesian(s)])
+  };
+}
+
+// One packet per station and satellite, and for satellites that serve the
+// station a station-satellite link line and an ellipsoid footprint polygon,
+// both existing only during access intervals (footprints per access step,
+// as in KML)
+function toCzml(scenario) {
+  const { station, start, end } = scenario;
+  const window = interval(start, end);
+
+  const packets = [
+    {
+      id: 'document',
+      name: `${scenario.label} from ${station.name}`,
+      version: '1.0',
+      clock: {
+        interval: window,
+        currentTime: start.toISOString(),
+        multiplier: 60,
+        range: 'LOOP_STOP',
+        step: 'SYSTEM_CLOCK_MULTIPLIER'
+      }
+    },
+    {
+      id: 'station',
+      name: station.name,
+      position: { cartographicDegrees: [station.lng, station.lat, station.alt] },
+      point: { pixelSize: 10, color: rgba(255, 255, 255, 255), outlineColor: rgba(0, 0, 0, 255), outlineWidth: 1 },
+      label: { text: station.name, font: '12px sans-serif', pixelOffset: { cartesian2: [0, -18] } }
+    }
+  ];
+
+  for (const sat of scenario.satellites) {
+    const id = `sat-${sat.noradId}`;
+    packets.push({
+      id,
+      name: sat.name,
+      availability: window,
+      description: `NORAD ${sat.noradId}, ${sat.accesses.length} access interval(s) from ${station.name}`,
+      position: sampledCartesian(sat.samples, start, s => s.ecf),
+      point: { pixelSize: 6, color: rgba(0, 255, 255, 255) },
+      path: { width: 1, leadTime: 0, trailTime: 600, material: { solidColor: { color: rgba(0, 255, 255, 90) } } }
+    });
+    if (sat.accesses.length) {
+      packets.push({
+        id: `footprint-${sat.noradId}`,
+        name: `${sat.name} footprint`,
+        availability: sat.accesses.map(a => interval(a.start, a.end)),
+        polygon: {
+          positions: accessSteps(sat).map(step => ({
+            interval: interval(step.start, step.end),
+            cartographicDegrees: footprintLngLat(step.sample, scenario.minElevDeg).flatMap(([lng, lat]) => [+lng.toFixed(4), +lat.toFixed(4), 0])
+          })),
+          height: 0,
+          material: { solidColor: { color: rgba(0, 255, 255, 13) } },
+          outline: true,
+          outlineColor: rgba(0, 255, 255, 115)
+        }
+      });
+      packets.push({
+        id: `link-${sat.noradId}`,
+        name: `${station.name} – ${sat.name}`,
+        availability: sat.accesses.map(a => interval(a.start, a.end)),
+        polyline: {
+          positions: { references: ['station#position', `${id}#position`] },
+          width: 3,
+          arcType: 'NONE',
+          material: { polylineGlow: { color: rgba(0, 255, 0, 255), glowPower: 0.2 } }
+        }
+      });
+    }
+  }
+  return packets;
+}
+
+// ---- KML ----
+
+const escapeXml = text => String(text).replace(/[<>&'"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' })[c]);
+const timeSpan = (start, end) => `<TimeSpan><begin>${start.toISOString()}</begin><end>${end.toISOString()}</end></TimeSpan>`;
+
+// Footprint of a sample on the ellipsoid, as lng,lat KML coordinates
+function footprintRing(sample, minElevDeg) {
+  return footprintLngLat(sample, minElevDeg)
+    .map(([lng, lat]) => `${lng.toFixed(4)},${lat.toFixed(4)},0`)
+    .join(' ');
+}
+
+// Satellites as gx:Tracks; link lines and footprints as time-spanned
+// Placemarks for each step of each access interval. Footprints are only
+// written while a satellite serves the station, to keep the file small
+// enough for Google Earth.
+function toKml(scenario) {
+  const { station } = scenario;
+  const stationCoords = `${station.lng},${station.lat},${station.alt}`;
+  const tracks = [];
+  const links = [];
+  const footprints = [];
+
+  for (const sat of scenario.satellites) {
+    const name = escapeXml(sat.name);
+    tracks.push(`<Placemark><name>${name}</name><styleUrl>#satellite</styleUrl><gx:Track><altitudeMode>absolute</altitudeMode>`
+      + sat.samples.map(s => `<when>${s.time.toISOString()}</when>`).join('')
+      + sat.samples.map(s => `<gx:coord>${s.lng.toFixed(4)} ${s.lat.toFixed(4)} ${Math.round(s.altitudeKm * 1000)}</gx:coord>`).join('')
+      + '</gx:Track></Placemark>');
+
+    accessSteps(sat).forEach(({ sample: s, end }) => {
+      links.push(`<Placemark><name>${name}</name>${timeSpan(s.time, end)}<styleUrl>#link</styleUrl>`
+        + `<LineString><altitudeMode>absolute</altitudeMode><coordinates>${stationCoords} ${s.lng.toFixed(4)},${s.lat.toFixed(4)},${Math.round(s.altitudeKm * 1000)}</coordinates></LineString></Placemark>`);
+      footprints.push(`<Placemark><name>${name}</name>${timeSpan(s.time, end)}<styleUrl>#footprint</styleUrl>`
+        + `<Polygon><tessellate>1</tessellate><outerBoundaryIs><LinearRing><coordinates>${footprintRing(s, scenario.minElevDeg)}</coordinates></LinearRing></outerBoundaryIs></Polygon></Placemark>`);
+    });
+  }
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">',
+    `<Document><name>${escapeXml(`${scenario.label} from ${station.name}`)}</name>`,
+    '<Style id="station"><IconStyle><color>ffffffff</color></IconStyle></Style>',
+    '<Style id="satellite"><IconStyle><color>ffffff00</color><scale>0.6</scale></IconStyle><LineStyle><color>5affff00</color></LineStyle></Style>',
+    '<Style id="link"><LineStyle><color>ff00ff00</color><width>3</width></LineStyle></Style>',
+    '<Style id="footprint"><LineStyle><color>73ffff00</color></LineStyle><PolyStyle><color>0dffff00</color></PolyStyle></Style>',
+    `<Placemark><name>${escapeXml(station.name)}</name><styleUrl>#station</styleUrl><Point><coordinates>${stationCoords}</coordinates></Point></Placemark>`,
+    `<Folder><name>Satellites</name>${tracks.join('\n')}</Folder>`,
+    `<Folder><name>Access links</name>${links.join('\n')}</Folder>`,
+    `<Folder><name>Footprints</name>${footprints.join('\n')}</Folder>`,
+    '</Document>',
+    '</kml>'
+  ].join('\n');
+}
+
+module.exports = {
+  buildScenario,
+  toCzml,
+  toKml
+};
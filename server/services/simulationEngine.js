@@ -1,85 +1,294 @@
 const satellite = require('satellite.js');
+const { getConstellation, resolveTerminal } = require('./constellationRegistry');
+const { computeLinkBudget, stationAvailability } = require('./linkBudget');
+const { predictPasses, toObserverGd, rangeRateKmS, rangeAccelKmS2, sampleLookAngles } = require('./passPredictor');
+const { toSatrec } = require('./elementSets');
+const { clearsHorizon } = require('./horizonMask');
+const { linkDoppler } = require('./doppler');
+const { ApiError } = require('./apiErrors');
+const { sunPositionEci, shadowState, eclipseIntervals } = require('./eclipse');
 
 const EARTH_RADIUS_KM = 6371;
 
-const CONSTELLATION_CONFIG = {
-  iridium: {
-    frequencyGHz: 1.6,
-    minElevationDeg: 10,
-    maxPathLossDb: 160
-  },
-  starlink: {
-    frequencyGHz: 12.0,
-    minElevationDeg: 25,
-    maxPathLossDb: 155
-  },
-  kuiper: {
-    frequencyGHz: 12.0,
-    minElevationDeg: 25,
-    maxPathLossDb: 155
-  }
-};
+function requireConstellation(constellationKey) {
+  const config = getConstellation(constellationKey);
+  if (!config) throw new ApiError('UNKNOWN_CONSTELLATION', `Unknown constellation: ${constellationKey}`);
+  return config;
+}
 
-function computeSatelliteState(satrec, observer, constellationKey, now = new Date()) {
-  const config = CONSTELLATION_CONFIG[constellationKey];
-  if (!config) throw new Error("Unknown constellation config");
+// Ground radius seen above minElevDeg from a satellite at altitudeKm, on a
+// spherical Earth. A summary figure; footprint.js traces the true boundary
+// on the ellipsoid.
+function coverageRadiusKm(altitudeKm, minElevDeg) {
+  const elevRad = minElevDeg * Math.PI / 180;
+  const centralAngle =
+    Math.acos(
+      EARTH_RADIUS_KM * Math.cos(elevRad) /
+      (EARTH_RADIUS_KM + altitudeKm)
+    ) - elevRad;
 
-  const pv = satellite.propagate(satrec, now);
-  if (!pv.position) return null;
+  return EARTH_RADIUS_KM * centralAngle;
+}
 
-  const gmst = satellite.gstime(now);
+// State of one satellite as seen by the observer at `now`.
+// options.minElevDeg overrides the registry mask; options.link carries the
+// parsed { terminal, requiredEbN0Db, weather } for the link budget.
+function computeSatelliteState(satrec, observer, constellationKey, now = new Date(), options = {}) {
+  const pv = propagateCached(satrec, now);
+  if (!pv?.position) return null;
 
-  const geo = satellite.eciToGeodetic(pv.position, gmst);
+  return stateFromEci(pv, satellite.gstime(now), observer, constellationKey, { ...options, time: now });
+}
+
+// Same as computeSatelliteState for an already propagated ECI position and
+// velocity, so one propagation can serve several observers. options.time,
+// the propagation time, adds the eclipse state.
+function stateFromEci(eci, gmst, observer, constellationKey, { minElevDeg, link, time } = {}) {
+  const { position } = eci;
+  const config = requireConstellation(constellationKey);
+  const minElev = minElevDeg ?? config.minElevationDeg;
+
+  const geo = satellite.eciToGeodetic(position, gmst);
   const satLat = satellite.degreesLat(geo.latitude);
   const satLng = satellite.degreesLong(geo.longitude);
   const altitudeKm = geo.height;
 
-  // Observer
-  const observerGd = {
-    longitude: satellite.degreesToRadians(observer.lng),
-    latitude: satellite.degreesToRadians(observer.lat),
-    height: observer.alt / 1000
-  };
-
-  const satEcf = satellite.eciToEcf(pv.position, gmst);
+  const satEcf = satellite.eciToEcf(position, gmst);
+  const observerGd = toObserverGd(observer);
   const lookAngles = satellite.ecfToLookAngles(observerGd, satEcf);
 
   const elevation = satellite.radiansToDegrees(lookAngles.elevation);
+  const azimuth = satellite.radiansToDegrees(lookAngles.azimuth);
   const rangeKm = lookAngles.rangeSat;
+  const rangeRate = rangeRateKmS(eci, gmst, observerGd);
 
-  // Free-space path loss
-  const pathLossDb =
-    32.44 +
-    20 * Math.log10(rangeKm) +
-    20 * Math.log10(config.frequencyGHz);
-
-  // Coverage radius
-  const elevRad = config.minElevationDeg * Math.PI / 180;
-  const centralAngle =
-    Math.acos(
-      EARTH_RADIUS_KM * Math.cos(elevRad) /
-      (EARTH_RADIUS_KM + altitudeKm)
-    ) - elevRad;
-
-  const coverageRadiusKm = EARTH_RADIUS_KM * centralAngle;
-
-  const available =
-    elevation > config.minElevationDeg &&
-    pathLossDb < config.maxPathLossDb;
-
-  return {
+  const state = {
     lat: satLat,
     lng: satLng,
     altitudeKm,
     elevation: +elevation.toFixed(1),
+    azimuth: +azimuth.toFixed(1),
+    rangeRateKmS: rangeRate === null ? null : +rangeRate.toFixed(3),
+    doppler: linkDoppler(config, rangeRate, rangeAccelKmS2(eci, gmst, observerGd)),
+    coverageRadiusKm: coverageRadiusKm(altitudeKm, minElev),
+    coverageMinElevDeg: minElev,
+    ...(time && shadowState(position, sunPositionEci(time)))
+  };
+
+  if (!Number.isFinite(rangeKm) || rangeKm <= 0) {
+    return { ...state, rangeKm: null, pathLossDb: null, available: false };
+  }
+
+  return {
+    ...state,
     rangeKm: Math.round(rangeKm),
-    pathLossDb: Math.round(pathLossDb),
-    coverageRadiusKm,
-    available
+    ...evaluateLink(config, observer, elevation, rangeKm, { minElevDeg: minElev, azimuthDeg: azimuth, link })
+  };
+}
+
+// Link budget and availability for one observer/satellite geometry. With an
+// azimuth, the observer's horizon mask (if any) must be cleared as well.
+function evaluateLink(config, observer, elevation, rangeKm, { minElevDeg, azimuthDeg, link } = {}) {
+  const minElev = minElevDeg ?? config.minElevationDeg;
+  const linkBudget = computeLinkBudget({
+    rangeKm,
+    elevationDeg: elevation,
+    constellation: config,
+    terminal: link?.terminal || resolveTerminal(config.key),
+    requiredEbN0Db: link?.requiredEbN0Db,
+    observer,
+    weather: link?.weather
+  });
+
+  return {
+    pathLossDb: Math.round(linkBudget.fsplDb),
+    linkBudget,
+    available: elevation > minElev && clearsHorizon(observer, azimuthDeg, elevation) && linkBudget.marginDb >= 0
   };
 }
 
+// SGP4 state per element record, built once: records are shared by every
+// request for the same TLE snapshot (see tleService), so this caches satrecs
+// per snapshot. `ok` is the initialisation result; later propagation errors
+// overwrite satrec.error.
+const satrecCache = new WeakMap();
+
+function cachedSatrec(sat) {
+  let entry = satrecCache.get(sat);
+  if (!entry) {
+    const satrec = toSatrec(sat);
+    entry = { satrec, ok: satrec.error === 0 };
+    satrecCache.set(sat, entry);
+  }
+  return entry;
+}
+
+// Initialise SGP4 once per element set; sets SGP4 rejects are dropped
+function prepareSatrecs(tleList) {
+  return tleList
+    .map(sat => ({ sat, ...cachedSatrec(sat) }))
+    .filter(({ ok }) => ok)
+    .map(({ sat, satrec }) => ({ sat, satrec }));
+}
+
+// Positions of the most recent epochs, shared by requests that ask for the
+// same instant (overlapping coverage, grid and statistics windows, several
+// clients on one clock time): epoch ms -> WeakMap(satrec -> ECI state)
+const EPOCH_CACHE_SIZE = 16;
+const epochCache = new Map();
+
+function propagateCached(satrec, time) {
+  const ms = time.getTime();
+  let states = epochCache.get(ms);
+  if (!states) {
+    states = new WeakMap();
+    epochCache.set(ms, states);
+    if (epochCache.size > EPOCH_CACHE_SIZE) epochCache.delete(epochCache.keys().next().value);
+  }
+  if (!states.has(satrec)) states.set(satrec, satellite.propagate(satrec, time));
+  return states.get(satrec);
+}
+
+// ECI state of every prepared satellite at one epoch, dropping those SGP4
+// cannot propagate
+function propagateSatrecs(satrecs, time) {
+  return satrecs
+    .map(({ sat, satrec }) => ({ sat, satrec, eci: propagateCached(satrec, time) }))
+    .filter(({ eci }) => eci?.position);
+}
+
+// Satellites above the elevation mask (and the observer's horizon mask) at
+// one epoch, with their link evaluation, from prepareSatrecs output.
+// `states` reuses a propagateSatrecs result for the same epoch.
+function satellitesInView(satrecs, observer, config, time, { minElevDeg, link, states } = {}) {
+  const minElev = minElevDeg ?? config.minElevationDeg;
+  const observerGd = toObserverGd(observer);
+  const gmst = satellite.gstime(time);
+  const inView = [];
+
+  for (const { sat, eci } of states || propagateSatrecs(satrecs, time)) {
+    const look = satellite.ecfToLookAngles(observerGd, satellite.eciToEcf(eci.position, gmst));
+    const elevation = satellite.radiansToDegrees(look.elevation);
+    const azimuthDeg = satellite.radiansToDegrees(look.azimuth);
+    if (elevation <= minElev || !clearsHorizon(observer, azimuthDeg, elevation)) continue;
+
+    inView.push({
+      sat,
+      elevation,
+      azimuth: azimuthDeg,
+      rangeKm: look.rangeSat,
+      ...evaluateLink(config, observer, elevation, look.rangeSat, { minElevDeg: minElev, azimuthDeg, link })
+    });
+  }
+  return inView;
+}
+
+// Every satellite of a TLE list at one epoch, dropping those that fail to
+// propagate. includeElements attaches the OMM element set so clients can
+// propagate locally.
+function evaluateConstellation(tleList, observer, constellationKey, { time = new Date(), includeElements = false, ...options } = {}) {
+  requireConstellation(constellationKey);
+
+  return tleList
+    .map(sat => {
+      try {
+        const state = computeSatelliteState(cachedSatrec(sat).satrec, observer, constellationKey, time, options);
+        if (!state) return null;
+
+        const result = { noradId: sat.noradId, name: sat.name, ...state };
+        if (!includeElements) return result;
+        return { ...result, constellation: constellationKey, omm: sat.omm };
+      } catch {
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+// All passes of a TLE list over the observer, sorted by AOS. With
+// dopplerStepSec each pass carries its Doppler curve sampled that often.
+function predictConstellationPasses(tleList, observer, constellationKey, { start, end, minElevDeg, dopplerStepSec }) {
+  const config = requireConstellation(constellationKey);
+  const minElev = minElevDeg ?? config.minElevationDeg;
+
+  const passes = [];
+  for (const sat of tleList) {
+    try {
+      const { satrec } = cachedSatrec(sat);
+      const satPasses = predictPasses(satrec, observer, { start, end, minElevDeg: minElev });
+      passes.push(...satPasses.map(p => ({
+        noradId: sat.noradId,
+        name: sat.name,
+        ...p,
+        ...(dopplerStepSec > 0 && { doppler: dopplerCurve(satrec, observer, config, p, dopplerStepSec) })
+      })));
+    } catch (err) {
+      console.warn(` Pass prediction failed for ${sat.noradId}: ${err.message}`);
+    }
+  }
+  return passes.sort((a, b) => a.aos.localeCompare(b.aos));
+}
+
+// Eclipse intervals of each satellite over [start, end] with totals for
+// power budgets: eclipse count and minutes, the longest one and the sunlit
+// share of the window
+function predictConstellationEclipses(tleList, constellationKey, { start, end, stepSec }) {
+  requireConstellation(constellationKey);
+  const windowMin = (end - start) / 60000;
+
+  return prepareSatrecs(tleList).map(({ sat, satrec }) => {
+    const intervals = eclipseIntervals(satrec, { start, end, stepSec });
+    const eclipseMin = intervals.reduce((sum, i) => sum + i.durationMin, 0);
+    return {
+      noradId: sat.noradId,
+      name: sat.name,
+      eclipseCount: intervals.length,
+      eclipseMin: +eclipseMin.toFixed(1),
+      longestEclipseMin: Math.max(0, ...intervals.map(i => i.durationMin)),
+      sunlitPct: windowMin > 0 ? +(100 * (1 - eclipseMin / windowMin)).toFixed(2) : 100,
+      intervals
+    };
+  });
+}
+
+// Range rate and Doppler from AOS to LOS of one pass
+function dopplerCurve(satrec, observer, config, pass, stepSec) {
+  return sampleLookAngles(satrec, observer, Date.parse(pass.aos), Date.parse(pass.los), stepSec)
+    .map(s => ({
+      time: s.time,
+      elevation: +s.elevation.toFixed(1),
+      rangeRateKmS: +s.rangeRateKmS.toFixed(3),
+      ...linkDoppler(config, s.rangeRateKmS, s.rangeAccelKmS2)
+    }));
+}
+
+// Annual rain/scintillation availability of the station at one elevation
+// (the constellation's mask angle unless given)
+function computeStationAvailability(constellationKey, observer, { elevationDeg, link } = {}) {
+  const config = requireConstellation(constellationKey);
+
+  return stationAvailability({
+    constellation: config,
+    observer,
+    terminal: link?.terminal || resolveTerminal(constellationKey),
+    elevationDeg: elevationDeg ?? config.minElevationDeg,
+    requiredEbN0Db: link?.requiredEbN0Db,
+    r001: link?.weather?.r001
+  });
+}
+
 module.exports = {
+  EARTH_RADIUS_KM,
+  requireConstellation,
+  coverageRadiusKm,
   computeSatelliteState,
-  CONSTELLATION_CONFIG
+  stateFromEci,
+  evaluateLink,
+  prepareSatrecs,
+  propagateSatrecs,
+  satellitesInView,
+  evaluateConstellation,
+  predictConstellationPasses,
+  predictConstellationEclipses,
+  computeStationAvailability
 };
@@ -0,0 +1,143 @@
+const fsSync = require('fs');
+const path = require('path');
+const { getConstellation, resolveTerminal } = require('./constellationRegistry');
+const { normalizeHorizonMask, parseHorizonCsv } = require('./horizonMask');
+const { ApiError } = require('./apiErrors');
+
+// Named ground stations, persisted as a JSON array. Each station:
+//   { id, name, lat, lng, alt (m), minElevDeg (terrain mask, null for the
+//     constellation's own), terminals: { [constellation]: terminal id },
+//     horizonMask: [{ azimuthDeg, elevationDeg }] (obstructions; may be empty) }
+const STATIONS_PATH = process.env.STATIONS_FILE || path.join(__dirname, '..', 'data', 'stations.json');
+
+// Served until the first station is saved
+const DEFAULT_STATIONS = [
+  { id: 'ottawa', name: 'Ottawa', lat: 45.42, lng: -75.7, alt: 100, minElevDeg: null, terminals: {}, horizonMask: [] }
+];
+
+function readStations() {
+  if (!fsSync.existsSync(STATIONS_PATH)) return DEFAULT_STATIONS.map(s => ({ ...s }));
+  return JSON.parse(fsSync.readFileSync(STATIONS_PATH, 'utf8'));
+}
+
+// Write to a temporary file and rename, so a crash never leaves half a file
+function writeStations(stations) {
+  fsSync.mkdirSync(path.dirname(STATIONS_PATH), { recursive: true });
+  const tmp = `${STATIONS_PATH}.tmp`;
+  fsSync.writeFileSync(tmp, JSON.stringify(stations, null, 2));
+  fsSync.renameSync(tmp, STATIONS_PATH);
+}
+
+// Horizon masks arrive as a point list or as CSV text
+function readHorizonMask(value) {
+  return typeof value === 'string' ? parseHorizonCsv(value) : normalizeHorizonMask(value);
+}
+
+// Problems with a station's fields; an empty list means it is valid
+function validateStation(station) {
+  const problems = [];
+  if (typeof station.name !== 'string' || !station.name.trim()) problems.push('name is required');
+  for (const [field, min, max] of [['lat', -90, 90], ['lng', -180, 180], ['alt', -500, 9000]]) {
+    const value = station[field];
+    if (typeof value !== 'number' || !(value >= min && value <= max)) {
+      problems.push(`${field} must be a number from ${min} to ${max}`);
+    }
+  }
+  if (station.minElevDeg !== null && !(typeof station.minElevDeg === 'number' && station.minElevDeg >= 0 && station.minElevDeg < 90)) {
+    problems.push('minElevDeg must be null or a number from 0 to 90');
+  }
+  if (typeof station.terminals !== 'object' || station.terminals === null || Array.isArray(station.terminals)) {
+    problems.push('terminals must map constellations to terminal ids');
+  } else {
+    for (const [key, terminal] of Object.entries(station.terminals)) {
+      if (!getConstellation(key)) problems.push(`terminals: unknown constellation ${key}`);
+      else if (!resolveTerminal(key, terminal)) problems.push(`terminals: unknown ${key} terminal ${terminal}`);
+    }
+  }
+  try {
+    readHorizonMask(station.horizonMask ?? []);
+  } catch (err) {
+    problems.push(err.message);
+  }
+  return problems;
+}
+
+// Fill defaults and keep only known fields of client input
+function normalizeStation(input, existing = {}) {
+  const merged = { ...existing, ...input };
+  return {
+    name: typeof merged.name === 'string' ? merged.name.trim() : merged.name,
+    lat: merged.lat,
+    lng: merged.lng,
+    alt: merged.alt ?? 0,
+    minElevDeg: merged.minElevDeg ?? null,
+    terminals: merged.terminals ?? {},
+    horizonMask: merged.horizonMask ?? []
+  };
+}
+
+// Throws (with the `problems` as details) unless valid; returns the
+// station with its horizon mask normalised
+function assertValid(station) {
+  const problems = validateStation(station);
+  if (problems.length) throw new ApiError('INVALID_BODY', `Invalid station: ${problems.join('; ')}`, problems);
+  return { ...station, horizonMask: readHorizonMask(station.horizonMask) };
+}
+
+function slugify(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'station';
+}
+
+function listStations() {
+  return readStations();
+}
+
+function getStation(id) {
+  return readStations().find(s => s.id === id) || null;
+}
+
+// Throws (with `problems`) on invalid input
+function createStation(input) {
+  const station = assertValid(normalizeStation(input));
+
+  const stations = readStations();
+  const base = slugify(station.name);
+  let id = base;
+  for (let n = 2; stations.some(s => s.id === id); n++) id = `${base}-${n}`;
+
+  const created = { id, ...station };
+  writeStations([...stations, created]);
+  return created;
+}
+
+// Partial update; null for an unknown id, throws on invalid fields
+function updateStation(id, changes) {
+  const stations = readStations();
+  const index = stations.findIndex(s => s.id === id);
+  if (index < 0) return null;
+
+  const station = assertValid(normalizeStation(changes, stations[index]));
+
+  const updated = { id, ...station };
+  stations[index] = updated;
+  writeStations(stations);
+  return updated;
+}
+
+function deleteStation(id) {
+  const stations = readStations();
+  const remaining = stations.filter(s => s.id !== id);
+  if (remaining.length === stations.length) return false;
+  writeStations(remaining);
+  return true;
+}
+
+module.exports = {
+  STATIONS_PATH,
+  validateStation,
+  listStations,
+  getStation,
+  createStation,
+  updateStation,
+  deleteStation
+};
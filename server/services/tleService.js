@@ -0,0 +1,180 @@
+const fsSync = require('fs'); // for sync checks
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const { getConstellation } = require('./constellationRegistry');
+const { parseElementSets } = require('./elementSets');
+const { getSnapshot, latestSnapshot, readSnapshotText, saveSnapshot, touchSnapshot } = require('./tleStore');
+const { ApiError } = require('./apiErrors');
+
+const CACHE_DIR = path.join(__dirname, '..', 'tle-cache');
+const MIN_REFRESH_MS = 2 * 60 * 60 * 1000; // 2 hours
+// OMM JSON by default: TLE text cannot carry catalog numbers above 99999
+const CELESTRAK_FORMAT = (process.env.CELESTRAK_FORMAT || 'JSON').toUpperCase();
+
+// Ensure cache directory exists
+if (!fsSync.existsSync(CACHE_DIR)) fsSync.mkdirSync(CACHE_DIR);
+
+
+// Strict offline mode (air-gapped machines): never touch the network, only
+// serve stored snapshots. Read per call so tests and the CLI can toggle it.
+function isOffline() {
+  return ['1', 'true', 'yes'].includes(String(process.env.TLE_OFFLINE).toLowerCase());
+}
+
+// Check if the newest snapshot is due for a refresh
+function isStale(snapshot) {
+  return (Date.now() - Date.parse(snapshot.checkedAt || snapshot.importedAt)) > MIN_REFRESH_MS;
+}
+
+// Parse stored or fetched element sets (any supported format)
+function readElementSets(text, maxSats) {
+  const { records, errors } = parseElementSets(text, { maxSats });
+  if (errors.length) console.warn(` ${errors.length} element sets failed to parse`);
+  return records;
+}
+
+// Normalise TLE/3LE text or OMM JSON/XML/CSV to the canonical snapshot
+// content: an OMM JSON array. Failed records are returned, not dropped.
+function normalizeElementSets(content) {
+  const { format, records, errors } = parseElementSets(content);
+
+  const text = JSON.stringify(records.map(r => r.omm));
+  const epochs = records.map(r => Date.parse(r.epoch));
+  const epochRange = epochs.length
+    ? { oldest: new Date(Math.min(...epochs)).toISOString(), newest: new Date(Math.max(...epochs)).toISOString() }
+    : null;
+
+  return { format, text, satelliteCount: records.length, epochRange, errors };
+}
+
+// Store uploaded TLE/OMM content as a new snapshot of the constellation.
+// The snapshot keeps the per-record errors as `rejected`.
+function importTLEs(constellation, content, { source = 'upload', importedAt } = {}) {
+  if (!getConstellation(constellation)) throw new ApiError('UNKNOWN_CONSTELLATION', `Unknown constellation: ${constellation}`);
+
+  const { text, errors, ...info } = normalizeElementSets(content);
+  if (info.satelliteCount === 0) {
+    throw new ApiError('INVALID_BODY', `No valid element sets found${errors.length ? ` (${errors.length} rejected)` : ''}`, errors);
+  }
+
+  const snapshot = saveSnapshot(constellation, text, { source, importedAt, ...info, rejected: errors });
+  console.log(` Imported ${info.satelliteCount} ${constellation} element sets as ${snapshot.id}`);
+  return { snapshot, errors };
+}
+
+// Seed the snapshot store from a pre-versioning `<constellation>.tle` cache file
+function importLegacyCache(constellation) {
+  const cachePath = path.join(CACHE_DIR, `${constellation}.tle`);
+  if (!fsSync.existsSync(cachePath)) return null;
+  const importedAt = fsSync.statSync(cachePath).mtime;
+  return importTLEs(constellation, fsSync.readFileSync(cachePath, 'utf8'), { source: 'cache', importedAt }).snapshot;
+}
+
+// Parsed element records per snapshot id, most recently used last. A
+// snapshot never changes once written, so requests share one parse and,
+// through the same record objects, one satrec per satellite (see
+// simulationEngine.prepareSatrecs).
+const MAX_PARSED_SNAPSHOTS = 8;
+const parsedSnapshots = new Map();
+
+function snapshotRecords(snapshot) {
+  let records = parsedSnapshots.get(snapshot.id);
+  if (records) parsedSnapshots.delete(snapshot.id);
+  else records = readElementSets(readSnapshotText(snapshot));
+  parsedSnapshots.set(snapshot.id, records);
+  if (parsedSnapshots.size > MAX_PARSED_SNAPSHOTS) parsedSnapshots.delete(parsedSnapshots.keys().next().value);
+  return records;
+}
+
+function loadSnapshot(snapshot, maxSats, stale = false) {
+  return { tleList: snapshotRecords(snapshot).slice(0, maxSats), snapshot, stale };
+}
+
+// TLEs of a constellation with the snapshot they came from: a pinned
+// `snapshotId`, else the newest snapshot, refreshed from Celestrak when
+// older than MIN_REFRESH_MS unless offline. `stale` marks a fallback after a
+// failed refresh.
+async function getConstellationTLEs(constellation, maxSats = 30, { snapshotId } = {}) {
+  const config = getConstellation(constellation);
+  if (!config) throw new ApiError('UNKNOWN_CONSTELLATION', `Unknown constellation: ${constellation}`);
+  const group = config.celestrakGroup;
+
+  if (snapshotId) {
+    const pinned = getSnapshot(snapshotId);
+    if (!pinned || pinned.constellation !== constellation) {
+      throw new ApiError('NOT_FOUND', `Unknown ${constellation} TLE snapshot: ${snapshotId}`);
+    }
+    return loadSnapshot(pinned, maxSats);
+  }
+
+  const latest = latestSnapshot(constellation) || importLegacyCache(constellation);
+
+  if (isOffline()) {
+    if (!latest) throw new ApiError('TLE_UNAVAILABLE', `No ${constellation} TLE snapshot available in offline mode; import one first`);
+    return loadSnapshot(latest, maxSats);
+  }
+
+  if (latest && !isStale(latest)) {
+    console.log(` Using cached ${group} (${latest.id})`);
+    return loadSnapshot(latest, maxSats);
+  }
+
+  const url = `https://celestrak.org/NORAD/elements/gp.php?GROUP=${group.toUpperCase()}&FORMAT=${CELESTRAK_FORMAT}`;
+  try {
+    console.log(` Fetching fresh ${group} TLEs`);
+    const resp = await axios.get(url, {
+      timeout: 10000,
+      headers: { 'User-Agent': 'Satellite-Demo/1.0 (educational use)' }
+    });
+    // axios decodes JSON bodies; the parser wants the text
+    const body = typeof resp.data === 'string' ? resp.data : JSON.stringify(resp.data);
+    if (!body.trim()) throw new Error('Empty TLE response');
+
+    const { text } = normalizeElementSets(body);
+    const sha256 = crypto.createHash('sha256').update(text).digest('hex');
+    if (latest?.sha256 === sha256) {
+      console.log(` ${group} unchanged since ${latest.id}`);
+      return loadSnapshot(touchSnapshot(latest), maxSats);
+    }
+
+    const { snapshot, errors } = importTLEs(constellation, body, { source: 'celestrak' });
+    if (errors.length) console.warn(` ${errors.length} ${group} element sets rejected; see ${snapshot.id}`);
+    return loadSnapshot(snapshot, maxSats);
+  } catch (err) {
+    console.warn(` Fetch failed for ${group}: ${err.message}`);
+    if (latest) {
+      console.log(`Fallback to stale snapshot ${latest.id} for ${group}`);
+      return loadSnapshot(latest, maxSats, true);
+    }
+    throw new ApiError('TLE_UNAVAILABLE', `Failed to fetch ${group} and no snapshot available`);
+  }
+}
+
+// What a response should say about the TLEs it used: snapshot, and how old
+// the element sets are at the evaluation time `at` (negative: propagated
+// backwards from the epoch)
+function describeTLESet({ tleList, snapshot, stale }, at = new Date()) {
+  const ages = tleList.map(s => (at - Date.parse(s.epoch)) / 3600000);
+  return {
+    snapshotId: snapshot.id,
+    source: snapshot.source,
+    importedAt: snapshot.importedAt,
+    stale,
+    offline: isOffline(),
+    satellites: tleList.length,
+    rejected: snapshot.rejected?.length ?? 0,
+    epochAgeHours: ages.length
+      ? { min: +Math.min(...ages).toFixed(1), max: +Math.max(...ages).toFixed(1) }
+      : null
+  };
+}
+
+module.exports = {
+  CACHE_DIR,
+  isOffline,
+  normalizeElementSets,
+  importTLEs,
+  getConstellationTLEs,
+  describeTLESet
+};
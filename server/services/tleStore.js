@@ -0,0 +1,118 @@
+const fsSync = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Versioned element sets: one `<id>.omm.json` (OMM JSON array; `<id>.tle`
+// text for older snapshots) plus `<id>.json` metadata per snapshot, under
+// snapshots/<constellation>/
+const SNAPSHOT_DIR = process.env.TLE_SNAPSHOT_DIR || path.join(__dirname, '..', 'tle-cache', 'snapshots');
+// Fetched sets beyond this many per constellation are pruned, oldest first;
+// imported sets are kept until removed by hand
+const MAX_FETCHED_SNAPSHOTS = Number(process.env.TLE_MAX_SNAPSHOTS) || 50;
+
+const SNAPSHOT_ID = /^([a-z0-9_-]+?)-(\d{8}T\d{6}Z)(-\d+)?$/;
+
+function constellationDir(constellation) {
+  return path.join(SNAPSHOT_DIR, constellation);
+}
+
+function compactStamp(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function readMeta(dir, file) {
+  try {
+    return JSON.parse(fsSync.readFileSync(path.join(dir, file), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+// Snapshots of one constellation, newest first
+function listSnapshots(constellation) {
+  const dir = constellationDir(constellation);
+  if (!fsSync.existsSync(dir)) return [];
+  return fsSync.readdirSync(dir)
+    .filter(file => file.endsWith('.json') && !file.endsWith('.omm.json'))
+    .map(file => readMeta(dir, file))
+    .filter(Boolean)
+    .sort((a, b) => b.importedAt.localeCompare(a.importedAt) || b.id.localeCompare(a.id));
+}
+
+function latestSnapshot(constellation) {
+  return listSnapshots(constellation)[0] || null;
+}
+
+function getSnapshot(id) {
+  const match = SNAPSHOT_ID.exec(id);
+  if (!match) return null;
+  return readMeta(constellationDir(match[1]), `${id}.json`);
+}
+
+function snapshotFile(snapshot) {
+  return path.join(constellationDir(snapshot.constellation), snapshot.file || `${snapshot.id}.tle`);
+}
+
+function readSnapshotText(snapshot) {
+  return fsSync.readFileSync(snapshotFile(snapshot), 'utf8');
+}
+
+function writeMeta(snapshot) {
+  fsSync.writeFileSync(
+    path.join(constellationDir(snapshot.constellation), `${snapshot.id}.json`),
+    JSON.stringify(snapshot, null, 2)
+  );
+}
+
+// Record that a fetch returned the same set again, so it stays fresh
+function touchSnapshot(snapshot, at = new Date()) {
+  const touched = { ...snapshot, checkedAt: at.toISOString() };
+  writeMeta(touched);
+  return touched;
+}
+
+// Store normalised OMM JSON text as a new snapshot. `info` carries source
+// ('celestrak', 'upload', 'cli', ...), satelliteCount, epoch range and rejects.
+function saveSnapshot(constellation, text, { source, importedAt = new Date(), ...info }) {
+  const dir = constellationDir(constellation);
+  fsSync.mkdirSync(dir, { recursive: true });
+
+  const base = `${constellation}-${compactStamp(importedAt)}`;
+  let id = base;
+  for (let n = 2; fsSync.existsSync(path.join(dir, `${id}.json`)); n++) id = `${base}-${n}`;
+
+  const snapshot = {
+    id,
+    constellation,
+    file: `${id}.omm.json`,
+    source,
+    importedAt: importedAt.toISOString(),
+    checkedAt: importedAt.toISOString(),
+    sha256: crypto.createHash('sha256').update(text).digest('hex'),
+    ...info
+  };
+  fsSync.writeFileSync(path.join(dir, snapshot.file), text, 'utf8');
+  writeMeta(snapshot);
+
+  pruneSnapshots(constellation);
+  return snapshot;
+}
+
+function pruneSnapshots(constellation) {
+  const dir = constellationDir(constellation);
+  const fetched = listSnapshots(constellation).filter(s => s.source === 'celestrak');
+  for (const old of fetched.slice(MAX_FETCHED_SNAPSHOTS)) {
+    fsSync.rmSync(snapshotFile(old), { force: true });
+    fsSync.rmSync(path.join(dir, `${old.id}.json`), { force: true });
+  }
+}
+
+module.exports = {
+  SNAPSHOT_DIR,
+  listSnapshots,
+  latestSnapshot,
+  getSnapshot,
+  readSnapshotText,
+  saveSnapshot,
+  touchSnapshot
+};
@@ -0,0 +1,144 @@
+// Tracks of a moving terminal (aircraft, vehicle, ship) as timestamped points
+//   { time: Date, lat, lng, alt }   (degrees, metres above the ellipsoid)
+// read from GPX (<trkpt>/<rtept> with <time>), KML (gx:Track <when>/<gx:coord>
+// pairs, or Placemarks with a <TimeStamp> and a <Point>) or CSV
+// (time,lat,lng[,alt] with an optional header naming the columns).
+
+const MAX_TRAJECTORY_POINTS = 5000;
+
+const CSV_COLUMNS = {
+  time: ['time', 'timestamp', 'datetime', 'utc', 'when'],
+  lat: ['lat', 'latitude'],
+  lng: ['lng', 'lon', 'long', 'longitude'],
+  alt: ['alt', 'altitude', 'ele', 'elevation', 'height']
+};
+
+function detectTrajectoryFormat(text) {
+  if (/<gpx\b/.test(text)) return 'gpx';
+  if (/<kml\b/.test(text)) return 'kml';
+  return 'csv';
+}
+
+const tagText = (body, tag) => body.match(new RegExp(`<${tag}\\b[^>]*>\\s*([^<]*?)\\s*</${tag}>`))?.[1];
+const attribute = (attrs, name) => attrs.match(new RegExp(`\\b${name}\\s*=\\s*["']([^"']*)["']`))?.[1];
+
+// ---- raw points per format: { time, lat, lng, alt } as strings ----
+
+// Flat tag scrape, as for element sets: track points first, route points
+// only when there is no track
+function readGpx(text) {
+  const points = tag => [...text.matchAll(new RegExp(`<${tag}\\b([^>]*?)(?:/>|>([\\s\\S]*?)</${tag}>)`, 'g'))]
+    .map(([, attrs, body = '']) => ({
+      time: tagText(body, 'time'),
+      lat: attribute(attrs, 'lat'),
+      lng: attribute(attrs, 'lon'),
+      alt: tagText(body, 'ele')
+    }));
+  const track = points('trkpt');
+  return track.length ? track : points('rtept');
+}
+
+function readKml(text) {
+  const points = [];
+  for (const [, body] of text.matchAll(/<gx:Track\b[^>]*>([\s\S]*?)<\/gx:Track>/g)) {
+    const whens = [...body.matchAll(/<when>\s*([^<]*?)\s*<\/when>/g)].map(m => m[1]);
+    const coords = [...body.matchAll(/<gx:coord>\s*([^<]*?)\s*<\/gx:coord>/g)].map(m => m[1]);
+    if (whens.length !== coords.length) {
+      throw new Error(`KML gx:Track has ${whens.length} <when> but ${coords.length} <gx:coord> elements`);
+    }
+    whens.forEach((time, i) => {
+      const [lng, lat, alt] = coords[i].split(/\s+/);
+      points.push({ time, lat, lng, alt });
+    });
+  }
+  if (points.length) return points;
+
+  for (const [, body] of text.matchAll(/<Placemark\b[^>]*>([\s\S]*?)<\/Placemark>/g)) {
+    const stamp = body.match(/<TimeStamp\b[^>]*>([\s\S]*?)<\/TimeStamp>/)?.[1];
+    const point = body.match(/<Point\b[^>]*>([\s\S]*?)<\/Point>/)?.[1];
+    if (!stamp || !point) continue;
+    const [lng, lat, alt] = (tagText(point, 'coordinates') || '').split(',');
+    points.push({ time: tagText(stamp, 'when'), lat, lng, alt });
+  }
+  return points;
+}
+
+function readCsv(text) {
+  const rows = text.split(/\r?\n/)
+    .map((line, i) => ({ line: i + 1, cells: line.replace(/#.*/, '').trim().split(/\s*[,;\t]\s*/) }))
+    .filter(row => row.cells.join(''));
+  if (!rows.length) return [];
+
+  let order = ['time', 'lat', 'lng', 'alt'];
+  if (Number.isNaN(Date.parse(rows[0].cells[0]))) {
+    const header = rows.shift().cells.map(c => c.toLowerCase().replace(/"/g, ''));
+    order = header.map(name => Object.keys(CSV_COLUMNS).find(key => CSV_COLUMNS[key].includes(name)));
+    const missing = ['time', 'lat', 'lng'].filter(key => !order.includes(key));
+    if (missing.length) throw new Error(`trajectory CSV header has no ${missing.join(', ')} column`);
+  }
+  return rows.map(({ line, cells }) => {
+    const raw = { line };
+    order.forEach((key, i) => {
+      if (key) raw[key] = cells[i]?.replace(/"/g, '');
+    });
+    return raw;
+  });
+}
+
+const READERS = { gpx: readGpx, kml: readKml, csv: readCsv };
+
+function toTrajectoryPoint(raw, index) {
+  const where = raw.line ? `line ${raw.line}` : `point ${index + 1}`;
+  const time = new Date(raw.time);
+  const lat = Number(raw.lat);
+  const lng = Number(raw.lng);
+  const alt = raw.alt === undefined || raw.alt === '' ? 0 : Number(raw.alt);
+
+  if (!raw.time || Number.isNaN(time.getTime())) throw new Error(`trajectory ${where}: invalid or missing time`);
+  if (raw.lat === undefined || !(Math.abs(lat) <= 90)) throw new Error(`trajectory ${where}: latitude must be from -90 to 90`);
+  if (raw.lng === undefined || !(Math.abs(lng) <= 180)) throw new Error(`trajectory ${where}: longitude must be from -180 to 180`);
+  if (!Number.isFinite(alt)) throw new Error(`trajectory ${where}: invalid altitude`);
+  return { time, lat, lng, alt };
+}
+
+// Parse a track in any supported format into points sorted by time.
+// Throws on the first bad point, on repeated timestamps and on tracks over
+// `maxPoints` (thin them first with `minStepSec`, which keeps only points at
+// least that far apart, plus the last).
+function parseTrajectory(content, { minStepSec = 0, maxPoints = MAX_TRAJECTORY_POINTS } = {}) {
+  const text = String(content).replace(/^\uFEFF/, '').trim();
+  const format = detectTrajectoryFormat(text);
+  const points = READERS[format](text)
+    .map(toTrajectoryPoint)
+    .sort((a, b) => a.time - b.time);
+
+  if (!points.length) throw new Error(`no timestamped points found in ${format.toUpperCase()} trajectory`);
+  for (let i = 1; i < points.length; i++) {
+    if (points[i].time.getTime() === points[i - 1].time.getTime()) {
+      throw new Error(`trajectory has two points at ${points[i].time.toISOString()}`);
+    }
+  }
+
+  const thinned = minStepSec > 0 ? thinTrajectory(points, minStepSec) : points;
+  if (thinned.length > maxPoints) {
+    throw new Error(`trajectory has ${thinned.length} points (max ${maxPoints}); raise minStepSec to thin it`);
+  }
+  return { format, points: thinned };
+}
+
+function thinTrajectory(points, minStepSec) {
+  const kept = [points[0]];
+  for (const point of points.slice(1)) {
+    if ((point.time - kept[kept.length - 1].time) / 1000 >= minStepSec) kept.push(point);
+  }
+  const last = points[points.length - 1];
+  if (kept[kept.length - 1] !== last) kept.push(last);
+  return kept;
+}
+
+module.exports = {
+  MAX_TRAJECTORY_POINTS,
+  detectTrajectoryFormat,
+  parseTrajectory,
+  thinTrajectory
+};
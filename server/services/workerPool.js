@@ -0,0 +1,96 @@
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { COMPUTE_TASKS } = require('./computeTasks');
+const { ApiError, ERROR_STATUS } = require('./apiErrors');
+
+// Pool of worker threads for the heavy computations in computeTasks, so a
+// grid or a week of passes does not stall live streams and quick requests.
+// Workers start on first use and are replaced if one dies. Size 0 runs tasks
+// inline on the calling thread (tests, single-threaded debugging).
+const WORKER_SCRIPT = path.join(__dirname, 'computeWorker.js');
+
+// One worker per core beyond the one serving requests, at least one
+function defaultPoolSize() {
+  const configured = process.env.COMPUTE_WORKERS;
+  if (configured !== undefined && configured !== '') return Math.max(0, Math.floor(Number(configured)) || 0);
+  return Math.max(1, os.availableParallelism() - 1);
+}
+
+function createWorkerPool({ size = defaultPoolSize(), script = WORKER_SCRIPT } = {}) {
+  const idle = [];
+  const busy = new Map(); // worker -> job
+  const queue = [];
+  let started = 0;
+  let nextId = 0;
+  let closed = false;
+
+  function spawn() {
+    const worker = new Worker(script);
+    started++;
+    worker.on('message', ({ id, result, error }) => {
+      const job = busy.get(worker);
+      busy.delete(worker);
+      if (job?.id === id) {
+        if (error !== undefined) job.reject(ERROR_STATUS[error.code] ? new ApiError(error.code, error.message, error.details) : new Error(error.message));
+        else job.resolve(result);
+      }
+      idle.push(worker);
+      dispatch();
+    });
+    // A crashed worker fails its job and is replaced on demand
+    worker.on('error', err => {
+      busy.get(worker)?.reject(err);
+      busy.delete(worker);
+    });
+    worker.on('exit', () => {
+      busy.get(worker)?.reject(new Error('Compute worker exited'));
+      busy.delete(worker);
+      const index = idle.indexOf(worker);
+      if (index !== -1) idle.splice(index, 1);
+      started--;
+      if (!closed) dispatch();
+    });
+    idle.push(worker);
+  }
+
+  function dispatch() {
+    while (queue.length) {
+      if (!idle.length && started < size) spawn();
+      if (!idle.length) return;
+      const worker = idle.pop();
+      const job = queue.shift();
+      busy.set(worker, job);
+      worker.postMessage({ id: job.id, task: job.task, args: job.args });
+    }
+  }
+
+  // Run a COMPUTE_TASKS entry; resolves with its (structured-cloned) result
+  function run(task, args) {
+    if (!COMPUTE_TASKS[task]) return Promise.reject(new Error(`Unknown compute task: ${task}`));
+    if (closed) return Promise.reject(new Error('Compute pool is closed'));
+    if (size === 0) return Promise.resolve().then(() => COMPUTE_TASKS[task](args));
+
+    return new Promise((resolve, reject) => {
+      queue.push({ id: nextId++, task, args, resolve, reject });
+      dispatch();
+    });
+  }
+
+  function status() {
+    return { size, workers: started, busy: busy.size, queued: queue.length };
+  }
+
+  async function close() {
+    closed = true;
+    for (const job of queue.splice(0)) job.reject(new Error('Compute pool is closed'));
+    await Promise.all([...idle, ...busy.keys()].map(worker => worker.terminate()));
+  }
+
+  return { run, status, close };
+}
+
+module.exports = {
+  defaultPoolSize,
+  createWorkerPool
+};
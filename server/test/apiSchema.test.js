@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { OPERATIONS, queryProblems, validateQuery, buildOpenApi } = require('../services/apiSchema');
+const { ApiError, errorResponse } = require('../services/apiErrors');
+
+test('query values are checked against their types and ranges', () => {
+  assert.deepStrictEqual(queryProblems('getCoverage', { lat: '45.4', lng: '-75.7', maxSats: '30', time: '2026-02-20T12:00:00Z' }), []);
+  assert.deepStrictEqual(queryProblems('getCoverage', { lat: 'abc', alt: '', maxSats: '2.5', minElevDeg: '91', time: 'noon' }), [
+    { parameter: 'lat', message: 'must be a number' },
+    { parameter: 'alt', message: 'must be a number' },
+    { parameter: 'maxSats', message: 'must be an integer' },
+    { parameter: 'minElevDeg', message: 'must be at most 90' },
+    { parameter: 'time', message: 'must be an ISO 8601 date-time' }
+  ]);
+  assert.deepStrictEqual(queryProblems('getConstellationView', { mode: 'sky', lat: ['1', '2'] }), [
+    { parameter: 'lat', message: 'must be given once' },
+    { parameter: 'mode', message: 'must be one of station, constellation' }
+  ]);
+  // Per-operation overrides and required parameters
+  assert.deepStrictEqual(queryProblems('getReport', { hours: '169', format: 'pdf' }), [
+    { parameter: 'hours', message: 'must be at most 168' },
+    { parameter: 'format', message: 'must be one of json, csv, html' }
+  ]);
+  assert.deepStrictEqual(queryProblems('getRoute', { from: 'ottawa', step: '0' }), [
+    { parameter: 'to', message: 'is required' },
+    { parameter: 'step', message: 'must be greater than 0' }
+  ]);
+  assert.deepStrictEqual(queryProblems('getFootprints', { beams: 'yes', vertices: '4' }), [
+    { parameter: 'beams', message: 'must be true or false' },
+    { parameter: 'vertices', message: 'must be at least 8' }
+  ]);
+  assert.deepStrictEqual(queryProblems('getEclipses', { hours: '200', step: '0' }), [
+    { parameter: 'hours', message: 'must be at most 168' },
+    { parameter: 'step', message: 'must be greater than 0' }
+  ]);
+  // Parameters an operation does not read are left alone
+  assert.deepStrictEqual(queryProblems('getAvailability', { time: 'whenever' }), []);
+});
+
+test('the middleware passes an ApiError with details to the error handler', () => {
+  const middleware = validateQuery('getPasses');
+  let passed;
+  middleware({ query: { hours: '-1' } }, {}, err => { passed = err; });
+  assert.ok(passed instanceof ApiError);
+  assert.strictEqual(passed.status, 400);
+  assert.strictEqual(passed.message, 'Invalid query: hours must be greater than 0');
+  assert.deepStrictEqual(passed.details, [{ parameter: 'hours', message: 'must be greater than 0' }]);
+
+  middleware({ query: {} }, {}, err => { passed = err; });
+  assert.strictEqual(passed, undefined);
+  assert.throws(() => validateQuery('getHoroscope'), /Unknown API operation/);
+});
+
+test('constellations the registry does not have are a coded 404, prototype names included', () => {
+  const rejected = (operationId, query) => {
+    let passed;
+    validateQuery(operationId)({ query }, {}, err => { passed = err; });
+    return passed && { code: passed.code, status: passed.status, message: passed.message };
+  };
+  const unknown = key => ({ code: 'UNKNOWN_CONSTELLATION', status: 404, message: `Unknown constellation: ${key}` });
+
+  assert.deepStrictEqual(rejected('getConstellationView', { constellation: '__proto__' }), unknown('__proto__'));
+  assert.deepStrictEqual(rejected('getStatistics', { constellations: 'iridium, constructor' }), unknown('constructor'));
+  assert.deepStrictEqual(rejected('streamLive', { constellations: 'toString' }), unknown('toString'));
+  assert.deepStrictEqual(rejected('listTleSnapshots', { constellation: 'oneweb' }), unknown('oneweb'));
+  assert.strictEqual(rejected('getStatistics', { constellations: 'iridium,starlink' }), undefined);
+  // Schema problems come first
+  assert.strictEqual(rejected('getConstellationView', { constellation: 'constructor', lat: '91' }).code, 'INVALID_PARAMETER');
+});
+
+test('errors map to statuses and one body shape', () => {
+  const cases = [
+    ['Invalid step: 0', 400, { error: 'Invalid step: 0', code: 'INVALID_PARAMETER' }],
+    [new ApiError('UNKNOWN_CONSTELLATION', 'Unknown constellation: foo'), 404, { error: 'Unknown constellation: foo', code: 'UNKNOWN_CONSTELLATION' }],
+    [new ApiError('TLE_UNAVAILABLE', 'Failed to fetch starlink and no snapshot available'), 503,
+      { error: 'Failed to fetch starlink and no snapshot available', code: 'TLE_UNAVAILABLE' }],
+    [new ApiError('INVALID_BODY', 'Invalid station', ['name is required']), 400,
+      { error: 'Invalid station', code: 'INVALID_BODY', details: ['name is required'] }],
+    [Object.assign(new Error('request entity too large'), { type: 'entity.too.large', status: 413 }), 413,
+      { error: 'request entity too large', code: 'PAYLOAD_TOO_LARGE' }],
+    [new TypeError("Cannot read properties of undefined (reading 'x')"), 500,
+      { error: "Cannot read properties of undefined (reading 'x')", code: 'INTERNAL_ERROR' }]
+  ];
+  for (const [err, status, body] of cases) {
+    assert.deepStrictEqual(errorResponse(err), { status, body });
+  }
+});
+
+test('the OpenAPI document lists every operation once', () => {
+  const spec = buildOpenApi({ version: '9.9.9' });
+  assert.strictEqual(spec.openapi, '3.1.0');
+  assert.strictEqual(spec.info.version, '9.9.9');
+
+  const operations = Object.values(spec.paths).flatMap(methods => Object.values(methods));
+  assert.deepStrictEqual(operations.map(op => op.operationId).sort(), Object.keys(OPERATIONS).sort());
+
+  const coverage = spec.paths['/api/{constellation}/coverage'].get;
+  const [constellation, ...query] = coverage.parameters;
+  assert.deepStrictEqual(constellation.schema.enum, ['iridium', 'starlink', 'kuiper']);
+  assert.deepStrictEqual(query.find(p => p.name === 'maxSats').schema, { type: 'integer', minimum: 1, maximum: 50000, default: 30 });
+  assert.deepStrictEqual(Object.keys(coverage.responses), ['200', '400', '404', '503']);
+  assert.strictEqual(spec.paths['/api/{constellation}/route'].get.parameters.find(p => p.name === 'from').required, true);
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  rainCoefficients,
+  zenithGaseousAttenuation,
+  computeAttenuation,
+  annualAvailability,
+  DEFAULT_SURFACE
+} = require('../services/attenuation');
+
+const close = (actual, expected, tol) =>
+  assert.ok(Math.abs(actual - expected) <= tol, `${actual} not within ${tol} of ${expected}`);
+
+test('P.838-3 coefficients reproduce the published table (circular polarisation)', () => {
+  // Table values: 12 GHz kH 0.02386 kV 0.02455 aH 1.1825 aV 1.1216
+  const { k, alpha } = rainCoefficients(12);
+  close(k, (0.02386 + 0.02455) / 2, 2e-4);
+  close(alpha, (0.02386 * 1.1825 + 0.02455 * 1.1216) / (0.02386 + 0.02455), 2e-3);
+});
+
+test('zenith gaseous attenuation is small at L/Ku and peaks near the 22 GHz line', () => {
+  const at = f => zenithGaseousAttenuation(f, DEFAULT_SURFACE);
+  assert.ok(at(1.6) < 0.05);
+  assert.ok(at(12) > 0.04 && at(12) < 0.1);
+  assert.ok(at(22.2) > at(12) && at(22.2) > at(16));
+});
+
+test('rain fade grows with rarer exceedance and lower elevation', () => {
+  const base = { frequencyGHz: 12, latitudeDeg: 45.42, stationAltKm: 0.1 };
+  const rare = computeAttenuation({ ...base, elevationDeg: 30, p: 0.01 });
+  const common = computeAttenuation({ ...base, elevationDeg: 30, p: 1 });
+  const low = computeAttenuation({ ...base, elevationDeg: 10, p: 0.01 });
+  const clear = computeAttenuation({ ...base, elevationDeg: 30 });
+
+  assert.ok(rare.rainDb > common.rainDb);
+  assert.ok(low.rainDb > rare.rainDb);
+  assert.strictEqual(clear.rainDb, 0);
+  close(rare.totalDb, rare.gasDb + Math.hypot(rare.rainDb, rare.scintillationDb), 0.02);
+});
+
+test('annual availability increases with clear-sky margin and stays in range', () => {
+  const geometry = { frequencyGHz: 12, elevationDeg: 25, latitudeDeg: 45.42, stationAltKm: 0.1 };
+  const thin = annualAvailability({ ...geometry, clearSkyMarginDb: 2 });
+  const thick = annualAvailability({ ...geometry, clearSkyMarginDb: 10 });
+  const huge = annualAvailability({ ...geometry, clearSkyMarginDb: 100 });
+
+  assert.ok(thick.availabilityPct > thin.availabilityPct);
+  assert.strictEqual(huge.availabilityPct, 99.999);
+  assert.strictEqual(huge.bounded, 'above');
+});
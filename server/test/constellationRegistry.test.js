@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { getConstellation, listConstellations, resolveTerminal, validateRegistry } = require('../services/constellationRegistry');
+
+test('constellations and terminals are looked up by their own keys only', () => {
+  for (const key of ['constructor', '__proto__', 'toString', 'hasOwnProperty']) {
+    assert.strictEqual(getConstellation(key), null, key);
+    assert.strictEqual(resolveTerminal(key), null, key);
+    assert.strictEqual(resolveTerminal('starlink', key), null, `starlink terminal ${key}`);
+  }
+  assert.strictEqual(getConstellation('iridium').key, 'iridium');
+  assert.strictEqual(resolveTerminal('starlink').id, getConstellation('starlink').defaultTerminal);
+  assert.ok(listConstellations().every(c => c.key && c.label));
+});
+
+test('a default terminal named after a prototype key is not defined', () => {
+  const { key, ...entry } = getConstellation('iridium');
+  assert.throws(
+    () => validateRegistry({ [key]: { ...entry, defaultTerminal: 'constructor' } }),
+    /default terminal constructor is not defined/
+  );
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { evaluateConstellation } = require('../services/simulationEngine');
+const { buildGridCells, computeCoverageGrid, toGeoJSON, toPng } = require('../services/coverageGrid');
+const { loadCached } = require('./helpers');
+
+const EPOCH = new Date('2026-02-20T12:00:00Z');
+
+test('grid cells tile the bounding box exactly, north row first', () => {
+  const bbox = { south: 40, west: -80, north: 45.5, east: -70 };
+  const grid = buildGridCells(bbox, 1);
+
+  assert.strictEqual(grid.rows, 6);
+  assert.strictEqual(grid.cols, 10);
+  assert.strictEqual(grid.cells[0].north, 45.5);
+  assert.strictEqual(grid.cells.at(-1).south, 40);
+  assert.strictEqual(grid.cells.at(-1).east, -70);
+});
+
+test('grid cell counts agree with a station evaluation at the cell centre', () => {
+  const tleList = loadCached('starlink', 150);
+  const bbox = { south: 44, west: -77, north: 46, east: -74 };
+  const grid = computeCoverageGrid(tleList, 'starlink', { bbox, resolutionDeg: 1, times: [EPOCH] });
+
+  for (const cell of grid.cells) {
+    const observer = { lat: cell.lat, lng: cell.lng, alt: 0 };
+    const sats = evaluateConstellation(tleList, observer, 'starlink', { time: EPOCH });
+    assert.strictEqual(cell.availableCount, sats.filter(s => s.available).length);
+    assert.strictEqual(cell.availabilityPct, sats.some(s => s.available) ? 100 : 0);
+  }
+
+  const geojson = toGeoJSON(grid);
+  assert.strictEqual(geojson.features.length, grid.rows * grid.cols);
+  assert.deepStrictEqual(geojson.bbox, [-77, 44, -74, 46]);
+
+  const png = toPng(grid, 'availableCount');
+  assert.deepStrictEqual([...png.subarray(1, 4)], [0x50, 0x4e, 0x47]);
+  assert.strictEqual(png.readUInt32BE(16), grid.cols);
+  assert.strictEqual(png.readUInt32BE(20), grid.rows);
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { evaluateConstellation } = require('../services/simulationEngine');
+const { computeCoverageStatistics } = require('../services/coverageStatistics');
+const { loadCached } = require('./helpers');
+
+const OTTAWA = { lat: 45.42, lng: -75.7, alt: 100 };
+const STEP_SEC = 60;
+const TIMES = Array.from({ length: 180 }, (_, i) => new Date(Date.parse('2026-02-20T12:00:00Z') + i * STEP_SEC * 1000));
+
+const iridium = loadCached('iridium', 100);
+
+test('statistics agree with per-epoch station evaluations', () => {
+  const counts = TIMES.map(time =>
+    evaluateConstellation(iridium, OTTAWA, 'iridium', { time }).filter(s => s.available).length
+  );
+  const stats = computeCoverageStatistics(iridium, OTTAWA, 'iridium', { times: TIMES, stepSec: STEP_SEC });
+
+  const covered = counts.filter(n => n >= 1).length;
+  assert.strictEqual(stats.epochs, TIMES.length);
+  assert.strictEqual(stats.coveragePct, +(100 * covered / TIMES.length).toFixed(1));
+  assert.strictEqual(stats.meanAvailable, +(counts.reduce((a, b) => a + b, 0) / TIMES.length).toFixed(1));
+
+  // Gaps partition the uncovered epochs
+  assert.ok(stats.gapCount > 0);
+  assert.ok(Math.abs(stats.meanGapSec * stats.gapCount - (TIMES.length - covered) * STEP_SEC) <= stats.gapCount);
+  assert.ok(stats.maxGapSec >= stats.meanGapSec);
+  assert.ok(stats.meanElevationDeg > 10);
+  assert.ok(stats.handovers < covered);
+});
+
+test('requiring more satellites never improves coverage', () => {
+  const one = computeCoverageStatistics(iridium, OTTAWA, 'iridium', { times: TIMES, stepSec: STEP_SEC });
+  const two = computeCoverageStatistics(iridium, OTTAWA, 'iridium', { times: TIMES, stepSec: STEP_SEC, minSatellites: 2 });
+
+  assert.ok(two.coveragePct <= one.coveragePct);
+  assert.ok(two.maxGapSec >= one.maxGapSec);
+  // The serving satellite does not depend on the coverage threshold
+  assert.strictEqual(two.handovers, one.handovers);
+  assert.strictEqual(two.meanElevationDeg, one.meanElevationDeg);
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { toSatrec } = require('../services/elementSets');
+const { lookAnglesAt, toObserverGd } = require('../services/passPredictor');
+const { dopplerShiftHz, linkDoppler } = require('../services/doppler');
+const { getConstellation } = require('../services/constellationRegistry');
+const { computeSatelliteState, predictConstellationPasses } = require('../services/simulationEngine');
+const { loadCached } = require('./helpers');
+
+const OTTAWA = { lat: 45.42, lng: -75.7, alt: 100 };
+const EPOCH = new Date('2026-02-20T12:00:00Z');
+
+test('receding satellites shift the carrier down', () => {
+  assert.ok(Math.abs(dopplerShiftHz(1.6, 7) + 37359.2) < 0.1);
+  assert.ok(Math.abs(dopplerShiftHz(12, -7) - 280193.8) < 0.1);
+  assert.strictEqual(linkDoppler(getConstellation('iridium'), null), null);
+
+  const starlink = linkDoppler(getConstellation('starlink'), 5, -0.01);
+  assert.ok(starlink.uplinkHz < starlink.downlinkHz, 'Ku uplink is higher in frequency');
+  assert.ok(starlink.downlinkRateHzS > 0);
+});
+
+test('range acceleration matches the change in range rate', () => {
+  const observerGd = toObserverGd(OTTAWA);
+  for (const sat of loadCached('starlink', 5)) {
+    const satrec = toSatrec(sat);
+    const now = lookAnglesAt(satrec, observerGd, EPOCH);
+    const before = lookAnglesAt(satrec, observerGd, new Date(EPOCH.getTime() - 500));
+    const after = lookAnglesAt(satrec, observerGd, new Date(EPOCH.getTime() + 500));
+    const diff = after.rangeRateKmS - before.rangeRateKmS;
+    assert.ok(Math.abs(now.rangeAccelKmS2 - diff) < 1e-4 + Math.abs(diff) * 0.01, `${sat.noradId}: ${now.rangeAccelKmS2} vs ${diff}`);
+  }
+});
+
+test('coverage states carry the Doppler at the registry frequencies', () => {
+  const [sat] = loadCached('starlink', 1);
+  const state = computeSatelliteState(toSatrec(sat), OTTAWA, 'starlink', EPOCH);
+  const expected = dopplerShiftHz(12, state.rangeRateKmS);
+  assert.ok(Math.abs(state.doppler.downlinkHz - expected) < 0.01 * Math.abs(expected) + 1);
+  assert.ok(Math.abs(state.doppler.uplinkHz / state.doppler.downlinkHz - 14.25 / 12) < 0.001);
+  assert.ok(Number.isFinite(state.doppler.downlinkRateHzS));
+});
+
+test('pass Doppler curves run from approaching to receding', () => {
+  const sats = loadCached('iridium', 5);
+  const end = new Date(EPOCH.getTime() + 12 * 3600 * 1000);
+  const passes = predictConstellationPasses(sats, OTTAWA, 'iridium', { start: EPOCH, end, dopplerStepSec: 10 });
+  const complete = passes.filter(p => !p.inProgressAtStart && !p.inProgressAtEnd);
+  assert.ok(complete.length > 0);
+
+  for (const pass of complete) {
+    const first = pass.doppler[0];
+    const last = pass.doppler[pass.doppler.length - 1];
+    assert.strictEqual(first.time, pass.aos);
+    assert.strictEqual(last.time, pass.los);
+    assert.ok(first.downlinkHz > 0 && last.downlinkHz < 0, `${pass.noradId} ${first.downlinkHz} -> ${last.downlinkHz}`);
+    assert.ok(pass.doppler.every(p => p.downlinkRateHzS < 0), 'Doppler falls throughout the pass');
+  }
+
+  const plain = predictConstellationPasses(sats, OTTAWA, 'iridium', { start: EPOCH, end });
+  assert.strictEqual(plain[0].doppler, undefined);
+});
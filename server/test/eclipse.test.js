@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  sunPositionEci,
+  subsolarPoint,
+  shadowState,
+  eclipseIntervals
+} = require('../services/eclipse');
+const { evaluateConstellation, prepareSatrecs, predictConstellationEclipses } = require('../services/simulationEngine');
+const { loadCached } = require('./helpers');
+
+const AT = new Date('2026-02-20T12:00:00Z');
+const AU_KM = 149597870.7;
+
+const unit = v => {
+  const r = Math.hypot(v.x, v.y, v.z);
+  return { x: v.x / r, y: v.y / r, z: v.z / r };
+};
+const scale = (v, k) => ({ x: v.x * k, y: v.y * k, z: v.z * k });
+
+test('the Sun is about 1 AU away at its seasonal declination', () => {
+  const sun = sunPositionEci(AT);
+  const distance = Math.hypot(sun.x, sun.y, sun.z);
+  assert.ok(Math.abs(distance / AU_KM - 0.989) < 0.005);
+
+  // About -11° on 20 February, on the equator at the March equinox and
+  // near the tropic of Cancer at the June solstice
+  assert.ok(Math.abs(subsolarPoint(AT).lat + 10.9) < 0.5);
+  assert.ok(Math.abs(subsolarPoint(new Date('2026-03-20T14:46:00Z')).lat) < 0.1);
+  assert.ok(Math.abs(subsolarPoint(new Date('2026-06-21T12:00:00Z')).lat - 23.44) < 0.1);
+  // Local noon: the sub-solar longitude is near 0° at 12:00 UTC, within
+  // the equation of time
+  assert.ok(Math.abs(subsolarPoint(AT).lng) < 5);
+});
+
+test('satellites behind the Earth are in umbra, in front of it sunlit, at the edge in penumbra', () => {
+  const sun = sunPositionEci(AT);
+  const toSun = unit(sun);
+  const orbitKm = 6378.137 + 780;
+
+  assert.deepStrictEqual(shadowState(scale(toSun, orbitKm), sun), { eclipse: 'sunlit', sunlitFraction: 1 });
+  assert.deepStrictEqual(shadowState(scale(toSun, -orbitKm), sun), { eclipse: 'umbra', sunlitFraction: 0 });
+
+  // Off the shadow axis by the Earth's radius: the edge of the shadow
+  const side = unit({ x: -toSun.y, y: toSun.x, z: 0 });
+  const edge = { x: side.x * 6378.137 - toSun.x * 3000, y: side.y * 6378.137 - toSun.y * 3000, z: -toSun.z * 3000 };
+  const state = shadowState(edge, sun);
+  assert.strictEqual(state.eclipse, 'penumbra');
+  assert.ok(state.sunlitFraction > 0 && state.sunlitFraction < 1);
+});
+
+test('low earth orbits pass through the shadow once per revolution', () => {
+  const [{ satrec }] = prepareSatrecs(loadCached('starlink', 1));
+  const periodMin = 2 * Math.PI / satrec.no;
+  const intervals = eclipseIntervals(satrec, { start: AT, end: new Date(AT.getTime() + 6 * 3600000) });
+
+  const whole = intervals.filter(i => !i.partial);
+  assert.ok(whole.length >= 3);
+  for (const interval of whole) {
+    assert.ok(interval.durationMin > 15 && interval.durationMin < 40, `${interval.durationMin} min`);
+    assert.ok(interval.umbraMin <= interval.durationMin);
+  }
+  const gap = (Date.parse(whole[1].start) - Date.parse(whole[0].start)) / 60000;
+  assert.ok(Math.abs(gap - periodMin) < 1);
+  // Boundaries refined between the samples
+  assert.ok(whole.some(i => Date.parse(i.start) % 30000 !== 0));
+});
+
+test('satellite states and eclipse predictions carry the shadow', () => {
+  const records = loadCached('iridium', 10);
+  const states = evaluateConstellation(records, { lat: 45.42, lng: -75.7, alt: 100 }, 'iridium', { time: AT });
+  for (const state of states) {
+    assert.ok(['sunlit', 'penumbra', 'umbra'].includes(state.eclipse));
+    assert.ok(state.sunlitFraction >= 0 && state.sunlitFraction <= 1);
+  }
+
+  const end = new Date(AT.getTime() + 3 * 3600000);
+  const [first] = predictConstellationEclipses(records.slice(0, 3), 'iridium', { start: AT, end, stepSec: 60 });
+  assert.strictEqual(first.noradId, records[0].noradId);
+  assert.strictEqual(first.eclipseCount, first.intervals.length);
+  const eclipseMin = first.intervals.reduce((sum, i) => sum + i.durationMin, 0);
+  assert.ok(Math.abs(first.sunlitPct - 100 * (1 - eclipseMin / 180)) < 0.1);
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const satellite = require('satellite.js');
+const { CACHE_DIR } = require('../services/tleService');
+const { detectFormat, parseElementSets, toSatrec } = require('../services/elementSets');
+
+const [NAME, LINE1, LINE2] = fs.readFileSync(path.join(CACHE_DIR, 'starlink.tle'), 'utf8').split('\n');
+
+// The same STARLINK-1008 element set as Celestrak publishes it in OMM form
+const OMM = {
+  OBJECT_NAME: 'STARLINK-1008',
+  OBJECT_ID: '2019-074B',
+  EPOCH: '2026-02-20T00:22:47.896896',
+  MEAN_MOTION: 15.31033804,
+  ECCENTRICITY: 0.0001224,
+  INCLINATION: 53.1548,
+  RA_OF_ASC_NODE: 260.9566,
+  ARG_OF_PERICENTER: 88.8756,
+  MEAN_ANOMALY: 271.2386,
+  EPHEMERIS_TYPE: 0,
+  CLASSIFICATION_TYPE: 'U',
+  NORAD_CAT_ID: 44714,
+  ELEMENT_SET_NO: 999,
+  REV_AT_EPOCH: 34616,
+  BSTAR: 0.00011612,
+  MEAN_MOTION_DOT: 0.00003168,
+  MEAN_MOTION_DDOT: 0
+};
+
+const asXml = records => `<?xml version="1.0" encoding="UTF-8"?>\n<ndm>${records.map(r =>
+  `<omm id="CCSDS_OMM_VERS" version="2.0"><body><segment><data>${Object.entries(r).map(([k, v]) => `<${k}>${v}</${k}>`).join('')}</data></segment></body></omm>`
+).join('')}</ndm>`;
+
+const asCsv = records => [Object.keys(OMM).join(','), ...records.map(r => Object.keys(OMM).map(k => r[k]).join(','))].join('\r\n');
+
+test('all four formats normalise to the same element record', () => {
+  const inputs = {
+    tle: `${NAME}\n${LINE1}\n${LINE2}\n`,
+    json: JSON.stringify([OMM]),
+    xml: asXml([OMM]),
+    csv: asCsv([OMM])
+  };
+
+  for (const [format, text] of Object.entries(inputs)) {
+    const { format: detected, records, errors } = parseElementSets(text);
+    assert.strictEqual(detected, format);
+    assert.deepStrictEqual(errors, []);
+    assert.strictEqual(records.length, 1);
+    assert.strictEqual(records[0].noradId, 44714);
+    assert.strictEqual(records[0].name, 'STARLINK-1008');
+    assert.strictEqual(records[0].epoch, '2026-02-20T00:22:47.896Z');
+    assert.deepStrictEqual(records[0].omm, { ...OMM, EPOCH: records[0].omm.EPOCH }, format);
+  }
+});
+
+test('json2satrec from a record propagates like twoline2satrec', () => {
+  const [record] = parseElementSets(JSON.stringify([OMM])).records;
+  const at = new Date('2026-02-20T12:00:00Z');
+  const fromOmm = satellite.propagate(toSatrec(record), at).position;
+  const fromTle = satellite.propagate(satellite.twoline2satrec(LINE1, LINE2), at).position;
+
+  const diffKm = Math.hypot(fromOmm.x - fromTle.x, fromOmm.y - fromTle.y, fromOmm.z - fromTle.z);
+  assert.ok(diffKm < 0.05, `OMM and TLE positions differ by ${diffKm} km`);
+});
+
+test('six-digit catalog numbers survive OMM; Alpha-5 TLEs decode', () => {
+  const big = { ...OMM, NORAD_CAT_ID: 270001, OBJECT_NAME: 'BIG' };
+  const [record] = parseElementSets(asCsv([big])).records;
+  assert.strictEqual(record.noradId, 270001);
+  assert.strictEqual(toSatrec(record).error, 0);
+
+  const alpha5 = `BIG\n${LINE1.replace('44714', 'T0001')}\n${LINE2.replace('44714', 'T0001')}`;
+  assert.strictEqual(parseElementSets(alpha5).records[0].noradId, 270001);
+});
+
+test('bad records are reported individually', () => {
+  const { records, errors } = parseElementSets(JSON.stringify([
+    OMM,
+    { ...OMM, NORAD_CAT_ID: 44715, ECCENTRICITY: 1.5 },
+    { OBJECT_NAME: 'NO ELEMENTS', NORAD_CAT_ID: 44716 },
+    { ...OMM, NORAD_CAT_ID: 44717, EPOCH: 'yesterday' }
+  ]));
+
+  assert.deepStrictEqual(records.map(r => r.noradId), [44714]);
+  assert.deepStrictEqual(errors.map(e => [e.record, e.noradId]), [[1, 44715], [2, 44716], [3, 44717]]);
+  assert.match(errors[0].error, /ECCENTRICITY/);
+  assert.match(errors[1].error, /missing EPOCH/);
+  assert.match(errors[2].error, /invalid EPOCH/);
+
+  const broken = parseElementSets(`${NAME}\n${LINE1}\n${NAME}\n${LINE1}\n${LINE2}`);
+  assert.strictEqual(broken.records.length, 1);
+  assert.match(broken.errors[0].error, /line 2: line 1 without a matching line 2/);
+});
+
+test('format detection', () => {
+  assert.strictEqual(detectFormat('[{"OBJECT_NAME":"X"}]'), 'json');
+  assert.strictEqual(detectFormat('<?xml version="1.0"?><ndm/>'), 'xml');
+  assert.strictEqual(detectFormat('OBJECT_NAME,OBJECT_ID,EPOCH'), 'csv');
+  assert.strictEqual(detectFormat(`${LINE1}\n${LINE2}`), 'tle');
+});
@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  geodeticToEcf,
+  ecfToGeodetic,
+  elevationFrom,
+  footprintPolygon,
+  beamCells,
+  lngLatRing,
+  computeFootprints,
+  toFootprintGeoJSON
+} = require('../services/footprint');
+const { coverageRadiusKm } = require('../services/simulationEngine');
+const { getConstellation, validateRegistry } = require('../services/constellationRegistry');
+const { loadCached } = require('./helpers');
+
+const IRIDIUM_BEAMS = getConstellation('iridium').beams;
+
+// Great-circle distance on the mean sphere, close enough to compare radii
+function distanceKm(a, b) {
+  const rad = Math.PI / 180;
+  const h = Math.sin((b.lat - a.lat) * rad / 2) ** 2
+    + Math.cos(a.lat * rad) * Math.cos(b.lat * rad) * Math.sin((b.lng - a.lng) * rad / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.sqrt(h));
+}
+
+test('footprint vertices lie on the ellipsoid at the minimum elevation', () => {
+  const sat = geodeticToEcf(40, -75, 780);
+  assert.ok(Math.abs(ecfToGeodetic(sat).heightKm - 780) < 1e-6);
+
+  const polygon = footprintPolygon(sat, 10);
+  assert.strictEqual(polygon.length, 72);
+  for (const { lat, lng } of polygon) {
+    assert.ok(Math.abs(elevationFrom(geodeticToEcf(lat, lng, 0), sat) - 10) < 1e-3);
+  }
+  // Close to the spherical radius, but not a circle: the ellipsoid is
+  // flatter towards the pole
+  const radii = polygon.map(v => distanceKm({ lat: 40, lng: -75 }, v));
+  const spherical = coverageRadiusKm(780, 10);
+  assert.ok(radii.every(r => Math.abs(r - spherical) / spherical < 0.01));
+  assert.ok(Math.max(...radii) - Math.min(...radii) > 5);
+});
+
+test('rings keep longitudes continuous and close around the poles', () => {
+  const overDateLine = lngLatRing(footprintPolygon(geodeticToEcf(0, 179, 780), 10));
+  assert.deepStrictEqual(overDateLine[0], overDateLine[overDateLine.length - 1]);
+  assert.ok(Math.max(...overDateLine.map(([lng]) => lng)) > 180);
+  assert.ok(overDateLine.every(([lng], i) => i === 0 || Math.abs(lng - overDateLine[i - 1][0]) < 10));
+
+  const overPole = lngLatRing(footprintPolygon(geodeticToEcf(88, 30, 780), 10));
+  assert.deepStrictEqual(overPole.slice(-3).map(([, lat]) => lat), [90, 90, overPole[0][1]]);
+  assert.ok(overPole[overPole.length - 3][0] - overPole[0][0] === 360);
+});
+
+test('Iridium beam cells tile the footprint and turn with the ground track', () => {
+  const sat = geodeticToEcf(0, 0, 780);
+  const cells = beamCells(sat, 10, IRIDIUM_BEAMS, { velocityEcf: { x: 0, y: 0, z: 7.4 } });
+  assert.strictEqual(cells.length, 48);
+  assert.deepStrictEqual(cells.map(c => c.beam), Array.from({ length: 48 }, (_, i) => i + 1));
+  assert.deepStrictEqual([0, 1, 2, 3].map(ring => cells.filter(c => c.ring === ring).length), [3, 9, 15, 21]);
+
+  // Central cells meet at nadir; outer cells reach the footprint edge
+  assert.ok(cells.filter(c => c.ring === 0).every(c => distanceKm(c.polygon[c.polygon.length - 1], { lat: 0, lng: 0 }) < 1e-6));
+  for (const cell of cells.filter(c => c.ring === 3)) {
+    assert.ok(Math.abs(elevationFrom(geodeticToEcf(cell.polygon[0].lat, cell.polygon[0].lng, 0), sat) - 10) < 1e-3);
+  }
+  for (const cell of cells.filter(c => c.ring < 3)) {
+    assert.ok(cell.polygon.every(({ lat, lng }) => elevationFrom(geodeticToEcf(lat, lng, 0), sat) > 10));
+  }
+
+  // Heading east instead of north rotates the pattern a quarter turn
+  const east = beamCells(sat, 10, IRIDIUM_BEAMS, { velocityEcf: { x: 0, y: 7.4, z: 0 } });
+  const bearing = ({ lat, lng }) => Math.atan2(lng, lat) * 180 / Math.PI;
+  const turn = (bearing(east[0].polygon[0]) - bearing(cells[0].polygon[0]) + 360) % 360;
+  assert.ok(Math.abs(turn - 90) < 1);
+
+  // A steeper mask drops the outer rings
+  assert.strictEqual(beamCells(sat, 50, IRIDIUM_BEAMS).length, 12);
+});
+
+test('beam layouts are validated with the registry', () => {
+  const entry = getConstellation('iridium');
+  const broken = { ...entry, beams: { rings: [{ count: 3, outerOffNadirDeg: null }, { count: 0, outerOffNadirDeg: 10 }] } };
+  assert.throws(() => validateRegistry({ iridium: broken }), err => {
+    assert.match(err.message, /iridium: beams ring 0 outerOffNadirDeg may only be null on the last ring/);
+    assert.match(err.message, /iridium: beams ring 1 count must be a positive integer/);
+    return true;
+  });
+});
+
+test('constellation footprints come out as GeoJSON polygons', () => {
+  const tleList = loadCached('iridium', 2);
+  const time = new Date('2026-02-20T12:00:00Z');
+  const geojson = toFootprintGeoJSON(computeFootprints(tleList, 'iridium', { time, beams: true, vertices: 36 }));
+
+  assert.strictEqual(geojson.properties.minElevDeg, 10);
+  assert.strictEqual(geojson.properties.time, time.toISOString());
+  assert.strictEqual(geojson.features.length, 2 * 49);
+  const [footprint, firstBeam] = geojson.features;
+  assert.strictEqual(footprint.properties.kind, 'footprint');
+  assert.ok(footprint.geometry.coordinates[0].length >= 37);
+  assert.deepStrictEqual(firstBeam.properties, { kind: 'beam', noradId: footprint.properties.noradId, name: footprint.properties.name, beam: 1, ring: 0 });
+
+  const plain = computeFootprints(tleList, 'starlink', { time, beams: true });
+  assert.strictEqual(plain.beams, false);
+  assert.strictEqual(plain.minElevDeg, 25);
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { simulateHandover } = require('../services/handoverSimulation');
+const { loadCached } = require('./helpers');
+
+const OTTAWA = { lat: 45.42, lng: -75.7, alt: 100 };
+const START = new Date('2026-02-20T12:00:00Z');
+const STEP_SEC = 30;
+const TIMES = Array.from({ length: 240 }, (_, i) => new Date(START.getTime() + i * STEP_SEC * 1000));
+
+const TLES = loadCached('iridium', 100);
+
+test('serving segments and outages tile the window without overlap', () => {
+  const result = simulateHandover(TLES, OTTAWA, 'iridium', { times: TIMES, stepSec: STEP_SEC });
+  const spans = [...result.timeline, ...result.outages].sort((a, b) => a.start.localeCompare(b.start));
+
+  assert.strictEqual(spans[0].start, START.toISOString());
+  for (let i = 1; i < spans.length; i++) assert.strictEqual(spans[i].start, spans[i - 1].end);
+  assert.strictEqual(
+    spans.reduce((sum, s) => sum + s.durationSec, 0),
+    TIMES.length * STEP_SEC
+  );
+
+  // A handover joins two adjacent segments; reacquiring after an outage does not count
+  const adjacent = result.timeline.filter((s, i) => i > 0 && result.timeline[i - 1].end === s.start);
+  assert.strictEqual(result.handovers.length, adjacent.length);
+  assert.deepStrictEqual(result.handovers.map(h => h.to), adjacent.map(s => s.noradId));
+
+  const { statistics } = result;
+  assert.strictEqual(statistics.outageCount, result.outages.length);
+  assert.strictEqual(statistics.servedPct, +(100 - 100 * statistics.totalOutageSec / (TIMES.length * STEP_SEC)).toFixed(1));
+});
+
+test('hysteresis holds on to the serving satellite', () => {
+  const eager = simulateHandover(TLES, OTTAWA, 'iridium', { times: TIMES, stepSec: STEP_SEC, policy: 'elevation', hysteresis: 0 });
+  const sticky = simulateHandover(TLES, OTTAWA, 'iridium', { times: TIMES, stepSec: STEP_SEC, policy: 'elevation', hysteresis: 90 });
+
+  assert.ok(eager.handovers.length >= sticky.handovers.length);
+  assert.ok(sticky.handovers.every(h => h.reason === 'lost'), 'only a lost satellite forces a switch');
+  assert.strictEqual(sticky.statistics.totalOutageSec, eager.statistics.totalOutageSec, 'policies do not change outages');
+});
+
+test('every policy runs and unknown ones are rejected', () => {
+  for (const policy of ['elevation', 'visibility', 'margin']) {
+    const result = simulateHandover(TLES, OTTAWA, 'iridium', { times: TIMES, stepSec: STEP_SEC, policy });
+    assert.strictEqual(result.policy, policy);
+    assert.ok(result.timeline.length > 0, policy);
+  }
+  assert.throws(
+    () => simulateHandover(TLES, OTTAWA, 'iridium', { times: TIMES, stepSec: STEP_SEC, policy: 'random' }),
+    /Unknown handover policy/
+  );
+});
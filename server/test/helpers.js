@@ -0,0 +1,15 @@
+const fs = require('fs');
+const path = require('path');
+const { CACHE_DIR } = require('../services/tleService');
+const { parseElementSets } = require('../services/elementSets');
+
+// Element records of a cached constellation file (tle-cache/<key>.tle), the
+// first maxSats of them when given
+function loadCached(key, maxSats) {
+  const text = fs.readFileSync(path.join(CACHE_DIR, `${key}.tle`), 'utf8');
+  return parseElementSets(text, { maxSats }).records;
+}
+
+module.exports = {
+  loadCached
+};
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { toSatrec } = require('../services/elementSets');
+const { predictPasses, lookAnglesAt, toObserverGd } = require('../services/passPredictor');
+const { computeCoverageStatistics } = require('../services/coverageStatistics');
+const {
+  normalizeHorizonMask,
+  parseHorizonCsv,
+  horizonElevationAt,
+  horizonProfile,
+  clearsHorizon
+} = require('../services/horizonMask');
+const { loadCached } = require('./helpers');
+
+const OTTAWA = { lat: 45.42, lng: -75.7, alt: 100 };
+const START = new Date('2026-02-20T12:00:00Z');
+// Buildings to the north: 30° from 300° through north to 60°, open elsewhere
+const ROOFTOP = normalizeHorizonMask([
+  { azimuthDeg: 0, elevationDeg: 30 },
+  { azimuthDeg: 60, elevationDeg: 30 },
+  { azimuthDeg: 70, elevationDeg: 0 },
+  { azimuthDeg: 290, elevationDeg: 0 },
+  { azimuthDeg: 300, elevationDeg: 30 }
+]);
+
+test('horizon elevation interpolates between points and across north', () => {
+  const mask = normalizeHorizonMask([
+    { azimuthDeg: 90, elevationDeg: 10 },
+    { azimuthDeg: 270, elevationDeg: 20 }
+  ]);
+  assert.strictEqual(horizonElevationAt(mask, 90), 10);
+  assert.strictEqual(horizonElevationAt(mask, 180), 15);
+  assert.strictEqual(horizonElevationAt(mask, 0), 15, 'wraps from 270 through north to 90');
+  assert.strictEqual(horizonElevationAt(mask, 315), 17.5);
+  assert.strictEqual(horizonElevationAt(mask, -45), 17.5);
+  assert.strictEqual(horizonElevationAt([], 10), -90);
+
+  assert.strictEqual(clearsHorizon({ ...OTTAWA, horizonMask: ROOFTOP }, 10, 25), false);
+  assert.strictEqual(clearsHorizon({ ...OTTAWA, horizonMask: ROOFTOP }, 180, 5), true);
+  assert.strictEqual(clearsHorizon(OTTAWA, 10, 1), true);
+});
+
+test('the drawn profile samples the mask round the horizon, keeping its points', () => {
+  const profile = horizonProfile(ROOFTOP, 25);
+  assert.deepStrictEqual(profile[0], [0, 30]);
+  assert.deepStrictEqual(profile.at(-1), [360, profile[0][1]]);
+  for (const point of ROOFTOP) assert.ok(profile.some(([az, el]) => az === point.azimuthDeg && el === point.elevationDeg));
+  assert.ok(profile.every(([az, el]) => Math.abs(el - horizonElevationAt(ROOFTOP, az)) < 0.005));
+  assert.strictEqual(profile.length, 15 + 3 + 1, 'every 25°, the points at 60, 70 and 290°, and closed at 360°');
+  assert.deepStrictEqual(horizonProfile([]), []);
+});
+
+test('CSV masks parse with headers and comments; bad rows are rejected', () => {
+  const mask = parseHorizonCsv('azimuth,elevation\n# survey 2026-03\n180, 5\n0,12\n90;8\n');
+  assert.deepStrictEqual(mask.map(p => p.azimuthDeg), [0, 90, 180]);
+  assert.deepStrictEqual(parseHorizonCsv(''), []);
+  assert.throws(() => parseHorizonCsv('0,10\n90'), /line 2/);
+  assert.throws(() => parseHorizonCsv('0,95'), /elevation must be/);
+  assert.throws(() => parseHorizonCsv('10,5\n10,6'), /two points at azimuth 10/);
+});
+
+test('passes start and end where the satellite clears the skyline', () => {
+  const observer = { ...OTTAWA, horizonMask: ROOFTOP };
+  const observerGd = toObserverGd(observer);
+  const end = new Date(START.getTime() + 24 * 3600 * 1000);
+  const [sat] = loadCached('iridium', 1);
+  const satrec = toSatrec(sat);
+
+  const open = predictPasses(satrec, OTTAWA, { start: START, end, minElevDeg: 10 });
+  const masked = predictPasses(satrec, observer, { start: START, end, minElevDeg: 10 });
+  const seconds = passes => passes.reduce((sum, p) => sum + p.durationSec, 0);
+  assert.ok(seconds(masked) < seconds(open), 'obstructions shorten the time in view');
+
+  for (const pass of masked) {
+    for (const [time, edge] of [[pass.aos, pass.inProgressAtStart], [pass.los, pass.inProgressAtEnd]]) {
+      if (edge) continue;
+      const look = lookAnglesAt(satrec, observerGd, new Date(time));
+      const limit = Math.max(10, horizonElevationAt(ROOFTOP, look.azimuth));
+      assert.ok(Math.abs(look.elevation - limit) < 0.1, `${time}: elevation ${look.elevation} vs ${limit}`);
+    }
+  }
+});
+
+test('statistics count only satellites above the skyline', () => {
+  const tleList = loadCached('iridium', 100);
+  const times = Array.from({ length: 120 }, (_, i) => new Date(START.getTime() + i * 60000));
+  const open = computeCoverageStatistics(tleList, OTTAWA, 'iridium', { times, stepSec: 60 });
+  const masked = computeCoverageStatistics(tleList, { ...OTTAWA, horizonMask: ROOFTOP }, 'iridium', { times, stepSec: 60 });
+
+  assert.ok(masked.meanSatellitesInView < open.meanSatellitesInView);
+  assert.ok(masked.coveragePct <= open.coveragePct);
+});
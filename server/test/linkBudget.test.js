@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { freeSpacePathLossDb, computeLinkBudget } = require('../services/linkBudget');
+const { getConstellation, resolveTerminal } = require('../services/constellationRegistry');
+
+test('free-space path loss matches the textbook value', () => {
+  // 1000 km at 12 GHz: 92.45 + 60 + 21.58
+  assert.ok(Math.abs(freeSpacePathLossDb(1000, 12) - 174.03) < 0.01);
+});
+
+const OTTAWA = { lat: 45.42, lng: -75.7, alt: 100 };
+
+test('margin falls with range and with a stricter required Eb/N0', () => {
+  const terminal = resolveTerminal('starlink');
+  const base = { constellation: getConstellation('starlink'), terminal, observer: OTTAWA };
+  const near = computeLinkBudget({ ...base, rangeKm: 600, elevationDeg: 70 });
+  const far = computeLinkBudget({ ...base, rangeKm: 1800, elevationDeg: 15 });
+  const strict = computeLinkBudget({ ...base, rangeKm: 600, elevationDeg: 70, requiredEbN0Db: 12 });
+
+  assert.ok(near.marginDb > far.marginDb);
+  assert.ok(Math.abs(near.ebn0Db - near.requiredEbN0Db - near.marginDb) <= 0.1);
+  assert.ok(Math.abs(strict.marginDb - (near.marginDb - 7)) <= 0.1);
+  assert.ok(far.attenuationDb > near.attenuationDb);
+});
+
+test('rain fade eats Ku-band margin but barely touches L-band', () => {
+  const storm = { rainRate: 25 };
+  const ku = { constellation: getConstellation('starlink'), terminal: resolveTerminal('starlink'), observer: OTTAWA, rangeKm: 900, elevationDeg: 35 };
+  const l = { constellation: getConstellation('iridium'), terminal: resolveTerminal('iridium'), observer: OTTAWA, rangeKm: 1500, elevationDeg: 35 };
+
+  const kuDrop = computeLinkBudget(ku).marginDb - computeLinkBudget({ ...ku, weather: storm }).marginDb;
+  const lDrop = computeLinkBudget(l).marginDb - computeLinkBudget({ ...l, weather: storm }).marginDb;
+
+  assert.ok(kuDrop > 3, `Ku-band drop ${kuDrop}`);
+  assert.ok(lDrop < 0.2, `L-band drop ${lDrop}`);
+});
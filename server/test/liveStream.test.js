@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { CACHE_DIR } = require('../services/tleService');
+const { parseElementSets } = require('../services/elementSets');
+const { createLiveHub } = require('../services/liveStream');
+
+const OTTAWA = { lat: 45.42, lng: -75.7, alt: 100 };
+const EPOCH = new Date('2026-02-20T12:00:00Z');
+
+function stubHub(clock) {
+  const loads = [];
+  const hub = createLiveHub({
+    tickMs: 3600000,
+    now: () => clock.time,
+    loadTLEs: async (key, maxSats) => {
+      loads.push(key);
+      const text = fs.readFileSync(path.join(CACHE_DIR, `${key}.tle`), 'utf8');
+      return {
+        tleList: parseElementSets(text, { maxSats }).records,
+        snapshot: { id: `${key}-test`, source: 'cache', importedAt: EPOCH.toISOString() },
+        stale: false
+      };
+    }
+  });
+  return { hub, loads };
+}
+
+function params(overrides = {}) {
+  return { constellations: ['iridium'], observer: OTTAWA, mode: 'station', maxSats: 100, links: {}, ...overrides };
+}
+
+function recorder() {
+  const events = [];
+  const client = (event, data) => events.push({ event, data });
+  return { events, client };
+}
+
+test('live channel sends a snapshot, then enter/leave and state deltas', async () => {
+  const clock = { time: EPOCH };
+  const { hub } = stubHub(clock);
+  const { events, client } = recorder();
+
+  const unsubscribe = hub.subscribe(params(), client);
+  await hub.tick();
+
+  assert.strictEqual(events.length, 1);
+  const [{ event, data: snapshot }] = events;
+  assert.strictEqual(event, 'snapshot');
+  assert.strictEqual(snapshot.tle.iridium.snapshotId, 'iridium-test');
+  for (const sat of snapshot.satellites) {
+    assert.ok(sat.elevation > 10, `${sat.noradId} above the mask`);
+    assert.ok(sat.omm && sat.name, 'full satellite on snapshot');
+  }
+
+  const members = new Set(snapshot.satellites.map(s => s.noradId));
+  for (let minute = 1; minute <= 30; minute++) {
+    clock.time = new Date(EPOCH.getTime() + minute * 60000);
+    await hub.tick();
+  }
+
+  const after = events.slice(1);
+  assert.strictEqual(after.filter(e => e.event === 'state').length, 30);
+  const entered = after.filter(e => e.event === 'enter').flatMap(e => e.data.satellites);
+  const left = after.filter(e => e.event === 'leave').flatMap(e => e.data.noradIds);
+  assert.ok(entered.length > 0 && left.length > 0, 'satellites rise and set within 30 min');
+  assert.ok(entered.every(s => s.omm), 'entering satellites carry elements');
+
+  // Replaying the diffs reproduces the final membership
+  for (const e of after) {
+    if (e.event === 'enter') e.data.satellites.forEach(s => members.add(s.noradId));
+    if (e.event === 'leave') e.data.noradIds.forEach(id => members.delete(id));
+  }
+  const lastState = after.filter(e => e.event === 'state').at(-1).data;
+  assert.deepStrictEqual([...members].sort(), lastState.satellites.map(s => s.noradId).sort());
+  assert.ok(lastState.satellites.every(s => !('omm' in s)), 'state deltas stay small');
+  // The Sun's position at the event time, for the terminator
+  assert.ok(Math.abs(snapshot.subsolarPoint.lat + 10.9) < 0.5);
+  assert.ok(Math.abs(lastState.subsolarPoint.lng - snapshot.subsolarPoint.lng + 7.5) < 0.1, 'sun moves 7.5° west in 30 min');
+
+  unsubscribe();
+  assert.strictEqual(hub.status().running, false);
+});
+
+test('subscribers with the same filters share one channel and one propagation', async () => {
+  const clock = { time: EPOCH };
+  const { hub, loads } = stubHub(clock);
+  const a = recorder();
+  const b = recorder();
+  const c = recorder();
+
+  const offA = hub.subscribe(params(), a.client);
+  await hub.tick();
+  const offB = hub.subscribe(params(), b.client);
+  const offC = hub.subscribe(params({ mode: 'constellation' }), c.client);
+
+  // b joins a running channel and gets its snapshot straight away
+  assert.deepStrictEqual(b.events.map(e => e.event), ['snapshot']);
+  assert.deepStrictEqual(b.events[0].data.satellites, a.events[0].data.satellites);
+
+  clock.time = new Date(EPOCH.getTime() + 60000);
+  await hub.tick();
+
+  const status = hub.status();
+  assert.deepStrictEqual(status.channels.map(ch => ch.clients), [2, 1]);
+  assert.deepStrictEqual(loads, ['iridium'], 'element sets loaded once for both channels');
+  assert.deepStrictEqual(a.events.at(-1), b.events.at(-1));
+  const all = c.events[0].data;
+  assert.strictEqual(all.satellites.length, all.tle.iridium.satellites, 'constellation mode tracks every satellite');
+  assert.ok(all.satellites.length > a.events[0].data.satellites.length);
+
+  offA();
+  offB();
+  offC();
+  assert.deepStrictEqual(hub.status().channels, []);
+});
+
+test('TLE load failures are reported on the channel', async () => {
+  const hub = createLiveHub({
+    tickMs: 3600000,
+    now: () => EPOCH,
+    loadTLEs: async () => { throw new Error('No iridium TLE snapshot available in offline mode'); }
+  });
+  const { events, client } = recorder();
+  const unsubscribe = hub.subscribe(params(), client);
+  await hub.tick();
+  unsubscribe();
+
+  assert.deepStrictEqual(events.map(e => e.event), ['stream-error']);
+  assert.match(events[0].data.error, /offline mode/);
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const satellite = require('satellite.js');
+const { prepareSatrecs, propagateSatrecs } = require('../services/simulationEngine');
+const { SPEED_OF_LIGHT_KM_S } = require('../services/doppler');
+const { buildIslLinks, shortestPath, computeRoutes } = require('../services/networkGraph');
+const { loadCached } = require('./helpers');
+
+const EPOCH = new Date('2026-02-20T12:00:00Z');
+const OTTAWA = { name: 'Ottawa', observer: { lat: 45.42, lng: -75.7, alt: 100 } };
+const LONDON = { name: 'London', observer: { lat: 51.5, lng: -0.13, alt: 20 } };
+
+test('shortest path picks the cheapest chain', () => {
+  const edges = [[0, 1, 5], [1, 3, 5], [0, 2, 1], [2, 3, 2], [3, 4, 1]];
+  const adjacency = Array.from({ length: 6 }, () => []);
+  for (const [a, b, km] of edges) {
+    adjacency[a].push({ to: b, km });
+    adjacency[b].push({ to: a, km });
+  }
+  assert.deepStrictEqual(shortestPath(adjacency, 0, 4), { nodes: [0, 2, 3, 4], km: 4 });
+  assert.strictEqual(shortestPath(adjacency, 0, 5), null);
+});
+
+test('+Grid links stay within range and above the atmosphere', () => {
+  const gmst = satellite.gstime(EPOCH);
+  const nodes = propagateSatrecs(prepareSatrecs(loadCached('starlink', 20000)), EPOCH)
+    .map(s => ({ ...s, ecf: satellite.eciToEcf(s.eci.position, gmst) }));
+  const links = buildIslLinks(nodes, { maxIslKm: 3000 });
+
+  assert.ok(links.length > nodes.length, 'most satellites have several neighbours');
+  assert.ok(links.every(l => l.distanceKm <= 3000));
+  const degree = new Map();
+  for (const { a, b } of links) {
+    degree.set(a, (degree.get(a) || 0) + 1);
+    degree.set(b, (degree.get(b) || 0) + 1);
+  }
+  const meanDegree = [...degree.values()].reduce((x, y) => x + y, 0) / degree.size;
+  assert.ok(meanDegree > 2 && meanDegree <= 4.5, `mean degree ${meanDegree}`);
+});
+
+test('Ottawa reaches London over the Starlink mesh', () => {
+  const tleList = loadCached('starlink', 20000);
+  const times = [EPOCH, new Date(EPOCH.getTime() + 60000)];
+  const result = computeRoutes(tleList, 'starlink', OTTAWA, LONDON, { times });
+
+  assert.strictEqual(result.statistics.reachablePct, 100);
+  for (const sample of result.samples) {
+    const ends = [sample.path[0], sample.path[sample.path.length - 1]];
+    assert.deepStrictEqual(ends.map(n => n.name), ['Ottawa', 'London']);
+    assert.ok(sample.path.slice(1, -1).every(n => n.type === 'satellite'));
+    assert.strictEqual(sample.hops, sample.path.length - 1);
+    assert.ok(Math.abs(sample.latencyMs - 1000 * sample.distanceKm / SPEED_OF_LIGHT_KM_S) < 0.01);
+    assert.ok(sample.distanceKm > result.greatCircleKm, 'the path is longer than the ground distance');
+  }
+
+  const isolated = computeRoutes(tleList, 'starlink', OTTAWA, LONDON, { times: [EPOCH], maxIslKm: 100 });
+  assert.strictEqual(isolated.samples[0].reachable, false);
+  assert.strictEqual(isolated.statistics.reachablePct, 0);
+});
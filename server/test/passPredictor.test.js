@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { toSatrec } = require('../services/elementSets');
+const { predictPasses, lookAnglesAt, toObserverGd } = require('../services/passPredictor');
+const { loadCached } = require('./helpers');
+
+const OTTAWA = { lat: 45.42, lng: -75.7, alt: 100 };
+// Close to the cached TLE epochs (day 051 of 2026) so SGP4 stays accurate
+const START = new Date('2026-02-20T12:00:00Z');
+const END = new Date(START.getTime() + 24 * 3600 * 1000);
+const MIN_ELEV_DEG = 10;
+
+test('Iridium passes over Ottawa are ordered and bounded by the horizon', () => {
+  const [sat] = loadCached('iridium', 1);
+  const satrec = toSatrec(sat);
+  const observerGd = toObserverGd(OTTAWA);
+  const passes = predictPasses(satrec, OTTAWA, { start: START, end: END, minElevDeg: MIN_ELEV_DEG });
+
+  assert.ok(passes.length > 0, 'expected at least one pass in 24h');
+  for (const pass of passes) {
+    const aos = Date.parse(pass.aos);
+    const tca = Date.parse(pass.tca);
+    const los = Date.parse(pass.los);
+    assert.ok(aos < tca && tca < los);
+    assert.ok(pass.maxElevationDeg >= MIN_ELEV_DEG);
+    assert.ok(pass.aosAzimuthDeg >= 0 && pass.aosAzimuthDeg < 360);
+    assert.ok(pass.losAzimuthDeg >= 0 && pass.losAzimuthDeg < 360);
+
+    if (!pass.inProgressAtStart) {
+      const elev = lookAnglesAt(satrec, observerGd, new Date(aos)).elevation;
+      assert.ok(Math.abs(elev - MIN_ELEV_DEG) < 0.05, `AOS elevation ${elev}`);
+    }
+    if (!pass.inProgressAtEnd) {
+      const elev = lookAnglesAt(satrec, observerGd, new Date(los)).elevation;
+      assert.ok(Math.abs(elev - MIN_ELEV_DEG) < 0.05, `LOS elevation ${elev}`);
+    }
+  }
+});
+
+test('pass windows match a brute-force 1 s elevation scan', () => {
+  const [sat] = loadCached('starlink', 1);
+  const satrec = toSatrec(sat);
+  const observerGd = toObserverGd(OTTAWA);
+  const end = new Date(START.getTime() + 6 * 3600 * 1000);
+  const passes = predictPasses(satrec, OTTAWA, { start: START, end, minElevDeg: MIN_ELEV_DEG });
+
+  const scanned = [];
+  let current = null;
+  for (let t = START.getTime(); t <= end.getTime(); t += 1000) {
+    const look = lookAnglesAt(satrec, observerGd, new Date(t));
+    const above = look.elevation >= MIN_ELEV_DEG;
+    if (above && !current) current = { aos: t, maxElev: look.elevation };
+    if (above && look.elevation > current.maxElev) current.maxElev = look.elevation;
+    if (!above && current) {
+      scanned.push({ ...current, los: t });
+      current = null;
+    }
+  }
+  if (current) scanned.push({ ...current, los: end.getTime() });
+
+  assert.strictEqual(passes.length, scanned.length);
+  passes.forEach((pass, i) => {
+    assert.ok(Math.abs(Date.parse(pass.aos) - scanned[i].aos) <= 1000);
+    assert.ok(Math.abs(Date.parse(pass.los) - scanned[i].los) <= 1000);
+    assert.ok(Math.abs(pass.maxElevationDeg - scanned[i].maxElev) < 0.1);
+  });
+});
+
+test('a pass already in progress at the window start is clipped and flagged', () => {
+  const [sat] = loadCached('iridium', 1);
+  const satrec = toSatrec(sat);
+  const [first] = predictPasses(satrec, OTTAWA, { start: START, end: END, minElevDeg: MIN_ELEV_DEG });
+
+  const midPass = new Date(Date.parse(first.tca));
+  const [clipped] = predictPasses(satrec, OTTAWA, { start: midPass, end: END, minElevDeg: MIN_ELEV_DEG });
+
+  assert.strictEqual(clipped.inProgressAtStart, true);
+  assert.strictEqual(clipped.aos, midPass.toISOString());
+  assert.ok(Math.abs(Date.parse(clipped.los) - Date.parse(first.los)) < 1000);
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildReport, gapHistogram, toReportCsv, toReportHtml } = require('../services/reportGenerator');
+const { loadCached } = require('./helpers');
+
+const OTTAWA = { lat: 45.42, lng: -75.7, alt: 100 };
+const START = new Date('2026-02-20T12:00:00Z');
+const END = new Date('2026-02-20T18:00:00Z');
+const STEP_SEC = 60;
+const TIMES = Array.from({ length: 360 }, (_, i) => new Date(START.getTime() + i * STEP_SEC * 1000));
+
+const iridium = loadCached('iridium');
+const REPORT = buildReport(iridium, OTTAWA, 'iridium', { times: TIMES, stepSec: STEP_SEC, start: START, end: END, stationName: 'Ottawa, ON' });
+
+test('gap histogram bins every gap once', () => {
+  const bins = gapHistogram([30, 60, 299, 3600, 7200].map(durationSec => ({ durationSec })));
+  assert.deepStrictEqual(bins.map(b => b.count), [1, 2, 0, 0, 0, 2]);
+  assert.deepStrictEqual(bins[bins.length - 1], { minSec: 3600, maxSec: null, count: 2 });
+
+  assert.strictEqual(REPORT.gaps.length, REPORT.availability.gapCount);
+  assert.strictEqual(REPORT.gapHistogram.reduce((sum, b) => sum + b.count, 0), REPORT.gaps.length);
+  assert.strictEqual(Math.max(...REPORT.gaps.map(g => g.durationSec)), REPORT.availability.maxGapSec);
+});
+
+test('passes carry their closest-approach link budget and roll up per satellite', () => {
+  assert.ok(REPORT.passes.length > 0);
+  for (const pass of REPORT.passes) {
+    assert.ok(Number.isFinite(pass.tcaMarginDb));
+    assert.ok(!('doppler' in pass));
+  }
+  assert.strictEqual(REPORT.satellites.reduce((sum, s) => sum + s.passCount, 0), REPORT.passes.length);
+
+  const { linkBudget } = REPORT;
+  assert.ok(linkBudget.atZenith.marginDb > linkBudget.atMask.marginDb, 'zenith is the best case');
+  assert.strictEqual(linkBudget.passMarginDb.min, Math.min(...REPORT.passes.map(p => p.tcaMarginDb)));
+});
+
+test('CSV and HTML carry every section', () => {
+  const csv = toReportCsv(REPORT);
+  for (const section of ['Availability', 'Gap histogram', 'Gaps', 'Link budget', 'Satellites', 'Passes']) {
+    assert.ok(csv.includes(`\n# ${section}\n`), section);
+  }
+  assert.ok(csv.includes('station,"Ottawa, ON"'), 'cells with commas are quoted');
+  const passRows = csv.slice(csv.indexOf('# Passes')).trim().split('\n');
+  assert.strictEqual(passRows.length, REPORT.passes.length + 2);
+
+  const html = toReportHtml(REPORT);
+  assert.ok(html.startsWith('<!DOCTYPE html>'));
+  assert.strictEqual((html.match(/<svg /g) || []).length, 2);
+  assert.ok(!/<(script|link)\b|src=/.test(html), 'no external assets');
+  assert.ok(!html.includes('undefined'));
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { CACHE_DIR } = require('../services/tleService');
+const { parseElementSets } = require('../services/elementSets');
+const { simulateHandover } = require('../services/handoverSimulation');
+const { buildScenario, toCzml, toKml } = require('../services/scenarioExport');
+
+const OTTAWA = { lat: 45.42, lng: -75.7, alt: 100 };
+const START = new Date('2026-02-20T12:00:00Z');
+const STEP_SEC = 60;
+const TIMES = Array.from({ length: 121 }, (_, i) => new Date(START.getTime() + i * STEP_SEC * 1000));
+
+const text = fs.readFileSync(path.join(CACHE_DIR, 'iridium.tle'), 'utf8');
+const TLES = parseElementSets(text).records;
+const SCENARIO = buildScenario(TLES, OTTAWA, 'iridium', { times: TIMES, stationName: 'Ottawa' });
+
+test('access intervals match the steps a satellite is available', () => {
+  const accessSec = SCENARIO.satellites
+    .flatMap(sat => sat.accesses)
+    .reduce((sum, a) => sum + (a.end - a.start) / 1000, 0);
+  assert.ok(accessSec > 0);
+
+  // With every available satellite counted, the total is at least the time
+  // a single terminal is served
+  const { statistics } = simulateHandover(TLES, OTTAWA, 'iridium', { times: TIMES.slice(0, -1), stepSec: STEP_SEC });
+  assert.ok(accessSec >= (TIMES.length - 1) * STEP_SEC - statistics.totalOutageSec);
+
+  for (const sat of SCENARIO.satellites) {
+    assert.strictEqual(sat.samples.length, TIMES.length);
+    sat.accesses.forEach((a, i) => {
+      assert.ok(a.end > a.start);
+      if (i > 0) assert.ok(a.start > sat.accesses[i - 1].end, 'adjacent accesses are merged');
+    });
+  }
+});
+
+test('CZML has a clock, sampled positions and links only during access', () => {
+  const czml = toCzml(SCENARIO);
+  const byId = new Map(czml.map(p => [p.id, p]));
+
+  assert.strictEqual(czml[0].id, 'document');
+  assert.strictEqual(czml[0].clock.interval, '2026-02-20T12:00:00.000Z/2026-02-20T14:00:00.000Z');
+  assert.ok(byId.has('station'));
+
+  const sat = SCENARIO.satellites.find(s => s.accesses.length);
+  const position = byId.get(`sat-${sat.noradId}`).position;
+  assert.strictEqual(position.referenceFrame, 'FIXED');
+  assert.strictEqual(position.cartesian.length, 4 * TIMES.length);
+  assert.deepStrictEqual(position.cartesian.slice(0, 4), [0, ...sat.samples[0].ecf]);
+
+  // Footprints are ellipsoid polygons per access step, as in KML
+  const footprint = byId.get(`footprint-${sat.noradId}`).polygon;
+  const steps = sat.accesses.reduce((sum, a) => sum + (a.end - a.start) / (STEP_SEC * 1000), 0);
+  assert.strictEqual(footprint.positions.length, steps);
+  assert.strictEqual(footprint.positions[0].interval.split('/')[0], sat.accesses[0].start.toISOString());
+  assert.ok(footprint.positions[0].cartographicDegrees.length >= 3 * 36);
+
+  const link = byId.get(`link-${sat.noradId}`);
+  assert.strictEqual(link.availability.length, sat.accesses.length);
+  assert.deepStrictEqual(link.polyline.positions.references, ['station#position', `sat-${sat.noradId}#position`]);
+  const idle = SCENARIO.satellites.find(s => !s.accesses.length);
+  if (idle) assert.ok(!byId.has(`link-${idle.noradId}`) && !byId.has(`footprint-${idle.noradId}`));
+});
+
+test('KML tracks every satellite and spans links over access steps', () => {
+  const kml = toKml({ ...SCENARIO, station: { ...SCENARIO.station, name: 'Ottawa & Co' } });
+  const count = pattern => (kml.match(pattern) || []).length;
+  const accessSteps = SCENARIO.satellites
+    .flatMap(sat => sat.accesses)
+    .reduce((sum, a) => sum + (a.end - a.start) / (STEP_SEC * 1000), 0);
+
+  assert.ok(kml.includes('<name>Ottawa &amp; Co</name>'));
+  assert.strictEqual(count(/<gx:Track>/g), SCENARIO.satellites.length);
+  assert.strictEqual(count(/<LineString>/g), accessSteps);
+  assert.strictEqual(count(/<Polygon>/g), accessSteps);
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { toSatrec } = require('../services/elementSets');
+const { lookAnglesAt, toObserverGd } = require('../services/passPredictor');
+const {
+  validateRegistry,
+  listConstellations,
+  resolveTerminal
+} = require('../services/constellationRegistry');
+const {
+  coverageRadiusKm,
+  computeSatelliteState,
+  evaluateConstellation,
+  predictConstellationPasses
+} = require('../services/simulationEngine');
+const { loadCached } = require('./helpers');
+
+const OTTAWA = { lat: 45.42, lng: -75.7, alt: 100 };
+const EPOCH = new Date('2026-02-20T12:00:00Z');
+
+test('registry entries all resolve a default terminal', () => {
+  const keys = listConstellations().map(c => c.key);
+  assert.deepStrictEqual(keys, ['iridium', 'starlink', 'kuiper']);
+  for (const key of keys) assert.ok(resolveTerminal(key), `${key} default terminal`);
+  assert.strictEqual(resolveTerminal('starlink', 'iridium-handheld'), null);
+  assert.strictEqual(resolveTerminal('nope'), null);
+});
+
+test('registry validation reports missing fields', () => {
+  assert.throws(
+    () => validateRegistry({ oneweb: { label: 'OneWeb', terminals: {} } }),
+    /oneweb: missing celestrakGroup/
+  );
+});
+
+test('coverage radius shrinks as the elevation mask rises', () => {
+  assert.ok(coverageRadiusKm(550, 10) > coverageRadiusKm(550, 25));
+  assert.ok(coverageRadiusKm(780, 10) > coverageRadiusKm(550, 10));
+  assert.strictEqual(Math.round(coverageRadiusKm(550, 90)), 0);
+});
+
+test('satellite state uses the registry mask and margin for availability', () => {
+  const sats = loadCached('starlink', 200);
+  const states = sats.map(sat =>
+    computeSatelliteState(toSatrec(sat), OTTAWA, 'starlink', EPOCH)
+  ).filter(Boolean);
+
+  assert.ok(states.some(s => s.available), 'expected a visible Starlink satellite');
+  for (const s of states) {
+    assert.strictEqual(s.available, s.elevation > 25 && s.linkBudget.marginDb >= 0);
+  }
+
+  const lowMask = sats.map(sat =>
+    computeSatelliteState(toSatrec(sat), OTTAWA, 'starlink', EPOCH, { minElevDeg: 10 })
+  ).filter(Boolean);
+  assert.ok(lowMask.filter(s => s.available).length >= states.filter(s => s.available).length);
+});
+
+test('range rate matches the finite difference of range, azimuth is a compass bearing', () => {
+  const satrec = toSatrec(loadCached('iridium', 1)[0]);
+  const observerGd = toObserverGd(OTTAWA);
+  const state = computeSatelliteState(satrec, OTTAWA, 'iridium', EPOCH);
+  const before = lookAnglesAt(satrec, observerGd, new Date(EPOCH.getTime() - 500));
+  const after = lookAnglesAt(satrec, observerGd, new Date(EPOCH.getTime() + 500));
+
+  assert.ok(Math.abs(state.rangeRateKmS - (after.rangeKm - before.rangeKm)) < 0.005, `${state.rangeRateKmS} km/s`);
+  assert.ok(Math.abs(state.rangeRateKmS) < 8);
+  assert.ok(state.azimuth >= 0 && state.azimuth < 360);
+});
+
+test('evaluateConstellation tags results and rejects unknown constellations', () => {
+  const sats = loadCached('iridium', 5);
+  const results = evaluateConstellation(sats, OTTAWA, 'iridium', { time: EPOCH, includeElements: true });
+
+  assert.strictEqual(results.length, 5);
+  assert.deepStrictEqual(results.map(r => r.noradId), sats.map(s => s.noradId));
+  assert.deepStrictEqual(results[0].omm, sats[0].omm);
+  assert.strictEqual(results[0].constellation, 'iridium');
+  // Names are kept even without the element sets
+  const plain = evaluateConstellation(sats, OTTAWA, 'iridium', { time: EPOCH });
+  assert.deepStrictEqual(plain.map(r => r.name), sats.map(s => s.name));
+  assert.strictEqual(plain[0].omm, undefined);
+  assert.throws(() => evaluateConstellation(sats, OTTAWA, 'oneweb'), /Unknown constellation/);
+});
+
+test('constellation passes are sorted by AOS and use the registry mask', () => {
+  const sats = loadCached('kuiper', 10);
+  const end = new Date(EPOCH.getTime() + 12 * 3600 * 1000);
+  const passes = predictConstellationPasses(sats, OTTAWA, 'kuiper', { start: EPOCH, end });
+
+  assert.ok(passes.length > 0);
+  for (let i = 1; i < passes.length; i++) assert.ok(passes[i - 1].aos <= passes[i].aos);
+  for (const pass of passes) assert.ok(pass.maxElevationDeg >= 25);
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'stations-'));
+process.env.STATIONS_FILE = path.join(dir, 'stations.json');
+
+const {
+  validateStation,
+  listStations,
+  getStation,
+  createStation,
+  updateStation,
+  deleteStation
+} = require('../services/stationRegistry');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('the default station is served until one is saved', () => {
+  assert.deepStrictEqual(listStations().map(s => s.id), ['ottawa']);
+  assert.strictEqual(fs.existsSync(process.env.STATIONS_FILE), false);
+});
+
+test('stations are created, updated and deleted on disk', () => {
+  const alert = createStation({ name: 'Alert CFS', lat: 82.5, lng: -62.35, alt: 30, minElevDeg: 15, terminals: { iridium: 'iridium-certus' } });
+  assert.strictEqual(alert.id, 'alert-cfs');
+  const again = createStation({ name: 'Alert CFS', lat: 82.5, lng: -62.35 });
+  assert.strictEqual(again.id, 'alert-cfs-2');
+  assert.strictEqual(again.alt, 0);
+  assert.strictEqual(again.minElevDeg, null);
+
+  const saved = JSON.parse(fs.readFileSync(process.env.STATIONS_FILE, 'utf8'));
+  assert.deepStrictEqual(saved.map(s => s.id), ['ottawa', 'alert-cfs', 'alert-cfs-2']);
+
+  const moved = updateStation('alert-cfs-2', { name: 'Eureka', lat: 79.99, lng: -85.93 });
+  assert.strictEqual(moved.id, 'alert-cfs-2', 'renaming keeps the id');
+  assert.strictEqual(getStation('alert-cfs-2').name, 'Eureka');
+  assert.strictEqual(updateStation('nowhere', { name: 'x' }), null);
+
+  assert.strictEqual(deleteStation('alert-cfs-2'), true);
+  assert.strictEqual(deleteStation('alert-cfs-2'), false);
+  assert.strictEqual(getStation('alert-cfs-2'), null);
+});
+
+test('invalid stations are rejected with every problem listed', () => {
+  assert.deepStrictEqual(
+    validateStation({ name: ' ', lat: 95, lng: 0, alt: 0, minElevDeg: 90, terminals: { iridium: 'starlink-mini', leo: 'x' } }),
+    [
+      'name is required',
+      'lat must be a number from -90 to 90',
+      'minElevDeg must be null or a number from 0 to 90',
+      'terminals: unknown iridium terminal starlink-mini',
+      'terminals: unknown constellation leo'
+    ]
+  );
+  assert.throws(() => createStation({ name: 'Nowhere', lat: '45', lng: -75 }), err => {
+    assert.strictEqual(err.code, 'INVALID_BODY');
+    assert.deepStrictEqual(err.details, ['lat must be a number from -90 to 90']);
+    return true;
+  });
+  assert.throws(() => updateStation('ottawa', { lng: 200 }), /lng must be a number/);
+  assert.strictEqual(getStation('ottawa').lng, -75.7);
+});
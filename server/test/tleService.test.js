@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep test snapshots out of the real store
+const SNAPSHOT_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'tle-snapshots-'));
+process.env.TLE_SNAPSHOT_DIR = SNAPSHOT_DIR;
+process.env.TLE_OFFLINE = 'true';
+
+const { CACHE_DIR, importTLEs, getConstellationTLEs, describeTLESet } = require('../services/tleService');
+const { listSnapshots } = require('../services/tleStore');
+
+test.after(() => fs.rmSync(SNAPSHOT_DIR, { recursive: true, force: true }));
+
+const STARLINK_1008 = fs.readFileSync(path.join(CACHE_DIR, 'starlink.tle'), 'utf8').split('\n').slice(0, 3);
+
+const OMM = {
+  OBJECT_NAME: 'STARLINK-1008',
+  OBJECT_ID: '2019-074B',
+  EPOCH: '2026-02-20T00:22:47.896896',
+  MEAN_MOTION: 15.31033804,
+  ECCENTRICITY: 0.0001224,
+  INCLINATION: 53.1548,
+  RA_OF_ASC_NODE: 260.9566,
+  ARG_OF_PERICENTER: 88.8756,
+  MEAN_ANOMALY: 271.2386,
+  EPHEMERIS_TYPE: 0,
+  CLASSIFICATION_TYPE: 'U',
+  NORAD_CAT_ID: 44714,
+  ELEMENT_SET_NO: 999,
+  REV_AT_EPOCH: 34616,
+  BSTAR: 0.00011612,
+  MEAN_MOTION_DOT: 0.00003168,
+  MEAN_MOTION_DDOT: 0
+};
+
+test('offline mode serves the newest snapshot and pins select older ones', async () => {
+  // 2-line upload: names fall back to the catalog number
+  const first = importTLEs('starlink', `${STARLINK_1008[1]}\n${STARLINK_1008[2]}\n`).snapshot;
+  const { snapshot: second, errors } = importTLEs('starlink', JSON.stringify([
+    OMM,
+    { ...OMM, NORAD_CAT_ID: 44715, OBJECT_NAME: 'TWIN' },
+    { ...OMM, NORAD_CAT_ID: 44716, EPOCH: '' }
+  ]));
+  assert.deepStrictEqual(errors.map(e => e.noradId), [44716]);
+  assert.notStrictEqual(first.id, second.id);
+  assert.deepStrictEqual(listSnapshots('starlink').slice(0, 2).map(s => s.id), [second.id, first.id]);
+
+  const latest = await getConstellationTLEs('starlink', 10);
+  assert.strictEqual(latest.snapshot.id, second.id);
+  assert.deepStrictEqual(latest.tleList.map(s => s.name), ['STARLINK-1008', 'TWIN']);
+  assert.strictEqual(describeTLESet(latest).rejected, 1);
+
+  const pinned = await getConstellationTLEs('starlink', 10, { snapshotId: first.id });
+  assert.deepStrictEqual(pinned.tleList.map(s => s.name), ['NORAD 44714']);
+  await assert.rejects(getConstellationTLEs('iridium', 10, { snapshotId: first.id }), /Unknown iridium TLE snapshot/);
+
+  const info = describeTLESet(pinned, new Date('2026-02-21T00:22:47.897Z'));
+  assert.strictEqual(info.snapshotId, first.id);
+  assert.strictEqual(info.offline, true);
+  assert.deepStrictEqual(info.epochAgeHours, { min: 24, max: 24 });
+});
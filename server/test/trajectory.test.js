@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { CACHE_DIR } = require('../services/tleService');
+const { parseElementSets } = require('../services/elementSets');
+const { simulateHandover } = require('../services/handoverSimulation');
+const { parseTrajectory, thinTrajectory } = require('../services/trajectory');
+
+const GPX = `<?xml version="1.0"?>
+<gpx version="1.1" creator="test">
+  <trk><trkseg>
+    <trkpt lat="45.42" lon="-75.70"><ele>120</ele><time>2026-02-20T12:00:00Z</time></trkpt>
+    <trkpt lat="45.60" lon="-75.10"><ele>3000</ele><time>2026-02-20T12:05:00Z</time></trkpt>
+    <trkpt lat="45.80" lon="-74.50"><ele>9000</ele><time>2026-02-20T12:10:00Z</time></trkpt>
+  </trkseg></trk>
+</gpx>`;
+
+const KML_TRACK = `<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">
+  <Placemark><gx:Track>
+    <when>2026-02-20T12:05:00Z</when>
+    <when>2026-02-20T12:00:00Z</when>
+    <gx:coord>-75.10 45.60 3000</gx:coord>
+    <gx:coord>-75.70 45.42 120</gx:coord>
+  </gx:Track></Placemark>
+</kml>`;
+
+const KML_PLACEMARKS = `<kml><Document>
+  <Placemark><TimeStamp><when>2026-02-20T12:00:00Z</when></TimeStamp><Point><coordinates>-75.7,45.42,120</coordinates></Point></Placemark>
+  <Placemark><name>no time</name><Point><coordinates>0,0,0</coordinates></Point></Placemark>
+  <Placemark><TimeStamp><when>2026-02-20T12:05:00Z</when></TimeStamp><Point><coordinates>-75.1,45.6</coordinates></Point></Placemark>
+</Document></kml>`;
+
+test('GPX, KML and CSV tracks parse to the same points', () => {
+  const gpx = parseTrajectory(GPX);
+  assert.strictEqual(gpx.format, 'gpx');
+  assert.deepStrictEqual(gpx.points[1], { time: new Date('2026-02-20T12:05:00Z'), lat: 45.6, lng: -75.1, alt: 3000 });
+
+  // Sorted by time, whatever the file order
+  const track = parseTrajectory(KML_TRACK);
+  assert.strictEqual(track.format, 'kml');
+  assert.deepStrictEqual(track.points, gpx.points.slice(0, 2));
+
+  const placemarks = parseTrajectory(KML_PLACEMARKS);
+  assert.deepStrictEqual(placemarks.points.map(p => [p.lat, p.lng, p.alt]), [[45.42, -75.7, 120], [45.6, -75.1, 0]]);
+
+  const headed = parseTrajectory('timestamp,latitude,longitude,altitude\n2026-02-20T12:00:00Z,45.42,-75.7,120\n');
+  const bare = parseTrajectory('# time, lat, lng\n2026-02-20T12:00:00Z, 45.42, -75.7, 120\n');
+  assert.strictEqual(headed.format, 'csv');
+  assert.deepStrictEqual(headed.points, gpx.points.slice(0, 1));
+  assert.deepStrictEqual(bare.points, headed.points);
+
+  const reordered = parseTrajectory('lon,lat,time\n-75.7,45.42,2026-02-20T12:00:00Z');
+  assert.deepStrictEqual(reordered.points, [{ ...headed.points[0], alt: 0 }]);
+});
+
+test('bad tracks are rejected with the point at fault', () => {
+  assert.throws(() => parseTrajectory('time,lat,lng\n2026-02-20T12:00:00Z,95,0'), /line 2: latitude/);
+  assert.throws(() => parseTrajectory('time,lat,lng\nyesterday,45,0'), /line 2: invalid or missing time/);
+  assert.throws(() => parseTrajectory('when,x,y\n2026-02-20T12:00:00Z,45,0'), /no lat, lng column/);
+  assert.throws(() => parseTrajectory('<gpx></gpx>'), /no timestamped points/);
+  assert.throws(() => parseTrajectory('2026-02-20T12:00:00Z,45,0\n2026-02-20T12:00:00Z,46,0'), /two points at/);
+  assert.throws(() => parseTrajectory(GPX, { maxPoints: 2 }), /3 points \(max 2\)/);
+});
+
+test('thinning keeps the first and last points', () => {
+  const { points } = parseTrajectory(GPX);
+  assert.deepStrictEqual(thinTrajectory(points, 400), [points[0], points[2]]);
+  assert.strictEqual(parseTrajectory(GPX, { minStepSec: 300 }).points.length, 3);
+});
+
+test('a moving terminal is served from its own position at each point', () => {
+  const text = fs.readFileSync(path.join(CACHE_DIR, 'iridium.tle'), 'utf8');
+  const tles = parseElementSets(text).records;
+  // A flight east from Ottawa at 60 s fixes, then a 10 min gap in the log
+  const times = Array.from({ length: 60 }, (_, i) => new Date(Date.UTC(2026, 1, 20, 12, i + (i >= 40 ? 10 : 0))));
+  const observers = times.map((_, i) => ({ lat: 45.42 + 0.05 * i, lng: -75.7 + 0.25 * i, alt: 10000 }));
+
+  const result = simulateHandover(tles, null, 'iridium', { times, observers, includeSamples: true });
+  const trackSec = (times[times.length - 1] - times[0]) / 1000;
+  const served = result.timeline.reduce((sum, s) => sum + s.durationSec, 0);
+  assert.strictEqual(served + result.statistics.totalOutageSec, trackSec);
+
+  assert.strictEqual(result.samples.length, times.length);
+  result.samples.forEach((sample, i) => {
+    assert.strictEqual(sample.lat, observers[i].lat);
+    assert.ok(sample.available <= sample.inView);
+    assert.strictEqual(sample.noradId === null, sample.available === 0);
+  });
+  // A terminal left at the first point sees other elevations
+  const fixed = simulateHandover(tles, observers[0], 'iridium', { times, includeSamples: true });
+  assert.notDeepStrictEqual(fixed.samples.map(s => s.elevationDeg), result.samples.map(s => s.elevationDeg));
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Workers copy the environment when they start, so set it first
+const SNAPSHOT_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'tle-snapshots-'));
+process.env.TLE_SNAPSHOT_DIR = SNAPSHOT_DIR;
+process.env.TLE_OFFLINE = 'true';
+
+const { CACHE_DIR, importTLEs } = require('../services/tleService');
+const { createWorkerPool } = require('../services/workerPool');
+
+const { snapshot } = importTLEs('iridium', fs.readFileSync(path.join(CACHE_DIR, 'iridium.tle'), 'utf8'));
+const OTTAWA = { lat: 45.42, lng: -75.7, alt: 0.1 };
+const passesTask = (tle = {}) => ({
+  tle: { constellation: 'iridium', snapshotId: snapshot.id, maxSats: 66, ...tle },
+  observer: OTTAWA,
+  options: { start: new Date('2026-02-20T12:00:00Z'), end: new Date('2026-02-20T14:00:00Z'), dopplerStepSec: 0 }
+});
+
+const pool = createWorkerPool({ size: 1 });
+const inline = createWorkerPool({ size: 0 });
+
+test.after(async () => {
+  await pool.close();
+  fs.rmSync(SNAPSHOT_DIR, { recursive: true, force: true });
+});
+
+test('a worker computes the same passes as the calling thread', async () => {
+  const [threaded, direct] = await Promise.all([pool.run('passes', passesTask()), inline.run('passes', passesTask())]);
+  assert.ok(direct.length > 0);
+  assert.deepStrictEqual(threaded, direct);
+  assert.deepStrictEqual(pool.status(), { size: 1, workers: 1, busy: 0, queued: 0 });
+});
+
+test('jobs queue for a busy worker and a noradId narrows the set', async () => {
+  const noradId = (await inline.run('passes', passesTask()))[0].noradId;
+  const [all, one] = await Promise.all([
+    pool.run('passes', passesTask()),
+    pool.run('passes', passesTask({ noradId: String(noradId) }))
+  ]);
+  assert.ok(all.length > one.length);
+  assert.ok(one.every(p => p.noradId === noradId));
+
+  // Several, comma-separated
+  const ids = [...new Set(all.map(p => p.noradId))].slice(0, 2);
+  const some = await inline.run('passes', passesTask({ noradId: ids.join(',') }));
+  assert.deepStrictEqual([...new Set(some.map(p => p.noradId))].sort(), [...ids].sort());
+});
+
+test('a snapshot series evaluates every epoch, keeping the available satellites when asked', async () => {
+  const { tle } = passesTask();
+  const times = [new Date('2026-02-20T12:00:00Z'), new Date('2026-02-20T12:01:00Z')];
+  const task = availableOnly => ({ tles: [tle], observer: OTTAWA, options: { times, links: {}, includeElements: true, availableOnly } });
+
+  const [all, available] = await Promise.all([pool.run('snapshots', task(false)), inline.run('snapshots', task(true))]);
+  assert.deepStrictEqual(all.map(s => s.time), times.map(t => t.toISOString()));
+  assert.ok(all[0].satellites.length > 0);
+  assert.ok(all[0].satellites.every(s => s.omm && s.constellation === 'iridium'));
+  assert.deepStrictEqual(available[1].satellites, all[1].satellites.filter(s => s.available));
+  assert.ok(available[1].satellites.length < all[1].satellites.length);
+});
+
+test('task errors and unknown tasks reject', async () => {
+  await assert.rejects(pool.run('passes', passesTask({ snapshotId: 'iridium-missing' })), /Unknown iridium TLE snapshot/);
+  await assert.rejects(pool.run('orbitDecay', {}), /Unknown compute task: orbitDecay/);
+
+  const closing = createWorkerPool({ size: 1 });
+  await closing.close();
+  await assert.rejects(closing.run('passes', passesTask()), /closed/);
+});